@@ -1,6 +1,6 @@
 import { Routes, Route, Link, useLocation } from 'react-router-dom';
 import { useState } from 'react';
-import { Home, Briefcase, Eye, Lightbulb, Receipt, Target, LogOut, Menu, X, Brain, Layers, BarChart3, Sun, Moon } from 'lucide-react';
+import { Home, Briefcase, Eye, Lightbulb, Receipt, Target, LogOut, Menu, X, Brain, Layers, BarChart3, Sun, Moon, FlaskConical } from 'lucide-react';
 import { useAuth } from './context/AuthContext';
 import { useTheme } from './context/ThemeContext';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -15,6 +15,7 @@ import TaxDashboard from './pages/TaxDashboard';
 import YourPlan from './pages/YourPlan';
 import MultiAssetRecommendations from './pages/MultiAssetRecommendations';
 import HoldingsAnalyzer from './pages/HoldingsAnalyzer';
+import Backtest from './pages/Backtest';
 
 function App() {
   return (
@@ -75,6 +76,7 @@ function AppLayout() {
                 <NavLink to="/invest" icon={<Layers size={18} />} active={isActive('/invest')}>Invest</NavLink>
                 <NavLink to="/ai" icon={<Lightbulb size={18} />} active={isActive('/ai')}>AI</NavLink>
                 <NavLink to="/insights" icon={<Brain size={18} />} active={isActive('/insights')}>Insights</NavLink>
+                <NavLink to="/backtest" icon={<FlaskConical size={18} />} active={isActive('/backtest')}>Backtest</NavLink>
                 <NavLink to="/tax" icon={<Receipt size={18} />} active={isActive('/tax')}>Tax</NavLink>
               </div>
             </div>
@@ -124,6 +126,7 @@ function AppLayout() {
               <MobileNavLink to="/invest" icon={<Layers size={20} />} onClick={closeMobileMenu} active={isActive('/invest')}>Multi-Asset Invest</MobileNavLink>
               <MobileNavLink to="/ai" icon={<Lightbulb size={20} />} onClick={closeMobileMenu} active={isActive('/ai')}>AI Recommendations</MobileNavLink>
               <MobileNavLink to="/insights" icon={<Brain size={20} />} onClick={closeMobileMenu} active={isActive('/insights')}>AI Insights</MobileNavLink>
+              <MobileNavLink to="/backtest" icon={<FlaskConical size={20} />} onClick={closeMobileMenu} active={isActive('/backtest')}>Backtest</MobileNavLink>
               <MobileNavLink to="/tax" icon={<Receipt size={18} />} onClick={closeMobileMenu} active={isActive('/tax')}>Tax Dashboard</MobileNavLink>
               <MobileNavLink to="/watchlist" icon={<Eye size={20} />} onClick={closeMobileMenu} active={isActive('/watchlist')}>Watchlist</MobileNavLink>
             </div>
@@ -166,6 +169,7 @@ function AppLayout() {
           <Route path="/invest" element={<MultiAssetRecommendations />} />
           <Route path="/ai" element={<AIRecommendations />} />
           <Route path="/insights" element={<AIInsights />} />
+          <Route path="/backtest" element={<Backtest />} />
           <Route path="/tax" element={<TaxDashboard />} />
           <Route path="/watchlist" element={<Watchlist />} />
           <Route path="/proposals" element={<Proposals />} />
@@ -2,7 +2,7 @@
  * API Client for Portfolio Component
  * Wraps the api utility to match the expected interface
  */
-import { api } from '../utils/api';
+import { api, portfolioApi } from '../utils/api';
 
 export const portfolio = {
   getAll: async () => {
@@ -35,18 +35,43 @@ export const portfolio = {
     return result;
   },
 
-  sync: async () => {
-    const data = await api.post('/portfolio/sync');
+  sync: async (onProgress) => {
+    const data = await portfolioApi.syncPrices(onProgress);
     return { data };
   },
 
-  addTransaction: async (transaction) => {
-    const data = await api.post('/portfolio/transactions', transaction);
+  getTrades: async (portfolioId, params = {}) => {
+    const data = await api.get(`/portfolio/${portfolioId}/trades?${new URLSearchParams(params)}`);
     return { data };
   },
 
-  deleteTransaction: async (id) => {
-    const data = await api.delete(`/portfolio/transactions/${id}`);
+  addTrade: async (portfolioId, trade) => {
+    const data = await api.post(`/portfolio/${portfolioId}/trades`, trade);
+    return { data };
+  },
+
+  updateTrade: async (portfolioId, tradeId, trade) => {
+    const data = await api.put(`/portfolio/${portfolioId}/trades/${tradeId}`, trade);
+    return { data };
+  },
+
+  deleteTrade: async (portfolioId, tradeId) => {
+    const data = await api.delete(`/portfolio/${portfolioId}/trades/${tradeId}`);
+    return { data };
+  },
+
+  getCashLedger: async (portfolioId, params = {}) => {
+    const data = await api.get(`/portfolio/${portfolioId}/cash?${new URLSearchParams(params)}`);
+    return { data };
+  },
+
+  addCashEntry: async (portfolioId, entry) => {
+    const data = await api.post(`/portfolio/${portfolioId}/cash`, entry);
+    return { data };
+  },
+
+  deleteCashEntry: async (portfolioId, entryId) => {
+    const data = await api.delete(`/portfolio/${portfolioId}/cash/${entryId}`);
     return { data };
   }
 };
\ No newline at end of file
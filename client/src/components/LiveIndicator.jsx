@@ -0,0 +1,19 @@
+const STATES = {
+  live: { dot: 'bg-green-500 animate-pulse', label: 'Live', text: 'text-green-700 dark:text-green-400' },
+  polling: { dot: 'bg-amber-500', label: 'Delayed', text: 'text-amber-700 dark:text-amber-400' },
+  connecting: { dot: 'bg-gray-400', label: 'Connecting', text: 'text-gray-500 dark:text-gray-400' },
+};
+
+export default function LiveIndicator({ status }) {
+  const state = STATES[status] || STATES.connecting;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1.5 text-xs font-medium ${state.text}`}
+      title={status === 'polling' ? 'Live stream unavailable — refreshing every minute' : undefined}
+    >
+      <span className={`w-2 h-2 rounded-full ${state.dot}`} />
+      {state.label}
+    </span>
+  );
+}
@@ -13,6 +13,7 @@ const BROKERS = [
   { value: 'KOTAK_SECURITIES', label: 'Kotak Securities' },
   { value: 'MOTILAL_OSWAL', label: 'Motilal Oswal' },
   { value: '5PAISA', label: '5paisa' },
+  { value: 'PAPER', label: 'Paper trading (simulated)' },
   { value: 'OTHER', label: 'Other' },
 ];
 
@@ -31,6 +32,17 @@ const GOALS = [
   { value: 'SHORT_TERM_TRADING', label: 'Short-term Trading' },
 ];
 
+// Any index symbol, NSE:/BSE: ETF or weighted blend is accepted; these are the usual ones
+const BENCHMARK_PRESETS = [
+  { value: 'NIFTY50', label: 'NIFTY 50' },
+  { value: 'NIFTY500', label: 'NIFTY 500' },
+  { value: 'NIFTYNEXT50', label: 'NIFTY Next 50' },
+  { value: 'NIFTYMIDCAP100', label: 'NIFTY Midcap 100' },
+  { value: 'NIFTYSMALLCAP100', label: 'NIFTY Smallcap 100' },
+  { value: '50% NIFTY50 + 50% NIFTYMIDCAP100', label: 'Large/mid blend' },
+  { value: 'NSE:NIFTYBEES', label: 'Nifty BeES ETF' },
+];
+
 const EXPERIENCE_LEVELS = [
   { value: 'BEGINNER', label: 'Beginner' },
   { value: 'INTERMEDIATE', label: 'Intermediate' },
@@ -45,6 +57,7 @@ export default function PortfolioFormModal({ isOpen, onClose, portfolio, onSucce
     ownerName: '',
     broker: '',
     riskProfile: 'BALANCED',
+    benchmark: 'NIFTY50',
     investmentGoal: '',
     investmentExperience: '',
     startingCapital: 10000,
@@ -64,6 +77,7 @@ export default function PortfolioFormModal({ isOpen, onClose, portfolio, onSucce
         ownerName: portfolio.ownerName || '',
         broker: portfolio.broker || '',
         riskProfile: portfolio.riskProfile || 'BALANCED',
+        benchmark: portfolio.benchmark || 'NIFTY50',
         investmentGoal: portfolio.investmentGoal || '',
         investmentExperience: portfolio.investmentExperience || '',
         startingCapital: portfolio.startingCapital || 10000,
@@ -75,7 +89,7 @@ export default function PortfolioFormModal({ isOpen, onClose, portfolio, onSucce
       });
     } else if (isOpen && !isEdit) {
       setForm({
-        name: '', ownerName: '', broker: '', riskProfile: 'BALANCED',
+        name: '', ownerName: '', broker: '', riskProfile: 'BALANCED', benchmark: 'NIFTY50',
         investmentGoal: '', investmentExperience: '', startingCapital: 10000,
         monthlyIncome: '', age: '', markets: ['NSE'], apiEnabled: false, notes: '',
       });
@@ -112,6 +126,7 @@ export default function PortfolioFormModal({ isOpen, onClose, portfolio, onSucce
         ownerName: form.ownerName.trim(),
         broker: form.broker,
         riskProfile: form.riskProfile,
+        benchmark: form.benchmark.trim() || 'NIFTY50',
         markets: form.markets,
         apiEnabled: form.apiEnabled,
         notes: form.notes.trim() || null,
@@ -251,6 +266,25 @@ export default function PortfolioFormModal({ isOpen, onClose, portfolio, onSucce
                   </select>
                 </div>
 
+                {/* Benchmark */}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Benchmark</label>
+                  <input
+                    type="text"
+                    list="benchmark-presets"
+                    value={form.benchmark}
+                    onChange={(e) => updateField('benchmark', e.target.value)}
+                    className="w-full px-4 py-2.5 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="NIFTY50"
+                  />
+                  <datalist id="benchmark-presets">
+                    {BENCHMARK_PRESETS.map(b => (
+                      <option key={b.value} value={b.value}>{b.label}</option>
+                    ))}
+                  </datalist>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">An index, an ETF (NSE:NIFTYBEES) or a blend (60% NIFTY50 + 40% NIFTY500)</p>
+                </div>
+
                 {/* Experience Level */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Experience Level</label>
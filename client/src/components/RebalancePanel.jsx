@@ -0,0 +1,296 @@
+import { useState, useEffect } from 'react';
+import { Scale, Plus, Trash2, Loader2, Save, AlertTriangle } from 'lucide-react';
+import { api } from '../utils/api';
+
+const DIMENSIONS = [
+  { value: 'ASSET_CLASS', label: 'Asset class' },
+  { value: 'SECTOR', label: 'Sector' },
+  { value: 'HOLDING', label: 'Holding' }
+];
+
+const KEY_HINTS = {
+  ASSET_CLASS: 'EQUITY, GOLD, SILVER, DEBT or CASH',
+  SECTOR: 'Sector, e.g. Financial Services',
+  HOLDING: 'Symbol, e.g. INFY or BSE:INFY'
+};
+
+const STATUS_STYLES = {
+  OVER: 'bg-red-100 text-red-700',
+  UNDER: 'bg-amber-100 text-amber-700',
+  WITHIN: 'bg-green-100 text-green-700',
+  UNTARGETED: 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+};
+
+const formatINR = (n) => `₹${parseFloat(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
+
+/**
+ * Target allocation editor and rebalance preview for one portfolio. Creating
+ * the plan turns its trades into draft signals, listed with the others.
+ */
+export default function RebalancePanel({ portfolioId, onSignalsCreated }) {
+  const [dimension, setDimension] = useState('ASSET_CLASS');
+  const [band, setBand] = useState('5');
+  const [rows, setRows] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [planning, setPlanning] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (portfolioId) loadTargets();
+  }, [portfolioId]);
+
+  const loadTargets = async () => {
+    setPlan(null);
+    setError('');
+    setMessage('');
+    try {
+      const data = await api.get(`/portfolio/${portfolioId}/targets`);
+      const { dimension: saved, targets } = data.data || {};
+      setDimension(saved || 'ASSET_CLASS');
+      setRows((targets || []).map(t => ({ key: t.key, weight: String(t.weight), band: String(t.band) })));
+      if (targets?.length > 0) loadPlan();
+    } catch (err) {
+      console.error('Failed to load allocation targets:', err);
+    }
+  };
+
+  const loadPlan = async () => {
+    setPlanning(true);
+    try {
+      const data = await api.get(`/portfolio/${portfolioId}/rebalance`);
+      setPlan(data.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const saveTargets = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      await api.put(`/portfolio/${portfolioId}/targets`, {
+        dimension,
+        band: band === '' ? undefined : parseFloat(band),
+        targets: rows
+          .filter(r => r.key.trim() !== '')
+          .map(r => ({ key: r.key, weight: parseFloat(r.weight) || 0, band: r.band === '' ? undefined : parseFloat(r.band) }))
+      });
+      await loadTargets();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const createSignals = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      const data = await api.post(`/portfolio/${portfolioId}/rebalance`, {});
+      setPlan(data.data.plan);
+      const count = data.data.signals.length;
+      setMessage(`${count} draft signal${count === 1 ? '' : 's'} created — execute them from Telegram or the list below`);
+      onSignalsCreated?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((r, i) => (i === index ? { ...r, [field]: value } : r)));
+  };
+
+  const totalWeight = rows.reduce((sum, r) => sum + (parseFloat(r.weight) || 0), 0);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700">
+      <div className="px-4 py-3 border-b dark:border-gray-700 flex items-center justify-between">
+        <h2 className="font-semibold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+          <Scale size={18} className="text-indigo-500" /> Target Allocation
+        </h2>
+        {plan && (
+          <span className={`px-2 py-1 rounded text-xs font-medium ${plan.withinBands ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-700'}`}>
+            {plan.withinBands ? 'Within bands' : 'Needs rebalancing'}
+          </span>
+        )}
+      </div>
+
+      <div className="p-4 space-y-4">
+        {/* Target editor */}
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-sm">
+            <span className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Rebalance by</span>
+            <select
+              value={dimension}
+              onChange={e => { setDimension(e.target.value); setRows([]); setPlan(null); }}
+              className="px-3 py-1.5 border rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600"
+            >
+              {DIMENSIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Default band ±%</span>
+            <input
+              type="number"
+              min="0"
+              max="50"
+              value={band}
+              onChange={e => setBand(e.target.value)}
+              className="w-24 px-3 py-1.5 border rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600"
+            />
+          </label>
+        </div>
+
+        <div className="space-y-2">
+          {rows.map((row, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <input
+                value={row.key}
+                onChange={e => updateRow(i, 'key', e.target.value)}
+                placeholder={KEY_HINTS[dimension]}
+                className="flex-1 px-3 py-1.5 border rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600"
+              />
+              <input
+                type="number"
+                value={row.weight}
+                onChange={e => updateRow(i, 'weight', e.target.value)}
+                placeholder="Weight %"
+                className="w-24 px-3 py-1.5 border rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600"
+              />
+              <input
+                type="number"
+                value={row.band}
+                onChange={e => updateRow(i, 'band', e.target.value)}
+                placeholder={`±${band || 5}`}
+                className="w-20 px-3 py-1.5 border rounded-lg text-sm dark:bg-gray-700 dark:border-gray-600"
+              />
+              <button
+                onClick={() => setRows(prev => prev.filter((_, j) => j !== i))}
+                className="p-1.5 text-gray-400 hover:text-red-500"
+                title="Remove"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => setRows(prev => [...prev, { key: '', weight: '', band: '' }])}
+              className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700"
+            >
+              <Plus size={14} /> Add target
+            </button>
+            <span className={`text-xs ${totalWeight > 100 ? 'text-red-600' : 'text-gray-500 dark:text-gray-400'}`}>
+              Total: {totalWeight.toFixed(1)}% of portfolio value
+            </span>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={saveTargets}
+            disabled={saving}
+            className="flex items-center gap-2 px-3 py-1.5 bg-blue-500 text-white rounded-lg text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            {saving ? <Loader2 size={14} className="animate-spin" /> : <Save size={14} />}
+            Save & preview
+          </button>
+          {plan && plan.trades.length > 0 && (
+            <button
+              onClick={createSignals}
+              disabled={creating}
+              className="flex items-center gap-2 px-3 py-1.5 bg-indigo-500 text-white rounded-lg text-sm hover:bg-indigo-600 disabled:opacity-50"
+            >
+              {creating ? <Loader2 size={14} className="animate-spin" /> : <Scale size={14} />}
+              Create draft signals
+            </button>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {message && <p className="text-sm text-green-600">{message}</p>}
+        {planning && <p className="text-sm text-gray-400 flex items-center gap-2"><Loader2 size={14} className="animate-spin" /> Planning...</p>}
+
+        {/* Preview */}
+        {plan && (
+          <div className="space-y-4">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 dark:bg-gray-900">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500 dark:text-gray-400">Group</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500 dark:text-gray-400">Value</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500 dark:text-gray-400">Current</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500 dark:text-gray-400">Target</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500 dark:text-gray-400">Drift</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500 dark:text-gray-400">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y dark:divide-gray-700">
+                  {plan.groups.map(g => (
+                    <tr key={g.key}>
+                      <td className="px-3 py-2 font-medium">{g.key}</td>
+                      <td className="px-3 py-2 text-right">{formatINR(g.value)}</td>
+                      <td className="px-3 py-2 text-right">{g.currentPct.toFixed(1)}%</td>
+                      <td className="px-3 py-2 text-right">{g.targetPct != null ? `${g.targetPct}% ±${g.bandPct}` : '—'}</td>
+                      <td className={`px-3 py-2 text-right ${g.driftPct > 0 ? 'text-red-600' : g.driftPct < 0 ? 'text-amber-600' : ''}`}>
+                        {g.driftPct != null ? `${g.driftPct > 0 ? '+' : ''}${g.driftPct.toFixed(1)}%` : '—'}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[g.status]}`}>{g.status}</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {plan.trades.length > 0 && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Proposed trades</h3>
+                <div className="divide-y dark:divide-gray-700 border dark:border-gray-700 rounded-lg">
+                  {plan.trades.map((t, i) => (
+                    <div key={i} className="px-3 py-2 flex items-center gap-3 text-sm">
+                      <span className={`px-2 py-0.5 rounded text-xs font-bold text-white ${t.side === 'BUY' ? 'bg-green-500' : 'bg-red-500'}`}>{t.side}</span>
+                      <span className="font-semibold">{t.symbol}</span>
+                      <span className="text-gray-500 dark:text-gray-400">{t.quantity} × {formatINR(t.price)}</span>
+                      <span className="text-xs text-gray-400">{t.group}</span>
+                      <span className="ml-auto text-right text-xs text-gray-500 dark:text-gray-400">
+                        {formatINR(t.value)} + {formatINR(t.charges)} charges
+                        {t.tax != null && ` | est. tax ${formatINR(t.tax)}`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  Est. capital gains tax: {formatINR(plan.tax.estimatedTax)} (STCG {formatINR(plan.tax.stcgGain)}, LTCG {formatINR(plan.tax.ltcgGain)})
+                  {' | '}Cash after trades: {formatINR(plan.cash.afterTrades)}
+                </p>
+              </div>
+            )}
+
+            {plan.deferred.length > 0 && (
+              <div className="p-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg text-sm text-amber-800 dark:text-amber-300">
+                {plan.deferred.map((d, i) => (
+                  <p key={i} className="flex items-center gap-2">
+                    <AlertTriangle size={14} />
+                    {d.group}{d.symbol ? ` (${d.symbol})` : ''}: {formatINR(d.amount)} left to buy — {d.reason}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
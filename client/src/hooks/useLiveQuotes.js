@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef } from 'react';
+import { api } from '../utils/api';
+
+const POLL_INTERVAL_MS = 60000;
+const RECONNECT_DELAY_MS = 30000;
+
+const quoteKey = (symbol, exchange = 'NSE') => `${exchange || 'NSE'}:${symbol}`;
+
+/**
+ * Parse a chunk of SSE text into { event, data } messages.
+ * Returns the unconsumed tail so partial messages carry over to the next chunk.
+ */
+function parseSSE(buffer, onMessage) {
+  const parts = buffer.split('\n\n');
+  const tail = parts.pop();
+
+  for (const part of parts) {
+    let event = 'message';
+    const data = [];
+    for (const line of part.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    if (data.length > 0) onMessage(event, data.join('\n'));
+  }
+  return tail;
+}
+
+/**
+ * Live quotes for the user's holdings + watchlist.
+ *
+ * Streams from /api/market/stream (fetch-based so the Authorization header
+ * goes along — EventSource can't send it). If the stream drops, falls back to
+ * polling /api/market/quotes and retries the stream in the background.
+ *
+ * @returns {{ quotes: Object, status: 'connecting'|'live'|'polling' }}
+ *   quotes is keyed "EXCHANGE:SYMBOL"
+ */
+export default function useLiveQuotes() {
+  const [quotes, setQuotes] = useState({});
+  const [status, setStatus] = useState('connecting');
+  const pollTimer = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let controller = null;
+    let reconnectTimer = null;
+
+    const mergeQuotes = (list) => {
+      setQuotes(prev => {
+        const next = { ...prev };
+        for (const q of list) next[quoteKey(q.symbol, q.exchange)] = q;
+        return next;
+      });
+    };
+
+    const poll = async () => {
+      try {
+        const data = await api.get('/market/quotes');
+        if (!cancelled) mergeQuotes(data.quotes || []);
+      } catch (err) {
+        console.error('Quote poll failed:', err);
+      }
+    };
+
+    const startPolling = () => {
+      if (cancelled) return;
+      setStatus('polling');
+      if (!pollTimer.current) {
+        poll();
+        pollTimer.current = setInterval(poll, POLL_INTERVAL_MS);
+      }
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollTimer.current);
+      pollTimer.current = null;
+    };
+
+    async function connect() {
+      if (cancelled) return;
+      controller = new AbortController();
+
+      try {
+        const token = localStorage.getItem('accessToken');
+        const response = await fetch('/api/market/stream', {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+          signal: controller.signal
+        });
+        if (!response.ok || !response.body) throw new Error(`Stream unavailable (${response.status})`);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (!cancelled) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer = parseSSE(buffer + decoder.decode(value, { stream: true }), (event, data) => {
+            if (event === 'ready') {
+              stopPolling();
+              setStatus('live');
+            } else if (event === 'quote') {
+              mergeQuotes([JSON.parse(data)]);
+            }
+          });
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        console.error('Quote stream error:', err);
+      }
+      startPolling();
+    }
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      controller?.abort();
+      clearTimeout(reconnectTimer);
+      stopPolling();
+    };
+  }, []);
+
+  return { quotes, status };
+}
+
+/**
+ * Overlay live quotes onto holdings rows, recomputing value and P&L.
+ */
+export function applyLiveQuotes(holdings, quotes) {
+  return holdings.map(h => {
+    const quote = quotes[quoteKey(h.symbol, h.exchange)];
+    if (!quote?.price) return h;
+
+    const investedAmount = h.investedAmount ?? h.avgPrice * h.quantity;
+    const currentValue = quote.price * h.quantity;
+    const unrealizedPL = currentValue - investedAmount;
+    return {
+      ...h,
+      currentPrice: quote.price,
+      currentValue,
+      unrealizedPL,
+      plPercent: investedAmount > 0 ? ((unrealizedPL / investedAmount) * 100).toFixed(2) : '0.00',
+      dayChangePercent: quote.changePercent
+    };
+  });
+}
+
+/**
+ * Portfolio totals in the same shape the API returns.
+ */
+export function summarizeHoldings(holdings) {
+  const totalInvested = holdings.reduce((s, h) => s + h.investedAmount, 0);
+  const totalCurrent = holdings.reduce((s, h) => s + h.currentValue, 0);
+  const unrealizedPL = totalCurrent - totalInvested;
+  return {
+    totalInvested,
+    totalCurrent,
+    unrealizedPL,
+    plPercent: totalInvested > 0 ? ((unrealizedPL / totalInvested) * 100).toFixed(2) : '0.00'
+  };
+}
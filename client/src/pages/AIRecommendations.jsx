@@ -234,6 +234,25 @@ export default function AIRecommendations() {
                         </li>
                       ))}
                     </ul>
+                    {stock.patterns?.length > 0 && (
+                      <div className="mt-3 flex flex-wrap gap-2">
+                        {stock.patterns.map((p, i) => (
+                          <span
+                            key={i}
+                            title={p.detail || p.date}
+                            className={`text-xs font-semibold px-2 py-1 rounded-full border ${
+                              p.bias === 'BULLISH'
+                                ? 'bg-emerald-50 text-emerald-700 border-emerald-200'
+                                : p.bias === 'BEARISH'
+                                  ? 'bg-red-50 text-red-700 border-red-200'
+                                  : 'bg-slate-50 text-slate-600 border-slate-200'
+                            }`}
+                          >
+                            {p.label}{p.barsAgo > 0 ? ` · ${p.barsAgo}d ago` : ''}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
 
@@ -0,0 +1,397 @@
+import { useState, useEffect } from 'react';
+import { FlaskConical, Play, AlertCircle, TrendingUp, TrendingDown, Activity, Percent, Target } from 'lucide-react';
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { api } from '../utils/api';
+
+const today = () => new Date().toISOString().slice(0, 10);
+const yearAgo = () => new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const formatINR = (value) => `₹${Number(value).toLocaleString('en-IN', { maximumFractionDigits: 0 })}`;
+const formatDate = (value, intraday) => new Date(value).toLocaleString('en-IN', intraday
+  ? { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }
+  : { day: 'numeric', month: 'short', year: '2-digit' });
+
+const INTRADAY_TIMEFRAMES = ['5m', '15m', '1h'];
+
+export default function Backtest() {
+  const [options, setOptions] = useState(null);
+  const [universes, setUniverses] = useState([]);
+  const [form, setForm] = useState({
+    preset: 'RSI_REVERSAL',
+    entry: '',
+    exit: '',
+    source: 'symbols',
+    symbols: 'RELIANCE, TCS, HDFCBANK, INFY, ICICIBANK',
+    universe: 'NIFTY50',
+    timeframe: '1d',
+    product: 'DELIVERY',
+    from: yearAgo(),
+    to: today(),
+    initialCapital: 100000,
+    sizingMethod: 'PERCENT_EQUITY',
+    sizingValue: 20,
+    maxPositions: 5,
+    stopLossPct: 5,
+    targetPct: 10,
+    maxHoldingBars: '',
+    slippageBps: 5
+  });
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    api.get('/backtest/options')
+      .then(data => setOptions(data.data))
+      .catch(err => console.error('Failed to load backtest options:', err));
+    api.get('/universes')
+      .then(data => setUniverses(data.data || []))
+      .catch(err => console.error('Failed to load universes:', err));
+  }, []);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Switching to a custom rule starts from the preset that was selected
+  const selectPreset = (e) => {
+    const preset = e.target.value;
+    const previous = options?.presets?.[form.preset];
+    setForm(preset
+      ? { ...form, preset }
+      : { ...form, preset, entry: previous?.entry || form.entry, exit: previous?.exit || form.exit });
+  };
+
+  const selectTimeframe = (e) => {
+    const timeframe = e.target.value;
+    setForm({ ...form, timeframe, product: INTRADAY_TIMEFRAMES.includes(timeframe) ? form.product : 'DELIVERY' });
+  };
+
+  const runBacktest = async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const body = {
+        timeframe: form.timeframe,
+        product: form.product,
+        from: form.from,
+        to: form.to,
+        initialCapital: Number(form.initialCapital),
+        sizing: { method: form.sizingMethod, value: Number(form.sizingValue) },
+        maxPositions: Number(form.maxPositions),
+        stopLossPct: form.stopLossPct ? Number(form.stopLossPct) : null,
+        targetPct: form.targetPct ? Number(form.targetPct) : null,
+        maxHoldingBars: form.maxHoldingBars ? Number(form.maxHoldingBars) : null,
+        slippageBps: Number(form.slippageBps)
+      };
+      if (form.preset) {
+        body.preset = form.preset;
+      } else {
+        body.entry = form.entry;
+        body.exit = form.exit || null;
+      }
+      if (form.source === 'universe') {
+        body.universe = form.universe;
+      } else {
+        body.symbols = form.symbols.split(/[\s,]+/).filter(Boolean);
+      }
+
+      const data = await api.post('/backtest', body);
+      setResult(data.data);
+    } catch (err) {
+      console.error('Backtest failed:', err);
+      setError(err.message || 'Backtest failed. Please try again.');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const presets = options?.presets || {};
+  const intraday = INTRADAY_TIMEFRAMES.includes(form.timeframe);
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+  const labelClass = 'block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1';
+
+  return (
+    <div className="space-y-6 pb-8">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl p-6 text-white shadow-lg">
+        <h1 className="text-2xl md:text-3xl font-bold mb-2 flex items-center gap-3">
+          <FlaskConical className="w-8 h-8" />
+          Strategy Backtest
+        </h1>
+        <p className="text-indigo-100">Replay a rule over stored candles with brokerage, STT and slippage before it goes live</p>
+      </div>
+
+      {/* Form */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700 p-6 space-y-5">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Strategy</label>
+            <select value={form.preset} onChange={selectPreset} className={inputClass}>
+              {Object.keys(presets).map(key => (
+                <option key={key} value={key}>{key.replace(/_/g, ' ')}</option>
+              ))}
+              <option value="">Custom rule</option>
+            </select>
+            {presets[form.preset] && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{presets[form.preset].description}</p>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className={labelClass}>Timeframe</label>
+              <select value={form.timeframe} onChange={selectTimeframe} className={inputClass}>
+                {(options?.timeframes || ['1d']).map(tf => <option key={tf} value={tf}>{tf}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Product</label>
+              <select value={form.product} onChange={update('product')} className={inputClass}>
+                <option value="DELIVERY">Delivery</option>
+                {intraday && <option value="INTRADAY">Intraday</option>}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Entry rule</label>
+            <textarea
+              rows={2}
+              value={form.preset ? presets[form.preset]?.entry || '' : form.entry}
+              onChange={update('entry')}
+              disabled={!!form.preset}
+              placeholder="rsi14 crosses above 30 AND close > sma200"
+              className={`${inputClass} font-mono disabled:opacity-60`}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Exit rule (optional)</label>
+            <textarea
+              rows={2}
+              value={form.preset ? presets[form.preset]?.exit || '' : form.exit}
+              onChange={update('exit')}
+              disabled={!!form.preset}
+              placeholder="rsi14 > 60"
+              className={`${inputClass} font-mono disabled:opacity-60`}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className={labelClass}>Stocks</label>
+            <select value={form.source} onChange={update('source')} className={inputClass}>
+              <option value="symbols">Symbol list</option>
+              <option value="universe">Universe</option>
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className={labelClass}>{form.source === 'universe' ? 'Universe (members as of the start date)' : 'Symbols'}</label>
+            {form.source === 'universe' ? (
+              <select value={form.universe} onChange={update('universe')} className={inputClass}>
+                {universes.map(u => (
+                  <option key={u.code} value={u.code}>{u.name} ({u.memberCount})</option>
+                ))}
+              </select>
+            ) : (
+              <input value={form.symbols} onChange={update('symbols')} className={inputClass} />
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <label className={labelClass}>From</label>
+            <input type="date" value={form.from} onChange={update('from')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>To</label>
+            <input type="date" value={form.to} onChange={update('to')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Capital (₹)</label>
+            <input type="number" value={form.initialCapital} onChange={update('initialCapital')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Max positions</label>
+            <input type="number" min="1" value={form.maxPositions} onChange={update('maxPositions')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Position sizing</label>
+            <select value={form.sizingMethod} onChange={update('sizingMethod')} className={inputClass}>
+              <option value="PERCENT_EQUITY">% of equity</option>
+              <option value="FIXED_AMOUNT">Fixed ₹ amount</option>
+              <option value="RISK_PERCENT">% of equity at risk</option>
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>{form.sizingMethod === 'FIXED_AMOUNT' ? 'Amount (₹)' : 'Percent'}</label>
+            <input type="number" value={form.sizingValue} onChange={update('sizingValue')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Stop loss %</label>
+            <input type="number" value={form.stopLossPct} onChange={update('stopLossPct')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Target %</label>
+            <input type="number" value={form.targetPct} onChange={update('targetPct')} className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Max bars held</label>
+            <input type="number" value={form.maxHoldingBars} onChange={update('maxHoldingBars')} placeholder="No limit" className={inputClass} />
+          </div>
+          <div>
+            <label className={labelClass}>Slippage (bps)</label>
+            <input type="number" value={form.slippageBps} onChange={update('slippageBps')} className={inputClass} />
+          </div>
+        </div>
+
+        <button
+          onClick={runBacktest}
+          disabled={running}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-8 rounded-lg transition-all shadow-md flex items-center gap-2 disabled:opacity-50"
+        >
+          <Play className={`w-5 h-5 ${running ? 'animate-pulse' : ''}`} />
+          {running ? 'Running...' : 'Run Backtest'}
+        </button>
+      </div>
+
+      {/* Error State */}
+      {error && (
+        <div className="bg-red-50 dark:bg-red-900/30 border-2 border-red-200 rounded-xl p-4 flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="text-red-900 dark:text-red-200 font-semibold">Error</p>
+            <p className="text-red-700 dark:text-red-300 text-sm">{error}</p>
+          </div>
+        </div>
+      )}
+
+      {result && <BacktestResults result={result} />}
+    </div>
+  );
+}
+
+function BacktestResults({ result }) {
+  const { metrics, trades, equityCurve, skipped, params } = result;
+  const intraday = INTRADAY_TIMEFRAMES.includes(params.timeframe);
+  const positive = metrics.netProfit >= 0;
+
+  const chartData = equityCurve.map(point => ({
+    time: formatDate(point.time, intraday),
+    equity: point.equity
+  }));
+
+  return (
+    <>
+      {/* Metrics */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <MetricCard
+          icon={positive ? <TrendingUp className="w-5 h-5" /> : <TrendingDown className="w-5 h-5" />}
+          label="Net profit"
+          value={formatINR(metrics.netProfit)}
+          sub={`${metrics.totalReturnPct}% total`}
+          tone={positive ? 'green' : 'red'}
+        />
+        <MetricCard icon={<Percent className="w-5 h-5" />} label="CAGR" value={metrics.cagrPct === null ? '–' : `${metrics.cagrPct}%`} sub={`Sharpe ${metrics.sharpe ?? '–'}`} />
+        <MetricCard icon={<TrendingDown className="w-5 h-5" />} label="Max drawdown" value={`${metrics.maxDrawdownPct}%`} sub={`Exposure ${metrics.exposurePct}%`} tone="red" />
+        <MetricCard icon={<Target className="w-5 h-5" />} label="Win rate" value={metrics.winRatePct === null ? '–' : `${metrics.winRatePct}%`} sub={`${metrics.trades} trades · PF ${metrics.profitFactor ?? '–'}`} />
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700 p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <Stat label="Final equity" value={formatINR(metrics.finalEquity)} />
+        <Stat label="Avg win / loss" value={`${metrics.avgWinPct ?? '–'}% / ${metrics.avgLossPct ?? '–'}%`} />
+        <Stat label="Avg bars held" value={metrics.avgBarsHeld ?? '–'} />
+        <Stat label="Charges paid" value={formatINR(metrics.totalCharges)} />
+        <Stat label="Symbols tested" value={metrics.symbolsTested} />
+        <Stat label="Signals skipped (no slot or cash)" value={metrics.missedSignals} />
+      </div>
+
+      {/* Equity Curve */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700 p-6">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white mb-4 flex items-center gap-2">
+          <Activity className="w-5 h-5 text-indigo-600" />
+          Equity Curve
+        </h2>
+        <div className="h-72">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+              <XAxis dataKey="time" tick={{ fontSize: 11 }} minTickGap={40} />
+              <YAxis tick={{ fontSize: 11 }} domain={['auto', 'auto']} tickFormatter={v => `₹${(v / 1000).toFixed(0)}k`} />
+              <Tooltip formatter={value => formatINR(value)} />
+              <Area type="monotone" dataKey="equity" stroke="#4f46e5" fill="#6366f1" fillOpacity={0.15} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Trades */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700 overflow-hidden">
+        <h2 className="text-lg font-bold text-gray-900 dark:text-white p-6 pb-3">Trades ({trades.length})</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+              <tr>
+                <th className="px-4 py-2 text-left">Symbol</th>
+                <th className="px-4 py-2 text-left">Entry</th>
+                <th className="px-4 py-2 text-left">Exit</th>
+                <th className="px-4 py-2 text-right">Qty</th>
+                <th className="px-4 py-2 text-right">Net P&L</th>
+                <th className="px-4 py-2 text-right">Return</th>
+                <th className="px-4 py-2 text-left">Reason</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700 text-gray-800 dark:text-gray-200">
+              {trades.map((trade, index) => (
+                <tr key={index}>
+                  <td className="px-4 py-2 font-semibold">{trade.symbol}</td>
+                  <td className="px-4 py-2">{formatDate(trade.entryTime, intraday)} @ ₹{trade.entryPrice}</td>
+                  <td className="px-4 py-2">{formatDate(trade.exitTime, intraday)} @ ₹{trade.exitPrice}</td>
+                  <td className="px-4 py-2 text-right">{trade.quantity}</td>
+                  <td className={`px-4 py-2 text-right font-semibold ${trade.netPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatINR(trade.netPnl)}
+                  </td>
+                  <td className={`px-4 py-2 text-right ${trade.returnPct >= 0 ? 'text-green-600' : 'text-red-600'}`}>{trade.returnPct}%</td>
+                  <td className="px-4 py-2 text-xs text-gray-500 dark:text-gray-400">{trade.exitReason.replace(/_/g, ' ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {trades.length === 0 && (
+            <p className="p-6 text-center text-gray-500 dark:text-gray-400">The entry rule never fired in this period</p>
+          )}
+        </div>
+      </div>
+
+      {skipped.length > 0 && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-200 dark:border-yellow-800 rounded-xl p-4 text-sm text-yellow-800 dark:text-yellow-200">
+          Skipped for lack of stored candles: {skipped.map(s => `${s.symbol} (${s.bars} bars)`).join(', ')}
+        </div>
+      )}
+    </>
+  );
+}
+
+function MetricCard({ icon, label, value, sub, tone }) {
+  const color = tone === 'green' ? 'text-green-600' : tone === 'red' ? 'text-red-600' : 'text-indigo-600';
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-md border border-gray-200 dark:border-gray-700 p-4">
+      <div className={`flex items-center gap-2 text-sm font-semibold mb-1 ${color}`}>
+        {icon}
+        {label}
+      </div>
+      <p className="text-2xl font-bold text-gray-900 dark:text-white">{value}</p>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{sub}</p>
+    </div>
+  );
+}
+
+function Stat({ label, value }) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">{label}</p>
+      <p className="font-semibold text-gray-900 dark:text-white">{value}</p>
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { TrendingUp, TrendingDown, AlertCircle, CheckCircle, Clock, Lightbulb, ArrowRight, RefreshCw, Loader2 } from 'lucide-react';
-import { api } from '../utils/api';
+import { api, portfolioApi } from '../utils/api';
 import { useAuth } from '../context/AuthContext';
 import PortfolioCompletenessAlert from '../components/PortfolioCompletenessAlert';
+import LiveIndicator from '../components/LiveIndicator';
+import useLiveQuotes, { applyLiveQuotes, summarizeHoldings } from '../hooks/useLiveQuotes';
 
 export default function Dashboard() {
   const { user } = useAuth();
@@ -13,9 +15,19 @@ export default function Dashboard() {
   const [selectedPortfolioId, setSelectedPortfolioId] = useState('all');
   const [holdings, setHoldings] = useState([]);
   const [summary, setSummary] = useState(null);
+  const [periodPL, setPeriodPL] = useState(null);
+  const [performance, setPerformance] = useState(null);
+  const [returnsPeriod, setReturnsPeriod] = useState('1Y');
+  const [benchmark, setBenchmark] = useState(null);
   const [recommendations, setRecommendations] = useState(null);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null);
+
+  // Live prices overlay the last-synced values
+  const { quotes, status: liveStatus } = useLiveQuotes();
+  const liveHoldings = useMemo(() => applyLiveQuotes(holdings, quotes), [holdings, quotes]);
+  const liveSummary = Object.keys(quotes).length > 0 && holdings.length > 0 ? summarizeHoldings(liveHoldings) : summary;
 
   // Load portfolios on mount
   useEffect(() => {
@@ -26,8 +38,14 @@ export default function Dashboard() {
   // Load holdings when portfolio changes
   useEffect(() => {
     loadHoldings();
+    loadPeriodPL();
+    loadBenchmark();
   }, [selectedPortfolioId]);
 
+  useEffect(() => {
+    loadPerformance();
+  }, [selectedPortfolioId, returnsPeriod]);
+
   const loadPortfolios = async () => {
     try {
       const data = await api.get('/portfolio?all=true');
@@ -66,6 +84,40 @@ export default function Dashboard() {
     }
   };
 
+  // Day/week/month/YTD P&L measured from the end-of-day snapshots
+  const loadPeriodPL = async () => {
+    try {
+      const data = await api.get(selectedPortfolioId === 'all' ? '/portfolio/pnl' : `/portfolio/${selectedPortfolioId}/pnl`);
+      setPeriodPL(data.data?.periods || null);
+    } catch (err) {
+      console.error('Failed to load period P&L:', err);
+      setPeriodPL(null);
+    }
+  };
+
+  // XIRR and time-weighted return, allowing for when capital was added
+  const loadPerformance = async () => {
+    try {
+      const path = selectedPortfolioId === 'all' ? '/portfolio/performance' : `/portfolio/${selectedPortfolioId}/performance`;
+      const data = await api.get(`${path}?period=${returnsPeriod}`);
+      setPerformance(selectedPortfolioId === 'all' ? data.data?.family || null : data.data || null);
+    } catch (err) {
+      console.error('Failed to load returns:', err);
+      setPerformance(null);
+    }
+  };
+
+  // Portfolio vs its benchmark over 1M/3M/6M/1Y/inception
+  const loadBenchmark = async () => {
+    try {
+      const data = await api.get(selectedPortfolioId === 'all' ? '/portfolio/benchmark' : `/portfolio/${selectedPortfolioId}/benchmark`);
+      setBenchmark(selectedPortfolioId === 'all' ? data.data?.family || null : data.data || null);
+    } catch (err) {
+      console.error('Failed to load benchmark comparison:', err);
+      setBenchmark(null);
+    }
+  };
+
   const loadRecommendations = async () => {
     try {
       const data = await api.get('/ai/recommendations');
@@ -78,12 +130,13 @@ export default function Dashboard() {
   const handleSyncPrices = async () => {
     setSyncing(true);
     try {
-      await api.post('/portfolio/sync');
-      await loadHoldings();
+      await portfolioApi.syncPrices(job => setSyncProgress(job));
+      await Promise.all([loadHoldings(), loadPeriodPL(), loadPerformance(), loadBenchmark()]);
     } catch (err) {
       console.error('Sync failed:', err);
     } finally {
       setSyncing(false);
+      setSyncProgress(null);
     }
   };
 
@@ -238,25 +291,25 @@ export default function Dashboard() {
                 <h3 className="text-sm font-medium text-blue-700">Portfolio Value</h3>
                 <TrendingUp className="w-5 h-5 text-blue-600" />
               </div>
-              <p className="text-xl sm:text-3xl font-bold text-blue-900">{formatCurrency(summary?.totalCurrent)}</p>
-              {summary && (
-                <p className={`text-sm mt-1 font-semibold ${plColor(summary.unrealizedPL)}`}>
-                  {Number(summary.unrealizedPL) >= 0 ? '+' : ''}{formatCurrency(summary.unrealizedPL)} ({summary.plPercent}%)
+              <p className="text-xl sm:text-3xl font-bold text-blue-900">{formatCurrency(liveSummary?.totalCurrent)}</p>
+              {liveSummary && (
+                <p className={`text-sm mt-1 font-semibold ${plColor(liveSummary.unrealizedPL)}`}>
+                  {Number(liveSummary.unrealizedPL) >= 0 ? '+' : ''}{formatCurrency(liveSummary.unrealizedPL)} ({liveSummary.plPercent}%)
                 </p>
               )}
             </div>
 
             {/* Unrealized P&L */}
-            <div className={`bg-gradient-to-br ${plBg(summary?.unrealizedPL)} rounded-xl p-6 border hover:shadow-lg transition-shadow`}>
+            <div className={`bg-gradient-to-br ${plBg(liveSummary?.unrealizedPL)} rounded-xl p-6 border hover:shadow-lg transition-shadow`}>
               <div className="flex items-center justify-between mb-2">
-                <h3 className={`text-sm font-medium ${Number(summary?.unrealizedPL) >= 0 ? 'text-green-700' : 'text-red-700'}`}>Unrealized P&L</h3>
-                {Number(summary?.unrealizedPL) >= 0 ? <TrendingUp className="w-5 h-5 text-green-600" /> : <TrendingDown className="w-5 h-5 text-red-600" />}
+                <h3 className={`text-sm font-medium ${Number(liveSummary?.unrealizedPL) >= 0 ? 'text-green-700' : 'text-red-700'}`}>Unrealized P&L</h3>
+                {Number(liveSummary?.unrealizedPL) >= 0 ? <TrendingUp className="w-5 h-5 text-green-600" /> : <TrendingDown className="w-5 h-5 text-red-600" />}
               </div>
-              <p className={`text-3xl font-bold ${Number(summary?.unrealizedPL) >= 0 ? 'text-green-900' : 'text-red-900'}`}>
-                {summary ? formatCurrency(Math.abs(summary.unrealizedPL)) : '—'}
+              <p className={`text-3xl font-bold ${Number(liveSummary?.unrealizedPL) >= 0 ? 'text-green-900' : 'text-red-900'}`}>
+                {liveSummary ? formatCurrency(Math.abs(liveSummary.unrealizedPL)) : '—'}
               </p>
-              <p className={`text-sm mt-1 font-semibold ${plColor(summary?.unrealizedPL)}`}>
-                {summary ? `${Number(summary.plPercent) >= 0 ? '+' : ''}${summary.plPercent}%` : '—'}
+              <p className={`text-sm mt-1 font-semibold ${plColor(liveSummary?.unrealizedPL)}`}>
+                {liveSummary ? `${Number(liveSummary.plPercent) >= 0 ? '+' : ''}${liveSummary.plPercent}%` : '—'}
               </p>
             </div>
 
@@ -266,7 +319,7 @@ export default function Dashboard() {
                 <h3 className="text-sm font-medium text-purple-700">Invested</h3>
                 <CheckCircle className="w-5 h-5 text-purple-600" />
               </div>
-              <p className="text-xl sm:text-3xl font-bold text-purple-900">{formatCurrency(summary?.totalInvested)}</p>
+              <p className="text-xl sm:text-3xl font-bold text-purple-900">{formatCurrency(liveSummary?.totalInvested)}</p>
               <p className="text-sm text-purple-600 mt-1">Total capital deployed</p>
             </div>
 
@@ -276,17 +329,145 @@ export default function Dashboard() {
                 <h3 className="text-sm font-medium text-amber-700">Holdings</h3>
                 <CheckCircle className="w-5 h-5 text-amber-600" />
               </div>
-              <p className="text-xl sm:text-3xl font-bold text-amber-900">{holdings.length}</p>
+              <p className="text-xl sm:text-3xl font-bold text-amber-900">{liveHoldings.length}</p>
               <p className="text-sm text-amber-600 mt-1">
                 {selectedPortfolioId === 'all' ? 'Across all portfolios' : 'In this portfolio'}
               </p>
             </div>
           </div>
 
+          {/* Period P&L (from daily closing snapshots) */}
+          {periodPL && (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+              {[['day', 'Today'], ['week', 'This Week'], ['month', 'This Month'], ['ytd', 'Year to Date']].map(([key, label]) => {
+                const p = periodPL[key];
+                return (
+                  <div key={key} className="bg-white dark:bg-gray-800 rounded-xl px-4 py-3 border border-gray-200 dark:border-gray-700">
+                    <p className="text-xs font-medium text-gray-500 dark:text-gray-400">{label}</p>
+                    {p ? (
+                      <>
+                        <p className={`text-lg font-bold ${plColor(p.pl)}`}>
+                          {p.pl >= 0 ? '+' : '-'}{formatCurrency(Math.abs(p.pl))}
+                        </p>
+                        <p className={`text-xs ${plColor(p.pl)}`}>
+                          {p.plPercent != null ? `${p.plPercent >= 0 ? '+' : ''}${p.plPercent}%` : '—'}
+                          {p.partial && <span className="text-gray-400"> · since {new Date(p.since).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}</span>}
+                        </p>
+                      </>
+                    ) : (
+                      <p className="text-sm text-gray-400 mt-1">No closing snapshot yet</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Returns (XIRR / TWR) */}
+          <div className="bg-white dark:bg-gray-800 rounded-xl px-4 py-3 border border-gray-200 dark:border-gray-700">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <p className="text-sm font-semibold text-gray-700 dark:text-gray-200">Returns</p>
+              <div className="flex gap-1">
+                {[['1M', '1M'], ['3M', '3M'], ['6M', '6M'], ['YTD', 'YTD'], ['1Y', '1Y'], ['3Y', '3Y'], ['INCEPTION', 'All']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setReturnsPeriod(key)}
+                    className={`px-2 py-0.5 rounded text-xs font-medium ${returnsPeriod === key
+                      ? 'bg-blue-600 text-white'
+                      : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {performance ? (
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+                <div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">XIRR (annualised)</p>
+                  <p className={`text-lg font-bold ${plColor(performance.xirrPct ?? 0)}`}>
+                    {performance.xirrPct != null ? `${performance.xirrPct >= 0 ? '+' : ''}${performance.xirrPct}%` : '—'}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">Time-weighted</p>
+                  <p className={`text-lg font-bold ${plColor(performance.twrPct ?? 0)}`}>
+                    {performance.twrPct != null ? `${performance.twrPct >= 0 ? '+' : ''}${performance.twrPct}%` : '—'}
+                  </p>
+                  {performance.twrAnnualizedPct != null && (
+                    <p className="text-xs text-gray-400">{performance.twrAnnualizedPct}% a year</p>
+                  )}
+                  {performance.benchmark && (
+                    <p className="text-xs text-gray-400">
+                      {performance.benchmark.label} {performance.benchmark.benchmarkReturnPct >= 0 ? '+' : ''}{performance.benchmark.benchmarkReturnPct}%
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">Gain</p>
+                  <p className={`text-lg font-bold ${plColor(performance.gain)}`}>
+                    {performance.gain >= 0 ? '+' : '-'}{formatCurrency(Math.abs(performance.gain))}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">Net added</p>
+                  <p className="text-lg font-bold text-gray-800 dark:text-gray-100">{formatCurrency(performance.netFlows)}</p>
+                  {performance.partial && (
+                    <p className="text-xs text-gray-400">since {new Date(performance.from).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</p>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-400">Not enough history yet</p>
+            )}
+          </div>
+
+          {/* Versus benchmark */}
+          {benchmark && (
+            <div className="bg-white dark:bg-gray-800 rounded-xl px-4 py-3 border border-gray-200 dark:border-gray-700 overflow-x-auto">
+              <p className="text-sm font-semibold text-gray-700 dark:text-gray-200 mb-2">
+                vs {benchmark.label}
+              </p>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-gray-500 dark:text-gray-400 text-right">
+                    <th className="text-left font-medium py-1">Period</th>
+                    <th className="font-medium py-1">Portfolio</th>
+                    <th className="font-medium py-1">Benchmark</th>
+                    <th className="font-medium py-1">Difference</th>
+                    <th className="font-medium py-1">Alpha</th>
+                    <th className="font-medium py-1">Beta</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {benchmark.periods.map(({ period, benchmark: b }) => {
+                    const signed = (v) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${v}%`);
+                    return (
+                      <tr key={period} className="border-t border-gray-100 dark:border-gray-700 text-right">
+                        <td className="text-left py-1.5 text-gray-700 dark:text-gray-300">
+                          {period === 'INCEPTION' ? 'Since inception' : period}
+                          {b?.partial && <span className="text-xs text-gray-400"> · since {new Date(b.from).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</span>}
+                        </td>
+                        <td className={`py-1.5 ${b ? plColor(b.portfolioReturnPct) : 'text-gray-400'}`}>{signed(b?.portfolioReturnPct)}</td>
+                        <td className={`py-1.5 ${b ? plColor(b.benchmarkReturnPct) : 'text-gray-400'}`}>{signed(b?.benchmarkReturnPct)}</td>
+                        <td className={`py-1.5 font-semibold ${b ? plColor(b.trackingDifferencePct) : 'text-gray-400'}`}>{signed(b?.trackingDifferencePct)}</td>
+                        <td className={`py-1.5 ${b?.alphaPct != null ? plColor(b.alphaPct) : 'text-gray-400'}`}>{signed(b?.alphaPct)}</td>
+                        <td className="py-1.5 text-gray-600 dark:text-gray-300">{b?.beta ?? '—'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {/* Holdings Table */}
           <div className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-md border border-gray-200 dark:border-gray-700">
-            <h2 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-100">Holdings</h2>
-            {holdings.length === 0 ? (
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-100">Holdings</h2>
+              <LiveIndicator status={liveStatus} />
+            </div>
+            {liveHoldings.length === 0 ? (
               <div className="text-center py-8 text-gray-500 dark:text-gray-400">
                 <AlertCircle className="w-12 h-12 mx-auto mb-3 text-gray-300" />
                 <p>No holdings yet. Add your first holding to get started.</p>
@@ -301,7 +482,7 @@ export default function Dashboard() {
               <>
               {/* Mobile Card View */}
               <div className="md:hidden space-y-3">
-                {holdings.map((h) => (
+                {liveHoldings.map((h) => (
                   <div key={h.id} className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4">
                     <div className="flex items-center justify-between mb-3">
                       <div>
@@ -356,7 +537,7 @@ export default function Dashboard() {
                     </tr>
                   </thead>
                   <tbody>
-                    {holdings.map((h) => (
+                    {liveHoldings.map((h) => (
                       <tr key={h.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700">
                         <td className="py-3 px-3 font-semibold text-gray-900 dark:text-gray-100">{h.symbol}</td>
                         {selectedPortfolioId === 'all' && (
@@ -490,7 +671,7 @@ export default function Dashboard() {
               <div className="text-2xl mb-2">
                 <RefreshCw className={`w-6 h-6 mx-auto ${syncing ? 'animate-spin' : ''}`} />
               </div>
-              <p className="font-semibold text-gray-900 dark:text-gray-100">{syncing ? 'Syncing...' : 'Sync Prices'}</p>
+              <p className="font-semibold text-gray-900 dark:text-gray-100">{syncing ? (syncProgress?.total ? `Syncing ${syncProgress.done}/${syncProgress.total}...` : 'Syncing...') : 'Sync Prices'}</p>
             </button>
             <button
               onClick={() => navigate('/insights')}
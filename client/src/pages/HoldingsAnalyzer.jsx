@@ -1,6 +1,9 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { TrendingUp, TrendingDown, Target, RefreshCw, Loader2, CheckCircle, Clock, XCircle, AlertTriangle, Send, Zap } from 'lucide-react';
 import { api } from '../utils/api';
+import LiveIndicator from '../components/LiveIndicator';
+import RebalancePanel from '../components/RebalancePanel';
+import useLiveQuotes, { applyLiveQuotes } from '../hooks/useLiveQuotes';
 
 export default function HoldingsAnalyzer() {
   const [portfolios, setPortfolios] = useState([]);
@@ -17,6 +20,11 @@ export default function HoldingsAnalyzer() {
   const [savingUserTarget, setSavingUserTarget] = useState(false);
   const [earnedInput, setEarnedInput] = useState('');
   const [userTargetInput, setUserTargetInput] = useState('');
+  const [executingSignalId, setExecutingSignalId] = useState(null);
+  const [signalError, setSignalError] = useState('');
+
+  const { quotes, status: liveStatus } = useLiveQuotes();
+  const liveHoldings = useMemo(() => applyLiveQuotes(holdings, quotes), [holdings, quotes]);
 
   // Load portfolios
   useEffect(() => {
@@ -122,16 +130,19 @@ export default function HoldingsAnalyzer() {
     }
   };
 
+  const reloadSignals = async () => {
+    const signalsData = await api.get(`/signals?portfolioId=${selectedPortfolioId}`);
+    if (signalsData.data) {
+      setSignals(signalsData.data.signals || []);
+      setPendingCount(signalsData.data.pendingCount || 0);
+    }
+  };
+
   const generateSignals = async () => {
     setGeneratingSignals(true);
     try {
       await api.post('/signals/generate', { portfolioId: selectedPortfolioId });
-      // Reload signals
-      const signalsData = await api.get(`/signals?portfolioId=${selectedPortfolioId}`);
-      if (signalsData.data) {
-        setSignals(signalsData.data.signals || []);
-        setPendingCount(signalsData.data.pendingCount || 0);
-      }
+      await reloadSignals();
     } catch (err) {
       console.error('Failed to generate signals:', err);
     } finally {
@@ -152,12 +163,26 @@ export default function HoldingsAnalyzer() {
     }
   };
 
+  const executeSignal = async (signalId) => {
+    setExecutingSignalId(signalId);
+    setSignalError('');
+    try {
+      await api.post(`/signals/${signalId}/execute`, {});
+      setSignals(prev => prev.map(s => (s.id === signalId ? { ...s, status: 'PLACING' } : s)));
+      setPendingCount(prev => Math.max(0, prev - 1));
+    } catch (err) {
+      setSignalError(err.message);
+    } finally {
+      setExecutingSignalId(null);
+    }
+  };
+
   const formatINR = (n) => `₹${parseFloat(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
   const formatPrice = (n) => `₹${parseFloat(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 
   // Compute portfolio summary
   let totalValue = 0, totalInvested = 0;
-  holdings.forEach(h => {
+  liveHoldings.forEach(h => {
     totalInvested += h.quantity * parseFloat(h.avgPrice);
     totalValue += h.quantity * parseFloat(h.currentPrice || h.avgPrice);
   });
@@ -297,7 +322,10 @@ export default function HoldingsAnalyzer() {
           {/* Holdings Table */}
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden">
             <div className="px-4 py-3 border-b dark:border-gray-700 flex items-center justify-between">
-              <h2 className="font-semibold text-gray-900 dark:text-gray-100">Holdings ({holdings.length})</h2>
+              <h2 className="font-semibold text-gray-900 dark:text-gray-100 flex items-center gap-3">
+                Holdings ({liveHoldings.length})
+                <LiveIndicator status={liveStatus} />
+              </h2>
               <div className="text-sm text-gray-500 dark:text-gray-400">
                 Value: {formatPrice(totalValue)} | P&L:{' '}
                 <span className={totalPL >= 0 ? 'text-green-600' : 'text-red-600'}>
@@ -305,7 +333,7 @@ export default function HoldingsAnalyzer() {
                 </span>
               </div>
             </div>
-            {holdings.length === 0 ? (
+            {liveHoldings.length === 0 ? (
               <p className="px-4 py-8 text-center text-gray-400">No holdings in this portfolio</p>
             ) : (
               <div className="overflow-x-auto">
@@ -321,7 +349,7 @@ export default function HoldingsAnalyzer() {
                     </tr>
                   </thead>
                   <tbody className="divide-y">
-                    {holdings.map(h => {
+                    {liveHoldings.map(h => {
                       const invested = h.quantity * parseFloat(h.avgPrice);
                       const current = h.quantity * parseFloat(h.currentPrice || h.avgPrice);
                       const pl = current - invested;
@@ -347,6 +375,12 @@ export default function HoldingsAnalyzer() {
             )}
           </div>
 
+          {/* Target allocation and rebalancing */}
+          <RebalancePanel
+            portfolioId={selectedPortfolioId}
+            onSignalsCreated={() => reloadSignals().catch(err => console.error('Failed to reload signals:', err))}
+          />
+
           {/* Recommendations Panel */}
           <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700">
             <div className="px-4 py-3 border-b dark:border-gray-700 flex items-center justify-between">
@@ -361,6 +395,10 @@ export default function HoldingsAnalyzer() {
               </button>
             </div>
 
+            {signalError && (
+              <p className="px-4 pt-3 text-sm text-red-600">{signalError}</p>
+            )}
+
             {signals.length === 0 ? (
               <p className="px-4 py-8 text-center text-gray-400">
                 No signals yet. Click "Generate Signals" to get AI recommendations.
@@ -370,6 +408,7 @@ export default function HoldingsAnalyzer() {
                 {signals.map(sig => {
                   const isBuy = sig.side === 'BUY';
                   const isPending = sig.status === 'PENDING' || sig.status === 'SNOOZED';
+                  const isDraft = sig.status === 'DRAFT';
                   return (
                     <div key={sig.id} className="px-4 py-3 flex flex-col sm:flex-row sm:items-center gap-3">
                       <div className="flex-1">
@@ -385,7 +424,9 @@ export default function HoldingsAnalyzer() {
                           {sig.triggerType === 'MARKET' && <span>At Market</span>}
                           {sig.triggerType === 'LIMIT' && <span>Limit: {formatPrice(sig.triggerPrice)}</span>}
                           {sig.triggerType === 'ZONE' && <span>Zone: {formatPrice(sig.triggerLow)} - {formatPrice(sig.triggerHigh)}</span>}
-                          <span>Confidence: {sig.confidence}%</span>
+                          {sig.origin === 'REBALANCE'
+                            ? <span className="px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700">Rebalance</span>
+                            : <span>Confidence: {sig.confidence}%</span>}
                         </div>
                         {sig.rationale && (
                           <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{sig.rationale}</p>
@@ -393,7 +434,26 @@ export default function HoldingsAnalyzer() {
                       </div>
 
                       <div className="flex items-center gap-2">
-                        {isPending ? (
+                        {(isPending || isDraft) && (
+                          <button
+                            onClick={() => executeSignal(sig.id)}
+                            disabled={executingSignalId === sig.id}
+                            className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs hover:bg-blue-200 disabled:opacity-50"
+                          >
+                            {executingSignalId === sig.id
+                              ? <Loader2 size={12} className="inline mr-1 animate-spin" />
+                              : <Zap size={12} className="inline mr-1" />}
+                            Execute
+                          </button>
+                        )}
+                        {isDraft ? (
+                          <button
+                            onClick={() => ackSignal(sig.id, 'DISMISS')}
+                            className="px-2 py-1 bg-red-100 text-red-700 rounded text-xs hover:bg-red-200"
+                          >
+                            <XCircle size={12} className="inline mr-1" />Dismiss
+                          </button>
+                        ) : isPending ? (
                           <>
                             <button
                               onClick={() => ackSignal(sig.id, 'ACK')}
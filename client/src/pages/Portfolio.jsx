@@ -1,15 +1,17 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { RefreshCw, Plus, TrendingUp, TrendingDown, Settings, Trash2, DollarSign, Loader2, Camera, Upload, X } from 'lucide-react';
 import { api } from '../utils/api';
 import { portfolio as portfolioApi } from '../api/client';
 import PortfolioFormModal from '../components/PortfolioFormModal';
 import PortfolioCompletenessAlert from '../components/PortfolioCompletenessAlert';
 import CapitalChangeModal from '../components/CapitalChangeModal';
+import LiveIndicator from '../components/LiveIndicator';
+import useLiveQuotes, { applyLiveQuotes, summarizeHoldings } from '../hooks/useLiveQuotes';
 
 const BROKER_LABELS = {
   SBI_SECURITIES: 'SBI', HDFC_SECURITIES: 'HDFC', UPSTOX: 'Upstox', ZERODHA: 'Zerodha',
   GROWW: 'Groww', ANGEL_ONE: 'Angel One', ICICI_DIRECT: 'ICICI', KOTAK_SECURITIES: 'Kotak',
-  MOTILAL_OSWAL: 'Motilal', '5PAISA': '5paisa', OTHER: 'Other',
+  MOTILAL_OSWAL: 'Motilal', '5PAISA': '5paisa', PAPER: 'Paper', OTHER: 'Other',
 };
 
 const RISK_COLORS = {
@@ -30,6 +32,11 @@ export default function Portfolio() {
   const [summary, setSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null);
+
+  const { quotes, status: liveStatus } = useLiveQuotes();
+  const liveHoldings = useMemo(() => applyLiveQuotes(holdings, quotes), [holdings, quotes]);
+  const liveSummary = Object.keys(quotes).length > 0 && holdings.length > 0 ? summarizeHoldings(liveHoldings) : summary;
 
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
@@ -89,12 +96,13 @@ export default function Portfolio() {
   const handleSync = async () => {
     setSyncing(true);
     try {
-      await api.post('/portfolio/sync');
+      await portfolioApi.sync(job => setSyncProgress(job));
       await loadHoldings();
     } catch (err) {
       console.error('Sync failed:', err);
     } finally {
       setSyncing(false);
+      setSyncProgress(null);
     }
   };
 
@@ -182,7 +190,7 @@ export default function Portfolio() {
   };
 
   const selectedPortfolio = portfolios.find(p => p.id === selectedPortfolioId);
-  const isProfit = summary && summary.unrealizedPL >= 0;
+  const isProfit = liveSummary && liveSummary.unrealizedPL >= 0;
 
   const formatCurrency = (val) => {
     if (val == null || isNaN(val)) return '--';
@@ -197,7 +205,9 @@ export default function Portfolio() {
         <div className="flex gap-2 sm:gap-3">
           <button onClick={handleSync} disabled={syncing} className="btn btn-secondary flex items-center gap-2">
             <RefreshCw size={18} className={syncing ? 'animate-spin' : ''} />
-            <span className="hidden sm:inline">Sync Prices</span>
+            <span className="hidden sm:inline">
+              {syncing && syncProgress?.total ? `Syncing ${syncProgress.done}/${syncProgress.total}` : 'Sync Prices'}
+            </span>
           </button>
           <button onClick={() => setShowCreateModal(true)} className="btn btn-primary flex items-center gap-2">
             <Plus size={18} />
@@ -317,28 +327,31 @@ export default function Portfolio() {
       ) : (
         <>
           {/* Summary Card */}
-          {summary && (
+          {liveSummary && (
             <div className="card bg-gradient-to-r from-blue-500 to-blue-600 text-white">
               <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
                 <div>
                   <p className="text-blue-100 text-sm mb-1">Total Invested</p>
-                  <p className="text-xl sm:text-3xl font-bold">{formatCurrency(summary.totalInvested)}</p>
+                  <p className="text-xl sm:text-3xl font-bold">{formatCurrency(liveSummary.totalInvested)}</p>
                 </div>
                 <div>
-                  <p className="text-blue-100 text-sm mb-1">Current Value</p>
-                  <p className="text-xl sm:text-3xl font-bold">{formatCurrency(summary.totalCurrent)}</p>
+                  <p className="text-blue-100 text-sm mb-1 flex items-center gap-2">
+                    Current Value
+                    <span className="bg-white/90 rounded-full px-2 py-0.5"><LiveIndicator status={liveStatus} /></span>
+                  </p>
+                  <p className="text-xl sm:text-3xl font-bold">{formatCurrency(liveSummary.totalCurrent)}</p>
                 </div>
                 <div>
                   <p className="text-blue-100 text-sm mb-1">Unrealized P&L</p>
                   <div className="flex items-center gap-2">
-                    <p className="text-xl sm:text-3xl font-bold">{formatCurrency(summary.unrealizedPL)}</p>
+                    <p className="text-xl sm:text-3xl font-bold">{formatCurrency(liveSummary.unrealizedPL)}</p>
                     {isProfit ? <TrendingUp size={24} /> : <TrendingDown size={24} />}
                   </div>
                 </div>
                 <div>
                   <p className="text-blue-100 text-sm mb-1">Returns</p>
                   <p className={`text-3xl font-bold ${isProfit ? 'text-green-300' : 'text-red-300'}`}>
-                    {summary.plPercent}%
+                    {liveSummary.plPercent}%
                   </p>
                 </div>
               </div>
@@ -346,7 +359,7 @@ export default function Portfolio() {
           )}
 
           {/* Holdings Table */}
-          {holdings.length === 0 ? (
+          {liveHoldings.length === 0 ? (
             <div className="card text-center py-12">
               <p className="text-gray-500 dark:text-gray-400 text-lg mb-4">No holdings in this portfolio</p>
             </div>
@@ -354,7 +367,7 @@ export default function Portfolio() {
             <div className="card overflow-hidden">
               {/* Mobile Card View */}
               <div className="md:hidden space-y-3 p-4">
-                {holdings.map((holding) => {
+                {liveHoldings.map((holding) => {
                   const isProfitable = holding.unrealizedPL >= 0;
                   return (
                     <div key={holding.id} className="bg-gray-50 dark:bg-gray-900 rounded-lg p-4">
@@ -406,7 +419,7 @@ export default function Portfolio() {
                     </tr>
                   </thead>
                   <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
-                    {holdings.map((holding) => {
+                    {liveHoldings.map((holding) => {
                       const isProfitable = holding.unrealizedPL >= 0;
                       return (
                         <tr key={holding.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
@@ -18,6 +18,7 @@ export default function YourPlan() {
   const [orderQuantity, setOrderQuantity] = useState(1);
   const [orderLoading, setOrderLoading] = useState(false);
   const [orderResult, setOrderResult] = useState(null);
+  const [orderCharges, setOrderCharges] = useState(null);
 
   // Load portfolio list on mount
   useEffect(() => {
@@ -31,6 +32,23 @@ export default function YourPlan() {
     }
   }, [selectedPortfolioId]);
 
+  // Charges at the portfolio broker's tariff, refreshed as the quantity changes
+  useEffect(() => {
+    const price = orderModal?.stock.price;
+    if (!orderModal || !selectedPortfolioId || !(price > 0) || orderQuantity <= 0) {
+      setOrderCharges(null);
+      return;
+    }
+    let cancelled = false;
+    api.get(`/portfolio/${selectedPortfolioId}/charges?side=BUY&quantity=${orderQuantity}&price=${price}&exchange=${orderModal.stock.exchange || 'NSE'}`)
+      .then(result => { if (!cancelled) setOrderCharges(result.data); })
+      .catch(err => {
+        console.error('Failed to estimate charges:', err);
+        if (!cancelled) setOrderCharges(null);
+      });
+    return () => { cancelled = true; };
+  }, [orderModal, orderQuantity, selectedPortfolioId]);
+
   const loadPortfolioList = async () => {
     try {
       const data = await api.get('/portfolio?all=true');
@@ -520,11 +538,29 @@ export default function YourPlan() {
                 />
               </div>
 
-              <div className="bg-green-50 dark:bg-green-900/30 rounded-lg p-3 text-sm">
+              <div className="bg-green-50 dark:bg-green-900/30 rounded-lg p-3 text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600 dark:text-gray-400">Order Value:</span>
+                  <span className="text-gray-900 dark:text-gray-100">₹{(orderQuantity * (orderModal.stock.price || 0)).toLocaleString('en-IN')}</span>
+                </div>
+                {orderCharges && (
+                  <>
+                    <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                      <span>Brokerage ₹{orderCharges.brokerage} · STT ₹{orderCharges.stt} · Exchange ₹{orderCharges.exchangeTxn} · GST ₹{orderCharges.gst} · Stamp ₹{orderCharges.stampDuty}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600 dark:text-gray-400">Charges:</span>
+                      <span className="text-gray-900 dark:text-gray-100">₹{orderCharges.total.toLocaleString('en-IN')}</span>
+                    </div>
+                  </>
+                )}
                 <div className="flex justify-between">
                   <span className="text-gray-600 dark:text-gray-400">Estimated Cost:</span>
-                  <span className="font-bold text-green-700">₹{(orderQuantity * (orderModal.stock.price || 0)).toLocaleString('en-IN')}</span>
+                  <span className="font-bold text-green-700">₹{(orderCharges ? orderCharges.netAmount : orderQuantity * (orderModal.stock.price || 0)).toLocaleString('en-IN')}</span>
                 </div>
+                {orderCharges && !orderCharges.allowed && (
+                  <p className="text-xs text-red-600">{orderCharges.reason}</p>
+                )}
               </div>
 
               {orderResult && (
@@ -119,9 +119,25 @@ export const authApi = {
  */
 export const portfolioApi = {
   getPortfolio: () => api.get('/portfolio'),
-  addTransaction: (data) => api.post('/portfolio/transactions', data),
-  getTransactions: () => api.get('/portfolio/transactions'),
-  deleteTransaction: (id) => api.delete(`/portfolio/transactions/${id}`),
+  getTrades: (portfolioId, params = {}) => api.get(`/portfolio/${portfolioId}/trades?${new URLSearchParams(params)}`),
+  addTrade: (portfolioId, data) => api.post(`/portfolio/${portfolioId}/trades`, data),
+  updateTrade: (portfolioId, tradeId, data) => api.put(`/portfolio/${portfolioId}/trades/${tradeId}`, data),
+  deleteTrade: (portfolioId, tradeId) => api.delete(`/portfolio/${portfolioId}/trades/${tradeId}`),
+  getCashLedger: (portfolioId, params = {}) => api.get(`/portfolio/${portfolioId}/cash?${new URLSearchParams(params)}`),
+  addCashEntry: (portfolioId, data) => api.post(`/portfolio/${portfolioId}/cash`, data),
+  deleteCashEntry: (portfolioId, entryId) => api.delete(`/portfolio/${portfolioId}/cash/${entryId}`),
+
+  // Price sync runs in the background; poll until it finishes
+  syncPrices: async (onProgress) => {
+    let job = await api.post('/portfolio/sync');
+    while (job.status === 'RUNNING') {
+      onProgress?.(job);
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      job = await api.get(`/portfolio/sync/${job.id}`);
+    }
+    onProgress?.(job);
+    return job;
+  },
 };
 
 /**
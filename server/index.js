@@ -18,14 +18,28 @@ import upstoxRoutes from './routes/upstox.js';
 import upstoxCallbackRoutes from './routes/upstoxCallback.js';
 import dailyTargetRoutes from './routes/dailyTarget.js';
 import signalRoutes from './routes/signals.js';
+import corporateActionRoutes from './routes/corporateActions.js';
+import screenRoutes from './routes/screens.js';
+import universeRoutes from './routes/universes.js';
+import backtestRoutes from './routes/backtest.js';
 
 // Service imports
 import { scanMarket } from './jobs/marketScanner.js';
 import { initTelegramBot } from './services/telegramBot.js';
 import { initTelegramAlerts } from './jobs/telegramAlerts.js';
 import { initSignalNotifier } from './jobs/signalNotifier.js';
+import { initCandleBackfill } from './jobs/candleBackfill.js';
+import { initInstrumentRefresh } from './jobs/instrumentRefresh.js';
+import { initCorporateActions } from './jobs/corporateActions.js';
+import { initUniverseRefresh } from './jobs/universeRefresh.js';
+import { initOutcomeTracker } from './jobs/outcomeTracker.js';
+import { initPortfolioSnapshots } from './jobs/portfolioSnapshots.js';
+import { initCashSettlement } from './jobs/cashSettlement.js';
 import logger from './services/logger.js';
 import { hashPassword } from './services/authService.js';
+import { backfillTaxLots } from './services/taxLots.js';
+import { backfillCashLedger } from './services/cashLedger.js';
+import { applySectorMap } from './services/sectorMap.js';
 
 // Middleware imports
 import { authenticate, optionalAuth } from './middleware/auth.js';
@@ -106,6 +120,10 @@ app.use('/api/tax', authenticate, taxRoutes);
 app.use('/api/upstox', authenticate, upstoxRoutes);
 app.use('/api/daily-target', authenticate, dailyTargetRoutes);
 app.use('/api/signals', authenticate, signalRoutes);
+app.use('/api/corporate-actions', authenticate, corporateActionRoutes);
+app.use('/api/screens', authenticate, screenRoutes);
+app.use('/api/universes', authenticate, universeRoutes);
+app.use('/api/backtest', authenticate, backtestRoutes);
 app.post('/api/deploy/webhook', handleDeployWebhook);
 app.post('/api/deploy/trigger', authenticate, triggerManualDeploy);
 
@@ -126,6 +144,14 @@ if (process.env.NODE_ENV === 'production' || process.env.ENABLE_CRON === 'true')
     timezone: 'Asia/Kolkata'
   });
 
+  initCandleBackfill();
+  initInstrumentRefresh();
+  initCorporateActions();
+  initUniverseRefresh();
+  initOutcomeTracker();
+  initPortfolioSnapshots();
+  initCashSettlement();
+
   logger.info('Cron jobs initialized');
 }
 
@@ -201,6 +227,27 @@ async function initializeDatabase() {
     logger.error('Database initialization error:', error);
     process.exit(1);
   }
+
+  // Build tax lots from existing trades on the first start after the upgrade
+  try {
+    await backfillTaxLots();
+  } catch (error) {
+    logger.error('Tax lot backfill error:', error);
+  }
+
+  // Start the cash ledger from each portfolio's recorded history
+  try {
+    await backfillCashLedger();
+  } catch (error) {
+    logger.error('Cash ledger backfill error:', error);
+  }
+
+  // Classify the stored instruments now rather than at the next instrument refresh
+  try {
+    await applySectorMap();
+  } catch (error) {
+    logger.error('Sector map error:', error);
+  }
 }
 
 // ============================================
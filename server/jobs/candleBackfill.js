@@ -0,0 +1,49 @@
+import cron from 'node-cron';
+import { backfillSymbol, getTrackedSymbols } from '../services/candleStore.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+import logger from '../services/logger.js';
+
+/**
+ * Backfill stored candles for every tracked symbol (holdings + watchlist).
+ *
+ * @param {{ intervals?: string[], lookbackDays?: number }} options - Passed to backfillSymbol
+ * @returns {Promise<{ symbols: number, inserted: number }>}
+ */
+export async function runCandleBackfill(options = {}) {
+  const symbols = await getTrackedSymbols();
+  let inserted = 0;
+
+  logger.info(`[Candles] Backfilling ${symbols.length} symbols...`);
+
+  for (const { symbol, exchange } of symbols) {
+    try {
+      const counts = await backfillSymbol(symbol, exchange, options);
+      inserted += Object.values(counts).reduce((a, b) => a + b, 0);
+    } catch (error) {
+      logger.error(`[Candles] Backfill error for ${symbol}:`, error.message);
+    }
+  }
+
+  logger.info(`[Candles] Backfill complete: ${inserted} new bars across ${symbols.length} symbols`);
+  return { symbols: symbols.length, inserted };
+}
+
+/**
+ * Schedule candle backfill. Runs after the close so the day's bars are final.
+ */
+export function initCandleBackfill() {
+  cron.schedule('15 16 * * 1-5', async () => {
+    if (!isTradingDay(new Date())) return;
+    try {
+      await runCandleBackfill();
+    } catch (error) {
+      logger.error('Candle backfill error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Candle backfill scheduled: 4:15 PM IST on trading days');
+}
+
+export default { runCandleBackfill, initCandleBackfill };
@@ -0,0 +1,34 @@
+import cron from 'node-cron';
+import { settleCash } from '../services/cashLedger.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+import logger from '../services/logger.js';
+
+/**
+ * Move sale proceeds that settle today into available cash.
+ *
+ * @returns {Promise<number>} Portfolios whose balance changed
+ */
+export async function runCashSettlement() {
+  return settleCash();
+}
+
+/**
+ * Schedule settlement before the morning analysis and the open, so the day's
+ * signals are sized on the cash that is actually usable.
+ */
+export function initCashSettlement() {
+  cron.schedule('30 8 * * 1-5', async () => {
+    if (!isTradingDay(new Date())) return;
+    try {
+      await runCashSettlement();
+    } catch (error) {
+      logger.error('Cash settlement error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Cash settlement scheduled: 8:30 AM IST on trading days');
+}
+
+export default { runCashSettlement, initCashSettlement };
@@ -0,0 +1,37 @@
+import cron from 'node-cron';
+import { importCorporateActions, applyDueCorporateActions } from '../services/corporateActions.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+import logger from '../services/logger.js';
+
+/**
+ * Import the corporate actions file and apply everything due today or earlier.
+ *
+ * @returns {Promise<Object>} Import and apply counts
+ */
+export async function runCorporateActions() {
+  const imported = await importCorporateActions();
+  const applied = await applyDueCorporateActions();
+  logger.info(`[CorpActions] Applied ${applied.applied}, failed ${applied.failed}`);
+  return { ...imported, ...applied };
+}
+
+/**
+ * Schedule corporate action processing before the open, so holdings, signals
+ * and candles are already in post-action terms when the ex-date session starts.
+ */
+export function initCorporateActions() {
+  cron.schedule('0 8 * * 1-5', async () => {
+    if (!isTradingDay(new Date())) return;
+    try {
+      await runCorporateActions();
+    } catch (error) {
+      logger.error('Corporate actions job error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Corporate actions scheduled: 8:00 AM IST on trading days');
+}
+
+export default { runCorporateActions, initCorporateActions };
@@ -0,0 +1,35 @@
+import cron from 'node-cron';
+import { refreshInstruments } from '../services/instrumentMaster.js';
+import logger from '../services/logger.js';
+
+/**
+ * Pull the Upstox instrument dumps into the Instrument table.
+ *
+ * @returns {Promise<Object>} Rows stored per exchange
+ */
+export async function runInstrumentRefresh() {
+  const counts = await refreshInstruments();
+  logger.info(`[Instruments] Refresh complete: ${JSON.stringify(counts)}`);
+  return counts;
+}
+
+/**
+ * Schedule the daily instrument refresh. Upstox republishes the dumps early
+ * each morning, so this runs well before the open to pick up new listings,
+ * symbol changes and lot-size revisions.
+ */
+export function initInstrumentRefresh() {
+  cron.schedule('30 7 * * *', async () => {
+    try {
+      await runInstrumentRefresh();
+    } catch (error) {
+      logger.error('Instrument refresh error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Instrument refresh scheduled: 7:30 AM IST daily');
+}
+
+export default { runInstrumentRefresh, initInstrumentRefresh };
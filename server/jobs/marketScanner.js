@@ -1,5 +1,7 @@
 import { PrismaClient } from '@prisma/client';
-import { getCurrentPrice, getWatchlistSignals } from '../services/marketData.js';
+import { getWatchlistSignals } from '../services/marketData.js';
+import { refreshHoldingPrices } from '../services/priceSync.js';
+import { runDueScreens } from '../services/screenRunner.js';
 import logger from '../services/logger.js';
 
 const prisma = new PrismaClient();
@@ -10,7 +12,8 @@ const prisma = new PrismaClient();
  * Tasks:
  * 1. Update portfolio prices
  * 2. Check watchlist alerts
- * 3. Scan for opportunities (future: AI integration)
+ * 3. Run saved screens that are due
+ * 4. Scan for opportunities (future: AI integration)
  */
 export async function scanMarket() {
   logger.info('=== Market Scanner Started ===');
@@ -22,7 +25,10 @@ export async function scanMarket() {
     // 2. Check watchlist signals
     await checkWatchlistTask();
 
-    // 3. TODO: AI scanning for opportunities
+    // 3. Saved screens on a schedule
+    await runScreensTask();
+
+    // 4. TODO: AI scanning for opportunities
     // await scanOpportunitiesTask();
 
     logger.info('=== Market Scanner Completed ===');
@@ -37,28 +43,13 @@ export async function scanMarket() {
 async function updatePortfolioTask() {
   try {
     const holdings = await prisma.holding.findMany();
-    let updated = 0;
-
-    for (const holding of holdings) {
-      try {
-        const priceData = await getCurrentPrice(holding.symbol, holding.exchange);
-        
-        await prisma.holding.update({
-          where: { id: holding.id },
-          data: { currentPrice: priceData.price }
-        });
+    const { updated, failed } = await refreshHoldingPrices(holdings);
 
-        updated++;
-        logger.info(`Updated ${holding.symbol}: ₹${priceData.price}`);
-
-        // Rate limiting (5 calls/min for free tier)
-        await sleep(12000);
-      } catch (error) {
-        logger.error(`Failed to update ${holding.symbol}:`, error.message);
-      }
+    for (const f of failed) {
+      logger.error(`Failed to update ${f.symbol}:`, f.error);
     }
 
-    logger.info(`Portfolio update: ${updated}/${holdings.length} stocks`);
+    logger.info(`Portfolio update: ${updated.length}/${holdings.length} stocks`);
   } catch (error) {
     logger.error('Portfolio update task error:', error);
   }
@@ -93,6 +84,17 @@ async function checkWatchlistTask() {
   }
 }
 
+/**
+ * Run scheduled screens and push new matches to Telegram
+ */
+async function runScreensTask() {
+  try {
+    await runDueScreens();
+  } catch (error) {
+    logger.error('Screen task error:', error);
+  }
+}
+
 /**
  * Scan market for opportunities (AI-powered)
  * TODO: Implement with Claude API
@@ -112,7 +114,3 @@ async function scanOpportunitiesTask() {
     logger.error('Opportunity scanning error:', error);
   }
 }
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
@@ -0,0 +1,52 @@
+import cron from 'node-cron';
+import { backfillSymbol } from '../services/candleStore.js';
+import { createMissingOutcomes, updateOpenOutcomes, getOutcomeSymbols } from '../services/signalOutcomes.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+import logger from '../services/logger.js';
+
+/**
+ * Grade signals and proposals against the market: pull candles for every
+ * symbol with a call being tracked, open outcomes for new calls, then
+ * re-measure the open ones.
+ *
+ * @returns {Promise<{ symbols: number, created: number, updated: number, resolved: number }>}
+ */
+export async function runOutcomeTracking() {
+  const symbols = await getOutcomeSymbols();
+
+  // Most called stocks aren't held or watched, so the regular backfill skips them.
+  // Providers only serve the latest session of 5m bars, hence a run every trading day.
+  for (const { symbol, exchange } of symbols) {
+    try {
+      await backfillSymbol(symbol, exchange, { intervals: ['1d', '5m'], lookbackDays: 45 });
+    } catch (error) {
+      logger.error(`[Outcomes] Backfill error for ${symbol}:`, error.message);
+    }
+  }
+
+  const created = await createMissingOutcomes();
+  const { updated, resolved } = await updateOpenOutcomes();
+
+  logger.info(`[Outcomes] ${symbols.length} symbols, ${created} new outcomes, ${updated} updated, ${resolved} resolved`);
+  return { symbols: symbols.length, created, updated, resolved };
+}
+
+/**
+ * Schedule outcome tracking after the close, once the day's bars are final.
+ */
+export function initOutcomeTracker() {
+  cron.schedule('30 16 * * 1-5', async () => {
+    if (!isTradingDay(new Date())) return;
+    try {
+      await runOutcomeTracking();
+    } catch (error) {
+      logger.error('Outcome tracking error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Outcome tracking scheduled: 4:30 PM IST on trading days');
+}
+
+export default { runOutcomeTracking, initOutcomeTracker };
@@ -0,0 +1,34 @@
+import cron from 'node-cron';
+import { takeSnapshots } from '../services/portfolioSnapshots.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+import logger from '../services/logger.js';
+
+/**
+ * Value every active portfolio at today's close.
+ *
+ * @returns {Promise<{ date: string, portfolios: number }>}
+ */
+export async function runPortfolioSnapshots() {
+  return takeSnapshots();
+}
+
+/**
+ * Schedule the end-of-day snapshot after the candle backfill has stored the
+ * day's closing bars, and ahead of the 6 PM evening review that reports on it.
+ */
+export function initPortfolioSnapshots() {
+  cron.schedule('45 16 * * 1-5', async () => {
+    if (!isTradingDay(new Date())) return;
+    try {
+      await runPortfolioSnapshots();
+    } catch (error) {
+      logger.error('Portfolio snapshot error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Portfolio snapshots scheduled: 4:45 PM IST on trading days');
+}
+
+export default { runPortfolioSnapshots, initPortfolioSnapshots };
@@ -4,6 +4,9 @@ import { getBot } from '../services/telegramBot.js';
 import { generateTradeSignals, expireOldSignals } from '../services/signalGenerator.js';
 import { isTokenValid, getAuthorizationUrl, getHoldings, getOrderStatus } from '../services/upstoxService.js';
 import { syncUpstoxFunds } from '../services/capitalGuard.js';
+import { recordOrderFill } from '../services/orderFills.js';
+import { isPaperBroker } from '../services/paperBroker.js';
+import { estimateCharges } from '../services/charges.js';
 import { refreshAiTarget } from '../services/dailyTargetService.js';
 import { isTradingDay } from '../utils/marketHolidays.js';
 import logger from '../services/logger.js';
@@ -49,7 +52,7 @@ async function remindUpstoxAuth() {
 
 /**
  * Sync Upstox funds for all connected integrations with valid tokens.
- * Updates portfolio.availableCash from Upstox available_margin.
+ * Reconciles the cash ledger of Upstox portfolios to available_margin.
  */
 async function syncAllUpstoxFunds() {
   if (!isTradingDay(new Date())) return;
@@ -219,11 +222,11 @@ async function notifyPendingSignals() {
     const thirtyMinAgo = new Date(now.getTime() - 30 * 60 * 1000);
 
     // Find signals that need notification:
-    // - Status PENDING or SNOOZED
+    // - Status DRAFT (rebalance trades), PENDING or SNOOZED
     // - Never notified, OR last notified >= 30 min ago
     const signals = await prisma.tradeSignal.findMany({
       where: {
-        status: { in: ['PENDING', 'SNOOZED'] },
+        status: { in: ['DRAFT', 'PENDING', 'SNOOZED'] },
         OR: [
           { lastNotifiedAt: null },
           { lastNotifiedAt: { lte: thirtyMinAgo } }
@@ -252,6 +255,8 @@ async function notifyPendingSignals() {
         const chatId = parseInt(telegramUser.telegramId);
         const sideEmoji = signal.side === 'BUY' ? '🟢' : '🔴';
         const confidenceBar = '█'.repeat(Math.floor(signal.confidence / 10)) + '░'.repeat(10 - Math.floor(signal.confidence / 10));
+        // Rebalance trades follow the targets, not a call on the stock
+        const isRebalance = signal.origin === 'REBALANCE';
 
         let priceInfo = '';
         if (signal.triggerType === 'MARKET') {
@@ -262,27 +267,35 @@ async function notifyPendingSignals() {
           priceInfo = `Zone: ₹${signal.triggerLow} - ₹${signal.triggerHigh}`;
         }
 
+        // What the broker will bill on top, where the signal has a price to go by
+        const signalPrice = parseFloat(signal.triggerPrice || signal.triggerLow || 0);
+        let chargesInfo = '';
+        if (signalPrice > 0) {
+          const charges = estimateCharges({ broker: signal.portfolio.broker, side: signal.side, quantity: signal.quantity, price: signalPrice, exchange: signal.exchange });
+          chargesInfo = `\nEst. charges: ₹${charges.total.toLocaleString('en-IN')} (brokerage ₹${charges.brokerage}, STT ₹${charges.stt})`;
+        }
+
         const portfolioName = signal.portfolio.ownerName || signal.portfolio.name;
         const brokerName = (signal.portfolio.broker || 'Unknown').replace(/_/g, ' ');
         const riskProfile = signal.portfolio.riskProfile || '';
         const repeatNote = signal.notifyCount > 0 ? `\n⏰ _Reminder #${signal.notifyCount + 1}_` : '';
 
-        const msgText = `${sideEmoji} *${signal.side} SIGNAL*
+        const msgText = `${sideEmoji} *${signal.side} ${isRebalance ? 'REBALANCE' : 'SIGNAL'}*
 ━━━━━━━━━━━━━━━━━━━
 *${signal.symbol}* (${signal.exchange})
-Qty: ${signal.quantity} | ${priceInfo}
+Qty: ${signal.quantity} | ${priceInfo}${chargesInfo}
 
 📁 *${portfolioName}* — ${brokerName}${riskProfile ? ' (' + riskProfile + ')' : ''}
 
-Confidence: ${confidenceBar} ${signal.confidence}%
-${signal.rationale || ''}${repeatNote}`;
+${isRebalance ? '' : `Confidence: ${confidenceBar} ${signal.confidence}%\n`}${signal.rationale || ''}${repeatNote}`;
 
-        // Check if this portfolio's broker is Upstox AND user has valid Upstox integration
+        // Execute needs a broker that can fill: a connected Upstox account or the paper broker
         const isUpstoxBroker = signal.portfolio?.broker === 'UPSTOX';
         const upstoxIntegration = signal.portfolio?.user?.upstoxIntegration;
         const hasUpstox = isUpstoxBroker && upstoxIntegration?.isConnected && upstoxIntegration?.accessToken;
+        const canExecute = hasUpstox || isPaperBroker(signal.portfolio?.broker);
 
-        const buttons = hasUpstox
+        const buttons = canExecute
           ? [
               { text: '🚀 Execute', callback_data: `sig_exec_${signal.id}` },
               { text: '⏰ Snooze 30m', callback_data: `sig_snooze_${signal.id}` },
@@ -363,9 +376,23 @@ async function pollPendingOrders() {
 
     for (const order of pendingOrders) {
       try {
-        if (!order.integration?.accessToken) continue;
+        let userId = order.integration?.userId;
+        let telegramUser = order.integration?.user?.telegramUser;
+
+        if (order.isPaper) {
+          // Paper orders have no integration; the portfolio identifies the user
+          const portfolio = await prisma.portfolio.findUnique({
+            where: { id: order.portfolioId },
+            include: { user: { include: { telegramUser: true } } }
+          });
+          if (!portfolio) continue;
+          userId = portfolio.userId;
+          telegramUser = portfolio.user?.telegramUser;
+        } else if (!order.integration?.accessToken) {
+          continue;
+        }
 
-        const status = await getOrderStatus(order.integration.userId, order.orderId);
+        const status = await getOrderStatus(userId, order.orderId);
         const orderStatus = (status.status || '').toLowerCase();
 
         if (!['complete', 'traded', 'rejected', 'cancelled'].includes(orderStatus)) {
@@ -374,6 +401,11 @@ async function pollPendingOrders() {
 
         logger.info(`Order ${order.orderId} settled: ${orderStatus}`);
 
+        // Idempotent, so fills already booked by the webhook or the bot aren't doubled
+        if (['complete', 'traded'].includes(orderStatus)) {
+          await recordOrderFill(order.id);
+        }
+
         // Find linked TradeSignal
         const linkedSignal = await prisma.tradeSignal.findFirst({
           where: { upstoxOrderId: order.id }
@@ -381,7 +413,6 @@ async function pollPendingOrders() {
 
         if (!linkedSignal) continue;
 
-        const telegramUser = order.integration?.user?.telegramUser;
         const chatId = telegramUser ? parseInt(telegramUser.telegramId) : null;
 
         if (['complete', 'traded'].includes(orderStatus)) {
@@ -1,11 +1,13 @@
 import cron from 'node-cron';
 import prisma from '../services/prisma.js';
 import Anthropic from '@anthropic-ai/sdk';
-import { getCurrentPrice, fetchMarketContext } from '../services/marketData.js';
+import { fetchMarketContext } from '../services/marketData.js';
+import { getQuotes, pickQuote } from '../services/quoteService.js';
 import { ANALYST_IDENTITY, MARKET_DATA_INSTRUCTION, buildAccountabilityScorecard } from '../services/analystPrompts.js';
 import { scanMarketForOpportunities, buildProfileBrief } from '../services/advancedScreener.js';
 import { sendAlert, broadcastMessage, getBot } from '../services/telegramBot.js';
 import { generateTradeSignals } from '../services/signalGenerator.js';
+import { getPeriodPL, getHoldingDayChanges } from '../services/portfolioSnapshots.js';
 import logger from '../services/logger.js';
 import { isTradingDay, isMarketHoliday } from '../utils/marketHolidays.js';
 
@@ -51,6 +53,22 @@ function getPortfolioValueSummary(portfolio) {
   return { totalValue, totalInvested, totalPL, totalPLPercent };
 }
 
+// ============================================
+// HELPER: Period P&L line from the daily snapshots
+// ============================================
+
+function formatPeriodPL(periods) {
+  const labels = { day: 'Today', week: 'Week', month: 'Month', ytd: 'YTD' };
+  return Object.entries(labels)
+    .filter(([period]) => periods[period])
+    .map(([period, label]) => {
+      const { pl, plPercent } = periods[period];
+      const pct = plPercent !== null ? ` (${plPercent >= 0 ? '+' : ''}${plPercent.toFixed(1)}%)` : '';
+      return `${label}: ${pl >= 0 ? '+' : '-'}${formatINR(Math.abs(pl))}${pct}`;
+    })
+    .join(' | ');
+}
+
 // ============================================
 // HELPER: Get AI Analysis
 // ============================================
@@ -177,7 +195,7 @@ ${MARKET_DATA_INSTRUCTION}
 MORNING BATTLE PLAN — this portfolio is MY responsibility. I need to set up today for maximum profit.
 
 1. MARKET STRUCTURE: Where is Nifty RIGHT NOW? Key levels where I expect institutional support/resistance. Is the trend my friend today or do I need to be defensive?
-2. SECTOR ROTATION: Where is smart money flowing? I need to position my portfolios AHEAD of the move, not after it. Name specific sectors
+2. SECTOR ROTATION: Where is smart money flowing? Read it off the SECTOR ROTATION ranking and India VIX above. I need to position my portfolios AHEAD of the move, not after it. Name specific sectors
 3. TODAY'S PRIORITY: The single most important action I need my investor to take before 10 AM. Be specific — stock, price, size
 
 This is not a newspaper report. This is MY game plan for making money today. Under 150 words.`, 600
@@ -313,6 +331,23 @@ async function sendEveningReview() {
           const top3 = (portfolio.holdings || []).slice(0, 3);
           const top3Text = top3.map(h => `${h.symbol} (${h.quantity} @ ${parseFloat(h.currentPrice || h.avgPrice).toFixed(0)})`).join(', ');
 
+          // Measured P&L from today's closing snapshot
+          let periodLine = '';
+          let todayReport = '';
+          try {
+            const { periods } = await getPeriodPL([portfolio.id]);
+            periodLine = formatPeriodPL(periods);
+            if (periods.day) {
+              const movers = await getHoldingDayChanges(portfolio.id);
+              const moverText = movers
+                .map(m => `${m.symbol} ${m.change >= 0 ? '+' : '-'}${formatINR(Math.abs(m.change))}${m.changePercent !== null ? ` (${m.changePercent}%)` : ''}`)
+                .join(', ');
+              todayReport = `TODAY'S ACTUAL P&L (today's close vs the previous close): ${periodLine}${moverText ? `\nBy holding: ${moverText}` : ''}`;
+            }
+          } catch (e) {
+            logger.warn(`Could not load period P&L for portfolio ${portfolio.id}:`, e.message);
+          }
+
           // Fetch portfolio-specific market data for evening
           let eveningMarketData = '';
           try {
@@ -338,9 +373,11 @@ ${eveningScorecard}
 
 ${profileBrief}
 
+${todayReport}
+
 EVENING P&L REPORT — I own today's results. Here's my honest assessment:
 
-1. TODAY'S DAMAGE/GAIN REPORT: Calculate today's estimated P&L. If we lost money, I take responsibility. Specifically: which of MY recommended holdings or signals contributed to the loss? Which made money? Net P&L estimate in ₹
+1. TODAY'S DAMAGE/GAIN REPORT: ${todayReport ? 'Use the actual P&L above, do not re-estimate it.' : 'Calculate today\'s estimated P&L.'} If we lost money, I take responsibility. Specifically: which of MY recommended holdings or signals contributed to the loss? Which made money? Net P&L estimate in ₹
 2. HOLDING-BY-HOLDING VERDICT: For EVERY position — grade A-F, and my updated call:
    - HOLD: thesis intact, I'm confident, here's why
    - ADD MORE: it's working, increase position by ₹X at ₹Y
@@ -356,7 +393,7 @@ This is MY portfolio to protect and grow. If we had a bad day, the evening revie
           await saveAnalysis(telegramUser.user.id, 'EVENING_REVIEW', analysis, { time: 'evening', portfolioId: portfolio.id });
 
           const header = portfolios.length > 1 ? `\n📁 *${portfolioLabel(portfolio)}*\n` : '';
-          const snapshot = `Value: ${formatINR(totalValue)} | P&L: ${totalPL >= 0 ? '📈' : '📉'} ${formatINR(Math.abs(totalPL))} (${totalPLPercent.toFixed(1)}%)`;
+          const snapshot = `Value: ${formatINR(totalValue)} | P&L: ${totalPL >= 0 ? '📈' : '📉'} ${formatINR(Math.abs(totalPL))} (${totalPLPercent.toFixed(1)}%)${periodLine ? `\n${periodLine}` : ''}`;
 
           sections.push(`${header}${snapshot}\n\n${analysis}`);
         }
@@ -558,11 +595,13 @@ async function checkPriceAlerts() {
       }
     });
 
-    for (const holding of holdings) {
-      if (!holding.portfolio?.user?.telegramUser) continue;
+    const watched = holdings.filter(h => h.portfolio?.user?.telegramUser);
+    const { quotes } = await getQuotes(watched.map(h => ({ symbol: h.symbol, exchange: h.exchange })));
 
+    for (const holding of watched) {
       try {
-        const currentPrice = await getCurrentPrice(holding.symbol, holding.exchange);
+        const currentPrice = pickQuote(quotes, holding.symbol, holding.exchange);
+        if (!currentPrice) throw new Error('No quote');
 
         await prisma.holding.update({
           where: { id: holding.id },
@@ -596,8 +635,6 @@ Exit now to limit losses! ⚠️`;
           const chatId = parseInt(holding.portfolio.user.telegramUser.telegramId);
           await getBot()?.sendMessage(chatId, alertMsg, { parse_mode: 'Markdown' });
         }
-
-        await new Promise(resolve => setTimeout(resolve, 500));
       } catch (error) {
         logger.error(`Price check failed for ${holding.symbol}:`, error.message);
       }
@@ -659,17 +696,17 @@ async function checkDailyTargetProgress() {
 
         let intradayPL = 0;
         const holdingUpdates = [];
+        const { quotes } = await getQuotes(sortedHoldings.map(h => ({ symbol: h.symbol, exchange: h.exchange || 'NSE' })));
 
         for (const h of sortedHoldings) {
           try {
-            const priceData = await getCurrentPrice(h.symbol, h.exchange || 'NSE');
+            const priceData = pickQuote(quotes, h.symbol, h.exchange || 'NSE');
             if (priceData?.price) {
               const storedPrice = parseFloat(h.currentPrice || h.avgPrice);
               const pl = (priceData.price - storedPrice) * h.quantity;
               intradayPL += pl;
               holdingUpdates.push(`${h.symbol}: ${pl >= 0 ? '+' : ''}₹${pl.toFixed(0)}`);
             }
-            await new Promise(r => setTimeout(r, 12000)); // Rate limit
           } catch (e) {
             logger.warn(`Price fetch failed for ${h.symbol} in target check:`, e.message);
           }
@@ -827,10 +864,11 @@ async function sendEndOfDayTargetReview() {
 
         let finalPL = 0;
         const holdingResults = [];
+        const { quotes } = await getQuotes(sortedHoldings.map(h => ({ symbol: h.symbol, exchange: h.exchange || 'NSE' })));
 
         for (const h of sortedHoldings) {
           try {
-            const priceData = await getCurrentPrice(h.symbol, h.exchange || 'NSE');
+            const priceData = pickQuote(quotes, h.symbol, h.exchange || 'NSE');
             if (priceData?.price) {
               const storedPrice = parseFloat(h.currentPrice || h.avgPrice);
               const pl = (priceData.price - storedPrice) * h.quantity;
@@ -841,7 +879,6 @@ async function sendEndOfDayTargetReview() {
                 pctMove: storedPrice > 0 ? ((priceData.price - storedPrice) / storedPrice * 100) : 0
               });
             }
-            await new Promise(r => setTimeout(r, 12000));
           } catch (e) {
             logger.warn(`EOD price fetch failed for ${h.symbol}:`, e.message);
           }
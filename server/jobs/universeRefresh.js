@@ -0,0 +1,38 @@
+import cron from 'node-cron';
+import { importIndexUniverses } from '../services/universe.js';
+import logger from '../services/logger.js';
+
+/**
+ * Re-import the NSE index constituent lists. Unchanged lists are a no-op;
+ * after a rebalance the leavers are closed and joiners opened as of today.
+ *
+ * @returns {Promise<Object>} Per-universe import results
+ */
+export async function runUniverseRefresh() {
+  const results = await importIndexUniverses();
+  const changed = Object.entries(results)
+    .filter(([, r]) => r.added?.length || r.removed?.length)
+    .map(([code, r]) => `${code} +${r.added.length}/-${r.removed.length}`);
+  logger.info(`[Universe] Refresh complete${changed.length ? `: ${changed.join(', ')}` : ' (no changes)'}`);
+  return results;
+}
+
+/**
+ * Schedule the daily universe refresh, before the open so screens and the
+ * morning scan see the new constituents on the day a rebalance takes effect.
+ */
+export function initUniverseRefresh() {
+  cron.schedule('45 7 * * *', async () => {
+    try {
+      await runUniverseRefresh();
+    } catch (error) {
+      logger.error('Universe refresh error:', error);
+    }
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  logger.info('Universe refresh scheduled: 7:45 AM IST daily');
+}
+
+export default { runUniverseRefresh, initUniverseRefresh };
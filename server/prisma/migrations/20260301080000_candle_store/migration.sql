@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "Candle" (
+    "id" SERIAL NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL DEFAULT 'NSE',
+    "interval" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "open" DOUBLE PRECISION NOT NULL,
+    "high" DOUBLE PRECISION NOT NULL,
+    "low" DOUBLE PRECISION NOT NULL,
+    "close" DOUBLE PRECISION NOT NULL,
+    "volume" BIGINT NOT NULL DEFAULT 0,
+    "source" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Candle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Candle_symbol_exchange_interval_timestamp_key" ON "Candle"("symbol", "exchange", "interval", "timestamp");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Instrument" (
+    "id" SERIAL NOT NULL,
+    "instrumentKey" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "name" TEXT,
+    "isin" TEXT,
+    "exchange" TEXT NOT NULL,
+    "segment" TEXT NOT NULL,
+    "exchangeToken" TEXT,
+    "series" TEXT,
+    "lotSize" INTEGER NOT NULL DEFAULT 1,
+    "tickSize" DOUBLE PRECISION NOT NULL DEFAULT 0.05,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Instrument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Instrument_instrumentKey_key" ON "Instrument"("instrumentKey");
+
+-- CreateIndex
+CREATE INDEX "Instrument_exchange_symbol_idx" ON "Instrument"("exchange", "symbol");
+
+-- CreateIndex
+CREATE INDEX "Instrument_isin_idx" ON "Instrument"("isin");
@@ -0,0 +1,54 @@
+-- CreateTable
+CREATE TABLE "CorporateAction" (
+    "id" SERIAL NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "exDate" TIMESTAMP(3) NOT NULL,
+    "ratioOld" DOUBLE PRECISION,
+    "ratioNew" DOUBLE PRECISION,
+    "dividendPerShare" DOUBLE PRECISION,
+    "newSymbol" TEXT,
+    "costApportionment" DOUBLE PRECISION,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "appliedAt" TIMESTAMP(3),
+    "error" TEXT,
+    "notes" TEXT,
+    "source" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CorporateAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DividendPayout" (
+    "id" SERIAL NOT NULL,
+    "portfolioId" INTEGER NOT NULL,
+    "corporateActionId" INTEGER NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "perShare" DOUBLE PRECISION NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "paidAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DividendPayout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CorporateAction_symbol_type_exDate_key" ON "CorporateAction"("symbol", "type", "exDate");
+
+-- CreateIndex
+CREATE INDEX "CorporateAction_status_exDate_idx" ON "CorporateAction"("status", "exDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DividendPayout_corporateActionId_portfolioId_key" ON "DividendPayout"("corporateActionId", "portfolioId");
+
+-- CreateIndex
+CREATE INDEX "DividendPayout_portfolioId_paidAt_idx" ON "DividendPayout"("portfolioId", "paidAt");
+
+-- AddForeignKey
+ALTER TABLE "DividendPayout" ADD CONSTRAINT "DividendPayout_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DividendPayout" ADD CONSTRAINT "DividendPayout_corporateActionId_fkey" FOREIGN KEY ("corporateActionId") REFERENCES "CorporateAction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
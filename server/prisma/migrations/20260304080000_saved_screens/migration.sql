@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "Screen" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "expression" TEXT,
+    "rule" JSONB NOT NULL,
+    "timeframe" TEXT NOT NULL DEFAULT '1d',
+    "scheduleMinutes" INTEGER,
+    "notifyTelegram" BOOLEAN NOT NULL DEFAULT true,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastRunAt" TIMESTAMP(3),
+    "lastMatches" JSONB NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Screen_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Screen_userId_name_key" ON "Screen"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "Screen_isActive_scheduleMinutes_idx" ON "Screen"("isActive", "scheduleMinutes");
+
+-- AddForeignKey
+ALTER TABLE "Screen" ADD CONSTRAINT "Screen_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "Universe" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'INDEX',
+    "capBucket" TEXT,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Universe_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "UniverseMember" (
+    "id" SERIAL NOT NULL,
+    "universeId" INTEGER NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL DEFAULT 'NSE',
+    "name" TEXT,
+    "industry" TEXT,
+    "isin" TEXT,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL,
+    "effectiveTo" TIMESTAMP(3),
+
+    CONSTRAINT "UniverseMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Universe_code_key" ON "Universe"("code");
+
+-- CreateIndex
+CREATE INDEX "Universe_userId_idx" ON "Universe"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UniverseMember_universeId_symbol_effectiveFrom_key" ON "UniverseMember"("universeId", "symbol", "effectiveFrom");
+
+-- CreateIndex
+CREATE INDEX "UniverseMember_universeId_effectiveTo_idx" ON "UniverseMember"("universeId", "effectiveTo");
+
+-- CreateIndex
+CREATE INDEX "UniverseMember_symbol_idx" ON "UniverseMember"("symbol");
+
+-- AddForeignKey
+ALTER TABLE "Universe" ADD CONSTRAINT "Universe_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "UniverseMember" ADD CONSTRAINT "UniverseMember_universeId_fkey" FOREIGN KEY ("universeId") REFERENCES "Universe"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE "TradeSignal" ADD COLUMN "targetPrice" DOUBLE PRECISION,
+ADD COLUMN "stopLoss" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "SignalOutcome" (
+    "id" SERIAL NOT NULL,
+    "source" TEXT NOT NULL,
+    "tradeSignalId" INTEGER,
+    "proposalId" INTEGER,
+    "userId" INTEGER NOT NULL,
+    "portfolioId" INTEGER,
+    "symbol" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL DEFAULT 'NSE',
+    "side" TEXT NOT NULL,
+    "confidence" INTEGER,
+    "confidenceBucket" TEXT NOT NULL,
+    "entryPrice" DOUBLE PRECISION NOT NULL,
+    "targetPrice" DOUBLE PRECISION,
+    "stopLoss" DOUBLE PRECISION,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "firstHit" TEXT,
+    "hitAt" TIMESTAMP(3),
+    "highPrice" DOUBLE PRECISION,
+    "lowPrice" DOUBLE PRECISION,
+    "mfePct" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "maePct" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lastPrice" DOUBLE PRECISION,
+    "returnPct" DOUBLE PRECISION,
+    "trackFrom" TIMESTAMP(3) NOT NULL,
+    "trackUntil" TIMESTAMP(3) NOT NULL,
+    "evaluatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SignalOutcome_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SignalOutcome_tradeSignalId_key" ON "SignalOutcome"("tradeSignalId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SignalOutcome_proposalId_key" ON "SignalOutcome"("proposalId");
+
+-- CreateIndex
+CREATE INDEX "SignalOutcome_userId_trackFrom_idx" ON "SignalOutcome"("userId", "trackFrom");
+
+-- CreateIndex
+CREATE INDEX "SignalOutcome_portfolioId_trackFrom_idx" ON "SignalOutcome"("portfolioId", "trackFrom");
+
+-- CreateIndex
+CREATE INDEX "SignalOutcome_status_idx" ON "SignalOutcome"("status");
+
+-- AddForeignKey
+ALTER TABLE "SignalOutcome" ADD CONSTRAINT "SignalOutcome_tradeSignalId_fkey" FOREIGN KEY ("tradeSignalId") REFERENCES "TradeSignal"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SignalOutcome" ADD CONSTRAINT "SignalOutcome_proposalId_fkey" FOREIGN KEY ("proposalId") REFERENCES "Proposal"("id") ON DELETE CASCADE ON UPDATE CASCADE;
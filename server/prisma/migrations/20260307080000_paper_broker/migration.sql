@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "UpstoxOrder" ALTER COLUMN "integrationId" DROP NOT NULL,
+ADD COLUMN "isPaper" BOOLEAN NOT NULL DEFAULT false;
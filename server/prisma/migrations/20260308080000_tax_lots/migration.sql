@@ -0,0 +1,70 @@
+-- CreateTable
+CREATE TABLE "TaxLot" (
+    "id" SERIAL NOT NULL,
+    "portfolioId" INTEGER NOT NULL,
+    "buyTradeId" INTEGER NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL DEFAULT 'NSE',
+    "acquiredAt" TIMESTAMP(3) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "remainingQuantity" INTEGER NOT NULL,
+    "costPerShare" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaxLot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RealizedGain" (
+    "id" SERIAL NOT NULL,
+    "portfolioId" INTEGER NOT NULL,
+    "taxLotId" INTEGER NOT NULL,
+    "sellTradeId" INTEGER NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL DEFAULT 'NSE',
+    "quantity" INTEGER NOT NULL,
+    "acquiredAt" TIMESTAMP(3) NOT NULL,
+    "soldAt" TIMESTAMP(3) NOT NULL,
+    "costBasis" DOUBLE PRECISION NOT NULL,
+    "proceeds" DOUBLE PRECISION NOT NULL,
+    "gain" DOUBLE PRECISION NOT NULL,
+    "holdingDays" INTEGER NOT NULL,
+    "term" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RealizedGain_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxLot_buyTradeId_key" ON "TaxLot"("buyTradeId");
+
+-- CreateIndex
+CREATE INDEX "TaxLot_portfolioId_symbol_exchange_idx" ON "TaxLot"("portfolioId", "symbol", "exchange");
+
+-- CreateIndex
+CREATE INDEX "TaxLot_portfolioId_remainingQuantity_idx" ON "TaxLot"("portfolioId", "remainingQuantity");
+
+-- CreateIndex
+CREATE INDEX "RealizedGain_portfolioId_soldAt_idx" ON "RealizedGain"("portfolioId", "soldAt");
+
+-- CreateIndex
+CREATE INDEX "RealizedGain_sellTradeId_idx" ON "RealizedGain"("sellTradeId");
+
+-- CreateIndex
+CREATE INDEX "RealizedGain_taxLotId_idx" ON "RealizedGain"("taxLotId");
+
+-- AddForeignKey
+ALTER TABLE "TaxLot" ADD CONSTRAINT "TaxLot_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TaxLot" ADD CONSTRAINT "TaxLot_buyTradeId_fkey" FOREIGN KEY ("buyTradeId") REFERENCES "Trade"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RealizedGain" ADD CONSTRAINT "RealizedGain_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RealizedGain" ADD CONSTRAINT "RealizedGain_taxLotId_fkey" FOREIGN KEY ("taxLotId") REFERENCES "TaxLot"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RealizedGain" ADD CONSTRAINT "RealizedGain_sellTradeId_fkey" FOREIGN KEY ("sellTradeId") REFERENCES "Trade"("id") ON DELETE CASCADE ON UPDATE CASCADE;
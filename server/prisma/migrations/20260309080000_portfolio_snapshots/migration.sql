@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "PortfolioSnapshot" (
+    "id" SERIAL NOT NULL,
+    "portfolioId" INTEGER NOT NULL,
+    "date" DATE NOT NULL,
+    "marketValue" DOUBLE PRECISION NOT NULL,
+    "investedValue" DOUBLE PRECISION NOT NULL,
+    "cash" DOUBLE PRECISION NOT NULL,
+    "totalValue" DOUBLE PRECISION NOT NULL,
+    "netFlows" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "holdings" JSONB NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PortfolioSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PortfolioSnapshot_portfolioId_date_key" ON "PortfolioSnapshot"("portfolioId", "date");
+
+-- CreateIndex
+CREATE INDEX "PortfolioSnapshot_date_idx" ON "PortfolioSnapshot"("date");
+
+-- AddForeignKey
+ALTER TABLE "PortfolioSnapshot" ADD CONSTRAINT "PortfolioSnapshot_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Portfolio" ADD COLUMN "benchmark" TEXT NOT NULL DEFAULT 'NIFTY50';
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "Portfolio" ADD COLUMN "unsettledCash" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CashTransaction" (
+    "id" SERIAL NOT NULL,
+    "portfolioId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "occurredAt" TIMESTAMP(3) NOT NULL,
+    "settlesOn" TIMESTAMP(3) NOT NULL,
+    "tradeId" INTEGER,
+    "dividendPayoutId" INTEGER,
+    "reference" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CashTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CashTransaction_portfolioId_occurredAt_idx" ON "CashTransaction"("portfolioId", "occurredAt");
+
+-- CreateIndex
+CREATE INDEX "CashTransaction_portfolioId_settlesOn_idx" ON "CashTransaction"("portfolioId", "settlesOn");
+
+-- CreateIndex
+CREATE INDEX "CashTransaction_tradeId_idx" ON "CashTransaction"("tradeId");
+
+-- CreateIndex
+CREATE INDEX "CashTransaction_dividendPayoutId_idx" ON "CashTransaction"("dividendPayoutId");
+
+-- AddForeignKey
+ALTER TABLE "CashTransaction" ADD CONSTRAINT "CashTransaction_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashTransaction" ADD CONSTRAINT "CashTransaction_tradeId_fkey" FOREIGN KEY ("tradeId") REFERENCES "Trade"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashTransaction" ADD CONSTRAINT "CashTransaction_dividendPayoutId_fkey" FOREIGN KEY ("dividendPayoutId") REFERENCES "DividendPayout"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "TradeSignal" ADD COLUMN "origin" TEXT NOT NULL DEFAULT 'AI';
+
+-- CreateTable
+CREATE TABLE "AllocationTarget" (
+    "id" SERIAL NOT NULL,
+    "portfolioId" INTEGER NOT NULL,
+    "dimension" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL,
+    "band" DOUBLE PRECISION NOT NULL DEFAULT 5,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AllocationTarget_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AllocationTarget_portfolioId_dimension_key_key" ON "AllocationTarget"("portfolioId", "dimension", "key");
+
+-- AddForeignKey
+ALTER TABLE "AllocationTarget" ADD CONSTRAINT "AllocationTarget_portfolioId_fkey" FOREIGN KEY ("portfolioId") REFERENCES "Portfolio"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Instrument" ADD COLUMN "sector" TEXT,
+ADD COLUMN "industry" TEXT;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "UpstoxOrder" ADD COLUMN "bookedQuantity" INTEGER NOT NULL DEFAULT 0;
+
+-- Fills booked before the column existed
+UPDATE "UpstoxOrder" o
+SET "bookedQuantity" = t."quantity"
+FROM (
+  SELECT "portfolioId", "orderId", SUM("quantity") AS "quantity"
+  FROM "Trade"
+  WHERE "orderId" IS NOT NULL
+  GROUP BY "portfolioId", "orderId"
+) t
+WHERE t."orderId" = o."orderId" AND t."portfolioId" = o."portfolioId";
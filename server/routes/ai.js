@@ -10,6 +10,9 @@ import Anthropic from '@anthropic-ai/sdk';
 import logger from '../services/logger.js';
 import crypto from 'crypto';
 import { generateMultiAssetRecommendations, getCommodityRecommendations, getMutualFundRecommendations } from '../services/multiAssetRecommendations.js';
+import { adoptUntrackedHoldings, rebuildPositions } from '../services/taxLots.js';
+import { estimateCharges } from '../services/charges.js';
+import { getExposure, buildExposureContext } from '../services/exposure.js';
 
 const router = express.Router();
 
@@ -28,11 +31,11 @@ const anthropic = new Anthropic({
 const COMPREHENSIVE_PROMPTS = {
   marketAnalysis: () => `
 ## 1. MARKET STRUCTURE & POSITIONING
-Where is Nifty in its current cycle? Key institutional levels (support/resistance where big money sits). Bank Nifty structure. Sector rotation map — which sectors are in accumulation, distribution, or markup phase. 3-5 SPECIFIC trade ideas with entry/target/stop that match this investor's risk profile. What's the ONE event that could move markets 2%+ this week?`,
+Where is Nifty in its current cycle? Key institutional levels (support/resistance where big money sits). Bank Nifty structure. Sector rotation map — use the SECTOR ROTATION ranking in the market data block to say which sectors are in accumulation, distribution, or markup phase. 3-5 SPECIFIC trade ideas with entry/target/stop that match this investor's risk profile. What's the ONE event that could move markets 2%+ this week?`,
 
   portfolioDiversification: () => `
 ## 2. PORTFOLIO SURGERY — Concentration & Gaps
-Grade diversification A-F. Calculate sector concentration (% in each sector). What's dangerously over-weighted? What CRITICAL sectors are completely missing? For each gap: name the SPECIFIC stock to add with entry price and position size. Cross-portfolio correlation check — are family portfolios overlapping too much? Asset class gaps: specific MF schemes, ETFs, gold instruments, and fixed income instruments to add.`,
+Grade diversification A-F. Sector, industry and market-cap concentration are in the PORTFOLIO EXPOSURE block — work from those percentages. What's dangerously over-weighted? What CRITICAL sectors are completely missing? For each gap: name the SPECIFIC stock to add with entry price and position size. Cross-portfolio correlation check — are family portfolios overlapping too much? Asset class gaps: specific MF schemes, ETFs, gold instruments, and fixed income instruments to add.`,
 
   riskManagement: () => `
 ## 3. RISK ARCHITECTURE
@@ -52,7 +55,7 @@ For every current holding: P/E vs 5-year average and vs sector average. PEG rati
 
   marketSentiment: () => `
 ## 7. POSITIONING & SENTIMENT
-India VIX level and what it implies for option premiums and expected moves. FII vs DII — who has conviction? Delivery % in key stocks — is money entering or exiting? Retail participation indicators. For this portfolio: should capital be deployed aggressively NOW, staged over weeks, or held back? Give a specific deployment schedule with dates and amounts if staging.`,
+India VIX level (from the market data block) and what it implies for option premiums and expected moves. FII vs DII — who has conviction? Delivery % in key stocks — is money entering or exiting? Retail participation indicators. For this portfolio: should capital be deployed aggressively NOW, staged over weeks, or held back? Give a specific deployment schedule with dates and amounts if staging.`,
 
   earningsReports: () => `
 ## 8. EARNINGS POWER ANALYSIS
@@ -226,7 +229,7 @@ router.get('/recommendations', async (req, res) => {
  */
 router.post('/scan', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { baseAmount = 10000, perCategory = 5, portfolioId } = req.body;
 
     logger.info(`Starting AI market scan - amount: ₹${baseAmount}, portfolioId: ${portfolioId || 'auto'}`);
@@ -298,7 +301,7 @@ router.post('/scan', async (req, res) => {
 router.get('/portfolio-plan', async (req, res) => {
   try {
     const { portfolioId } = req.query;
-    const userId = req.userId; // From auth middleware
+    const userId = req.user.userId; // From auth middleware
 
     logger.info(`Generating portfolio plan... (portfolioId: ${portfolioId || 'all'})`);
 
@@ -508,7 +511,7 @@ Return ONLY JSON (no markdown):
  */
 router.get('/comprehensive-analysis', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { portfolioId } = req.query;
 
     logger.info(`Generating comprehensive analysis (portfolioId: ${portfolioId || 'all'})...`);
@@ -545,6 +548,15 @@ router.get('/comprehensive-analysis', async (req, res) => {
       logger.warn('Could not fetch market context for comprehensive analysis:', e.message);
     }
 
+    // Computed concentration, so the diversification grade isn't guesswork
+    let exposureContext = '';
+    try {
+      const exposure = await getExposure(userId, { portfolioIds: portfolios.map(p => p.id) });
+      exposureContext = buildExposureContext(exposure);
+    } catch (e) {
+      logger.warn('Could not compute exposure for comprehensive analysis:', e.message);
+    }
+
     // Build accountability scorecard for primary portfolio
     let scorecard = '';
     try {
@@ -565,6 +577,8 @@ ${scorecard}
 
 ${context}
 
+${exposureContext}
+
 COMPREHENSIVE PORTFOLIO ANALYSIS — 10 sections of deep, conviction-based analysis.
 
 Every recommendation must be SPECIFIC to this investor — reference their actual holdings, capital, risk profile, and portfolio goals by name.
@@ -703,7 +717,7 @@ router.post('/plan/update-capital', async (req, res) => {
  */
 router.post('/multi-asset/scan', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { portfolioId, riskProfile = 'BALANCED', capital = 100000, timeHorizon = 'MEDIUM' } = req.body;
 
     logger.info(`Multi-asset scan: capital=₹${capital}, risk=${riskProfile}, horizon=${timeHorizon}, portfolioId=${portfolioId || 'auto'}`);
@@ -746,7 +760,7 @@ router.post('/multi-asset/scan', async (req, res) => {
  */
 router.get('/commodities', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { capital = 50000, riskProfile = 'BALANCED', portfolioId } = req.query;
 
     logger.info(`Commodity recommendations: capital=₹${capital}, risk=${riskProfile}, portfolioId=${portfolioId || 'auto'}`);
@@ -783,7 +797,7 @@ router.get('/commodities', async (req, res) => {
  */
 router.get('/mutual-funds', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { capital = 50000, riskProfile = 'BALANCED', timeHorizon = 'LONG', portfolioId } = req.query;
 
     logger.info(`MF recommendations: capital=₹${capital}, risk=${riskProfile}, horizon=${timeHorizon}, portfolioId=${portfolioId || 'auto'}`);
@@ -1009,11 +1023,22 @@ router.post('/confirm-screenshot-trade', async (req, res) => {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
+    // Shares held before any trade was recorded get an opening lot first
+    for (const symbol of new Set(trades.map(t => t.symbol.toUpperCase()))) {
+      await adoptUntrackedHoldings({ portfolioId: parseInt(portfolioId), symbol, exchange: 'NSE' });
+    }
+
     const createdTrades = [];
 
     for (const trade of trades) {
       const { symbol, quantity, price, tradeType, executedAt, fees } = trade;
 
+      // Screenshots rarely show charges; the broker's tariff fills them in
+      let tradeFees = parseFloat(fees) || 0;
+      if (tradeFees <= 0 && (tradeType === 'BUY' || tradeType === 'SELL')) {
+        tradeFees = estimateCharges({ broker: portfolio.broker, side: tradeType, quantity: parseInt(quantity), price: parseFloat(price) }).total;
+      }
+
       // Create trade record
       const newTrade = await prisma.trade.create({
         data: {
@@ -1023,60 +1048,22 @@ router.post('/confirm-screenshot-trade', async (req, res) => {
           type: tradeType,
           quantity: parseInt(quantity),
           price: parseFloat(price),
-          fees: fees ? parseFloat(fees) : 0,
+          fees: tradeFees,
           executedAt: executedAt ? new Date(executedAt) : new Date(),
           source: 'SCREENSHOT',
           screenshotId
         }
       });
 
-      // Update holdings
-      if (tradeType === 'BUY') {
-        const existing = await prisma.holding.findFirst({
-          where: { portfolioId: parseInt(portfolioId), symbol: symbol.toUpperCase(), exchange: 'NSE' }
-        });
-
-        if (existing) {
-          const totalQty = existing.quantity + parseInt(quantity);
-          const newAvg = ((Number(existing.avgPrice) * existing.quantity) + (parseFloat(price) * parseInt(quantity))) / totalQty;
-
-          await prisma.holding.update({
-            where: { id: existing.id },
-            data: { quantity: totalQty, avgPrice: newAvg }
-          });
-        } else {
-          await prisma.holding.create({
-            data: {
-              portfolioId: parseInt(portfolioId),
-              symbol: symbol.toUpperCase(),
-              exchange: 'NSE',
-              quantity: parseInt(quantity),
-              avgPrice: parseFloat(price),
-              currentPrice: parseFloat(price)
-            }
-          });
-        }
-      } else if (tradeType === 'SELL') {
-        const existing = await prisma.holding.findFirst({
-          where: { portfolioId: parseInt(portfolioId), symbol: symbol.toUpperCase(), exchange: 'NSE' }
-        });
-
-        if (existing) {
-          const newQty = existing.quantity - parseInt(quantity);
-          if (newQty <= 0) {
-            await prisma.holding.delete({ where: { id: existing.id } });
-          } else {
-            await prisma.holding.update({
-              where: { id: existing.id },
-              data: { quantity: newQty }
-            });
-          }
-        }
-      }
-
       createdTrades.push(newTrade);
     }
 
+    // Holdings are rebuilt from the trade ledger's FIFO lots
+    const touched = new Set(createdTrades.map(t => t.symbol));
+    for (const symbol of touched) {
+      await rebuildPositions(parseInt(portfolioId), { symbol, exchange: 'NSE' });
+    }
+
     // Mark screenshot as confirmed
     await prisma.tradeScreenshot.update({
       where: { id: screenshotId },
@@ -0,0 +1,72 @@
+import express from 'express';
+import prisma from '../services/prisma.js';
+import { runBacktest, normalizeBacktestParams, STRATEGY_PRESETS, SIZING_METHODS } from '../services/backtester.js';
+import { DEFAULT_BROKERAGE, PRODUCTS } from '../services/charges.js';
+import { TIMEFRAMES } from '../services/candleResampler.js';
+import logger from '../services/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/backtest/options
+ * Presets, sizing methods, products and default brokerage for the backtest form.
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      presets: STRATEGY_PRESETS,
+      sizingMethods: SIZING_METHODS,
+      products: PRODUCTS,
+      timeframes: TIMEFRAMES,
+      brokerage: DEFAULT_BROKERAGE
+    }
+  });
+});
+
+/**
+ * POST /api/backtest
+ * Replay a strategy over stored candles.
+ * Body: { entry | preset | screenId, exit?, symbols | universe, timeframe?, product?, from?, to?,
+ *         initialCapital?, sizing?, maxPositions?, stopLossPct?, targetPct?, maxHoldingBars?, slippageBps? }
+ * screenId backtests a saved screen's rule and timeframe as the entry.
+ */
+router.post('/', async (req, res) => {
+  const input = { ...req.body };
+
+  try {
+    if (input.screenId) {
+      const screen = await prisma.screen.findFirst({
+        where: { id: parseInt(input.screenId), userId: req.user.userId }
+      });
+      if (!screen) {
+        return res.status(404).json({ error: 'Screen not found' });
+      }
+      input.entry = input.entry ?? screen.rule;
+      input.timeframe = input.timeframe ?? screen.timeframe;
+    }
+  } catch (error) {
+    logger.error('Backtest screen lookup error:', error);
+    return res.status(500).json({ error: 'Failed to run backtest' });
+  }
+
+  try {
+    normalizeBacktestParams(input);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await runBacktest(input, { userId: req.user.userId });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    // Universe problems surface after validation (membership lives in the database)
+    if (error.message.startsWith('Universe ')) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Backtest error:', error);
+    res.status(500).json({ error: 'Failed to run backtest' });
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import {
+  importCorporateActions,
+  applyDueCorporateActions,
+  listCorporateActions
+} from '../services/corporateActions.js';
+import { requireAdmin } from '../middleware/auth.js';
+import logger from '../services/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/corporate-actions?symbol=INFY&status=PENDING
+ * List imported corporate actions.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const actions = await listCorporateActions({
+      symbol: req.query.symbol,
+      status: req.query.status
+    });
+    res.json({ success: true, data: actions });
+  } catch (error) {
+    logger.error('List corporate actions error:', error);
+    res.status(500).json({ error: 'Failed to fetch corporate actions' });
+  }
+});
+
+/**
+ * POST /api/corporate-actions/import
+ * Re-read CORPORATE_ACTIONS_FILE and apply anything whose ex-date has passed.
+ * Admin only: it rewrites every user's holdings, trades and cash.
+ */
+router.post('/import', requireAdmin, async (req, res) => {
+  try {
+    const imported = await importCorporateActions();
+    const applied = await applyDueCorporateActions();
+    res.json({ success: true, data: { ...imported, ...applied } });
+  } catch (error) {
+    logger.error('Import corporate actions error:', error);
+    res.status(500).json({ error: 'Failed to import corporate actions' });
+  }
+});
+
+export default router;
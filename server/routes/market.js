@@ -1,5 +1,10 @@
 import express from 'express';
 import { getCurrentPrice, getIntradayData, searchSymbols } from '../services/marketData.js';
+import { backfillSymbol, CANDLE_EXCHANGES } from '../services/candleStore.js';
+import { getCandlesForTimeframe, baseIntervalFor, TIMEFRAMES } from '../services/candleResampler.js';
+import { getQuotes } from '../services/quoteService.js';
+import { getUserQuoteSymbols, subscribeQuotes } from '../services/quoteStream.js';
+import { getIndexSnapshot, getIndexHistory } from '../services/indexData.js';
 import logger from '../services/logger.js';
 
 const router = express.Router();
@@ -37,17 +42,154 @@ router.get('/intraday/:symbol', async (req, res) => {
 });
 
 /**
- * GET /api/market/search?q=query - Search symbols
+ * GET /api/market/candles/:symbol?interval=1d&from=&to=&exchange=NSE - Stored OHLCV history
+ * interval is any of 5m, 15m, 1h, 1d, 1w; 15m/1h/1w are resampled from the stored 5m/1d bars.
+ * Backfills from the provider chain on first request for a symbol when signed in;
+ * anonymous callers get whatever is stored.
+ */
+router.get('/candles/:symbol', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const { exchange = 'NSE', interval = '1d', from, to } = req.query;
+
+    if (!TIMEFRAMES.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of ${TIMEFRAMES.join(', ')}` });
+    }
+    if (!CANDLE_EXCHANGES.includes(exchange)) {
+      return res.status(400).json({ error: `exchange must be one of ${CANDLE_EXCHANGES.join(', ')}` });
+    }
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: 'from/to must be valid dates' });
+    }
+
+    let candles = await getCandlesForTimeframe(symbol, exchange, interval, { from, to });
+    // Backfills spend rate-limited provider quota, so only signed-in users trigger them
+    if (candles.length === 0 && req.user) {
+      await backfillSymbol(symbol, exchange, { intervals: [baseIntervalFor(interval)] });
+      candles = await getCandlesForTimeframe(symbol, exchange, interval, { from, to });
+    }
+
+    res.json({ symbol, exchange, interval, count: candles.length, candles });
+  } catch (error) {
+    logger.error('Candle query error:', error);
+    res.status(500).json({ error: 'Failed to fetch candles' });
+  }
+});
+
+/**
+ * GET /api/market/stream - Server-Sent Events feed of quotes for the user's holdings + watchlist
+ * Sends `event: quote` per update and a comment heartbeat every 25s.
+ */
+router.get('/stream', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const items = await getUserQuoteSymbols(req.user.userId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (quote) => {
+      res.write(`event: quote\ndata: ${JSON.stringify(quote)}\n\n`);
+    };
+
+    const unsubscribe = subscribeQuotes(items, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ symbols: items.length })}\n\n`);
+
+    // Initial snapshot (cached where fresh) so the page doesn't wait for the next tick
+    const { quotes } = await getQuotes(items);
+    if (!res.writableEnded) {
+      for (const quote of quotes.values()) send(quote);
+    }
+  } catch (error) {
+    logger.error('Quote stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to open quote stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * GET /api/market/quotes - Latest quotes for the user's holdings + watchlist
+ * Polling fallback for clients that can't hold the stream open.
+ */
+router.get('/quotes', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const items = await getUserQuoteSymbols(req.user.userId);
+    const { quotes } = await getQuotes(items);
+    res.json({ quotes: [...quotes.values()] });
+  } catch (error) {
+    logger.error('Quotes fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch quotes' });
+  }
+});
+
+/**
+ * GET /api/market/indices - Live levels for NIFTY 50, sectoral indices and India VIX
+ */
+router.get('/indices', async (req, res) => {
+  try {
+    const indices = await getIndexSnapshot();
+    res.json({ indices });
+  } catch (error) {
+    logger.error('Index snapshot error:', error);
+    res.status(500).json({ error: 'Failed to fetch indices' });
+  }
+});
+
+/**
+ * GET /api/market/indices/:symbol/history?days=365 - Stored daily index candles
+ */
+router.get('/indices/:symbol/history', async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const days = Math.min(parseInt(req.query.days) || 365, 3650);
+
+    const candles = await getIndexHistory(symbol, { days });
+    res.json({ symbol, count: candles.length, candles });
+  } catch (error) {
+    if (error.message.startsWith('Unknown index')) {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Index history error:', error);
+    res.status(500).json({ error: 'Failed to fetch index history' });
+  }
+});
+
+/**
+ * GET /api/market/search?q=query&exchange=NSE|BSE&limit=20 - Fuzzy symbol search
+ * Matches trading symbol, company name, ISIN or BSE scrip code.
  */
 router.get('/search', async (req, res) => {
   try {
-    const { q } = req.query;
+    const { q, exchange } = req.query;
 
     if (!q || q.length < 2) {
       return res.status(400).json({ error: 'Query too short' });
     }
 
-    const results = await searchSymbols(q);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const results = await searchSymbols(q, { exchange, limit });
     res.json(results);
   } catch (error) {
     logger.error('Symbol search error:', error);
@@ -1,6 +1,17 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { getCurrentPrice } from '../services/marketData.js';
+import { startPriceSync, getPriceSyncJob } from '../services/priceSync.js';
+import { getDividendIncome } from '../services/corporateActions.js';
+import { buildTradeData, createTrade, updateTrade, deleteTrade, TRADE_TYPES, TRADE_EXCHANGES } from '../services/tradeLedger.js';
+import { getPeriodPL } from '../services/portfolioSnapshots.js';
+import { getPerformance, getBenchmarkComparison, PERFORMANCE_PERIODS } from '../services/performance.js';
+import { parseBenchmark, formatBenchmark } from '../utils/marketIndices.js';
+import { buildCashEntryData, recordCash, getCashLedger, deleteCashEntry, CASH_TYPES } from '../services/cashLedger.js';
+import { preOrderCapitalCheck } from '../services/capitalGuard.js';
+import { PRODUCTS } from '../services/charges.js';
+import { buildTargetsData, getTargets, saveTargets, planRebalance, createRebalanceSignals } from '../services/rebalancer.js';
+import { getExposure } from '../services/exposure.js';
 import logger from '../services/logger.js';
 
 const router = express.Router();
@@ -30,10 +41,12 @@ router.get('/', async (req, res) => {
           startingCapital: true,
           currentValue: true,
           availableCash: true,
+          unsettledCash: true,
           markets: true,
           currency: true,
           apiEnabled: true,
           riskProfile: true,
+          benchmark: true,
           investmentGoal: true,
           investmentExperience: true,
           monthlyIncome: true,
@@ -56,10 +69,12 @@ router.get('/', async (req, res) => {
           startingCapital: parseFloat(p.startingCapital),
           currentValue: parseFloat(p.currentValue),
           availableCash: parseFloat(p.availableCash),
+          unsettledCash: p.unsettledCash,
           markets: p.markets,
           currency: p.currency,
           apiEnabled: p.apiEnabled,
           riskProfile: p.riskProfile,
+          benchmark: p.benchmark,
           investmentGoal: p.investmentGoal,
           investmentExperience: p.investmentExperience,
           monthlyIncome: p.monthlyIncome ? parseFloat(p.monthlyIncome) : null,
@@ -228,43 +243,100 @@ router.delete('/:id', async (req, res) => {
 });
 
 /**
- * POST /api/portfolio/sync - Sync all prices
+ * POST /api/portfolio/sync - Start a background price sync for the user's holdings
+ * Returns immediately; poll GET /api/portfolio/sync/:jobId for progress.
  */
 router.post('/sync', async (req, res) => {
   try {
-    const holdings = await prisma.holding.findMany();
-    const updates = [];
-
-    for (const holding of holdings) {
-      try {
-        const priceData = await getCurrentPrice(holding.symbol, holding.exchange);
-        
-        await prisma.holding.update({
-          where: { id: holding.id },
-          data: { currentPrice: priceData.price }
-        });
-
-        updates.push({
-          symbol: holding.symbol,
-          oldPrice: Number(holding.currentPrice),
-          newPrice: priceData.price
-        });
-
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 12000));
-      } catch (error) {
-        logger.error(`Sync failed for ${holding.symbol}:`, error.message);
-      }
-    }
-
-    logger.info(`Synced ${updates.length} holdings`);
-    res.json({ updated: updates });
+    const job = await startPriceSync(req.user.userId);
+    res.status(202).json(job);
   } catch (error) {
     logger.error('Portfolio sync error:', error);
     res.status(500).json({ error: 'Failed to sync portfolio' });
   }
 });
 
+/**
+ * GET /api/portfolio/sync/:jobId - Price sync progress
+ */
+router.get('/sync/:jobId', async (req, res) => {
+  const job = getPriceSyncJob(req.params.jobId, req.user.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'Sync job not found' });
+  }
+  res.json(job);
+});
+
+/**
+ * GET /api/portfolio/pnl - Day/week/month/YTD P&L across the user's active portfolios
+ */
+router.get('/pnl', async (req, res) => {
+  try {
+    const portfolios = await prisma.portfolio.findMany({
+      where: { userId: req.user.userId, isActive: true },
+      select: { id: true }
+    });
+
+    const pnl = await getPeriodPL(portfolios.map(p => p.id));
+    res.json({ success: true, data: pnl });
+  } catch (error) {
+    logger.error('Period P&L error:', error);
+    res.status(500).json({ error: 'Failed to calculate P&L' });
+  }
+});
+
+function performancePeriod(req) {
+  const period = String(req.query.period || '1Y').toUpperCase();
+  return PERFORMANCE_PERIODS.includes(period) ? period : null;
+}
+
+/**
+ * GET /api/portfolio/performance?period=1M|3M|6M|YTD|1Y|3Y|INCEPTION - XIRR and TWR,
+ * family-wide and per active portfolio
+ */
+router.get('/performance', async (req, res) => {
+  const period = performancePeriod(req);
+  if (!period) {
+    return res.status(400).json({ error: `period must be one of ${PERFORMANCE_PERIODS.join(', ')}` });
+  }
+
+  try {
+    const performance = await getPerformance(req.user.userId, { period });
+    res.json({ success: true, data: performance });
+  } catch (error) {
+    logger.error('Performance error:', error);
+    res.status(500).json({ error: 'Failed to calculate returns' });
+  }
+});
+
+/**
+ * GET /api/portfolio/benchmark - Return vs benchmark, tracking difference and alpha over
+ * 1M/3M/6M/1Y/inception, family-wide and per active portfolio
+ */
+router.get('/benchmark', async (req, res) => {
+  try {
+    const comparison = await getBenchmarkComparison(req.user.userId);
+    res.json({ success: true, data: comparison });
+  } catch (error) {
+    logger.error('Benchmark comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare with benchmark' });
+  }
+});
+
+/**
+ * GET /api/portfolio/exposure - Weights by sector, industry, market-cap bucket and exchange,
+ * household-wide and per active portfolio
+ */
+router.get('/exposure', async (req, res) => {
+  try {
+    const exposure = await getExposure(req.user.userId);
+    res.json({ success: true, data: exposure });
+  } catch (error) {
+    logger.error('Exposure error:', error);
+    res.status(500).json({ error: 'Failed to calculate exposure' });
+  }
+});
+
 /**
  * GET /api/portfolio/:portfolioId/holdings - Get holdings for specific portfolio
  */
@@ -326,6 +398,479 @@ router.get('/:portfolioId/holdings', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/portfolio/:id/dividends?from=YYYY-MM-DD&to=YYYY-MM-DD - Dividend income credited to a portfolio
+ */
+router.get('/:id/dividends', async (req, res) => {
+  // Whole IST days: dividends are paid at the ex-date's IST midnight
+  const from = req.query.from ? new Date(`${req.query.from}T00:00:00+05:30`) : undefined;
+  const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999+05:30`) : undefined;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  try {
+    const portfolioId = parseInt(req.params.id);
+    const portfolio = await prisma.portfolio.findFirst({
+      where: { id: portfolioId, userId: req.user.userId }
+    });
+
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const income = await getDividendIncome(req.user.userId, {
+      portfolioId,
+      from,
+      to
+    });
+
+    res.json({ success: true, portfolioId, ...income });
+  } catch (error) {
+    logger.error('Dividend income error:', error);
+    res.status(500).json({ error: 'Failed to fetch dividend income' });
+  }
+});
+
+async function findOwnPortfolio(req) {
+  return prisma.portfolio.findFirst({
+    where: { id: parseInt(req.params.id), userId: req.user.userId }
+  });
+}
+
+async function findOwnTrade(req) {
+  return prisma.trade.findFirst({
+    where: { id: parseInt(req.params.tradeId), portfolioId: parseInt(req.params.id), portfolio: { userId: req.user.userId } }
+  });
+}
+
+/**
+ * GET /api/portfolio/:id/trades?symbol=&type=&from=YYYY-MM-DD&to=YYYY-MM-DD - Trade ledger, newest first
+ */
+router.get('/:id/trades', async (req, res) => {
+  const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+  const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+  if (type && !TRADE_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${TRADE_TYPES.join(', ')}` });
+  }
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const executedAt = {
+      ...(from ? { gte: from } : {}),
+      ...(to ? { lte: to } : {})
+    };
+
+    const trades = await prisma.trade.findMany({
+      where: {
+        portfolioId: portfolio.id,
+        ...(symbol ? { symbol } : {}),
+        ...(type ? { type } : {}),
+        ...(from || to ? { executedAt } : {})
+      },
+      orderBy: [{ executedAt: 'desc' }, { id: 'desc' }]
+    });
+
+    res.json({ success: true, data: trades });
+  } catch (error) {
+    logger.error('Trades fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch trades' });
+  }
+});
+
+/**
+ * POST /api/portfolio/:id/trades - Record a trade; holdings, realized P&L and cash follow
+ * Body: { symbol, exchange?, type, quantity, price, fees?, executedAt?, notes? }
+ * Without fees the trade is charged the portfolio broker's tariff.
+ */
+router.post('/:id/trades', async (req, res) => {
+  let data;
+  try {
+    data = buildTradeData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const result = await createTrade(portfolio.id, data);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.status(201).json({ success: true, data: result.trade });
+  } catch (error) {
+    logger.error('Add trade error:', error);
+    res.status(500).json({ error: 'Failed to add trade' });
+  }
+});
+
+/**
+ * PUT /api/portfolio/:id/trades/:tradeId - Correct a trade
+ */
+router.put('/:id/trades/:tradeId', async (req, res) => {
+  let data;
+  try {
+    data = buildTradeData(req.body, { partial: true });
+    if (Object.keys(data).length === 0) throw new Error('Nothing to update');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const existing = await findOwnTrade(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    const result = await updateTrade(existing, data);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, data: result.trade });
+  } catch (error) {
+    logger.error('Update trade error:', error);
+    res.status(500).json({ error: 'Failed to update trade' });
+  }
+});
+
+/**
+ * DELETE /api/portfolio/:id/trades/:tradeId - Remove a trade
+ */
+router.delete('/:id/trades/:tradeId', async (req, res) => {
+  try {
+    const existing = await findOwnTrade(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+
+    const result = await deleteTrade(existing);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'Trade deleted' });
+  } catch (error) {
+    logger.error('Delete trade error:', error);
+    res.status(500).json({ error: 'Failed to delete trade' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/cash?type=&from=YYYY-MM-DD&to=YYYY-MM-DD - Cash ledger, newest first,
+ * with settled and unsettled balances
+ */
+router.get('/:id/cash', async (req, res) => {
+  const type = req.query.type ? String(req.query.type).toUpperCase() : null;
+  if (type && !CASH_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${CASH_TYPES.join(', ')}` });
+  }
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999+05:30`) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const ledger = await getCashLedger(portfolio.id, { type, from, to });
+    res.json({ success: true, data: ledger });
+  } catch (error) {
+    logger.error('Cash ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch cash ledger' });
+  }
+});
+
+/**
+ * POST /api/portfolio/:id/cash - Record a deposit, withdrawal, charge, interest or adjustment
+ * Body: { type, amount, occurredAt?, reference?, notes? }
+ */
+router.post('/:id/cash', async (req, res) => {
+  let data;
+  try {
+    data = buildCashEntryData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const result = await prisma.$transaction(tx => recordCash(portfolio.id, data, tx));
+    logger.info(`[Cash Ledger] portfolio ${portfolio.id}: ${data.type} ₹${data.amount}`);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Add cash entry error:', error);
+    res.status(500).json({ error: 'Failed to record cash entry' });
+  }
+});
+
+/**
+ * DELETE /api/portfolio/:id/cash/:entryId - Remove a hand-entered cash entry
+ */
+router.delete('/:id/cash/:entryId', async (req, res) => {
+  try {
+    const entry = await prisma.cashTransaction.findFirst({
+      where: { id: parseInt(req.params.entryId), portfolioId: parseInt(req.params.id), portfolio: { userId: req.user.userId } }
+    });
+    if (!entry) {
+      return res.status(404).json({ error: 'Cash entry not found' });
+    }
+
+    const result = await deleteCashEntry(entry);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete cash entry error:', error);
+    res.status(500).json({ error: 'Failed to delete cash entry' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/charges?side=BUY|SELL&quantity=&price=&product=DELIVERY|INTRADAY&exchange=NSE|BSE -
+ * What an order will cost at the portfolio broker's tariff, and for a BUY whether the cash covers it
+ */
+router.get('/:id/charges', async (req, res) => {
+  const side = String(req.query.side || '').toUpperCase();
+  const quantity = Number(req.query.quantity);
+  const price = Number(req.query.price);
+  const product = String(req.query.product || 'DELIVERY').toUpperCase();
+  const exchange = String(req.query.exchange || 'NSE').toUpperCase();
+  if (side !== 'BUY' && side !== 'SELL') {
+    return res.status(400).json({ error: 'side must be BUY or SELL' });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ error: 'quantity must be a positive whole number' });
+  }
+  if (!Number.isFinite(price) || price <= 0) {
+    return res.status(400).json({ error: 'price must be a positive number' });
+  }
+  if (!PRODUCTS.includes(product)) {
+    return res.status(400).json({ error: `product must be one of ${PRODUCTS.join(', ')}` });
+  }
+  if (!TRADE_EXCHANGES.includes(exchange)) {
+    return res.status(400).json({ error: `exchange must be one of ${TRADE_EXCHANGES.join(', ')}` });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const check = await preOrderCapitalCheck(portfolio.id, side, quantity, price, { product, exchange });
+    const { turnover, total } = check.charges;
+    res.json({
+      success: true,
+      data: {
+        broker: portfolio.broker,
+        side,
+        product,
+        ...check.charges,
+        // Cash the order takes (BUY) or brings in (SELL)
+        netAmount: Math.round((side === 'BUY' ? turnover + total : turnover - total) * 100) / 100,
+        allowed: check.allowed,
+        reason: check.reason,
+        effectiveCash: side === 'BUY' ? check.effectiveCash : null
+      }
+    });
+  } catch (error) {
+    logger.error('Order charges error:', error);
+    res.status(500).json({ error: 'Failed to estimate charges' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/targets - Target allocation and tolerance bands
+ */
+router.get('/:id/targets', async (req, res) => {
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    res.json({ success: true, data: await getTargets(portfolio.id) });
+  } catch (error) {
+    logger.error('Allocation targets error:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation targets' });
+  }
+});
+
+/**
+ * PUT /api/portfolio/:id/targets - Replace the target allocation
+ * Body: { dimension: ASSET_CLASS|SECTOR|HOLDING, band?, targets: [{ key, weight, band? }] }
+ */
+router.put('/:id/targets', async (req, res) => {
+  let data;
+  try {
+    data = buildTargetsData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    res.json({ success: true, data: await saveTargets(portfolio.id, data) });
+  } catch (error) {
+    logger.error('Save allocation targets error:', error);
+    res.status(500).json({ error: 'Failed to save allocation targets' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/rebalance - Drift from the targets and the trades that fix it (preview only)
+ */
+router.get('/:id/rebalance', async (req, res) => {
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const plan = await planRebalance(portfolio.id);
+    if (!plan) {
+      return res.status(400).json({ error: 'Set allocation targets first' });
+    }
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    logger.error('Rebalance plan error:', error);
+    res.status(500).json({ error: 'Failed to plan rebalance' });
+  }
+});
+
+/**
+ * POST /api/portfolio/:id/rebalance - Create the plan's trades as draft signals
+ */
+router.post('/:id/rebalance', async (req, res) => {
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const result = await createRebalanceSignals(portfolio.id);
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, data: { plan: result.plan, signals: result.signals } });
+  } catch (error) {
+    logger.error('Create rebalance signals error:', error);
+    res.status(500).json({ error: 'Failed to create rebalance signals' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/pnl - Day/week/month/YTD P&L of one portfolio
+ */
+router.get('/:id/pnl', async (req, res) => {
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const pnl = await getPeriodPL([portfolio.id]);
+    res.json({ success: true, data: pnl });
+  } catch (error) {
+    logger.error('Period P&L error:', error);
+    res.status(500).json({ error: 'Failed to calculate P&L' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/performance?period= - XIRR and TWR of one portfolio
+ */
+router.get('/:id/performance', async (req, res) => {
+  const period = performancePeriod(req);
+  if (!period) {
+    return res.status(400).json({ error: `period must be one of ${PERFORMANCE_PERIODS.join(', ')}` });
+  }
+
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { portfolios } = await getPerformance(req.user.userId, { period, portfolioIds: [portfolio.id] });
+    if (portfolios.length === 0) {
+      return res.status(400).json({ error: 'Portfolio is not active' });
+    }
+    res.json({ success: true, data: portfolios[0] });
+  } catch (error) {
+    logger.error('Performance error:', error);
+    res.status(500).json({ error: 'Failed to calculate returns' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/benchmark - One portfolio against its benchmark
+ */
+router.get('/:id/benchmark', async (req, res) => {
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { portfolios } = await getBenchmarkComparison(req.user.userId, { portfolioIds: [portfolio.id] });
+    if (portfolios.length === 0) {
+      return res.status(400).json({ error: 'Portfolio is not active' });
+    }
+    res.json({ success: true, data: portfolios[0] });
+  } catch (error) {
+    logger.error('Benchmark comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare with benchmark' });
+  }
+});
+
+/**
+ * GET /api/portfolio/:id/exposure - One portfolio's sector, industry, market-cap and exchange
+ * weights, with the household's alongside
+ */
+router.get('/:id/exposure', async (req, res) => {
+  try {
+    const portfolio = await findOwnPortfolio(req);
+    if (!portfolio) {
+      return res.status(404).json({ error: 'Portfolio not found' });
+    }
+
+    const { household, portfolios } = await getExposure(req.user.userId, { portfolioIds: [portfolio.id] });
+    res.json({ success: true, data: { portfolio: portfolios[0], household } });
+  } catch (error) {
+    logger.error('Exposure error:', error);
+    res.status(500).json({ error: 'Failed to calculate exposure' });
+  }
+});
+
 /**
  * POST /api/portfolio/:id/update-capital - Update portfolio capital (PHASE 3)
  */
@@ -355,15 +900,19 @@ router.post('/:id/update-capital', async (req, res) => {
     const oldCapital = parseFloat(portfolio.startingCapital);
     const difference = newCapital - oldCapital;
 
-    // Update portfolio
-    const updated = await prisma.portfolio.update({
-      where: { id: parseInt(id) },
-      data: {
-        startingCapital: newCapital,
-        availableCash: {
-          increment: difference
-        }
+    // Update portfolio; the difference moves cash as a deposit or withdrawal
+    const updated = await prisma.$transaction(async (tx) => {
+      if (difference !== 0) {
+        await recordCash(parseInt(id), {
+          type: difference > 0 ? 'DEPOSIT' : 'WITHDRAWAL',
+          amount: difference,
+          notes: reason || 'Capital update'
+        }, tx);
       }
+      return tx.portfolio.update({
+        where: { id: parseInt(id) },
+        data: { startingCapital: newCapital }
+      });
     });
 
     // Record in history
@@ -405,6 +954,7 @@ router.post('/create', async (req, res) => {
       name, ownerName, broker,
       startingCapital = 10000,
       riskProfile = 'BALANCED',
+      benchmark,
       markets = ['NSE'],
       apiEnabled = false,
       notes,
@@ -428,11 +978,18 @@ router.post('/create', async (req, res) => {
       return res.status(400).json({ error: 'Starting capital must be at least ₹1,000' });
     }
 
-    const VALID_BROKERS = ['SBI_SECURITIES', 'HDFC_SECURITIES', 'UPSTOX', 'ZERODHA', 'GROWW', 'ANGEL_ONE', 'ICICI_DIRECT', 'KOTAK_SECURITIES', 'MOTILAL_OSWAL', '5PAISA', 'OTHER'];
+    const VALID_BROKERS = ['SBI_SECURITIES', 'HDFC_SECURITIES', 'UPSTOX', 'ZERODHA', 'GROWW', 'ANGEL_ONE', 'ICICI_DIRECT', 'KOTAK_SECURITIES', 'MOTILAL_OSWAL', '5PAISA', 'PAPER', 'OTHER'];
     if (!VALID_BROKERS.includes(broker)) {
       return res.status(400).json({ error: 'Invalid broker' });
     }
 
+    let benchmarkSpec;
+    try {
+      benchmarkSpec = benchmark ? formatBenchmark(parseBenchmark(benchmark)) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     // Get userId from auth if available
     const userId = req.userId || 1;
 
@@ -445,6 +1002,7 @@ router.post('/create', async (req, res) => {
         startingCapital,
         availableCash: startingCapital,
         riskProfile,
+        benchmark: benchmarkSpec,
         markets,
         apiEnabled,
         notes: notes || null,
@@ -455,7 +1013,8 @@ router.post('/create', async (req, res) => {
       }
     });
 
-    // Record initial capital
+    // Record initial capital, and its cash as the first deposit
+    await recordCash(portfolio.id, { type: 'DEPOSIT', amount: startingCapital, notes: 'Starting capital' });
     await prisma.capitalHistory.create({
       data: {
         portfolioId: portfolio.id,
@@ -478,6 +1037,7 @@ router.post('/create', async (req, res) => {
         startingCapital: parseFloat(portfolio.startingCapital),
         availableCash: parseFloat(portfolio.availableCash),
         riskProfile: portfolio.riskProfile,
+        benchmark: portfolio.benchmark,
         markets: portfolio.markets,
         apiEnabled: portfolio.apiEnabled,
         investmentGoal: portfolio.investmentGoal,
@@ -499,7 +1059,7 @@ router.put('/:id/settings', async (req, res) => {
   try {
     const { id } = req.params;
     const {
-      name, ownerName, broker, riskProfile, markets,
+      name, ownerName, broker, riskProfile, benchmark, markets,
       apiEnabled, syncEnabled, notes,
       investmentGoal, investmentExperience, monthlyIncome, age
     } = req.body;
@@ -513,12 +1073,19 @@ router.put('/:id/settings', async (req, res) => {
       return res.status(404).json({ error: 'Portfolio not found' });
     }
 
-    const VALID_BROKERS = ['SBI_SECURITIES', 'HDFC_SECURITIES', 'UPSTOX', 'ZERODHA', 'GROWW', 'ANGEL_ONE', 'ICICI_DIRECT', 'KOTAK_SECURITIES', 'MOTILAL_OSWAL', '5PAISA', 'OTHER'];
+    const VALID_BROKERS = ['SBI_SECURITIES', 'HDFC_SECURITIES', 'UPSTOX', 'ZERODHA', 'GROWW', 'ANGEL_ONE', 'ICICI_DIRECT', 'KOTAK_SECURITIES', 'MOTILAL_OSWAL', '5PAISA', 'PAPER', 'OTHER'];
     if (broker && !VALID_BROKERS.includes(broker)) {
       return res.status(400).json({ error: 'Invalid broker' });
     }
 
     const updateData = {};
+    if (benchmark !== undefined) {
+      try {
+        updateData.benchmark = formatBenchmark(parseBenchmark(benchmark));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
     if (name !== undefined) updateData.name = name.trim();
     if (ownerName !== undefined) updateData.ownerName = ownerName.trim();
     if (broker !== undefined) updateData.broker = broker;
@@ -547,6 +1114,7 @@ router.put('/:id/settings', async (req, res) => {
         ownerName: updated.ownerName,
         broker: updated.broker,
         riskProfile: updated.riskProfile,
+        benchmark: updated.benchmark,
         markets: updated.markets,
         apiEnabled: updated.apiEnabled,
         investmentGoal: updated.investmentGoal,
@@ -0,0 +1,166 @@
+import express from 'express';
+import prisma from '../services/prisma.js';
+import { buildScreenData, runRule, runScreen } from '../services/screenRunner.js';
+import { FIELD_HELP, COMPARISON_OPS } from '../services/screenRules.js';
+import { TIMEFRAMES } from '../services/candleResampler.js';
+import logger from '../services/logger.js';
+
+const router = express.Router();
+
+async function findOwnScreen(req) {
+  return prisma.screen.findFirst({
+    where: { id: parseInt(req.params.id), userId: req.user.userId }
+  });
+}
+
+/**
+ * GET /api/screens/fields
+ * Fields, operators and timeframes the rule language accepts.
+ */
+router.get('/fields', (req, res) => {
+  res.json({ success: true, data: { fields: FIELD_HELP, operators: COMPARISON_OPS, timeframes: TIMEFRAMES } });
+});
+
+/**
+ * GET /api/screens
+ * The user's saved screens.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const screens = await prisma.screen.findMany({
+      where: { userId: req.user.userId },
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json({ success: true, data: screens });
+  } catch (error) {
+    logger.error('List screens error:', error);
+    res.status(500).json({ error: 'Failed to fetch screens' });
+  }
+});
+
+/**
+ * POST /api/screens/preview
+ * Run a rule without saving it.
+ * Body: { rule | expression, timeframe?, asOf? }
+ */
+router.post('/preview', async (req, res) => {
+  const { rule, expression, timeframe = '1d', asOf } = req.body;
+
+  let data;
+  try {
+    data = buildScreenData({ rule, expression, timeframe }, { partial: true });
+    if (!data.rule) throw new Error('rule or expression is required');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (asOf && isNaN(new Date(asOf))) {
+    return res.status(400).json({ error: 'asOf must be a valid date' });
+  }
+
+  try {
+    const result = await runRule(data.rule, { timeframe, asOf });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Preview screen error:', error);
+    res.status(500).json({ error: 'Failed to run screen' });
+  }
+});
+
+/**
+ * POST /api/screens
+ * Save a screen.
+ * Body: { name, rule | expression, timeframe?, scheduleMinutes?, notifyTelegram? }
+ */
+router.post('/', async (req, res) => {
+  let data;
+  try {
+    data = buildScreenData(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const screen = await prisma.screen.create({
+      data: { ...data, userId: req.user.userId }
+    });
+    res.status(201).json({ success: true, data: screen });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A screen with this name already exists' });
+    }
+    logger.error('Create screen error:', error);
+    res.status(500).json({ error: 'Failed to save screen' });
+  }
+});
+
+/**
+ * PUT /api/screens/:id
+ * Update a screen. Changing the rule or timeframe resets its match history.
+ */
+router.put('/:id', async (req, res) => {
+  let data;
+  try {
+    data = buildScreenData(req.body, { partial: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const existing = await findOwnScreen(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+
+    if (data.rule || data.timeframe) {
+      data.lastMatches = [];
+    }
+
+    const screen = await prisma.screen.update({ where: { id: existing.id }, data });
+    res.json({ success: true, data: screen });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A screen with this name already exists' });
+    }
+    logger.error('Update screen error:', error);
+    res.status(500).json({ error: 'Failed to update screen' });
+  }
+});
+
+/**
+ * DELETE /api/screens/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await findOwnScreen(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+
+    await prisma.screen.delete({ where: { id: existing.id } });
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete screen error:', error);
+    res.status(500).json({ error: 'Failed to delete screen' });
+  }
+});
+
+/**
+ * POST /api/screens/:id/run
+ * Run a saved screen now. Doesn't notify or touch the scheduled match history.
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    const screen = await findOwnScreen(req);
+    if (!screen) {
+      return res.status(404).json({ error: 'Screen not found' });
+    }
+
+    const result = await runScreen(screen);
+    res.json({ success: true, data: { screenId: screen.id, timeframe: screen.timeframe, ...result } });
+  } catch (error) {
+    logger.error('Run screen error:', error);
+    res.status(500).json({ error: 'Failed to run screen' });
+  }
+});
+
+export default router;
@@ -1,6 +1,9 @@
 import express from 'express';
 import prisma from '../services/prisma.js';
 import { generateTradeSignals } from '../services/signalGenerator.js';
+import { getSignalPerformance } from '../services/signalOutcomes.js';
+import { placeSignalOrder, CLOSED_SIGNAL_STATUSES } from '../services/signalExecution.js';
+import { isPaperBroker } from '../services/paperBroker.js';
 import logger from '../services/logger.js';
 
 const router = express.Router();
@@ -20,7 +23,7 @@ router.get('/', async (req, res) => {
 
     // Verify portfolio belongs to user
     const portfolio = await prisma.portfolio.findFirst({
-      where: { id: portfolioId, userId: req.user.id, isActive: true }
+      where: { id: portfolioId, userId: req.user.userId, isActive: true }
     });
     if (!portfolio) {
       return res.status(404).json({ error: 'Portfolio not found' });
@@ -40,7 +43,7 @@ router.get('/', async (req, res) => {
 
     // Count pending for the Telegram status section
     const pendingCount = await prisma.tradeSignal.count({
-      where: { portfolioId, status: { in: ['PENDING', 'SNOOZED'] } }
+      where: { portfolioId, status: { in: ['DRAFT', 'PENDING', 'SNOOZED'] } }
     });
 
     // Get last notification time
@@ -64,6 +67,43 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/signals/performance?portfolioId=X&source=SIGNAL&days=90
+ * How past signals and proposals played out: share that hit the target before
+ * the stop, and average excursions, overall and by confidence bucket.
+ */
+router.get('/performance', async (req, res) => {
+  try {
+    const { source } = req.query;
+    const portfolioId = req.query.portfolioId ? parseInt(req.query.portfolioId) : null;
+    const days = req.query.days ? parseInt(req.query.days) : 90;
+
+    if (source && !['SIGNAL', 'PROPOSAL'].includes(source)) {
+      return res.status(400).json({ error: 'source must be SIGNAL or PROPOSAL' });
+    }
+    if (!Number.isInteger(days) || days < 1) {
+      return res.status(400).json({ error: 'days must be a positive integer' });
+    }
+
+    if (portfolioId) {
+      const portfolio = await prisma.portfolio.findFirst({
+        where: { id: portfolioId, userId: req.user.userId }
+      });
+      if (!portfolio) {
+        return res.status(404).json({ error: 'Portfolio not found' });
+      }
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const performance = await getSignalPerformance({ userId: req.user.userId, portfolioId, source, since });
+
+    res.json({ success: true, data: { days, ...performance } });
+  } catch (error) {
+    logger.error('GET /signals/performance error:', error);
+    res.status(500).json({ error: 'Failed to fetch signal performance' });
+  }
+});
+
 /**
  * POST /api/signals/generate
  * AI generates BUY/SELL signals for a portfolio.
@@ -78,7 +118,7 @@ router.post('/generate', async (req, res) => {
 
     // Verify portfolio belongs to user
     const portfolio = await prisma.portfolio.findFirst({
-      where: { id: parseInt(portfolioId), userId: req.user.id, isActive: true }
+      where: { id: parseInt(portfolioId), userId: req.user.userId, isActive: true }
     });
     if (!portfolio) {
       return res.status(404).json({ error: 'Portfolio not found' });
@@ -116,7 +156,7 @@ router.post('/:id/ack', async (req, res) => {
       include: { portfolio: true }
     });
 
-    if (!signal || signal.portfolio.userId !== req.user.id) {
+    if (!signal || signal.portfolio.userId !== req.user.userId) {
       return res.status(404).json({ error: 'Signal not found' });
     }
 
@@ -149,4 +189,65 @@ router.post('/:id/ack', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/signals/:id/execute
+ * Place the signal's order with Upstox (or the paper broker), as the Telegram
+ * Execute button does. A BUY the portfolio's cash can't cover, or a LIMIT more
+ * than 20% from the market, is refused; a signal already executing is a 409.
+ */
+router.post('/:id/execute', async (req, res) => {
+  try {
+    const signalId = parseInt(req.params.id);
+
+    const signal = await prisma.tradeSignal.findUnique({
+      where: { id: signalId },
+      include: {
+        portfolio: {
+          include: {
+            user: {
+              include: { upstoxIntegration: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!signal || signal.portfolio.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Signal not found' });
+    }
+    if (CLOSED_SIGNAL_STATUSES.includes(signal.status)) {
+      return res.status(400).json({ error: `Signal is already ${signal.status.toLowerCase()}` });
+    }
+
+    const paper = isPaperBroker(signal.portfolio.broker);
+    const upstox = signal.portfolio.user?.upstoxIntegration;
+    if (!paper && (!upstox || !upstox.isConnected || !upstox.accessToken)) {
+      return res.status(400).json({ error: 'Upstox not connected' });
+    }
+
+    const execution = await placeSignalOrder(signal, { userId: req.user.userId, paper, via: 'web' });
+    if (execution.alreadyClaimed) {
+      return res.status(409).json({ error: 'Signal is already being executed' });
+    }
+    if (execution.priceCheck) {
+      const { price, marketPrice, deviation } = execution.priceCheck;
+      return res.status(400).json({
+        error: `Limit ₹${price} is ${(deviation * 100).toFixed(1)}% from the market price ₹${marketPrice}`,
+        data: execution.priceCheck
+      });
+    }
+    if (!execution.placed) {
+      return res.status(400).json({ error: execution.capitalCheck.reason, data: execution.capitalCheck });
+    }
+
+    res.json({
+      success: true,
+      data: { orderId: execution.result.orderId, dbOrderId: execution.result.dbOrderId }
+    });
+  } catch (error) {
+    logger.error('POST /signals/:id/execute error:', error);
+    res.status(500).json({ error: error.message || 'Failed to execute signal' });
+  }
+});
+
 export default router;
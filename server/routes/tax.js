@@ -1,59 +1,77 @@
 import express from 'express';
-import { calculatePortfolioTax, calculateTaxOnTrade, monthsUntilLTCG } from '../services/taxCalculator.js';
+import { calculatePortfolioTax, calculateTaxOnTrade, monthsUntilLTCG, ltcgDate, determineCapitalGainType, financialYearStart } from '../services/taxCalculator.js';
 import { PrismaClient } from '@prisma/client';
 import logger from '../services/logger.js';
 import { generateTaxReport } from '../services/taxExportService.js';
+import { getDividendIncome } from '../services/corporateActions.js';
+import { getOpenLots } from '../services/taxLots.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One tax position per open lot across the user's portfolios, valued at the
+ * holding's last price (cost when the holding has none).
+ */
+async function getLotPositions(userId) {
+  const portfolios = await prisma.portfolio.findMany({ where: { userId }, select: { id: true } });
+  const portfolioIds = portfolios.map(p => p.id);
+
+  const [lots, holdings] = await Promise.all([
+    getOpenLots(portfolioIds),
+    prisma.holding.findMany({ where: { portfolioId: { in: portfolioIds } } }),
+  ]);
+  const holdingFor = new Map(holdings.map(h => [`${h.portfolioId}:${h.exchange}:${h.symbol}`, h]));
+
+  return lots.map(lot => {
+    const holding = holdingFor.get(`${lot.portfolioId}:${lot.exchange}:${lot.symbol}`);
+    const price = holding?.currentPrice || lot.costPerShare;
+    return {
+      id: lot.id,
+      holdingId: holding?.id ?? null,
+      portfolioId: lot.portfolioId,
+      stock: lot.symbol,
+      quantity: lot.remainingQuantity,
+      investedValue: lot.remainingQuantity * lot.costPerShare,
+      currentValue: lot.remainingQuantity * price,
+      purchaseDate: lot.acquiredAt,
+    };
+  });
+}
+
 /**
  * GET /api/tax/summary
  * Get complete tax breakdown for portfolio
  */
 router.get('/summary', async (req, res) => {
   try {
-    // Fetch all holdings
-    const holdings = await prisma.holding.findMany({
-      include: {
-        latestPrice: {
-          orderBy: { createdAt: 'desc' },
-          take: 1,
-        },
-      },
-    });
+    const userId = req.user.userId;
+    const fyStart = financialYearStart();
 
-    // Transform to format needed for tax calculation
-    const holdingsData = holdings.map(h => ({
-      id: h.id,
-      stock: h.symbol,
-      quantity: h.quantity,
-      investedValue: h.avgPrice * h.quantity,
-      currentValue: (h.latestPrice[0]?.price || h.avgPrice) * h.quantity,
-      purchaseDate: h.createdAt,
-    }));
+    // Unrealized gains are taxed per lot: each purchase has its own date and cost
+    const holdingsData = await getLotPositions(userId);
 
-    // Fetch realized trades for current FY
-    const currentFYStart = new Date(new Date().getFullYear(), 3, 1); // April 1
-    const realizedTrades = await prisma.trade.findMany({
-      where: {
-        type: 'SELL',
-        executedAt: {
-          gte: currentFYStart,
-        },
-      },
+    // Realized gains for the current FY, one row per lot a sale consumed
+    const realizedGains = await prisma.realizedGain.findMany({
+      where: { portfolio: { userId }, soldAt: { gte: fyStart } },
+      orderBy: { soldAt: 'asc' }
     });
 
-    // Transform realized trades
-    const realizedData = realizedTrades.map(t => ({
-      gain: t.profit || 0,
-      purchaseDate: t.createdAt,
+    const realizedData = realizedGains.map(g => ({
+      gain: g.gain,
+      purchaseDate: g.acquiredAt,
+      soldAt: g.soldAt,
     }));
 
     // Calculate tax
     const taxSummary = calculatePortfolioTax(holdingsData, realizedData);
 
-    res.json(taxSummary);
+    // Dividends are taxed as income at slab rate, reported alongside gains
+    const dividends = await getDividendIncome(userId, { from: fyStart });
+
+    res.json({ ...taxSummary, dividendIncome: dividends.total });
   } catch (error) {
     logger.error('Error calculating tax summary:', error);
     res.status(500).json({ error: 'Failed to calculate tax' });
@@ -88,24 +106,7 @@ router.post('/calculate', async (req, res) => {
  */
 router.get('/opportunities', async (req, res) => {
   try {
-    // Get complete tax summary (includes opportunities)
-    const holdings = await prisma.holding.findMany({
-      include: {
-        latestPrice: {
-          orderBy: { createdAt: 'desc' },
-          take: 1,
-        },
-      },
-    });
-
-    const holdingsData = holdings.map(h => ({
-      id: h.id,
-      stock: h.symbol,
-      quantity: h.quantity,
-      investedValue: h.avgPrice * h.quantity,
-      currentValue: (h.latestPrice[0]?.price || h.avgPrice) * h.quantity,
-      purchaseDate: h.createdAt,
-    }));
+    const holdingsData = await getLotPositions(req.user.userId);
 
     const taxSummary = calculatePortfolioTax(holdingsData, []);
 
@@ -121,27 +122,54 @@ router.get('/opportunities', async (req, res) => {
 
 /**
  * GET /api/tax/ltcg-timer/:holdingId
- * Get time remaining to LTCG for a specific holding
+ * Get time remaining to LTCG for each lot of a holding
  */
 router.get('/ltcg-timer/:holdingId', async (req, res) => {
   try {
-    const holding = await prisma.holding.findUnique({
-      where: { id: parseInt(req.params.holdingId) },
+    const holding = await prisma.holding.findFirst({
+      where: { id: parseInt(req.params.holdingId), portfolio: { userId: req.user.userId } },
     });
 
     if (!holding) {
       return res.status(404).json({ error: 'Holding not found' });
     }
 
-    const monthsRemaining = monthsUntilLTCG(holding.createdAt);
+    const openLots = await getOpenLots([holding.portfolioId], { symbol: holding.symbol, exchange: holding.exchange });
+    // A holding entered by hand has no lots until its first trade; treat it as one
+    const lots = openLots.length > 0
+      ? openLots
+      : [{ id: null, remainingQuantity: holding.quantity, acquiredAt: holding.createdAt, costPerShare: holding.avgPrice }];
+
+    const now = new Date();
+    const lotTimers = lots.map(lot => {
+      const willBeLTCGOn = ltcgDate(lot.acquiredAt);
+      const isAlreadyLTCG = determineCapitalGainType(lot.acquiredAt, now) === 'LTCG';
+      return {
+        lotId: lot.id,
+        quantity: lot.remainingQuantity,
+        costPerShare: lot.costPerShare,
+        purchaseDate: lot.acquiredAt,
+        monthsRemaining: isAlreadyLTCG ? 0 : monthsUntilLTCG(lot.acquiredAt),
+        daysRemaining: isAlreadyLTCG ? 0 : Math.ceil((willBeLTCGOn - now) / DAY_MS),
+        willBeLTCGOn,
+        isAlreadyLTCG,
+      };
+    });
+
+    // Headline figures follow the next lot to turn long-term
+    const next = lotTimers.find(l => !l.isAlreadyLTCG);
 
     res.json({
       holdingId: holding.id,
       symbol: holding.symbol,
-      purchaseDate: holding.createdAt,
-      monthsRemaining,
-      willBeLTCGOn: new Date(new Date(holding.createdAt).setMonth(new Date(holding.createdAt).getMonth() + 12)),
-      isAlreadyLTCG: monthsRemaining === 0,
+      purchaseDate: lotTimers[0].purchaseDate,
+      monthsRemaining: next ? next.monthsRemaining : 0,
+      daysRemaining: next ? next.daysRemaining : 0,
+      willBeLTCGOn: next ? next.willBeLTCGOn : lotTimers[0].willBeLTCGOn,
+      isAlreadyLTCG: !next,
+      ltcgQuantity: lotTimers.filter(l => l.isAlreadyLTCG).reduce((sum, l) => sum + l.quantity, 0),
+      stcgQuantity: lotTimers.filter(l => !l.isAlreadyLTCG).reduce((sum, l) => sum + l.quantity, 0),
+      lots: lotTimers,
     });
   } catch (error) {
     logger.error('Error calculating LTCG timer:', error);
@@ -155,7 +183,7 @@ router.get('/ltcg-timer/:holdingId', async (req, res) => {
  */
 router.get('/export', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { year } = req.query;
 
     if (!year) {
@@ -0,0 +1,99 @@
+import express from 'express';
+import {
+  listUniverses,
+  getUniverseMembers,
+  importIndexUniverses,
+  saveCustomUniverse,
+  deleteCustomUniverse
+} from '../services/universe.js';
+import { requireAdmin } from '../middleware/auth.js';
+import logger from '../services/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/universes
+ * Index universes plus the user's custom lists, with current member counts.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const universes = await listUniverses(req.user.userId);
+    res.json({ success: true, data: universes });
+  } catch (error) {
+    logger.error('List universes error:', error);
+    res.status(500).json({ error: 'Failed to fetch universes' });
+  }
+});
+
+/**
+ * GET /api/universes/:code/members?asOf=2025-03-01
+ * Constituents, current or as of a date.
+ */
+router.get('/:code/members', async (req, res) => {
+  try {
+    const { asOf } = req.query;
+    if (asOf && isNaN(new Date(asOf))) {
+      return res.status(400).json({ error: 'asOf must be a valid date' });
+    }
+
+    const members = await getUniverseMembers(req.params.code, { asOf, userId: req.user.userId });
+    res.json({ success: true, data: members });
+  } catch (error) {
+    logger.error('Universe members error:', error);
+    res.status(500).json({ error: 'Failed to fetch universe members' });
+  }
+});
+
+/**
+ * POST /api/universes/import
+ * Re-import the NSE constituent files.
+ * Admin only: every user's screens, cap buckets and prompts read these lists.
+ * Body: { effectiveDate?: 'YYYY-MM-DD', codes?: ['MIDCAP150'] }
+ */
+router.post('/import', requireAdmin, async (req, res) => {
+  try {
+    const { effectiveDate, codes } = req.body;
+    if (effectiveDate && isNaN(new Date(effectiveDate))) {
+      return res.status(400).json({ error: 'effectiveDate must be a valid date' });
+    }
+
+    const results = await importIndexUniverses({ effectiveDate, codes });
+    res.json({ success: true, data: results });
+  } catch (error) {
+    logger.error('Import universes error:', error);
+    res.status(500).json({ error: 'Failed to import universes' });
+  }
+});
+
+/**
+ * POST /api/universes/custom
+ * Create or replace a custom list.
+ * Body: { code, name?, symbols?: string[], csv?: string, effectiveDate? }
+ */
+router.post('/custom', async (req, res) => {
+  try {
+    const result = await saveCustomUniverse(req.user.userId, req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.warn('Save custom universe rejected:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/universes/custom/:code
+ */
+router.delete('/custom/:code', async (req, res) => {
+  try {
+    const deleted = await deleteCustomUniverse(req.user.userId, req.params.code);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Universe not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete custom universe error:', error);
+    res.status(500).json({ error: 'Failed to delete universe' });
+  }
+});
+
+export default router;
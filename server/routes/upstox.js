@@ -17,7 +17,7 @@ const router = express.Router();
  */
 router.get('/authorize', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const authUrl = await getAuthorizationUrl(userId);
     res.json({ authUrl });
   } catch (error) {
@@ -32,7 +32,7 @@ router.get('/authorize', async (req, res) => {
  */
 router.post('/place-order', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { symbol, exchange, transactionType, orderType, quantity, price, triggerPrice, portfolioId } = req.body;
 
     if (!symbol || !transactionType || !quantity) {
@@ -71,7 +71,7 @@ router.post('/place-order', async (req, res) => {
  */
 router.get('/order/:orderId', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { orderId } = req.params;
 
     const result = await getOrderStatus(userId, orderId);
@@ -88,7 +88,7 @@ router.get('/order/:orderId', async (req, res) => {
  */
 router.delete('/order/:orderId', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const { orderId } = req.params;
 
     const result = await cancelOrder(userId, orderId);
@@ -105,7 +105,7 @@ router.delete('/order/:orderId', async (req, res) => {
  */
 router.get('/holdings', async (req, res) => {
   try {
-    const userId = req.userId;
+    const userId = req.user.userId;
     const result = await getHoldings(userId);
     res.json(result);
   } catch (error) {
@@ -1,7 +1,8 @@
 import express from 'express';
 import { exchangeCodeForToken } from '../services/upstoxService.js';
 import { getBot } from '../services/telegramBot.js';
-import { updateCashOnExecution, syncUpstoxFunds } from '../services/capitalGuard.js';
+import { syncUpstoxFunds } from '../services/capitalGuard.js';
+import { recordOrderFill } from '../services/orderFills.js';
 import prisma from '../services/prisma.js';
 import logger from '../services/logger.js';
 const router = express.Router();
@@ -26,7 +27,7 @@ router.get('/auth/upstox/callback', async (req, res) => {
 
     await exchangeCodeForToken(code, userId);
 
-    // Sync Upstox funds to portfolio availableCash
+    // Reconcile Upstox portfolios' cash ledger to the broker funds
     try {
       await syncUpstoxFunds(userId);
     } catch (syncErr) {
@@ -109,7 +110,7 @@ router.post('/webhook/upstox/token', async (req, res) => {
 
     logger.info(`Upstox token auto-refreshed for user ${integration.userId} via webhook`);
 
-    // Sync Upstox funds to portfolio availableCash
+    // Reconcile Upstox portfolios' cash ledger to the broker funds
     try {
       await syncUpstoxFunds(integration.userId);
     } catch (syncErr) {
@@ -171,15 +172,15 @@ router.post('/webhook/upstox/orders', async (req, res) => {
     if (updated.count > 0) {
       logger.info(`Order ${orderId} updated via webhook: ${status}`);
 
-      // Sync portfolio cash on completed orders
+      // Book the fill into trades, holdings and cash on completed orders
       if (status === 'complete') {
         try {
           const completedOrder = await prisma.upstoxOrder.findFirst({ where: { orderId } });
           if (completedOrder) {
-            await updateCashOnExecution(completedOrder.id);
+            await recordOrderFill(completedOrder.id);
           }
         } catch (cashErr) {
-          logger.error(`Cash sync failed for order ${orderId}:`, cashErr.message);
+          logger.error(`Fill booking failed for order ${orderId}:`, cashErr.message);
         }
       }
 
@@ -1,6 +1,6 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import { getCurrentPrice } from '../services/marketData.js';
+import { getQuotes, pickQuote } from '../services/quoteService.js';
 import logger from '../services/logger.js';
 
 const router = express.Router();
@@ -104,11 +104,13 @@ router.get('/signals', async (req, res) => {
   try {
     const watchlist = await prisma.watchlist.findMany();
     const signals = [];
+    const { quotes } = await getQuotes(watchlist.map(w => ({ symbol: w.symbol, exchange: w.exchange })));
 
     for (const stock of watchlist) {
       try {
-        const priceData = await getCurrentPrice(stock.symbol, stock.exchange);
-        
+        const priceData = pickQuote(quotes, stock.symbol, stock.exchange);
+        if (!priceData) throw new Error('No quote');
+
         const signal = {
           symbol: stock.symbol,
           currentPrice: priceData.price,
@@ -136,9 +138,6 @@ router.get('/signals', async (req, res) => {
         if (signal.alerts.length > 0) {
           signals.push(signal);
         }
-
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 12000));
       } catch (error) {
         logger.error(`Signal check failed for ${stock.symbol}`);
       }
@@ -4,14 +4,20 @@
 
 import Anthropic from '@anthropic-ai/sdk';
 import { getCurrentPrice, fetchMarketContext } from './marketData.js';
+import { getQuotes, pickQuote } from './quoteService.js';
 import { ANALYST_IDENTITY, MARKET_DATA_INSTRUCTION, buildAccountabilityScorecard } from './analystPrompts.js';
 import { validateAllocations } from './capitalGuard.js';
+import { detectStoredPatterns, buildPatternContext } from './patternDetection.js';
+import { INDEX_UNIVERSES, getUniverseSymbols, getCapBuckets, buildUniverseContext } from './universe.js';
+import { getExposure, buildExposureContext } from './exposure.js';
 import logger from './logger.js';
 
 const anthropic = new Anthropic({
   apiKey: process.env.CLAUDE_API_KEY,
 });
 
+const CAP_CATEGORY = { LARGE: 'largeCap', MID: 'midCap', SMALL: 'smallCap' };
+
 /**
  * Build a detailed profile brief for Claude from portfolio data.
  * This is the foundation — every AI prompt in the system should use this.
@@ -146,6 +152,32 @@ export async function scanMarketForOpportunities(options = {}) {
     logger.warn('Could not fetch market context for scan:', e.message);
   }
 
+  // Setups on what the investor already holds, so EXIT/ADD calls can cite them
+  let patternContext = '';
+  try {
+    patternContext = await buildPatternContext(portfolio?.holdings || []);
+  } catch (e) {
+    logger.warn('Could not build pattern context for scan:', e.message);
+  }
+
+  // Current index constituents, so picks are live tickers with the right cap label
+  let universeContext = '';
+  try {
+    universeContext = await buildUniverseContext();
+  } catch (e) {
+    logger.warn('Could not build universe context for scan:', e.message);
+  }
+
+  // What the portfolio is already concentrated in, so picks add to the gaps
+  let exposureContext = '';
+  if (portfolio?.id && portfolio.userId) {
+    try {
+      exposureContext = buildExposureContext(await getExposure(portfolio.userId, { portfolioIds: [portfolio.id] }));
+    } catch (e) {
+      logger.warn('Could not compute exposure for scan:', e.message);
+    }
+  }
+
   // Build accountability scorecard if portfolio exists
   let scorecard = '';
   if (portfolio?.id) {
@@ -160,11 +192,15 @@ export async function scanMarketForOpportunities(options = {}) {
 
 ${marketContext}
 ${MARKET_DATA_INSTRUCTION}
+${patternContext}
+${universeContext}
 
 ${scorecard}
 
 ${profileBrief}
 
+${exposureContext}
+
 FULL MARKET SCAN — I need your best conviction picks across the ENTIRE Indian market.
 
 **CAPITAL TO DEPLOY:** ₹${baseAmount.toLocaleString('en-IN')}
@@ -226,7 +262,7 @@ Return ONLY valid JSON (no markdown):
 
 RULES:
 - Real NSE symbols only. Scan across ALL market caps and sectors — don't just pick Nifty 50 names
-- Price estimates should be your best knowledge of current levels
+${universeContext ? '- Pick from the NSE UNIVERSE lists above and set capCategory to the list the symbol appears in. Tickers not listed there may be delisted or renamed\n' : ''}- Price estimates should be your best knowledge of current levels
 - HARD LIMIT: Total suggestedAmount across ALL picks MUST NOT exceed ₹${baseAmount.toLocaleString('en-IN')}. Sum your allocations before responding — if they exceed this limit, scale them down
 - simpleWhy: 3 strings — THESIS, VALUATION, PORTFOLIO FIT
 - Be BOLD. If you have 90% conviction, say it. If it's a speculative play, flag it honestly
@@ -271,28 +307,47 @@ RULES:
     // Optionally fetch real prices to replace Claude's estimates
     if (fetchRealPrices) {
       const allStocks = [...high, ...medium, ...low];
+      const { quotes } = await getQuotes(allStocks.map(st => ({ symbol: st.symbol, exchange: st.exchange || 'NSE' })));
       for (const stock of allStocks) {
-        try {
-          const priceData = await getCurrentPrice(stock.symbol, stock.exchange || 'NSE');
-          if (priceData?.price) {
-            const ratio = priceData.price / stock.price; // How far off was Claude's estimate
-            stock.price = priceData.price;
-            stock.change = priceData.change || 0;
-            stock.changePercent = priceData.changePercent || stock.changePercent || 0;
-            // Scale target and stop-loss proportionally
-            stock.targetPrice = parseFloat((stock.targetPrice * ratio).toFixed(2));
-            stock.stopLoss = parseFloat((stock.stopLoss * ratio).toFixed(2));
-            logger.info(`Real price for ${stock.symbol}: ₹${priceData.price}`);
-          }
-          // Rate limit: Alpha Vantage free tier = 5/min
-          await new Promise(resolve => setTimeout(resolve, 13000));
-        } catch (err) {
-          logger.warn(`Could not fetch real price for ${stock.symbol}: ${err.message}`);
+        const priceData = pickQuote(quotes, stock.symbol, stock.exchange || 'NSE');
+        if (priceData?.price) {
+          const ratio = priceData.price / stock.price; // How far off was Claude's estimate
+          stock.price = priceData.price;
+          stock.change = priceData.change || 0;
+          stock.changePercent = priceData.changePercent || stock.changePercent || 0;
+          // Scale target and stop-loss proportionally
+          stock.targetPrice = parseFloat((stock.targetPrice * ratio).toFixed(2));
+          stock.stopLoss = parseFloat((stock.stopLoss * ratio).toFixed(2));
+          logger.info(`Real price for ${stock.symbol}: ₹${priceData.price}`);
+        } else {
+          logger.warn(`Could not fetch real price for ${stock.symbol}`);
           // Keep Claude's estimated price
         }
       }
     }
 
+    // Cap category from index membership rather than the model's label
+    const capBuckets = await getCapBuckets();
+    if (capBuckets.size > 0) {
+      for (const stock of allPicks) {
+        const bucket = capBuckets.get(String(stock.symbol).toUpperCase());
+        stock.inUniverse = Boolean(bucket);
+        stock.capCategory = CAP_CATEGORY[bucket || 'SMALL'];
+      }
+    }
+
+    // Attach price-action setups from stored candles; picks without history get none
+    for (const stock of allPicks) {
+      try {
+        const { patterns, bars } = await detectStoredPatterns(stock.symbol, stock.exchange || 'NSE');
+        stock.patterns = patterns;
+        stock.patternBars = bars;
+      } catch (e) {
+        logger.warn(`Pattern detection failed for ${stock.symbol}: ${e.message}`);
+        stock.patterns = [];
+      }
+    }
+
     return { high, medium, low };
 
   } catch (error) {
@@ -324,20 +379,10 @@ export async function calculateTechnicals(symbol, exchange) {
 }
 
 /**
- * Get a flat list of common NSE symbols (for reference/fallback)
+ * Every current index constituent (Nifty 50, Next 50, Midcap 150, Smallcap 250)
  */
-export function getAllNSESymbols() {
-  return [
-    // Large Cap
-    'RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'ICICIBANK', 'ITC', 'SBIN', 'BHARTIARTL',
-    'HINDUNILVR', 'LT', 'KOTAKBANK', 'BAJFINANCE', 'MARUTI', 'TITAN', 'ASIANPAINT',
-    // Mid Cap
-    'ZOMATO', 'PAYTM', 'TATAPOWER', 'ADANIGREEN', 'IRCTC', 'FEDERALBNK', 'VOLTAS',
-    'HAVELLS', 'POLYCAB', 'PERSISTENT', 'COFORGE', 'MPHASIS', 'DEEPAKNTR',
-    // Small Cap
-    'SUZLON', 'YESBANK', 'SAIL', 'NMDC', 'TATACHEM', 'JINDALSAW', 'GMRINFRA',
-    'RAILTEL', 'IRFC', 'RVNL', 'BEL', 'HAL', 'COCHINSHIP',
-  ];
+export async function getAllNSESymbols() {
+  return getUniverseSymbols(INDEX_UNIVERSES.map(u => u.code));
 }
 
 export default { scanMarketForOpportunities, calculateTechnicals, getAllNSESymbols, buildProfileBrief, buildAllPortfoliosBrief };
@@ -1,6 +1,7 @@
 import Anthropic from '@anthropic-ai/sdk';
 import logger from './logger.js';
 import { analyzeTechnicals, determineRiskCategory } from './technicalAnalysis.js';
+import { getCapBucket } from './universe.js';
 
 const anthropic = new Anthropic({
   apiKey: process.env.CLAUDE_API_KEY,
@@ -16,17 +17,22 @@ const anthropic = new Anthropic({
  */
 export async function analyzeStock(symbol, exchange, marketData, technicals) {
   try {
-    const riskCategory = determineRiskCategory(technicals, marketData.marketCap || 50000);
+    const capBucket = marketData.capBucket || await getCapBucket(symbol);
+    const riskCategory = determineRiskCategory(technicals, capBucket);
     
     const prompt = `You are a friendly stock market advisor explaining to a complete beginner (like explaining to a 10-year-old).
 
 **Stock**: ${symbol} (${exchange})
 **Current Price**: ₹${marketData.price}
+**Market Cap**: ${{ LARGE: 'Large-cap (Nifty 50 / Next 50)', MID: 'Mid-cap (Nifty Midcap 150)', SMALL: 'Small-cap' }[capBucket]}
 **Risk Level**: ${riskCategory}
 
 **Technical Indicators**:
 - RSI: ${technicals.indicators.rsi} ${technicals.indicators.rsi < 30 ? '(OVERSOLD - cheap!)' : technicals.indicators.rsi > 70 ? '(OVERBOUGHT - expensive!)' : '(NORMAL)'}
-- Trend: ${technicals.trend}
+- Trend: ${technicals.trend}${technicals.indicators.adx ? ` (ADX ${technicals.indicators.adx.adx} - ${technicals.indicators.adx.strength})` : ''}
+- Supertrend: ${technicals.indicators.supertrend ? `${technicals.indicators.supertrend.direction}, trailing stop ₹${technicals.indicators.supertrend.value}` : 'n/a'}
+- MACD: ${technicals.indicators.macd ? `${technicals.indicators.macd.status}${technicals.indicators.macd.crossover ? ` (fresh ${technicals.indicators.macd.crossover.toLowerCase()} crossover)` : ''}` : 'n/a'}
+- Daily range (ATR): ${technicals.indicators.atr ? `₹${technicals.indicators.atr.value} (${technicals.indicators.atr.percent}%)` : 'n/a'}
 - Volume: ${technicals.indicators.volume ? technicals.indicators.volume.status : 'NORMAL'}
 - Momentum: ${technicals.indicators.momentum ? technicals.indicators.momentum.status : 'NEUTRAL'}
 - Volatility: ${technicals.indicators.volatility}%
@@ -81,7 +87,7 @@ Example "comparison": "Like betting on an underdog cricket team - risky but big
       symbol,
       exchange,
       currentPrice: marketData.price,
-      marketCap: marketData.marketCap,
+      capBucket,
       analysis,
       technicals,
       analyzedAt: new Date().toISOString(),
@@ -110,7 +116,7 @@ export async function scanStocks(stocks) {
         stockData.exchange,
         {
           price: stockData.currentPrice,
-          marketCap: stockData.marketCap,
+          capBucket: stockData.capBucket,
         },
         stockData.technicals
       );
@@ -4,6 +4,7 @@
 
 import prisma from './prisma.js';
 import logger from './logger.js';
+import { getSignalPerformance } from './signalOutcomes.js';
 
 // ============================================
 // THE ANALYST IDENTITY — OWNERSHIP MENTALITY
@@ -57,6 +58,7 @@ THE NON-NEGOTIABLE RULES:
 export const MARKET_DATA_INSTRUCTION = `
 REAL-TIME DATA USAGE:
 - Where real-time market data is provided above, use those exact prices as your anchor
+- Index levels, the SECTOR ROTATION ranking and INDIA VIX in that block are live — base market-structure, sector and volatility calls on them, not on memory
 - For stocks without provided live data, use your knowledge to estimate current levels and state your basis (e.g., "RELIANCE trading around ₹2,950 based on recent range")
 - Combine provided data with your analytical reasoning — the data is an INPUT to your analysis, not a cage around it
 - Your job is to REASON, ANALYZE, and RECOMMEND — not just parrot provided numbers
@@ -66,6 +68,8 @@ REAL-TIME DATA USAGE:
 // ACCOUNTABILITY LOOP: Previous Calls Scorecard
 // ============================================
 
+const CALIBRATION_DAYS = 90;
+
 /**
  * Build a scorecard of recent trade signals and their outcomes.
  * Fed into every prompt so the analyst OWNS its calls.
@@ -82,8 +86,10 @@ export async function buildAccountabilityScorecard(portfolioId, days = 7) {
     const recentSignals = await prisma.tradeSignal.findMany({
       where: {
         portfolioId,
+        origin: 'AI',
         createdAt: { gte: since }
       },
+      include: { outcome: true },
       orderBy: { createdAt: 'desc' },
       take: 10
     });
@@ -92,17 +98,6 @@ export async function buildAccountabilityScorecard(portfolioId, days = 7) {
       return '';
     }
 
-    // Get current prices from holdings for comparison
-    const portfolio = await prisma.portfolio.findUnique({
-      where: { id: portfolioId },
-      include: { holdings: true }
-    });
-
-    const holdingPrices = {};
-    for (const h of (portfolio?.holdings || [])) {
-      holdingPrices[h.symbol.toUpperCase()] = parseFloat(h.currentPrice || h.avgPrice);
-    }
-
     const lines = ['=== MY PREVIOUS CALLS — I OWN THESE (Last 7 Days) ==='];
     let wins = 0;
     let losses = 0;
@@ -112,19 +107,29 @@ export async function buildAccountabilityScorecard(portfolioId, days = 7) {
       const status = sig.status;
       const symbol = sig.symbol;
       const side = sig.side;
-      const triggerPrice = sig.triggerPrice || sig.triggerLow || 0;
-      const currentPrice = holdingPrices[symbol.toUpperCase()];
-
-      let outcome = '';
-      if (currentPrice && triggerPrice > 0) {
-        const diff = side === 'BUY'
-          ? ((currentPrice - triggerPrice) / triggerPrice * 100)
-          : ((triggerPrice - currentPrice) / triggerPrice * 100);
-        const plAmount = side === 'BUY'
-          ? (currentPrice - triggerPrice) * sig.quantity
-          : (triggerPrice - currentPrice) * sig.quantity;
-        outcome = ` → Now ₹${currentPrice.toFixed(0)} (${diff >= 0 ? '+' : ''}${diff.toFixed(1)}%, P&L: ${plAmount >= 0 ? '+' : ''}₹${plAmount.toFixed(0)})`;
-        if (diff >= 0) wins++; else losses++;
+      const outcome = sig.outcome;
+      const triggerPrice = outcome?.entryPrice || sig.triggerPrice || sig.triggerLow || 0;
+
+      // Graded by the outcome tracker from market candles, whether or not we bought
+      let outcomeText = '';
+      if (outcome && outcome.returnPct !== null) {
+        const ret = outcome.returnPct;
+        const plAmount = (ret / 100) * outcome.entryPrice * sig.quantity;
+        const retStr = `${ret >= 0 ? '+' : ''}${ret.toFixed(1)}%`;
+        const hitDate = outcome.hitAt?.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+        if (outcome.status === 'TARGET_HIT') {
+          outcomeText = ` → TARGET HIT ${hitDate} (${retStr})`;
+        } else if (outcome.status === 'STOP_HIT') {
+          outcomeText = ` → STOPPED OUT ${hitDate} (${retStr})`;
+        } else {
+          outcomeText = ` → Now ₹${outcome.lastPrice.toFixed(0)} (${retStr})`;
+        }
+        outcomeText += ` | Best +${outcome.mfePct.toFixed(1)}%, worst ${outcome.maePct.toFixed(1)}%`;
+        if (status === 'EXECUTED') outcomeText += `, P&L: ${plAmount >= 0 ? '+' : ''}₹${plAmount.toFixed(0)}`;
+
+        const won = outcome.status === 'TARGET_HIT' || (outcome.status !== 'STOP_HIT' && ret >= 0);
+        if (won) wins++; else losses++;
         if (status === 'EXECUTED') totalPLEstimate += plAmount;
       }
 
@@ -134,8 +139,9 @@ export async function buildAccountabilityScorecard(portfolioId, days = 7) {
         : status === 'EXPIRED' ? '[EXPIRED — MONEY LEFT ON TABLE]'
         : `[${status}]`;
 
+      const levels = sig.targetPrice && sig.stopLoss ? ` (T ₹${sig.targetPrice.toFixed(0)} / SL ₹${sig.stopLoss.toFixed(0)})` : '';
       const dateStr = sig.createdAt.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
-      lines.push(`${dateStr}: ${side} ${symbol} @ ₹${triggerPrice.toFixed(0)} ${statusTag}${outcome} | Confidence: ${sig.confidence}%`);
+      lines.push(`${dateStr}: ${side} ${symbol} @ ₹${triggerPrice.toFixed(0)}${levels} ${statusTag}${outcomeText} | Confidence: ${sig.confidence}%`);
       if (sig.rationale) {
         lines.push(`  My thesis was: ${sig.rationale}`);
       }
@@ -152,6 +158,19 @@ export async function buildAccountabilityScorecard(portfolioId, days = 7) {
       }
     }
 
+    // Longer-run calibration: does higher confidence actually hit more often?
+    const calibration = await getSignalPerformance({
+      portfolioId,
+      source: 'SIGNAL',
+      since: new Date(Date.now() - CALIBRATION_DAYS * 24 * 60 * 60 * 1000)
+    });
+    const buckets = calibration.byConfidence
+      .filter(b => b.targetHits + b.stopHits > 0)
+      .map(b => `${b.bucket} ${b.targetHits}/${b.targetHits + b.stopHits} (${b.hitRatePct.toFixed(0)}%)`);
+    if (buckets.length > 0) {
+      lines.push(`MY CALIBRATION (${CALIBRATION_DAYS}d, target hit before stop, by confidence): ${buckets.join(' | ')}`);
+    }
+
     // Check for unacted signals
     const pendingCount = recentSignals.filter(s => s.status === 'PENDING' || s.status === 'EXPIRED').length;
     if (pendingCount > 0) {
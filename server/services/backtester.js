@@ -0,0 +1,529 @@
+// server/services/backtester.js
+// Replays entry/exit rules (the screen rule language, services/screenRules.js)
+// over stored candles as a long-only portfolio and reports what the strategy
+// would have earned after costs.
+//
+// Execution model:
+// - Rules are evaluated on each bar's close; orders fill at the next bar's open
+//   with slippage against us.
+// - Stop-loss and target are checked inside every bar. A bar that touches both
+//   counts as a stop (we can't know which came first); a gap through either
+//   level fills at the open.
+// - INTRADAY positions are squared off at the close of the last bar of the session.
+// - Every fill pays brokerage and statutory charges (services/charges.js).
+
+import { compileRule, evaluateRuleSeries } from './screenRules.js';
+import { getCandlesForTimeframe, baseIntervalFor, barsPerYear, TIMEFRAMES } from './candleResampler.js';
+import { getUniverseMembers } from './universe.js';
+import { calculateCharges, PRODUCTS } from './charges.js';
+import logger from './logger.js';
+
+export const SIZING_METHODS = ['FIXED_AMOUNT', 'PERCENT_EQUITY', 'RISK_PERCENT'];
+
+// The rule-based versions of the signals technicalAnalysis.js scores
+export const STRATEGY_PRESETS = {
+  RSI_REVERSAL: {
+    description: 'Buy when RSI(14) climbs back above 30, sell once it passes 60',
+    entry: 'rsi14 crosses above 30',
+    exit: 'rsi14 > 60'
+  },
+  MACD_CROSSOVER: {
+    description: 'Buy on a bullish MACD crossover above the 50-bar average, sell on the bearish crossover',
+    entry: 'macd crosses above macdSignal AND close > sma50',
+    exit: 'macd crosses below macdSignal'
+  },
+  GOLDEN_CROSS: {
+    description: 'Buy when SMA 50 crosses above SMA 200, sell on the death cross',
+    entry: 'sma50 crosses above sma200',
+    exit: 'sma50 crosses below sma200'
+  },
+  SUPERTREND: {
+    description: 'Follow Supertrend (10, 3) flips',
+    entry: 'supertrendDir crosses above 0',
+    exit: 'supertrendDir crosses below 0'
+  },
+  VOLUME_BREAKOUT: {
+    description: 'Buy a close above the 20-bar high on 1.5x average volume, sell below EMA 20',
+    entry: 'close > highest20 AND volume > 1.5 * avgVolume20',
+    exit: 'close < ema20'
+  },
+  BOLLINGER_BOUNCE: {
+    description: 'Buy when price closes back above the lower band, sell at the middle band',
+    entry: 'close crosses above bbLower',
+    exit: 'close > bbMiddle'
+  }
+};
+
+const MAX_SYMBOLS = 100;
+const MAX_CURVE_POINTS = 500;
+const DEFAULT_RANGE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const round2 = n => Math.round(n * 100) / 100;
+const istDateKey = time => new Date(time + IST_OFFSET_MS).toISOString().slice(0, 10);
+const isIntraday = timeframe => baseIntervalFor(timeframe) === '5m';
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`${name} must be a date`);
+  return date;
+}
+
+function positiveNumber(value, name, { max = Infinity } = {}) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > max) {
+    throw new Error(`${name} must be a number above 0${max < Infinity ? ` and at most ${max}` : ''}`);
+  }
+  return n;
+}
+
+/**
+ * Validate and fill defaults for a backtest request.
+ *
+ * @param {object} input - Request body (see runBacktest)
+ * @returns {object} Normalised parameters
+ * @throws {Error} With a user-facing message when something is invalid
+ */
+export function normalizeBacktestParams(input = {}) {
+  const preset = input.preset ? STRATEGY_PRESETS[input.preset] : null;
+  if (input.preset && !preset) {
+    throw new Error(`preset must be one of ${Object.keys(STRATEGY_PRESETS).join(', ')}`);
+  }
+
+  const entry = input.entry ?? preset?.entry;
+  if (entry === undefined || entry === null || entry === '') throw new Error('entry rule is required');
+  const exit = input.exit === undefined ? preset?.exit ?? null : input.exit || null;
+
+  // Compile here so rule errors come back as 400s
+  compileRule(entry);
+  if (exit) compileRule(exit);
+
+  const timeframe = input.timeframe || '1d';
+  if (!TIMEFRAMES.includes(timeframe)) {
+    throw new Error(`timeframe must be one of ${TIMEFRAMES.join(', ')}`);
+  }
+
+  const product = input.product || 'DELIVERY';
+  if (!PRODUCTS.includes(product)) throw new Error(`product must be one of ${PRODUCTS.join(', ')}`);
+  if (product === 'INTRADAY' && !isIntraday(timeframe)) {
+    throw new Error('INTRADAY backtests need a 5m, 15m or 1h timeframe');
+  }
+
+  const to = input.to ? parseDate(input.to, 'to') : new Date();
+  const from = input.from ? parseDate(input.from, 'from') : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (from >= to) throw new Error('from must be before to');
+
+  let symbols = null;
+  if (input.symbols !== undefined) {
+    if (!Array.isArray(input.symbols) || input.symbols.length === 0) {
+      throw new Error('symbols must be a non-empty array');
+    }
+    symbols = input.symbols.map(s => (typeof s === 'string'
+      ? { symbol: s.trim().toUpperCase(), exchange: 'NSE' }
+      : { symbol: String(s.symbol || '').trim().toUpperCase(), exchange: s.exchange || 'NSE' }));
+    if (symbols.some(s => !s.symbol)) throw new Error('symbols must not contain blanks');
+    if (symbols.length > MAX_SYMBOLS) throw new Error(`At most ${MAX_SYMBOLS} symbols per backtest`);
+  } else if (!input.universe) {
+    throw new Error('symbols or universe is required');
+  }
+
+  const sizing = {
+    method: input.sizing?.method || 'PERCENT_EQUITY',
+    value: input.sizing?.value ?? 20
+  };
+  if (!SIZING_METHODS.includes(sizing.method)) {
+    throw new Error(`sizing.method must be one of ${SIZING_METHODS.join(', ')}`);
+  }
+  sizing.value = positiveNumber(sizing.value, 'sizing.value', { max: sizing.method === 'FIXED_AMOUNT' ? Infinity : 100 });
+
+  const stopLossPct = input.stopLossPct ? positiveNumber(input.stopLossPct, 'stopLossPct', { max: 100 }) : null;
+  if (sizing.method === 'RISK_PERCENT' && !stopLossPct) {
+    throw new Error('RISK_PERCENT sizing needs a stopLossPct');
+  }
+
+  const maxHoldingBars = input.maxHoldingBars ? parseInt(input.maxHoldingBars) : null;
+  if (maxHoldingBars !== null && !(maxHoldingBars >= 1)) throw new Error('maxHoldingBars must be at least 1');
+
+  const maxPositions = parseInt(input.maxPositions ?? 5);
+  if (!(maxPositions >= 1)) throw new Error('maxPositions must be at least 1');
+
+  const slippageBps = Number(input.slippageBps ?? 5);
+  if (!Number.isFinite(slippageBps) || slippageBps < 0 || slippageBps > 500) {
+    throw new Error('slippageBps must be between 0 and 500');
+  }
+
+  return {
+    preset: input.preset || null,
+    entry,
+    exit,
+    symbols,
+    universe: input.universe ? String(input.universe).toUpperCase() : null,
+    timeframe,
+    product,
+    from,
+    to,
+    initialCapital: positiveNumber(input.initialCapital ?? 100000, 'initialCapital'),
+    sizing,
+    maxPositions,
+    stopLossPct,
+    targetPct: input.targetPct ? positiveNumber(input.targetPct, 'targetPct') : null,
+    maxHoldingBars,
+    slippageBps,
+    brokerage: input.brokerage || null,
+    riskFreeRate: Number(input.riskFreeRate) || 0
+  };
+}
+
+/**
+ * Symbols to test. Universe membership is taken as of the start date, so stocks
+ * that only joined the index later (usually after rallying) aren't included.
+ */
+async function resolveSymbols(params, userId) {
+  if (params.symbols) return params.symbols;
+
+  const members = await getUniverseMembers(params.universe, { asOf: params.from, userId });
+  if (members.length === 0) throw new Error(`Universe ${params.universe} has no members on ${istDateKey(params.from.getTime())}`);
+  if (members.length > MAX_SYMBOLS) {
+    throw new Error(`Universe ${params.universe} has ${members.length} members; backtests take at most ${MAX_SYMBOLS}`);
+  }
+  return members.map(m => ({ symbol: m.symbol, exchange: m.exchange }));
+}
+
+async function loadSeries(symbols, params, entryRule, exitRule) {
+  const warmupBars = Math.max(entryRule.minBars, exitRule?.minBars || 0);
+  // Trading days of warm-up, widened to calendar days with room for holidays
+  const warmupDays = Math.ceil((warmupBars / (barsPerYear(params.timeframe) / 252)) * 1.5) + 10;
+  const loadFrom = new Date(params.from.getTime() - warmupDays * DAY_MS);
+  const fromTime = params.from.getTime();
+
+  const series = [];
+  const skipped = [];
+
+  for (const { symbol, exchange } of symbols) {
+    let candles;
+    try {
+      candles = await getCandlesForTimeframe(symbol, exchange, params.timeframe, { from: loadFrom, to: params.to });
+    } catch (error) {
+      logger.warn(`Backtest: could not load ${symbol} candles: ${error.message}`);
+      skipped.push({ symbol, exchange, bars: 0, reason: 'LOAD_FAILED' });
+      continue;
+    }
+
+    const start = candles.findIndex(c => c.timestamp.getTime() >= fromTime);
+    if (start === -1 || candles.length < warmupBars) {
+      skipped.push({ symbol, exchange, bars: candles.length, reason: 'INSUFFICIENT_HISTORY' });
+      continue;
+    }
+
+    series.push({
+      symbol,
+      exchange,
+      candles,
+      start,
+      times: new Map(candles.map((c, i) => [c.timestamp.getTime(), i])),
+      entry: evaluateRuleSeries(entryRule, candles),
+      exit: exitRule ? evaluateRuleSeries(exitRule, candles) : null
+    });
+  }
+
+  return { series, skipped };
+}
+
+function sizePosition(params, { price, equity, cash }) {
+  const { method, value } = params.sizing;
+  let amount;
+  if (method === 'FIXED_AMOUNT') {
+    amount = value;
+  } else if (method === 'PERCENT_EQUITY') {
+    amount = (equity * value) / 100;
+  } else {
+    // RISK_PERCENT: lose `value`% of equity if the stop is hit
+    amount = ((equity * value) / 100) / (params.stopLossPct / 100);
+  }
+
+  let quantity = Math.floor(Math.min(amount, cash) / price);
+  const cost = q => q * price + calculateCharges({ side: 'BUY', quantity: q, price, product: params.product, brokerage: params.brokerage }).total;
+  while (quantity > 0 && cost(quantity) > cash) {
+    quantity--;
+  }
+  return quantity;
+}
+
+/**
+ * Annualised Sharpe ratio from per-period returns.
+ */
+function sharpeRatio(returns, periodsPerYear, riskFreeRate) {
+  if (returns.length < 2) return null;
+  const rf = riskFreeRate / 100 / periodsPerYear;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+  const sd = Math.sqrt(variance);
+  if (sd === 0) return null;
+  return ((mean - rf) / sd) * Math.sqrt(periodsPerYear);
+}
+
+function computeMetrics(curve, trades, params, exposedBars) {
+  const start = params.initialCapital;
+  const end = curve.length > 0 ? curve[curve.length - 1].equity : start;
+
+  let peak = start;
+  let maxDrawdown = 0;
+  let maxDrawdownAt = null;
+  for (const point of curve) {
+    peak = Math.max(peak, point.equity);
+    const dd = (peak - point.equity) / peak;
+    point.drawdownPct = round2(dd * 100);
+    if (dd > maxDrawdown) {
+      maxDrawdown = dd;
+      maxDrawdownAt = point.time;
+    }
+  }
+
+  // Sharpe on daily (weekly for 1w) equity changes, whatever the bar size
+  const closes = new Map();
+  for (const point of curve) closes.set(istDateKey(point.time.getTime()), point.equity);
+  const periodic = [start, ...closes.values()];
+  const returns = periodic.slice(1).map((e, i) => e / periodic[i] - 1);
+  const periodsPerYear = params.timeframe === '1w' ? 52 : 252;
+
+  const years = curve.length > 1 ? (curve[curve.length - 1].time - curve[0].time) / (365.25 * DAY_MS) : 0;
+  const cagr = years > 0 && end > 0 ? (end / start) ** (1 / years) - 1 : null;
+
+  const wins = trades.filter(t => t.netPnl > 0);
+  const losses = trades.filter(t => t.netPnl <= 0);
+  const grossWin = wins.reduce((a, t) => a + t.netPnl, 0);
+  const grossLoss = Math.abs(losses.reduce((a, t) => a + t.netPnl, 0));
+  const avg = (list, key) => (list.length ? round2(list.reduce((a, t) => a + t[key], 0) / list.length) : null);
+  const sharpe = sharpeRatio(returns, periodsPerYear, params.riskFreeRate);
+
+  return {
+    initialCapital: start,
+    finalEquity: round2(end),
+    netProfit: round2(end - start),
+    totalReturnPct: round2((end / start - 1) * 100),
+    cagrPct: cagr === null ? null : round2(cagr * 100),
+    maxDrawdownPct: round2(maxDrawdown * 100),
+    maxDrawdownAt,
+    sharpe: sharpe === null ? null : round2(sharpe),
+    trades: trades.length,
+    winRatePct: trades.length ? round2((wins.length / trades.length) * 100) : null,
+    avgWinPct: avg(wins, 'returnPct'),
+    avgLossPct: avg(losses, 'returnPct'),
+    profitFactor: grossLoss > 0 ? round2(grossWin / grossLoss) : null,
+    expectancy: avg(trades, 'netPnl'),
+    avgBarsHeld: avg(trades, 'barsHeld'),
+    totalCharges: round2(trades.reduce((a, t) => a + t.charges, 0)),
+    exposurePct: curve.length ? round2((exposedBars / curve.length) * 100) : 0
+  };
+}
+
+function downsample(curve) {
+  if (curve.length <= MAX_CURVE_POINTS) return curve;
+  const step = Math.ceil(curve.length / MAX_CURVE_POINTS);
+  const sampled = curve.filter((_, i) => i % step === 0);
+  if (sampled[sampled.length - 1] !== curve[curve.length - 1]) sampled.push(curve[curve.length - 1]);
+  return sampled;
+}
+
+/**
+ * Backtest a long-only rule strategy over stored candles.
+ *
+ * @param {object} input
+ * @param {object|string} input.entry - Entry rule (tree or expression); optional with a preset
+ * @param {object|string} [input.exit] - Exit rule; positions otherwise leave via stop, target or maxHoldingBars
+ * @param {string} [input.preset] - Key of STRATEGY_PRESETS, supplies entry/exit
+ * @param {Array<string|{symbol, exchange}>} [input.symbols] - Or input.universe (a universe code)
+ * @param {string} [input.timeframe='1d'] - 5m | 15m | 1h | 1d | 1w
+ * @param {'DELIVERY'|'INTRADAY'} [input.product='DELIVERY']
+ * @param {Date|string} [input.from] - Default: a year before `to`
+ * @param {Date|string} [input.to] - Default: now
+ * @param {number} [input.initialCapital=100000]
+ * @param {{ method: string, value: number }} [input.sizing] - FIXED_AMOUNT ₹, PERCENT_EQUITY % or RISK_PERCENT % of equity
+ * @param {number} [input.maxPositions=5]
+ * @param {number} [input.stopLossPct] - % below the entry fill
+ * @param {number} [input.targetPct] - % above the entry fill
+ * @param {number} [input.maxHoldingBars]
+ * @param {number} [input.slippageBps=5]
+ * @param {number} [input.riskFreeRate=0] - Annual %, for Sharpe
+ * @param {{ userId?: number }} options - userId: lets a custom universe be used
+ * @returns {Promise<{ params, metrics, trades, equityCurve, skipped }>}
+ * @throws {Error} On invalid input (see normalizeBacktestParams)
+ */
+export async function runBacktest(input, { userId = null } = {}) {
+  const params = normalizeBacktestParams(input);
+  const entryRule = compileRule(params.entry);
+  const exitRule = params.exit ? compileRule(params.exit) : null;
+
+  const symbols = await resolveSymbols(params, userId);
+  const { series, skipped } = await loadSeries(symbols, params, entryRule, exitRule);
+
+  const fromTime = params.from.getTime();
+  const timeline = [...new Set(series.flatMap(s => s.candles.slice(s.start).map(c => c.timestamp.getTime())))]
+    .sort((a, b) => a - b);
+
+  const slip = params.slippageBps / 10000;
+  const intraday = params.product === 'INTRADAY';
+  const fees = (side, quantity, price) => calculateCharges({ side, quantity, price, product: params.product, brokerage: params.brokerage });
+
+  let cash = params.initialCapital;
+  let equity = cash;
+  const positions = new Map(); // symbol → open position
+  const lastClose = new Map();
+  const pendingEntries = new Set();
+  const pendingExits = new Map(); // symbol → reason
+  const trades = [];
+  const curve = [];
+  let exposedBars = 0;
+  let missedSignals = 0;
+
+  const closePosition = (s, bar, price, reason) => {
+    const position = positions.get(s.symbol);
+    const exitCharges = fees('SELL', position.quantity, price);
+    cash += position.quantity * price - exitCharges.total;
+
+    const grossPnl = (price - position.entryPrice) * position.quantity;
+    const charges = position.entryCharges + exitCharges.total;
+    trades.push({
+      symbol: s.symbol,
+      exchange: s.exchange,
+      entryTime: position.entryTime,
+      entryPrice: round2(position.entryPrice),
+      exitTime: bar.timestamp,
+      exitPrice: round2(price),
+      quantity: position.quantity,
+      barsHeld: position.barsHeld,
+      grossPnl: round2(grossPnl),
+      charges: round2(charges),
+      netPnl: round2(grossPnl - charges),
+      returnPct: round2(((grossPnl - charges) / (position.entryPrice * position.quantity)) * 100),
+      exitReason: reason
+    });
+    positions.delete(s.symbol);
+  };
+
+  for (const time of timeline) {
+    const active = series
+      .map(s => ({ s, i: s.times.get(time) }))
+      .filter(({ i }) => i !== undefined);
+
+    // 1. Exits signalled on the previous close fill at this open
+    for (const { s, i } of active) {
+      const reason = pendingExits.get(s.symbol);
+      if (reason && positions.has(s.symbol)) {
+        const bar = s.candles[i];
+        closePosition(s, bar, bar.open * (1 - slip), reason);
+      }
+      pendingExits.delete(s.symbol);
+    }
+
+    // 2. Then entries, in symbol order, while cash and position slots last
+    for (const { s, i } of active) {
+      if (!pendingEntries.has(s.symbol)) continue;
+      pendingEntries.delete(s.symbol);
+      if (positions.has(s.symbol)) continue;
+      if (positions.size >= params.maxPositions) {
+        missedSignals++;
+        continue;
+      }
+
+      const bar = s.candles[i];
+      const price = bar.open * (1 + slip);
+      const quantity = sizePosition(params, { price, equity, cash });
+      if (quantity < 1) {
+        missedSignals++;
+        continue;
+      }
+
+      const entryCharges = fees('BUY', quantity, price);
+      cash -= quantity * price + entryCharges.total;
+      positions.set(s.symbol, {
+        quantity,
+        entryPrice: price,
+        entryTime: bar.timestamp,
+        entryCharges: entryCharges.total,
+        barsHeld: 0,
+        stop: params.stopLossPct ? price * (1 - params.stopLossPct / 100) : null,
+        target: params.targetPct ? price * (1 + params.targetPct / 100) : null
+      });
+    }
+
+    // 3. Stops and targets inside the bar
+    for (const { s, i } of active) {
+      const position = positions.get(s.symbol);
+      if (!position) continue;
+      const bar = s.candles[i];
+      const { stop, target } = position;
+
+      if (stop !== null && bar.open <= stop) {
+        closePosition(s, bar, bar.open * (1 - slip), 'STOP_LOSS');
+      } else if (target !== null && bar.open >= target) {
+        closePosition(s, bar, bar.open, 'TARGET');
+      } else if (stop !== null && bar.low <= stop) {
+        closePosition(s, bar, stop * (1 - slip), 'STOP_LOSS');
+      } else if (target !== null && bar.high >= target) {
+        closePosition(s, bar, target, 'TARGET');
+      }
+    }
+
+    // 4. Rules on the close
+    for (const { s, i } of active) {
+      const bar = s.candles[i];
+      lastClose.set(s.symbol, bar.close);
+      const next = s.candles[i + 1];
+      const sessionEnds = intraday && (!next || istDateKey(next.timestamp.getTime()) !== istDateKey(time));
+
+      const position = positions.get(s.symbol);
+      if (position) {
+        position.barsHeld++;
+        if (sessionEnds) {
+          closePosition(s, bar, bar.close * (1 - slip), 'SQUARE_OFF');
+        } else if (s.exit?.[i]) {
+          pendingExits.set(s.symbol, 'EXIT_RULE');
+        } else if (params.maxHoldingBars && position.barsHeld >= params.maxHoldingBars) {
+          pendingExits.set(s.symbol, 'MAX_HOLDING');
+        }
+      } else if (s.entry[i] && time >= fromTime && !sessionEnds) {
+        pendingEntries.add(s.symbol);
+      }
+    }
+
+    // 5. Mark to market
+    let holdingsValue = 0;
+    for (const [symbol, position] of positions) {
+      holdingsValue += position.quantity * lastClose.get(symbol);
+    }
+    equity = cash + holdingsValue;
+    if (positions.size > 0) exposedBars++;
+    curve.push({ time: new Date(time), equity: round2(equity) });
+  }
+
+  // Whatever is still open is valued as sold on the last close
+  for (const s of series) {
+    if (!positions.has(s.symbol)) continue;
+    const bar = s.candles[s.candles.length - 1];
+    closePosition(s, bar, bar.close * (1 - slip), 'END_OF_TEST');
+  }
+  if (curve.length > 0) curve[curve.length - 1].equity = round2(cash);
+
+  const metrics = computeMetrics(curve, trades, params, exposedBars);
+  metrics.missedSignals = missedSignals;
+  metrics.symbolsTested = series.length;
+
+  logger.info(`Backtest ${params.preset || 'custom'} on ${series.length} symbols (${params.timeframe}): ${trades.length} trades, ${metrics.totalReturnPct}%`);
+
+  return {
+    params,
+    metrics,
+    trades,
+    equityCurve: downsample(curve),
+    skipped
+  };
+}
+
+export default {
+  SIZING_METHODS,
+  STRATEGY_PRESETS,
+  normalizeBacktestParams,
+  runBacktest
+};
@@ -0,0 +1,155 @@
+// server/services/benchmark.js
+// Did a portfolio beat its benchmark? Each stretch between two valuations of
+// the portfolio is set against the benchmark's move between the same two
+// closes (a blend moves by the weighted moves of its parts). From those pairs
+// come the period returns, the tracking difference between them, and beta and
+// Jensen's alpha from how the portfolio moved with the benchmark day to day.
+
+import logger from './logger.js';
+import { getCandles } from './candleStore.js';
+import { getQuotes, pickQuote } from './quoteService.js';
+import { DEFAULT_BENCHMARK, parseBenchmark, formatBenchmark, benchmarkLabel } from '../utils/marketIndices.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fewer paired returns than this give a beta too noisy to show
+const MIN_BETA_POINTS = 10;
+
+const round2 = n => Math.round(n * 100) / 100;
+const pct = r => (r === null || !Number.isFinite(r) ? null : round2(r * 100));
+const istDateKey = date => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+const componentKey = c => `${c.exchange}:${c.symbol}`;
+
+/**
+ * A portfolio's benchmark, parsed. A spec that no longer parses (an index
+ * dropped from the catalogue) falls back to the default.
+ *
+ * @param {string} spec
+ * @returns {{ spec: string, label: string, components: Array }}
+ */
+export function resolveBenchmark(spec) {
+  let components;
+  try {
+    components = parseBenchmark(spec || DEFAULT_BENCHMARK);
+  } catch (error) {
+    logger.warn(`[Benchmark] "${spec}" is not a valid benchmark (${error.message}); using ${DEFAULT_BENCHMARK}`);
+    components = parseBenchmark(DEFAULT_BENCHMARK);
+  }
+  return { spec: formatBenchmark(components), label: benchmarkLabel(components), components };
+}
+
+/**
+ * Daily closes of every component from `from` on, plus the live level where
+ * a quote is available.
+ *
+ * @param {Array} components - From resolveBenchmark, possibly of several benchmarks
+ * @param {Date} from
+ * @returns {Promise<Map<string, { closes: Array<{ day: string, close: number }>, live: number|null }>>}
+ */
+export async function loadBenchmarkLevels(components, from) {
+  const unique = [...new Map(components.map(c => [componentKey(c), c])).values()];
+  // A week's slack, so a period starting on a holiday finds the close before it
+  const since = new Date(from.getTime() - 7 * DAY_MS);
+
+  let quotes = new Map();
+  try {
+    ({ quotes } = await getQuotes(unique.map(c => ({ symbol: c.symbol, exchange: c.exchange }))));
+  } catch (error) {
+    logger.warn(`[Benchmark] Live levels unavailable: ${error.message}`);
+  }
+
+  const levels = new Map();
+  for (const c of unique) {
+    const candles = await getCandles(c.symbol, c.exchange, '1d', { from: since });
+    levels.set(componentKey(c), {
+      closes: candles.map(bar => ({ day: istDateKey(bar.timestamp), close: bar.close })),
+      live: pickQuote(quotes, c.symbol, c.exchange)?.price ?? null
+    });
+  }
+  return levels;
+}
+
+/**
+ * Level of one component at the close of `date`'s IST day (or the last close
+ * before it); the live level for the end of a period running to now.
+ */
+function levelAt(series, date, live = false) {
+  if (!series) return null;
+  if (live && series.live) return series.live;
+
+  const day = istDateKey(date);
+  let level = null;
+  for (const bar of series.closes) {
+    if (bar.day > day) break;
+    level = bar.close;
+  }
+  return level;
+}
+
+/**
+ * Benchmark move over one stretch, or null when a component has no close
+ * from its start.
+ */
+function benchmarkMove(components, levels, from, to, live) {
+  let move = 0;
+  for (const c of components) {
+    const series = levels.get(componentKey(c));
+    const start = levelAt(series, from);
+    const end = levelAt(series, to, live);
+    if (!start || !end) return null;
+    move += c.weight * (end / start - 1);
+  }
+  return move;
+}
+
+function beta(pairs) {
+  if (pairs.length < MIN_BETA_POINTS) return null;
+  const meanP = pairs.reduce((sum, p) => sum + p.portfolio, 0) / pairs.length;
+  const meanB = pairs.reduce((sum, p) => sum + p.benchmark, 0) / pairs.length;
+  const covariance = pairs.reduce((sum, p) => sum + (p.portfolio - meanP) * (p.benchmark - meanB), 0);
+  const variance = pairs.reduce((sum, p) => sum + (p.benchmark - meanB) ** 2, 0);
+  return variance > 0 ? covariance / variance : null;
+}
+
+/**
+ * Compare a portfolio's sub-period returns with its benchmark over the same
+ * stretches. Stretches from before the benchmark's stored history are left
+ * out of both sides, and the result is marked partial.
+ *
+ * @param {Array<{ from: Date, to: Date, return: number }>} subPeriods - Oldest first
+ * @param {{ spec, label, components }} benchmark - From resolveBenchmark
+ * @param {Map} levels - From loadBenchmarkLevels
+ * @param {Date} now - End of a period measured to the live value
+ * @returns {Object|null} Null when no stretch has benchmark data
+ */
+export function compareWithBenchmark(subPeriods, benchmark, levels, now) {
+  const pairs = [];
+  for (const s of subPeriods) {
+    const move = benchmarkMove(benchmark.components, levels, s.from, s.to, s.to >= now);
+    if (move !== null) pairs.push({ from: s.from, portfolio: s.return, benchmark: move });
+  }
+  if (pairs.length === 0) return null;
+
+  const portfolioReturn = pairs.reduce((growth, p) => growth * (1 + p.portfolio), 1) - 1;
+  const benchmarkReturn = pairs.reduce((growth, p) => growth * (1 + p.benchmark), 1) - 1;
+  const b = beta(pairs);
+
+  return {
+    benchmark: benchmark.spec,
+    label: benchmark.label,
+    from: pairs[0].from,
+    partial: pairs.length < subPeriods.length,
+    portfolioReturnPct: pct(portfolioReturn),
+    benchmarkReturnPct: pct(benchmarkReturn),
+    // Percentage points the portfolio finished ahead (+) or behind (-)
+    trackingDifferencePct: pct(portfolioReturn - benchmarkReturn),
+    beta: b === null ? null : round2(b),
+    // Return beyond what its exposure to the benchmark explains (no risk-free leg)
+    alphaPct: b === null ? null : pct(portfolioReturn - b * benchmarkReturn)
+  };
+}
+
+export default {
+  resolveBenchmark,
+  loadBenchmarkLevels,
+  compareWithBenchmark
+};
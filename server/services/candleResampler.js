@@ -0,0 +1,194 @@
+// server/services/candleResampler.js
+// Builds 15m, 1h, daily and weekly bars from the stored base candles (5m and 1d).
+// Buckets are anchored to the NSE session (09:15–15:30 IST), so hourly bars run
+// 09:15, 10:15 … 15:15 (the last one is 15 minutes long). Bars outside the session
+// and on weekends/NSE holidays are dropped before aggregation.
+
+import { getCandles } from './candleStore.js';
+import { isTradingDateKey } from '../utils/marketHolidays.js';
+
+export const TIMEFRAMES = ['5m', '15m', '1h', '1d', '1w'];
+
+// Timeframes built from intraday bars, with bucket size in minutes
+const INTRADAY_MINUTES = { '5m': 5, '15m': 15, '1h': 60 };
+// Roughly how many base bars make one bar of each timeframe (75 five-minute bars per session)
+const BASE_BARS_PER_BAR = { '15m': 3, '1h': 12, '1w': 5 };
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const SESSION_OPEN_MIN = 9 * 60 + 15;
+const SESSION_CLOSE_MIN = 15 * 60 + 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function istParts(timestamp) {
+  const shifted = new Date(new Date(timestamp).getTime() + IST_OFFSET_MS);
+  return {
+    dateKey: shifted.toISOString().slice(0, 10),
+    minute: shifted.getUTCHours() * 60 + shifted.getUTCMinutes(),
+    weekday: shifted.getUTCDay()
+  };
+}
+
+// UTC instant of an IST date + minutes after IST midnight
+function istInstant(dateKey, minute = 0) {
+  return new Date(new Date(`${dateKey}T00:00:00+05:30`).getTime() + minute * 60 * 1000);
+}
+
+// Monday of the IST week containing dateKey
+function weekKey(dateKey, weekday) {
+  const daysSinceMonday = (weekday + 6) % 7;
+  return new Date(new Date(`${dateKey}T00:00:00Z`).getTime() - daysSinceMonday * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Aggregate candles into a larger timeframe.
+ *
+ * @param {Array} candles - Base candles, oldest first
+ * @param {string} timeframe - 15m | 1h | 1d | 1w
+ * @param {{ source?: '5m' | '1d' }} options - Interval of the input candles
+ * @returns {Array} Resampled candles, oldest first
+ */
+export function resampleCandles(candles, timeframe, { source = '5m' } = {}) {
+  if (!TIMEFRAMES.includes(timeframe)) {
+    throw new Error(`Unsupported timeframe ${timeframe}`);
+  }
+  if (source === '1d' && INTRADAY_MINUTES[timeframe]) {
+    throw new Error(`Cannot build ${timeframe} bars from daily candles`);
+  }
+
+  const buckets = new Map();
+
+  for (const candle of candles) {
+    const { dateKey, minute, weekday } = istParts(candle.timestamp);
+    // Special sessions on listed holidays (e.g. Muhurat trading) are skipped too
+    if (!isTradingDateKey(dateKey)) continue;
+
+    let key;
+    let timestamp;
+
+    if (source === '5m') {
+      if (minute < SESSION_OPEN_MIN || minute >= SESSION_CLOSE_MIN) continue;
+    }
+
+    if (INTRADAY_MINUTES[timeframe]) {
+      const size = INTRADAY_MINUTES[timeframe];
+      const start = SESSION_OPEN_MIN + Math.floor((minute - SESSION_OPEN_MIN) / size) * size;
+      key = `${dateKey}:${start}`;
+      timestamp = istInstant(dateKey, start);
+    } else if (timeframe === '1d') {
+      key = dateKey;
+      timestamp = istInstant(dateKey);
+    } else {
+      key = weekKey(dateKey, weekday);
+      timestamp = istInstant(dateKey); // first trading day of the week
+    }
+
+    const bucket = buckets.get(key);
+    if (!bucket) {
+      buckets.set(key, {
+        symbol: candle.symbol,
+        exchange: candle.exchange,
+        interval: timeframe,
+        timestamp,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0
+      });
+    } else {
+      bucket.high = Math.max(bucket.high, candle.high);
+      bucket.low = Math.min(bucket.low, candle.low);
+      bucket.close = candle.close;
+      bucket.volume += candle.volume || 0;
+    }
+  }
+
+  return [...buckets.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Daily bars: stored provider bars, plus days only the intraday store has
+ * (typically today's developing session).
+ */
+async function getDailyCandles(symbol, exchange, { from, to, limit } = {}) {
+  const daily = await getCandles(symbol, exchange, '1d', { from, to, limit });
+
+  const lastDaily = daily[daily.length - 1];
+  const intradayFrom = lastDaily
+    ? new Date(lastDaily.timestamp.getTime() + DAY_MS)
+    : from;
+  const intraday = await getCandles(symbol, exchange, '5m', { from: intradayFrom, to });
+
+  const known = new Set(daily.map(c => istParts(c.timestamp).dateKey));
+  const extra = resampleCandles(intraday, '1d')
+    .filter(c => !known.has(istParts(c.timestamp).dateKey));
+
+  const merged = [...daily, ...extra].sort((a, b) => a.timestamp - b.timestamp);
+  return limit ? merged.slice(-limit) : merged;
+}
+
+/**
+ * Stored candles in any timeframe.
+ *
+ * @param {string} symbol
+ * @param {string} exchange
+ * @param {string} timeframe - 5m | 15m | 1h | 1d | 1w
+ * @param {{ from?: Date|string, to?: Date|string, limit?: number }} options - limit keeps the most recent N bars
+ * @returns {Promise<Array>} Candles, oldest first
+ */
+export async function getCandlesForTimeframe(symbol, exchange = 'NSE', timeframe = '1d', { from, to, limit } = {}) {
+  if (!TIMEFRAMES.includes(timeframe)) {
+    throw new Error(`Unsupported timeframe ${timeframe}`);
+  }
+
+  if (timeframe === '5m') {
+    return getCandles(symbol, exchange, '5m', { from, to, limit });
+  }
+
+  if (timeframe === '1d') {
+    return getDailyCandles(symbol, exchange, { from, to, limit });
+  }
+
+  // One extra bucket of base bars so a partially-loaded oldest bucket can be dropped
+  const perBar = BASE_BARS_PER_BAR[timeframe];
+  const baseLimit = limit && !from ? (limit + 1) * perBar : undefined;
+
+  const bars = timeframe === '1w'
+    ? resampleCandles(await getDailyCandles(symbol, exchange, { from, to, limit: baseLimit }), '1w', { source: '1d' })
+    : resampleCandles(await getCandles(symbol, exchange, '5m', { from, to, limit: baseLimit }), timeframe);
+
+  if (limit) {
+    return bars.length > limit ? bars.slice(-limit) : bars;
+  }
+  return bars;
+}
+
+/**
+ * Base interval a timeframe is built from — what to backfill when it's empty.
+ */
+export function baseIntervalFor(timeframe) {
+  return INTRADAY_MINUTES[timeframe] ? '5m' : '1d';
+}
+
+/**
+ * Bars per year, for annualising per-bar volatility.
+ */
+export function barsPerYear(timeframe) {
+  return {
+    '5m': 252 * 75,
+    '15m': 252 * 25,
+    '1h': 252 * 7,
+    '1d': 252,
+    '1w': 52
+  }[timeframe] || 252;
+}
+
+export default {
+  TIMEFRAMES,
+  resampleCandles,
+  getCandlesForTimeframe,
+  baseIntervalFor,
+  barsPerYear
+};
@@ -0,0 +1,220 @@
+// server/services/candleStore.js
+// Persistent OHLCV history. Providers only hand out recent windows, so we keep
+// our own copy — indicators, screeners and charts read from here, not the wire.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { callProviders } from './marketProviders/index.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+import { MARKET_INDICES, INDEX_EXCHANGE, parseBenchmark } from '../utils/marketIndices.js';
+
+export const CANDLE_INTERVALS = ['5m', '1d'];
+export const CANDLE_EXCHANGES = ['NSE', 'BSE', INDEX_EXCHANGE];
+
+const DEFAULT_LOOKBACK_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function istDateKey(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+// Daily bars are stored at IST midnight regardless of how the provider stamped them
+function normalizeTimestamp(timestamp, interval) {
+  if (interval === '1d') {
+    return new Date(`${istDateKey(timestamp)}T00:00:00+05:30`);
+  }
+  return new Date(timestamp);
+}
+
+function toCandle(row) {
+  return {
+    symbol: row.symbol,
+    exchange: row.exchange,
+    interval: row.interval,
+    timestamp: row.timestamp,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: Number(row.volume)
+  };
+}
+
+/**
+ * Insert candles, ignoring bars we already have.
+ *
+ * @param {Array} candles - Provider candles ({ symbol, exchange, open, high, low, close, volume, timestamp })
+ * @param {string} interval - 5m or 1d
+ * @param {string} [source] - Provider name
+ * @returns {Promise<number>} Rows inserted
+ */
+export async function saveCandles(candles, interval, source = null) {
+  if (!CANDLE_INTERVALS.includes(interval)) {
+    throw new Error(`Unsupported candle interval: ${interval}`);
+  }
+
+  const data = candles
+    .filter(c => c && isFinite(c.open) && isFinite(c.close) && !isNaN(new Date(c.timestamp)))
+    .map(c => ({
+      symbol: c.symbol,
+      exchange: c.exchange || 'NSE',
+      interval,
+      timestamp: normalizeTimestamp(c.timestamp, interval),
+      open: c.open,
+      high: c.high,
+      low: c.low,
+      close: c.close,
+      volume: BigInt(Math.round(c.volume || 0)),
+      source
+    }));
+
+  if (data.length === 0) return 0;
+
+  const result = await prisma.candle.createMany({ data, skipDuplicates: true });
+  return result.count;
+}
+
+/**
+ * Read stored candles, oldest first.
+ *
+ * @param {string} symbol
+ * @param {string} exchange
+ * @param {string} interval - 5m or 1d
+ * @param {{ from?: Date|string, to?: Date|string, limit?: number }} options
+ */
+export async function getCandles(symbol, exchange = 'NSE', interval = '1d', { from, to, limit } = {}) {
+  const timestamp = {};
+  if (from) timestamp.gte = new Date(from);
+  if (to) timestamp.lte = new Date(to);
+
+  const rows = await prisma.candle.findMany({
+    where: {
+      symbol,
+      exchange,
+      interval,
+      ...(from || to ? { timestamp } : {})
+    },
+    // With a limit and no lower bound we want the most recent N bars
+    orderBy: { timestamp: limit && !from ? 'desc' : 'asc' },
+    ...(limit ? { take: limit } : {})
+  });
+
+  if (limit && !from) rows.reverse();
+  return rows.map(toCandle);
+}
+
+/**
+ * Earliest trading day inside the lookback window with no stored daily bar.
+ * Returns null when the window is complete up to yesterday.
+ */
+async function findFirstDailyGap(symbol, exchange, lookbackDays) {
+  const windowStart = new Date(Date.now() - lookbackDays * DAY_MS);
+  const stored = await prisma.candle.findMany({
+    where: { symbol, exchange, interval: '1d', timestamp: { gte: windowStart } },
+    select: { timestamp: true }
+  });
+  const have = new Set(stored.map(s => istDateKey(s.timestamp)));
+
+  const today = istDateKey(new Date());
+  for (let t = windowStart.getTime(); ; t += DAY_MS) {
+    const day = new Date(t);
+    const key = istDateKey(day);
+    if (key >= today) return null;
+    if (isTradingDay(day) && !have.has(key)) return day;
+  }
+}
+
+/**
+ * Fill missing history for one symbol from the active provider chain.
+ *
+ * Daily: refetches from the first missing trading day in the lookback window.
+ * 5m: providers only serve the latest session, so we store whatever they return.
+ *
+ * @param {string} symbol
+ * @param {string} exchange
+ * @param {{ intervals?: string[], lookbackDays?: number }} options
+ * @returns {Promise<Object>} Rows inserted per interval
+ */
+export async function backfillSymbol(symbol, exchange = 'NSE', { intervals = CANDLE_INTERVALS, lookbackDays = DEFAULT_LOOKBACK_DAYS } = {}) {
+  const inserted = {};
+
+  if (intervals.includes('1d')) {
+    const gapStart = await findFirstDailyGap(symbol, exchange, lookbackDays);
+    if (gapStart) {
+      try {
+        const { provider, result } = await callProviders('getDailyBars', [symbol, exchange, { from: gapStart, to: new Date() }]);
+        inserted['1d'] = await saveCandles(result, '1d', provider);
+      } catch (error) {
+        logger.warn(`[Candles] Daily backfill failed for ${symbol}: ${error.message}`);
+        inserted['1d'] = 0;
+      }
+    } else {
+      inserted['1d'] = 0;
+    }
+  }
+
+  if (intervals.includes('5m')) {
+    try {
+      const { provider, result } = await callProviders('getIntraday', [symbol, exchange]);
+      inserted['5m'] = await saveCandles(result, '5m', provider);
+    } catch (error) {
+      logger.warn(`[Candles] Intraday backfill failed for ${symbol}: ${error.message}`);
+      inserted['5m'] = 0;
+    }
+  }
+
+  return inserted;
+}
+
+/**
+ * Symbols worth keeping history for: everything held or watched, ETFs used as
+ * portfolio benchmarks, plus the NSE index catalogue (exchange 'INDEX') for
+ * index trailing returns.
+ *
+ * @returns {Promise<Array<{ symbol: string, exchange: string }>>}
+ */
+export async function getTrackedSymbols() {
+  const [holdings, watchlist, benchmarks] = await Promise.all([
+    prisma.holding.findMany({ select: { symbol: true, exchange: true }, distinct: ['symbol', 'exchange'] }),
+    prisma.watchlist.findMany({ select: { symbol: true, exchange: true }, distinct: ['symbol', 'exchange'] }),
+    prisma.portfolio.findMany({ where: { isActive: true }, select: { benchmark: true }, distinct: ['benchmark'] })
+  ]);
+
+  const benchmarkEtfs = benchmarks.flatMap(({ benchmark }) => {
+    try {
+      return parseBenchmark(benchmark).filter(c => c.exchange !== INDEX_EXCHANGE);
+    } catch (error) {
+      return [];
+    }
+  });
+
+  const seen = new Map(MARKET_INDICES.map(i => [`${INDEX_EXCHANGE}:${i.symbol}`, { symbol: i.symbol, exchange: INDEX_EXCHANGE }]));
+  for (const s of [...holdings, ...watchlist, ...benchmarkEtfs]) {
+    seen.set(`${s.exchange}:${s.symbol}`, { symbol: s.symbol, exchange: s.exchange || 'NSE' });
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Every stock with stored history in an interval (index series excluded).
+ *
+ * @param {string} interval - 5m or 1d
+ * @returns {Promise<Array<{ symbol: string, exchange: string }>>}
+ */
+export async function getStoredSymbols(interval = '1d') {
+  return prisma.candle.findMany({
+    where: { interval, exchange: { not: INDEX_EXCHANGE } },
+    select: { symbol: true, exchange: true },
+    distinct: ['symbol', 'exchange'],
+    orderBy: [{ symbol: 'asc' }, { exchange: 'asc' }]
+  });
+}
+
+export default {
+  CANDLE_INTERVALS,
+  saveCandles,
+  getCandles,
+  backfillSymbol,
+  getTrackedSymbols,
+  getStoredSymbols
+};
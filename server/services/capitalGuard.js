@@ -1,52 +1,66 @@
 // server/services/capitalGuard.js
 // Central capital enforcement — ensures recommendations never exceed portfolio capital.
 // "Capital is the mother of all recommendations."
+// A BUY costs its value plus the charges the portfolio's broker will bill on it.
 
 import prisma from './prisma.js';
 import logger from './logger.js';
 import { getFunds } from './upstoxService.js';
+import { refreshCashBalance, reconcileCash } from './cashLedger.js';
+import { estimateCharges, portfolioBroker } from './charges.js';
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Cash a delivery BUY takes: its value plus brokerage and statutory charges.
+ */
+function buyCost(broker, quantity, price, exchange = 'NSE') {
+  if (quantity <= 0 || price <= 0) return 0;
+  return quantity * price + estimateCharges({ broker, side: 'BUY', quantity, price, exchange }).total;
+}
 
 /**
  * Get effective cash for a portfolio, accounting for pending signal reservations.
- * Pending/Acked/Snoozed BUY signals reserve cash even before execution.
+ * Raw cash is the settled balance of the cash ledger; sale proceeds awaiting
+ * T+1 settlement can't fund a buy yet.
+ * Draft/Pending/Acked/Snoozed BUY signals reserve cash, charges included, even before execution.
  *
  * @param {number} portfolioId
- * @returns {{ rawCash: number, reservedCash: number, effectiveCash: number }}
+ * @param {{ ignore?: Object }} [options] - ignore: signals (a where filter) left out of the
+ *   reservations, e.g. the ones a new plan is about to replace
+ * @returns {{ rawCash: number, unsettledCash: number, reservedCash: number, effectiveCash: number }}
  */
-export async function getEffectiveCash(portfolioId) {
-  const portfolio = await prisma.portfolio.findUnique({
-    where: { id: portfolioId },
-    select: { availableCash: true }
-  });
+export async function getEffectiveCash(portfolioId, { ignore = null } = {}) {
+  const { availableCash: rawCash, unsettledCash } = await refreshCashBalance(portfolioId);
+  const broker = await portfolioBroker(portfolioId);
 
-  const rawCash = parseFloat(portfolio?.availableCash || 0);
-
-  // Sum cost of all active BUY signals (PENDING, ACKED, SNOOZED, PLACING)
+  // Sum cost of all active BUY signals (DRAFT, PENDING, ACKED, SNOOZED, PLACING)
   const activeSignals = await prisma.tradeSignal.findMany({
     where: {
       portfolioId,
       side: 'BUY',
-      status: { in: ['PENDING', 'ACKED', 'SNOOZED', 'PLACING'] }
+      status: { in: ['DRAFT', 'PENDING', 'ACKED', 'SNOOZED', 'PLACING'] },
+      ...(ignore ? { NOT: ignore } : {})
     },
-    select: { quantity: true, triggerPrice: true, triggerLow: true }
+    select: { quantity: true, triggerPrice: true, triggerLow: true, exchange: true }
   });
 
   const reservedCash = activeSignals.reduce((sum, sig) => {
     const price = parseFloat(sig.triggerPrice || sig.triggerLow || 0);
-    return sum + (sig.quantity * price);
+    return sum + buyCost(broker, sig.quantity, price, sig.exchange);
   }, 0);
 
   const effectiveCash = Math.max(0, rawCash - reservedCash);
 
-  logger.info(`[Capital Guard] Portfolio ${portfolioId}: raw=₹${rawCash.toFixed(0)}, reserved=₹${reservedCash.toFixed(0)}, effective=₹${effectiveCash.toFixed(0)}`);
+  logger.info(`[Capital Guard] Portfolio ${portfolioId}: raw=₹${rawCash.toFixed(0)}, unsettled=₹${unsettledCash.toFixed(0)}, reserved=₹${reservedCash.toFixed(0)}, effective=₹${effectiveCash.toFixed(0)}`);
 
-  return { rawCash, reservedCash, effectiveCash };
+  return { rawCash, unsettledCash, reservedCash, effectiveCash };
 }
 
 /**
  * Validate AI-generated trade signals against available capital.
  * BUY signals are sorted by confidence (highest first — best signals get funded).
- * Over-budget signals get quantity reduced or dropped entirely.
+ * Each is costed with its charges; over-budget signals get quantity reduced or dropped entirely.
  * SELL signals are validated against holding quantity.
  *
  * @param {Array} signals - Array of signal objects from AI
@@ -57,6 +71,7 @@ export async function validateSignals(signals, portfolioId) {
   if (!signals || signals.length === 0) return [];
 
   const { effectiveCash } = await getEffectiveCash(portfolioId);
+  const broker = await portfolioBroker(portfolioId);
 
   // Fetch holdings for SELL validation
   const holdings = await prisma.holding.findMany({
@@ -89,24 +104,28 @@ export async function validateSignals(signals, portfolioId) {
       continue;
     }
 
-    const totalCost = quantity * price;
+    const cost = q => buyCost(broker, q, price, sig.exchange);
+    const totalCost = cost(quantity);
+
+    // Largest quantity the remaining cash covers, charges included
+    let affordableQty = Math.min(quantity, Math.floor(remainingCash / price));
+    while (affordableQty > 0 && cost(affordableQty) > remainingCash) affordableQty--;
 
     if (totalCost <= remainingCash) {
       // Fits within budget
       validated.push(sig);
       remainingCash -= totalCost;
-      logger.info(`[Capital Guard] BUY ${sig.symbol}: ${quantity}x₹${price.toFixed(0)} = ₹${totalCost.toFixed(0)} — APPROVED (remaining: ₹${remainingCash.toFixed(0)})`);
-    } else if (remainingCash >= price) {
+      logger.info(`[Capital Guard] BUY ${sig.symbol}: ${quantity}x₹${price.toFixed(0)} + charges = ₹${totalCost.toFixed(0)} — APPROVED (remaining: ₹${remainingCash.toFixed(0)})`);
+    } else if (affordableQty > 0) {
       // Can afford fewer shares — reduce quantity
-      const affordableQty = Math.floor(remainingCash / price);
       sig.quantity = affordableQty;
-      const reducedCost = affordableQty * price;
+      const reducedCost = cost(affordableQty);
       validated.push(sig);
       remainingCash -= reducedCost;
       logger.warn(`[Capital Guard] BUY ${sig.symbol}: reduced ${quantity}→${affordableQty} shares (budget: ₹${reducedCost.toFixed(0)}, remaining: ₹${remainingCash.toFixed(0)})`);
     } else {
       // Can't afford even 1 share — drop signal
-      logger.warn(`[Capital Guard] BUY ${sig.symbol}: DROPPED — need ₹${price.toFixed(0)} but only ₹${remainingCash.toFixed(0)} left`);
+      logger.warn(`[Capital Guard] BUY ${sig.symbol}: DROPPED — need ₹${cost(1).toFixed(0)} but only ₹${remainingCash.toFixed(0)} left`);
     }
   }
 
@@ -160,97 +179,51 @@ export function validateAllocations(items, budget, field = 'suggestedAmount') {
 
 /**
  * Pre-order capital check — gate before Upstox order placement.
- * For BUY orders: checks quantity * price <= effectiveCash.
+ * For BUY orders: checks quantity * price plus charges <= effectiveCash.
+ * Either side gets the charges the broker will bill, to show before placing.
  *
  * @param {number} portfolioId
  * @param {string} side - 'BUY' or 'SELL'
  * @param {number} quantity
  * @param {number} price - Estimated price (live price for MARKET, limit price for LIMIT)
- * @returns {{ allowed: boolean, reason: string, effectiveCash: number, orderCost: number }}
+ * @param {{ product?: string, exchange?: string, ignore?: Object }} [order] - Delivery on NSE by default;
+ *   ignore: signals left out of the reservations (getEffectiveCash), e.g. the one being executed
+ * @returns {{ allowed: boolean, reason: string, effectiveCash: number, orderCost: number, charges: Object }}
  */
-export async function preOrderCapitalCheck(portfolioId, side, quantity, price) {
+export async function preOrderCapitalCheck(portfolioId, side, quantity, price, { product = 'DELIVERY', exchange = 'NSE', ignore = null } = {}) {
+  const broker = await portfolioBroker(portfolioId);
+  const charges = estimateCharges({ broker, side, quantity, price, product, exchange });
+
   if (side === 'SELL') {
-    return { allowed: true, reason: 'SELL orders do not consume cash', effectiveCash: 0, orderCost: 0 };
+    return { allowed: true, reason: 'SELL orders do not consume cash', effectiveCash: 0, orderCost: 0, charges };
   }
 
-  const { effectiveCash } = await getEffectiveCash(portfolioId);
-  const orderCost = quantity * price;
+  const { effectiveCash } = await getEffectiveCash(portfolioId, { ignore });
+  const orderCost = round2(charges.turnover + charges.total);
 
   if (orderCost <= effectiveCash) {
-    logger.info(`[Capital Guard] Pre-order check PASSED: ₹${orderCost.toFixed(0)} <= ₹${effectiveCash.toFixed(0)}`);
-    return { allowed: true, reason: 'Within capital limits', effectiveCash, orderCost };
+    logger.info(`[Capital Guard] Pre-order check PASSED: ₹${orderCost.toFixed(0)} (charges ₹${charges.total}) <= ₹${effectiveCash.toFixed(0)}`);
+    return { allowed: true, reason: 'Within capital limits', effectiveCash, orderCost, charges };
   }
 
-  logger.warn(`[Capital Guard] Pre-order check FAILED: ₹${orderCost.toFixed(0)} > ₹${effectiveCash.toFixed(0)}`);
+  logger.warn(`[Capital Guard] Pre-order check FAILED: ₹${orderCost.toFixed(0)} (charges ₹${charges.total}) > ₹${effectiveCash.toFixed(0)}`);
   return {
     allowed: false,
-    reason: `Order cost ₹${orderCost.toLocaleString('en-IN')} exceeds available cash ₹${effectiveCash.toLocaleString('en-IN')}`,
+    reason: `Order cost ₹${orderCost.toLocaleString('en-IN')} (incl. ₹${charges.total.toLocaleString('en-IN')} charges) exceeds available cash ₹${effectiveCash.toLocaleString('en-IN')}`,
     effectiveCash,
-    orderCost
+    orderCost,
+    charges
   };
 }
 
 /**
- * Update portfolio cash when an order is confirmed COMPLETE.
- * BUY: availableCash -= filledQuantity * averagePrice
- * SELL: availableCash += filledQuantity * averagePrice
- *
- * @param {number} dbOrderId - The UpstoxOrder record ID
- */
-export async function updateCashOnExecution(dbOrderId) {
-  try {
-    const order = await prisma.upstoxOrder.findUnique({
-      where: { id: dbOrderId },
-      include: { integration: true }
-    });
-
-    if (!order) {
-      logger.warn(`[Capital Guard] updateCash: order ${dbOrderId} not found`);
-      return;
-    }
-
-    const filledQty = order.filledQuantity || order.quantity;
-    const avgPrice = parseFloat(order.averagePrice || order.price || 0);
-
-    if (avgPrice <= 0 || filledQty <= 0) {
-      logger.warn(`[Capital Guard] updateCash: invalid qty=${filledQty} or price=${avgPrice} for order ${dbOrderId}`);
-      return;
-    }
-
-    const amount = filledQty * avgPrice;
-    const portfolioId = order.portfolioId;
-
-    if (!portfolioId) {
-      logger.warn(`[Capital Guard] updateCash: no portfolioId on order ${dbOrderId}`);
-      return;
-    }
-
-    const side = (order.transactionType || '').toUpperCase();
-
-    if (side === 'BUY') {
-      await prisma.portfolio.update({
-        where: { id: portfolioId },
-        data: { availableCash: { decrement: amount } }
-      });
-      logger.info(`[Capital Guard] Cash decremented ₹${amount.toFixed(0)} for BUY order ${dbOrderId} (portfolio ${portfolioId})`);
-    } else if (side === 'SELL') {
-      await prisma.portfolio.update({
-        where: { id: portfolioId },
-        data: { availableCash: { increment: amount } }
-      });
-      logger.info(`[Capital Guard] Cash incremented ₹${amount.toFixed(0)} for SELL order ${dbOrderId} (portfolio ${portfolioId})`);
-    }
-  } catch (error) {
-    logger.error(`[Capital Guard] updateCashOnExecution failed for order ${dbOrderId}:`, error.message);
-  }
-}
-
-/**
- * Sync Upstox available margin to portfolio.availableCash.
+ * Reconcile the cash ledger of a user's Upstox portfolios to the account's
+ * available margin; the account funds them all, so they are reconciled
+ * together and any gap is booked once, as an ADJUSTMENT to the oldest (reconcileCash).
  * Also expires stale PENDING/SNOOZED signals older than 24 hours.
  *
  * @param {number} userId
- * @returns {{ synced: number, availableMargin: number }}
+ * @returns {{ synced: number, availableMargin: number }} synced: entries booked (0 or 1)
  */
 export async function syncUpstoxFunds(userId) {
   try {
@@ -263,18 +236,16 @@ export async function syncUpstoxFunds(userId) {
         userId,
         broker: 'UPSTOX',
         isActive: true
-      }
+      },
+      orderBy: { id: 'asc' },
+      select: { id: true }
     });
 
     let synced = 0;
-    for (const portfolio of portfolios) {
-      const oldCash = parseFloat(portfolio.availableCash || 0);
-      if (Math.abs(oldCash - availableMargin) > 0.01) {
-        await prisma.portfolio.update({
-          where: { id: portfolio.id },
-          data: { availableCash: availableMargin }
-        });
-        logger.info(`[Capital Guard] Upstox funds synced: portfolio ${portfolio.id} cash ₹${oldCash.toFixed(0)} → ₹${availableMargin.toFixed(0)}`);
+    if (portfolios.length > 0) {
+      const adjusted = await reconcileCash(portfolios.map(p => p.id), availableMargin, 'Upstox available margin');
+      if (adjusted !== 0) {
+        logger.info(`[Capital Guard] Upstox funds synced: portfolio ${portfolios[0].id} booked a ₹${adjusted.toFixed(0)} adjustment so ${portfolios.length} portfolio(s) match ₹${availableMargin.toFixed(0)}`);
         synced++;
       }
     }
@@ -283,7 +254,7 @@ export async function syncUpstoxFunds(userId) {
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     const expired = await prisma.tradeSignal.updateMany({
       where: {
-        status: { in: ['PENDING', 'SNOOZED'] },
+        status: { in: ['DRAFT', 'PENDING', 'SNOOZED'] },
         createdAt: { lt: twentyFourHoursAgo }
       },
       data: { status: 'EXPIRED' }
@@ -305,6 +276,5 @@ export default {
   validateSignals,
   validateAllocations,
   preOrderCapitalCheck,
-  updateCashOnExecution,
   syncUpstoxFunds
 };
@@ -0,0 +1,368 @@
+// server/services/cashLedger.js
+// A portfolio's cash as a ledger of CashTransactions: deposits, withdrawals,
+// buy debits, sell credits, dividends, charges, interest and reconciling
+// adjustments. Portfolio.availableCash (settled) and unsettledCash (sale
+// proceeds until T+1) are sums over it, rewritten after every entry, so each
+// rupee of the balance can be traced to a line on the broker statement.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { isTradingDateKey } from '../utils/marketHolidays.js';
+
+export const CASH_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'BUY', 'SELL', 'DIVIDEND', 'CHARGE', 'INTEREST', 'ADJUSTMENT'];
+// Entered by hand; BUY, SELL and DIVIDEND entries come from trades and payouts
+export const MANUAL_CASH_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'CHARGE', 'INTEREST', 'ADJUSTMENT'];
+// Money moved in or out by the owner: the flows performance is measured around.
+// An ADJUSTMENT (a correction, or a gap reconciled to the broker) isn't one.
+export const FLOW_TYPES = ['DEPOSIT', 'WITHDRAWAL'];
+
+const DEBIT_TYPES = ['WITHDRAWAL', 'BUY', 'CHARGE'];
+
+const round2 = n => Math.round(n * 100) / 100;
+const istDateKey = date => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * When a sale's proceeds can be used: the start of the next trading day.
+ */
+export function settlementDate(executedAt) {
+  let t = new Date(`${istDateKey(executedAt)}T00:00:00+05:30`).getTime();
+  do {
+    t += 24 * 60 * 60 * 1000;
+  } while (!isTradingDateKey(istDateKey(t)));
+  return new Date(`${istDateKey(t)}T00:00:00+05:30`);
+}
+
+/**
+ * Validate a hand-entered ledger entry from a request body.
+ * Throws with a user-facing message on invalid input.
+ *
+ * @param {Object} body - { type, amount, occurredAt?, reference?, notes? }; amount is
+ *   positive except for an ADJUSTMENT, which is signed
+ * @returns {Object} Fields for recordCash
+ */
+export function buildCashEntryData(body) {
+  const type = String(body.type || '').toUpperCase();
+  if (!MANUAL_CASH_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${MANUAL_CASH_TYPES.join(', ')}`);
+  }
+
+  const amount = Number(body.amount);
+  if (!Number.isFinite(amount) || amount === 0) throw new Error('amount must be a non-zero number');
+  if (type !== 'ADJUSTMENT' && amount < 0) throw new Error('amount must be positive; the type sets the direction');
+
+  const occurredAt = body.occurredAt ? new Date(body.occurredAt) : new Date();
+  if (isNaN(occurredAt)) throw new Error('occurredAt must be a valid date');
+  if (occurredAt > new Date()) throw new Error('occurredAt cannot be in the future');
+
+  return {
+    type,
+    amount: type === 'ADJUSTMENT' ? round2(amount) : round2(DEBIT_TYPES.includes(type) ? -amount : amount),
+    occurredAt,
+    reference: body.reference ? String(body.reference).trim() : null,
+    notes: body.notes ? String(body.notes).trim() : null
+  };
+}
+
+/**
+ * Recompute a portfolio's settled and unsettled cash from its ledger and store
+ * them on the portfolio.
+ *
+ * @param {number} portfolioId
+ * @param {Object} [client] - Transaction client, or the shared prisma client
+ * @returns {Promise<{ availableCash: number, unsettledCash: number }>}
+ */
+export async function refreshCashBalance(portfolioId, client = prisma, now = new Date()) {
+  const [all, settled] = await Promise.all([
+    client.cashTransaction.aggregate({ where: { portfolioId }, _sum: { amount: true } }),
+    client.cashTransaction.aggregate({ where: { portfolioId, settlesOn: { lte: now } }, _sum: { amount: true } })
+  ]);
+
+  const availableCash = round2(settled._sum.amount || 0);
+  const unsettledCash = round2((all._sum.amount || 0) - availableCash);
+  await client.portfolio.update({ where: { id: portfolioId }, data: { availableCash, unsettledCash } });
+  return { availableCash, unsettledCash };
+}
+
+/**
+ * Add one entry and update the balance.
+ *
+ * @param {number} portfolioId
+ * @param {{ type, amount, occurredAt?, settlesOn?, tradeId?, dividendPayoutId?, reference?, notes?, createdAt? }} entry
+ *   Signed amount; settles when it occurred unless told otherwise
+ * @param {Object} [client]
+ * @returns {Promise<{ entry: Object, availableCash: number, unsettledCash: number }>}
+ */
+export async function recordCash(portfolioId, entry, client = prisma) {
+  const occurredAt = entry.occurredAt || new Date();
+  const created = await client.cashTransaction.create({
+    data: { portfolioId, ...entry, amount: round2(entry.amount), occurredAt, settlesOn: entry.settlesOn || occurredAt }
+  });
+  const balance = await refreshCashBalance(portfolioId, client);
+  return { entry: created, ...balance };
+}
+
+/**
+ * Entries a trade makes: the consideration (a SELL's settles T+1) and its
+ * charges. Opening balances were paid for before the ledger, and trades that
+ * didn't complete moved nothing.
+ */
+export function tradeCashEntries(trade) {
+  if (!trade || trade.source === 'OPENING') return [];
+  if (trade.status && trade.status !== 'COMPLETED') return [];
+
+  const value = round2(trade.quantity * trade.price);
+  const entries = [{
+    type: trade.type,
+    amount: trade.type === 'BUY' ? -value : value,
+    occurredAt: trade.executedAt,
+    settlesOn: trade.type === 'SELL' ? settlementDate(trade.executedAt) : trade.executedAt,
+    notes: `${trade.type} ${trade.quantity}x ${trade.symbol} @ ₹${trade.price}`
+  }];
+  if (trade.fees > 0) {
+    entries.push({
+      type: 'CHARGE',
+      amount: -round2(trade.fees),
+      occurredAt: trade.executedAt,
+      settlesOn: trade.executedAt,
+      notes: `Charges on ${trade.type} ${trade.quantity}x ${trade.symbol}`
+    });
+  }
+  return entries;
+}
+
+/**
+ * Write (or rewrite, after a correction) a trade's ledger entries and update
+ * the balance. A deleted trade's entries go with it.
+ *
+ * @param {Object} trade - Trade row
+ * @param {Object} [client]
+ */
+export async function bookTradeCash(trade, client = prisma) {
+  await client.cashTransaction.deleteMany({ where: { tradeId: trade.id } });
+  for (const entry of tradeCashEntries(trade)) {
+    await client.cashTransaction.create({
+      data: { portfolioId: trade.portfolioId, tradeId: trade.id, reference: trade.orderId || null, ...entry }
+    });
+  }
+  return refreshCashBalance(trade.portfolioId, client);
+}
+
+/**
+ * A portfolio's ledger, newest first, each entry with the balance after it.
+ *
+ * @param {number} portfolioId
+ * @param {{ type?: string, from?: Date, to?: Date }} [filters]
+ * @returns {Promise<{ availableCash, unsettledCash, totals: Object, entries: Array }>}
+ */
+export async function getCashLedger(portfolioId, { type = null, from = null, to = null } = {}) {
+  const [portfolio, all] = await Promise.all([
+    prisma.portfolio.findUnique({ where: { id: portfolioId }, select: { availableCash: true, unsettledCash: true } }),
+    prisma.cashTransaction.findMany({
+      where: { portfolioId },
+      orderBy: [{ occurredAt: 'asc' }, { id: 'asc' }]
+    })
+  ]);
+
+  const now = new Date();
+  let balance = 0;
+  const withBalance = all.map(entry => {
+    balance = round2(balance + entry.amount);
+    return { ...entry, settled: entry.settlesOn <= now, balance };
+  });
+
+  const entries = withBalance
+    .filter(e => (!type || e.type === type) && (!from || e.occurredAt >= from) && (!to || e.occurredAt <= to))
+    .reverse();
+
+  const totals = {};
+  for (const e of entries) totals[e.type] = round2((totals[e.type] || 0) + e.amount);
+
+  return {
+    availableCash: portfolio?.availableCash ?? 0,
+    unsettledCash: portfolio?.unsettledCash ?? 0,
+    totals,
+    entries
+  };
+}
+
+/**
+ * Remove a hand-entered entry. Trade and dividend entries follow their
+ * records and are corrected there.
+ *
+ * @param {Object} entry - CashTransaction row
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function deleteCashEntry(entry) {
+  if (entry.tradeId || entry.dividendPayoutId) {
+    return { success: false, error: 'This entry belongs to a trade or dividend; correct that instead' };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.cashTransaction.delete({ where: { id: entry.id } });
+    await refreshCashBalance(entry.portfolioId, tx);
+  });
+  logger.info(`[Cash Ledger] portfolio ${entry.portfolioId}: deleted ${entry.type} #${entry.id} (₹${entry.amount})`);
+  return { success: true };
+}
+
+/**
+ * Bring the ledger in line with the cash the broker reports. The broker's
+ * margin already counts sale proceeds still settling, so it is compared with
+ * settled plus unsettled cash, and the proceeds aren't counted twice when they
+ * settle. Whatever is left over (charge estimates off by a few paise, money
+ * moved at the broker) is booked as a signed ADJUSTMENT: it isn't known to be
+ * the owner's money moving, so it stays out of the flows performance uses.
+ * One broker account can fund several portfolios: their cash is compared with
+ * it together and the gap booked to the first, so the account is counted once.
+ *
+ * @param {number[]} portfolioIds - Portfolios the account funds; the first takes the entry
+ * @param {number} brokerCash
+ * @param {string} source - Who reported it, for the entry's notes
+ * @returns {Promise<number>} Amount booked (0 when they already agree)
+ */
+export async function reconcileCash(portfolioIds, brokerCash, source) {
+  return prisma.$transaction(async (tx) => {
+    let ledgerCash = 0;
+    for (const portfolioId of portfolioIds) {
+      const { availableCash, unsettledCash } = await refreshCashBalance(portfolioId, tx);
+      ledgerCash += availableCash + unsettledCash;
+    }
+    ledgerCash = round2(ledgerCash);
+    const difference = round2(brokerCash - ledgerCash);
+    if (Math.abs(difference) < 0.01) return 0;
+
+    await recordCash(portfolioIds[0], {
+      type: 'ADJUSTMENT',
+      amount: difference,
+      notes: `Reconciled to ${source}: ₹${ledgerCash.toFixed(2)} → ₹${brokerCash.toFixed(2)}`
+    }, tx);
+    return difference;
+  });
+}
+
+/**
+ * Move proceeds that have reached their settlement date into available cash.
+ *
+ * @returns {Promise<number>} Portfolios whose balance changed
+ */
+export async function settleCash(now = new Date()) {
+  const pending = await prisma.portfolio.findMany({
+    where: { unsettledCash: { not: 0 } },
+    select: { id: true, availableCash: true }
+  });
+
+  let changed = 0;
+  for (const portfolio of pending) {
+    const { availableCash } = await refreshCashBalance(portfolio.id, prisma, now);
+    if (availableCash !== portfolio.availableCash) changed++;
+  }
+
+  logger.info(`[Cash Ledger] Settlement: ${changed}/${pending.length} portfolios had proceeds settle`);
+  return changed;
+}
+
+/**
+ * Deposits and withdrawals of the given portfolios, oldest first.
+ *
+ * @param {number[]} portfolioIds
+ */
+export async function getCashFlows(portfolioIds) {
+  return prisma.cashTransaction.findMany({
+    where: { portfolioId: { in: portfolioIds }, type: { in: FLOW_TYPES } },
+    orderBy: [{ occurredAt: 'asc' }, { id: 'asc' }]
+  });
+}
+
+/**
+ * One-time build of the ledger from what was tracked before it: capital
+ * changes become deposits and withdrawals, trades and dividend payouts their
+ * entries, and an ADJUSTMENT carries whatever that doesn't explain, so each
+ * portfolio's balance is unchanged. Does nothing once any entry exists.
+ *
+ * @returns {Promise<{ portfolios: number, entries: number }|null>} null when the ledger already existed
+ */
+export async function backfillCashLedger() {
+  if (await prisma.cashTransaction.count() > 0) return null;
+
+  const portfolios = await prisma.portfolio.findMany();
+  let entries = 0;
+
+  for (const portfolio of portfolios) {
+    const [history, trades, payouts] = await Promise.all([
+      prisma.capitalHistory.findMany({ where: { portfolioId: portfolio.id }, orderBy: { createdAt: 'asc' } }),
+      prisma.trade.findMany({ where: { portfolioId: portfolio.id, status: 'COMPLETED', type: { in: ['BUY', 'SELL'] } } }),
+      prisma.dividendPayout.findMany({ where: { portfolioId: portfolio.id } })
+    ]);
+
+    const rows = [];
+    if (history.length === 0 && portfolio.startingCapital > 0) {
+      rows.push({ type: 'DEPOSIT', amount: portfolio.startingCapital, occurredAt: portfolio.createdAt, notes: 'Starting capital' });
+    }
+    if (history.length > 0 && history[0].oldCapital > 0) {
+      rows.push({ type: 'DEPOSIT', amount: history[0].oldCapital, occurredAt: portfolio.createdAt, notes: 'Starting capital' });
+    }
+    for (const h of history) {
+      const amount = round2(h.newCapital - h.oldCapital);
+      if (amount === 0) continue;
+      rows.push({ type: amount > 0 ? 'DEPOSIT' : 'WITHDRAWAL', amount, occurredAt: h.createdAt, notes: h.reason || null });
+    }
+    for (const trade of trades) {
+      for (const entry of tradeCashEntries(trade)) {
+        rows.push({ ...entry, tradeId: trade.id, reference: trade.orderId || null });
+      }
+    }
+    for (const payout of payouts) {
+      rows.push({
+        type: 'DIVIDEND',
+        amount: payout.amount,
+        occurredAt: payout.paidAt,
+        dividendPayoutId: payout.id,
+        notes: `${payout.symbol} dividend ₹${payout.perShare}/share × ${payout.quantity}`
+      });
+    }
+
+    const total = rows.reduce((sum, r) => sum + r.amount, 0);
+    const unexplained = round2(portfolio.availableCash + portfolio.unsettledCash - total);
+    if (unexplained !== 0) {
+      rows.push({ type: 'ADJUSTMENT', amount: unexplained, occurredAt: new Date(), notes: 'Balance not explained by recorded history when the cash ledger started' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const row of rows) {
+        // Dated entries keep their date as the booking time too, for period P&L
+        await tx.cashTransaction.create({
+          data: {
+            portfolioId: portfolio.id,
+            ...row,
+            amount: round2(row.amount),
+            settlesOn: row.settlesOn || row.occurredAt,
+            createdAt: row.occurredAt
+          }
+        });
+      }
+      await refreshCashBalance(portfolio.id, tx);
+    }, { timeout: 60000 });
+    entries += rows.length;
+  }
+
+  logger.info(`[Cash Ledger] Backfill: ${entries} entries across ${portfolios.length} portfolios`);
+  return { portfolios: portfolios.length, entries };
+}
+
+export default {
+  CASH_TYPES,
+  MANUAL_CASH_TYPES,
+  FLOW_TYPES,
+  settlementDate,
+  buildCashEntryData,
+  refreshCashBalance,
+  recordCash,
+  tradeCashEntries,
+  bookTradeCash,
+  getCashLedger,
+  deleteCashEntry,
+  reconcileCash,
+  settleCash,
+  getCashFlows,
+  backfillCashLedger
+};
@@ -0,0 +1,155 @@
+// server/services/charges.js
+// Transaction costs on Indian cash-equity orders: brokerage plus the statutory
+// levies every broker passes through (STT, exchange transaction charge, SEBI
+// turnover fee, stamp duty, GST) and the depository charge on delivery sells.
+// Brokerage follows the portfolio's broker where we know its tariff; the
+// estimate is what trades are booked with until a contract note says otherwise.
+
+import prisma from './prisma.js';
+
+// Statutory rates as fractions of turnover (FY 2025-26)
+const STATUTORY = {
+  DELIVERY: {
+    stt: { BUY: 0.001, SELL: 0.001 }, // 0.1% both sides
+    stampDuty: 0.00015 // 0.015%, buy side only
+  },
+  INTRADAY: {
+    stt: { BUY: 0, SELL: 0.00025 }, // 0.025% on the sell side
+    stampDuty: 0.00003 // 0.003%, buy side only
+  }
+};
+
+const EXCHANGE_TXN_RATE = {
+  NSE: 0.0000297, // 0.00297%
+  BSE: 0.0000375 // 0.00375%
+};
+
+const SEBI_FEE_RATE = 10 / 1e7; // ₹10 per crore
+const GST_RATE = 0.18; // on brokerage + exchange charge + SEBI fee
+
+// SEBI caps brokerage at 2.5% of the trade's value, whatever the tariff says
+const MAX_BROKERAGE_PERCENT = 2.5;
+
+/**
+ * Default brokerage: the lower of a flat fee and a percentage of turnover per
+ * executed order, plus the DP charge per scrip on delivery sells.
+ */
+export const DEFAULT_BROKERAGE = {
+  DELIVERY: { perOrder: 20, percent: 2.5, dpCharge: 18.5 },
+  INTRADAY: { perOrder: 20, percent: 0.05, dpCharge: 0 }
+};
+
+/**
+ * Published tariffs of the brokers portfolios are held with. `percent` of
+ * turnover per executed order, raised to `minimum` and capped at `perOrder`
+ * (null: no cap); `dpCharge` per scrip on delivery sells, before GST.
+ * Brokers not listed (and the paper broker) are charged DEFAULT_BROKERAGE.
+ */
+export const BROKER_TARIFFS = {
+  UPSTOX: DEFAULT_BROKERAGE,
+  SBI_SECURITIES: {
+    DELIVERY: { perOrder: null, percent: 0.5, minimum: 20, dpCharge: 20 },
+    INTRADAY: { perOrder: null, percent: 0.05, minimum: 20, dpCharge: 0 }
+  },
+  HDFC_SECURITIES: {
+    DELIVERY: { perOrder: null, percent: 0.5, minimum: 25, dpCharge: 25 },
+    INTRADAY: { perOrder: null, percent: 0.05, minimum: 25, dpCharge: 0 }
+  }
+};
+
+export const PRODUCTS = Object.keys(STATUTORY);
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Charges on one executed order.
+ *
+ * @param {object} order
+ * @param {'BUY'|'SELL'} order.side
+ * @param {number} order.quantity
+ * @param {number} order.price
+ * @param {'DELIVERY'|'INTRADAY'} [order.product='DELIVERY']
+ * @param {'NSE'|'BSE'} [order.exchange='NSE']
+ * @param {object} [order.brokerage] - { perOrder, percent, minimum, dpCharge } overriding DEFAULT_BROKERAGE for the product
+ * @returns {{ turnover, brokerage, stt, exchangeTxn, sebiFee, stampDuty, gst, dpCharge, total }} Rupees
+ */
+export function calculateCharges({ side, quantity, price, product = 'DELIVERY', exchange = 'NSE', brokerage = null }) {
+  const rates = STATUTORY[product];
+  if (!rates) throw new Error(`Unknown product ${product}`);
+  if (side !== 'BUY' && side !== 'SELL') throw new Error(`Unknown side ${side}`);
+
+  const tariff = { ...DEFAULT_BROKERAGE[product], ...(brokerage || {}) };
+  const turnover = quantity * price;
+
+  let brokerageFee = 0;
+  if (turnover > 0) {
+    brokerageFee = Math.max(tariff.minimum || 0, (turnover * tariff.percent) / 100);
+    if (tariff.perOrder != null) brokerageFee = Math.min(brokerageFee, tariff.perOrder);
+    brokerageFee = Math.min(brokerageFee, (turnover * MAX_BROKERAGE_PERCENT) / 100);
+  }
+  const stt = turnover * rates.stt[side];
+  const exchangeTxn = turnover * (EXCHANGE_TXN_RATE[exchange] ?? EXCHANGE_TXN_RATE.NSE);
+  const sebiFee = turnover * SEBI_FEE_RATE;
+  const stampDuty = side === 'BUY' ? turnover * rates.stampDuty : 0;
+  const gst = (brokerageFee + exchangeTxn + sebiFee) * GST_RATE;
+  // DP charge is billed per scrip per day with GST on top
+  const dpCharge = side === 'SELL' && turnover > 0 ? tariff.dpCharge * (1 + GST_RATE) : 0;
+
+  const charges = {
+    turnover: round2(turnover),
+    brokerage: round2(brokerageFee),
+    stt: round2(stt),
+    exchangeTxn: round2(exchangeTxn),
+    sebiFee: round2(sebiFee),
+    stampDuty: round2(stampDuty),
+    gst: round2(gst),
+    dpCharge: round2(dpCharge)
+  };
+  charges.total = round2(
+    charges.brokerage + charges.stt + charges.exchangeTxn + charges.sebiFee +
+    charges.stampDuty + charges.gst + charges.dpCharge
+  );
+  return charges;
+}
+
+/**
+ * A broker's brokerage for one product, DEFAULT_BROKERAGE's when we don't
+ * have its tariff.
+ *
+ * @param {string} broker - Portfolio.broker
+ * @param {'DELIVERY'|'INTRADAY'} [product='DELIVERY']
+ */
+export function brokerageFor(broker, product = 'DELIVERY') {
+  return (BROKER_TARIFFS[broker] || DEFAULT_BROKERAGE)[product] || DEFAULT_BROKERAGE[product];
+}
+
+/**
+ * The broker a portfolio trades through (Portfolio.broker), null if unset.
+ *
+ * @param {number} portfolioId
+ * @returns {Promise<string|null>}
+ */
+export async function portfolioBroker(portfolioId) {
+  const portfolio = await prisma.portfolio.findUnique({ where: { id: portfolioId }, select: { broker: true } });
+  return portfolio?.broker || null;
+}
+
+/**
+ * Charges a broker will bill on one order, from its tariff.
+ *
+ * @param {object} order - As calculateCharges, with `broker` instead of `brokerage`
+ * @returns {{ turnover, brokerage, stt, exchangeTxn, sebiFee, stampDuty, gst, dpCharge, total }}
+ */
+export function estimateCharges({ broker, product = 'DELIVERY', ...order }) {
+  return calculateCharges({ ...order, product, brokerage: brokerageFor(broker, product) });
+}
+
+export default {
+  DEFAULT_BROKERAGE,
+  BROKER_TARIFFS,
+  PRODUCTS,
+  calculateCharges,
+  brokerageFor,
+  portfolioBroker,
+  estimateCharges
+};
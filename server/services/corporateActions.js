@@ -0,0 +1,683 @@
+// server/services/corporateActions.js
+// Splits, bonuses, dividends and demergers. Actions are imported from a local
+// CSV/JSON file and applied on their ex-date to holdings, open trade signals,
+// stored candles and the trade history that tax cost basis is built from.
+// Every adjustment is written to AuditLog with its before/after values.
+
+import fs from 'fs/promises';
+import path from 'path';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { parseCSV } from '../utils/csv.js';
+import { adoptUntrackedHoldings, rebuildPositions } from './taxLots.js';
+import { recordCash } from './cashLedger.js';
+
+export const CORPORATE_ACTION_TYPES = ['SPLIT', 'BONUS', 'DIVIDEND', 'DEMERGER'];
+
+const OPEN_SIGNAL_STATUSES = ['DRAFT', 'PENDING', 'ACKED', 'SNOOZED'];
+const DEFAULT_FILE = './data/corporate-actions.csv';
+
+function getActionsFile() {
+  return process.env.CORPORATE_ACTIONS_FILE || DEFAULT_FILE;
+}
+
+// 'YYYY-MM-DD' → IST midnight
+function toExDate(value) {
+  const text = String(value || '').trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T00:00:00+05:30`)
+    : new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+/**
+ * Validate one row from the actions file. Accepts camelCase (JSON) or
+ * snake_case (CSV) column names.
+ *
+ * @returns {{ action?: Object, error?: string }}
+ */
+export function normalizeAction(raw) {
+  const pick = (...keys) => keys.map(k => raw[k]).find(v => v !== undefined && v !== '');
+
+  const symbol = String(pick('symbol') || '').trim().toUpperCase();
+  const type = String(pick('type') || '').trim().toUpperCase();
+  const exDate = toExDate(pick('exDate', 'ex_date', 'exdate'));
+
+  if (!symbol) return { error: 'symbol is required' };
+  if (!CORPORATE_ACTION_TYPES.includes(type)) return { error: `${symbol}: unknown type "${type}"` };
+  if (!exDate) return { error: `${symbol}: invalid ex-date` };
+
+  const action = {
+    symbol,
+    type,
+    exDate,
+    ratioOld: toNumber(pick('ratioOld', 'ratio_old', 'ratioold')),
+    ratioNew: toNumber(pick('ratioNew', 'ratio_new', 'rationew')),
+    dividendPerShare: toNumber(pick('dividendPerShare', 'dividend_per_share', 'dividendpershare')),
+    newSymbol: pick('newSymbol', 'new_symbol', 'newsymbol')?.trim().toUpperCase() || null,
+    costApportionment: toNumber(pick('costApportionment', 'cost_apportionment', 'costapportionment')),
+    notes: pick('notes') || null
+  };
+
+  if (type === 'DIVIDEND') {
+    if (!(action.dividendPerShare > 0)) return { error: `${symbol}: dividend needs dividendPerShare` };
+  } else if (!(action.ratioOld > 0) || !(action.ratioNew > 0)) {
+    return { error: `${symbol}: ${type} needs ratioOld and ratioNew` };
+  }
+
+  if (type === 'DEMERGER') {
+    if (!action.newSymbol) return { error: `${symbol}: demerger needs newSymbol` };
+    if (!(action.costApportionment > 0 && action.costApportionment < 1)) {
+      return { error: `${symbol}: demerger costApportionment must be between 0 and 1` };
+    }
+  }
+
+  return { action };
+}
+
+/**
+ * Read the actions file and upsert every valid row. Rows that were already
+ * applied are left alone so re-importing the same file is harmless.
+ *
+ * @param {string} [filePath] - Defaults to CORPORATE_ACTIONS_FILE
+ * @returns {Promise<{ imported: number, skipped: number, errors: string[] }>}
+ */
+export async function importCorporateActions(filePath = getActionsFile()) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.info(`[CorpActions] No actions file at ${filePath}`);
+      return { imported: 0, skipped: 0, errors: [] };
+    }
+    throw error;
+  }
+
+  const rows = filePath.endsWith('.json') ? JSON.parse(text) : parseCSV(text);
+  const source = path.basename(filePath);
+  const errors = [];
+  let imported = 0;
+  let skipped = 0;
+
+  for (const raw of rows) {
+    const { action, error } = normalizeAction(raw);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+
+    const key = { symbol: action.symbol, type: action.type, exDate: action.exDate };
+    const existing = await prisma.corporateAction.findUnique({
+      where: { symbol_type_exDate: key }
+    });
+
+    if (existing?.status === 'APPLIED') {
+      skipped++;
+      continue;
+    }
+
+    await prisma.corporateAction.upsert({
+      where: { symbol_type_exDate: key },
+      create: { ...action, source },
+      update: { ...action, source, status: 'PENDING', error: null }
+    });
+    imported++;
+  }
+
+  if (errors.length > 0) {
+    logger.warn(`[CorpActions] ${errors.length} invalid rows in ${source}: ${errors.join('; ')}`);
+  }
+  logger.info(`[CorpActions] Imported ${imported} actions from ${source} (${skipped} already applied)`);
+  return { imported, skipped, errors };
+}
+
+// Quantity and price multipliers for actions that change the share count
+function getFactors(action) {
+  const ratio = action.ratioNew / action.ratioOld;
+  if (action.type === 'SPLIT') return { qty: ratio, price: ratio };
+  if (action.type === 'BONUS') return { qty: 1 + ratio, price: 1 + ratio };
+  return null;
+}
+
+const scalePrice = (value, divisor) => (value == null ? value : +(value / divisor).toFixed(4));
+const keepPrice = (value, keep) => (value == null ? null : +(value * keep).toFixed(4));
+
+/**
+ * A holding's fields after a split, bonus or demerger. A split or bonus keeps
+ * the total cost over more shares; a demerger keeps the shares and moves
+ * costApportionment of the cost (and of the prices) to the new company.
+ *
+ * @param {Object} action - SPLIT, BONUS or DEMERGER
+ * @param {Object} holding - Holding row
+ * @returns {Object|null} { quantity, avgPrice, currentPrice, targetPrice, stopLoss };
+ *   null when the holding rounds down to no shares
+ */
+export function restateHolding(action, holding) {
+  if (action.type === 'DEMERGER') {
+    const keep = 1 - action.costApportionment;
+    return {
+      quantity: holding.quantity,
+      avgPrice: keepPrice(holding.avgPrice, keep),
+      currentPrice: keepPrice(holding.currentPrice, keep),
+      targetPrice: keepPrice(holding.targetPrice, keep),
+      stopLoss: keepPrice(holding.stopLoss, keep)
+    };
+  }
+
+  const factors = getFactors(action);
+  const quantity = Math.floor(holding.quantity * factors.qty);
+  if (quantity < 1) return null;
+  return {
+    quantity,
+    avgPrice: +((holding.avgPrice * holding.quantity) / quantity).toFixed(4),
+    currentPrice: scalePrice(holding.currentPrice, factors.price),
+    targetPrice: scalePrice(holding.targetPrice, factors.price),
+    stopLoss: scalePrice(holding.stopLoss, factors.price)
+  };
+}
+
+/**
+ * Shares of the new company a demerger hands a holding, and the part of the
+ * holding's cost they take.
+ *
+ * @returns {{ quantity: number, cost: number }}
+ */
+export function demergedShares(action, holding) {
+  return {
+    quantity: Math.floor(holding.quantity * action.ratioNew / action.ratioOld),
+    cost: holding.avgPrice * holding.quantity * action.costApportionment
+  };
+}
+
+/**
+ * The cash ledger entry a dividend books for one holding.
+ */
+export function dividendEntry(action, holding) {
+  return {
+    type: 'DIVIDEND',
+    amount: +(holding.quantity * action.dividendPerShare).toFixed(2),
+    occurredAt: action.exDate,
+    notes: `${action.symbol} dividend ₹${action.dividendPerShare}/share × ${holding.quantity} (${holding.exchange})`
+  };
+}
+
+async function audit(tx, action, entry) {
+  await tx.auditLog.create({
+    data: {
+      userId: entry.userId ?? null,
+      action: 'corporate_action',
+      entity: entry.entity,
+      entityId: entry.entityId ?? null,
+      metadata: {
+        corporateActionId: action.id,
+        type: action.type,
+        symbol: action.symbol,
+        before: entry.before ?? null,
+        after: entry.after ?? null,
+        ...(entry.extra || {})
+      }
+    }
+  });
+}
+
+// FIFO over a portfolio's pre-ex trades → still-open buy lots
+function getOpenLots(trades) {
+  const lots = [];
+  for (const trade of trades) {
+    if (trade.type === 'BUY') {
+      lots.push({ trade, remaining: trade.quantity });
+    } else if (trade.type === 'SELL') {
+      let toSell = trade.quantity;
+      for (const lot of lots) {
+        if (toSell <= 0) break;
+        const used = Math.min(lot.remaining, toSell);
+        lot.remaining -= used;
+        toSell -= used;
+      }
+    }
+  }
+  return lots.filter(lot => lot.remaining > 0);
+}
+
+async function adjustHoldings(tx, action, summary) {
+  const holdings = await tx.holding.findMany({
+    where: { symbol: action.symbol, quantity: { gt: 0 } },
+    include: { portfolio: { select: { id: true, userId: true } } }
+  });
+
+  for (const holding of holdings) {
+    const before = {
+      quantity: holding.quantity,
+      avgPrice: holding.avgPrice,
+      currentPrice: holding.currentPrice,
+      targetPrice: holding.targetPrice,
+      stopLoss: holding.stopLoss
+    };
+    const userId = holding.portfolio.userId;
+
+    if (action.type === 'DIVIDEND') {
+      const entry = dividendEntry(action, holding);
+      const { amount } = entry;
+      // Same stock held on both exchanges → one payout row per portfolio
+      const payout = await tx.dividendPayout.upsert({
+        where: {
+          corporateActionId_portfolioId: {
+            corporateActionId: action.id,
+            portfolioId: holding.portfolioId
+          }
+        },
+        create: {
+          portfolioId: holding.portfolioId,
+          corporateActionId: action.id,
+          symbol: action.symbol,
+          quantity: holding.quantity,
+          perShare: action.dividendPerShare,
+          amount,
+          paidAt: action.exDate
+        },
+        update: {
+          quantity: { increment: holding.quantity },
+          amount: { increment: amount }
+        }
+      });
+      const { availableCash } = await recordCash(holding.portfolioId, { ...entry, dividendPayoutId: payout.id }, tx);
+      await audit(tx, action, {
+        userId,
+        entity: 'portfolio',
+        entityId: holding.portfolioId,
+        before: { availableCash: +(availableCash - amount).toFixed(2) },
+        after: { availableCash },
+        extra: { quantity: holding.quantity, amount }
+      });
+      summary.dividends += amount;
+      summary.holdings++;
+      continue;
+    }
+
+    // The trade history is restated below, so it must cover the whole holding
+    await adoptUntrackedHoldings({ portfolioId: holding.portfolioId, symbol: action.symbol, exchange: holding.exchange }, tx);
+
+    const after = restateHolding(action, holding);
+    if (!after) {
+      summary.warnings.push(`Holding #${holding.id}: ${holding.quantity} shares round to zero after ${action.type}`);
+      continue;
+    }
+    if (action.type === 'DEMERGER') {
+      await adoptUntrackedHoldings({ portfolioId: holding.portfolioId, symbol: action.newSymbol, exchange: holding.exchange }, tx);
+      await adjustDemergedHolding(tx, action, holding, summary);
+    }
+
+    await tx.holding.update({ where: { id: holding.id }, data: after });
+    await audit(tx, action, { userId, entity: 'holding', entityId: holding.id, before, after });
+    summary.holdings++;
+
+    await adjustTrades(tx, action, holding, after.quantity, userId, summary);
+
+    // Re-derive lots and holdings from the restated trades
+    await rebuildPositions(holding.portfolioId, { symbol: action.symbol, exchange: holding.exchange }, tx);
+    if (action.type === 'DEMERGER') {
+      await rebuildPositions(holding.portfolioId, { symbol: action.newSymbol, exchange: holding.exchange }, tx);
+    }
+  }
+}
+
+async function adjustDemergedHolding(tx, action, holding, summary) {
+  const { quantity, cost: childCost } = demergedShares(action, holding);
+  if (quantity < 1) {
+    summary.warnings.push(`Holding #${holding.id}: no ${action.newSymbol} shares due after demerger`);
+    return;
+  }
+
+  const existing = await tx.holding.findUnique({
+    where: {
+      portfolioId_symbol_exchange: {
+        portfolioId: holding.portfolioId,
+        symbol: action.newSymbol,
+        exchange: holding.exchange
+      }
+    }
+  });
+
+  let child;
+  if (existing) {
+    const totalQty = existing.quantity + quantity;
+    child = await tx.holding.update({
+      where: { id: existing.id },
+      data: {
+        quantity: totalQty,
+        avgPrice: +((existing.avgPrice * existing.quantity + childCost) / totalQty).toFixed(4)
+      }
+    });
+  } else {
+    child = await tx.holding.create({
+      data: {
+        portfolioId: holding.portfolioId,
+        symbol: action.newSymbol,
+        exchange: holding.exchange,
+        quantity,
+        avgPrice: +(childCost / quantity).toFixed(4),
+        notes: `Demerged from ${action.symbol}`
+      }
+    });
+  }
+
+  await audit(tx, action, {
+    userId: holding.portfolio.userId,
+    entity: 'holding',
+    entityId: child.id,
+    before: existing ? { quantity: existing.quantity, avgPrice: existing.avgPrice } : null,
+    after: { quantity: child.quantity, avgPrice: child.avgPrice },
+    extra: { newSymbol: action.newSymbol, parentHoldingId: holding.id }
+  });
+  summary.holdings++;
+}
+
+/**
+ * How a holding's trade history is rewritten so cost basis matches the new
+ * share count. Splits restate pre-ex trades in post-split units; bonus shares
+ * are booked as a zero-cost BUY on the ex-date (their acquisition date for
+ * capital gains); demerged shares inherit the parent lots' dates with the
+ * apportioned cost. Trades on another exchange belong to that exchange's
+ * holding and are left to its own restatement.
+ *
+ * @param {Object} action
+ * @param {Object} holding - The holding before the action
+ * @param {Array} trades - Its completed trades before the ex-date, oldest first
+ * @param {number} newQty - The holding's quantity after the action
+ * @returns {{ updates: Array<{ id: number, data: Object }>, creates: Array<Object> }} Trade writes
+ */
+export function restateTrades(action, holding, trades, newQty) {
+  const own = trades.filter(t => t.exchange === holding.exchange);
+  const updates = [];
+  const creates = [];
+
+  if (action.type === 'SPLIT') {
+    const factor = action.ratioNew / action.ratioOld;
+    for (const trade of own) {
+      updates.push({
+        id: trade.id,
+        data: {
+          quantity: Math.round(trade.quantity * factor),
+          price: +(trade.price / factor).toFixed(4)
+        }
+      });
+    }
+  } else if (action.type === 'BONUS') {
+    const bonusQty = newQty - holding.quantity;
+    if (bonusQty > 0) {
+      creates.push({
+        portfolioId: holding.portfolioId,
+        symbol: action.symbol,
+        exchange: holding.exchange,
+        type: 'BUY',
+        quantity: bonusQty,
+        price: 0,
+        executedAt: action.exDate,
+        source: 'CORPORATE_ACTION',
+        notes: `Bonus ${action.ratioNew} for ${action.ratioOld}`
+      });
+    }
+  } else if (action.type === 'DEMERGER') {
+    const keep = 1 - action.costApportionment;
+    const childRatio = action.ratioNew / action.ratioOld;
+
+    for (const { trade, remaining } of getOpenLots(own)) {
+      const childQty = Math.floor(remaining * childRatio);
+      if (childQty < 1) continue;
+      creates.push({
+        portfolioId: holding.portfolioId,
+        symbol: action.newSymbol,
+        exchange: holding.exchange,
+        type: 'BUY',
+        quantity: childQty,
+        price: +(remaining * trade.price * action.costApportionment / childQty).toFixed(4),
+        executedAt: trade.executedAt,
+        source: 'CORPORATE_ACTION',
+        notes: `Demerged from ${action.symbol} (trade #${trade.id})`
+      });
+    }
+
+    for (const trade of own.filter(t => t.type === 'BUY')) {
+      updates.push({ id: trade.id, data: { price: +(trade.price * keep).toFixed(4) } });
+    }
+  }
+
+  return { updates, creates };
+}
+
+async function adjustTrades(tx, action, holding, newQty, userId, summary) {
+  const trades = await tx.trade.findMany({
+    where: {
+      portfolioId: holding.portfolioId,
+      symbol: action.symbol,
+      exchange: holding.exchange,
+      executedAt: { lt: action.exDate },
+      status: 'COMPLETED'
+    },
+    orderBy: { executedAt: 'asc' }
+  });
+
+  const { updates, creates } = restateTrades(action, holding, trades, newQty);
+  for (const data of creates) {
+    await tx.trade.create({ data });
+  }
+  for (const { id, data } of updates) {
+    await tx.trade.update({ where: { id }, data });
+  }
+
+  const changed = creates.length + updates.length;
+  if (changed > 0) {
+    await audit(tx, action, {
+      userId,
+      entity: 'trade',
+      entityId: holding.portfolioId,
+      extra: { portfolioId: holding.portfolioId, tradesChanged: changed }
+    });
+    summary.trades += changed;
+  }
+}
+
+async function adjustSignals(tx, action, summary) {
+  if (action.type === 'DIVIDEND') return;
+
+  const signals = await tx.tradeSignal.findMany({
+    where: {
+      symbol: action.symbol,
+      status: { in: OPEN_SIGNAL_STATUSES },
+      createdAt: { lt: action.exDate }
+    },
+    include: { portfolio: { select: { userId: true } } }
+  });
+
+  const factors = getFactors(action);
+  const priceDivisor = factors ? factors.price : 1 / (1 - action.costApportionment);
+  const qtyFactor = factors ? factors.qty : 1;
+
+  for (const signal of signals) {
+    const before = {
+      quantity: signal.quantity,
+      triggerPrice: signal.triggerPrice,
+      triggerLow: signal.triggerLow,
+      triggerHigh: signal.triggerHigh
+    };
+    const after = {
+      quantity: Math.max(1, Math.floor(signal.quantity * qtyFactor)),
+      triggerPrice: scalePrice(signal.triggerPrice, priceDivisor),
+      triggerLow: scalePrice(signal.triggerLow, priceDivisor),
+      triggerHigh: scalePrice(signal.triggerHigh, priceDivisor)
+    };
+
+    await tx.tradeSignal.update({ where: { id: signal.id }, data: after });
+    await audit(tx, action, {
+      userId: signal.portfolio.userId,
+      entity: 'trade_signal',
+      entityId: signal.id,
+      before,
+      after
+    });
+    summary.signals++;
+  }
+}
+
+async function adjustCandles(tx, action, summary) {
+  if (action.type === 'DIVIDEND') return;
+
+  const factors = getFactors(action);
+  const priceDivisor = factors ? factors.price : 1 / (1 - action.costApportionment);
+  const volumeFactor = factors ? factors.qty : 1;
+
+  const count = await tx.$executeRaw`
+    UPDATE "Candle"
+    SET "open" = "open" / ${priceDivisor},
+        "high" = "high" / ${priceDivisor},
+        "low" = "low" / ${priceDivisor},
+        "close" = "close" / ${priceDivisor},
+        "volume" = ROUND("volume" * ${volumeFactor})::bigint
+    WHERE "symbol" = ${action.symbol} AND "timestamp" < ${action.exDate}
+  `;
+
+  if (count > 0) {
+    await audit(tx, action, {
+      entity: 'candle',
+      extra: { candlesAdjusted: count, priceDivisor, volumeFactor }
+    });
+  }
+  summary.candles += count;
+}
+
+/**
+ * Apply one corporate action inside a single transaction and mark it APPLIED.
+ * A failure rolls everything back and marks the action FAILED with the reason.
+ * The action is marked first, so one already applied (say by a concurrent run)
+ * is left alone rather than applied twice.
+ *
+ * @param {Object} action - CorporateAction row
+ * @returns {Promise<Object>} Counts of adjusted records; alreadyApplied when nothing was done
+ */
+export async function applyCorporateAction(action) {
+  const summary = { holdings: 0, trades: 0, signals: 0, candles: 0, dividends: 0, warnings: [] };
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      const claim = await tx.corporateAction.updateMany({
+        where: { id: action.id, status: { not: 'APPLIED' } },
+        data: { status: 'APPLIED', appliedAt: new Date(), error: null }
+      });
+      if (claim.count !== 1) {
+        summary.alreadyApplied = true;
+        return;
+      }
+
+      await adjustHoldings(tx, action, summary);
+      await adjustSignals(tx, action, summary);
+      await adjustCandles(tx, action, summary);
+    }, { timeout: 60000 });
+  } catch (error) {
+    logger.error(`[CorpActions] Failed to apply ${action.type} for ${action.symbol}:`, error.message);
+    await prisma.corporateAction.update({
+      where: { id: action.id },
+      data: { status: 'FAILED', error: error.message }
+    });
+    throw error;
+  }
+
+  if (summary.alreadyApplied) {
+    logger.info(`[CorpActions] ${action.type} for ${action.symbol} was already applied`);
+    return summary;
+  }
+
+  summary.dividends = +summary.dividends.toFixed(2);
+  for (const warning of summary.warnings) {
+    logger.warn(`[CorpActions] ${warning}`);
+  }
+  logger.info(`[CorpActions] Applied ${action.type} for ${action.symbol}: ${JSON.stringify(summary)}`);
+  return summary;
+}
+
+/**
+ * Apply every pending action whose ex-date has arrived.
+ *
+ * @param {Date} [asOf]
+ * @returns {Promise<{ applied: number, failed: number }>}
+ */
+export async function applyDueCorporateActions(asOf = new Date()) {
+  const due = await prisma.corporateAction.findMany({
+    where: { status: 'PENDING', exDate: { lte: asOf } },
+    orderBy: [{ exDate: 'asc' }, { id: 'asc' }]
+  });
+
+  let applied = 0;
+  let failed = 0;
+  for (const action of due) {
+    try {
+      const summary = await applyCorporateAction(action);
+      if (!summary.alreadyApplied) applied++;
+    } catch {
+      failed++;
+    }
+  }
+
+  return { applied, failed };
+}
+
+/**
+ * List imported actions, newest ex-date first.
+ *
+ * @param {{ symbol?: string, status?: string }} filters
+ */
+export async function listCorporateActions({ symbol, status } = {}) {
+  return prisma.corporateAction.findMany({
+    where: {
+      ...(symbol ? { symbol: symbol.toUpperCase() } : {}),
+      ...(status ? { status: status.toUpperCase() } : {})
+    },
+    orderBy: { exDate: 'desc' },
+    take: 200
+  });
+}
+
+/**
+ * Dividend income credited to a user's portfolios.
+ *
+ * @param {number} userId
+ * @param {{ portfolioId?: number, from?: Date, to?: Date }} options - Paid from `from` up to and including `to`
+ * @returns {Promise<{ total: number, payouts: Array }>}
+ */
+export async function getDividendIncome(userId, { portfolioId, from, to } = {}) {
+  const payouts = await prisma.dividendPayout.findMany({
+    where: {
+      portfolio: { userId },
+      ...(portfolioId ? { portfolioId } : {}),
+      paidAt: {
+        ...(from ? { gte: from } : {}),
+        ...(to ? { lte: to } : {})
+      }
+    },
+    include: { portfolio: { select: { id: true, name: true } } },
+    orderBy: { paidAt: 'desc' }
+  });
+
+  const total = payouts.reduce((sum, p) => sum + p.amount, 0);
+  return { total: +total.toFixed(2), payouts };
+}
+
+export default {
+  CORPORATE_ACTION_TYPES,
+  normalizeAction,
+  importCorporateActions,
+  restateHolding,
+  demergedShares,
+  dividendEntry,
+  restateTrades,
+  applyCorporateAction,
+  applyDueCorporateActions,
+  listCorporateActions,
+  getDividendIncome
+};
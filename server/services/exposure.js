@@ -0,0 +1,124 @@
+// server/services/exposure.js
+// Where the money sits: each portfolio's holdings weighted by sector,
+// industry, market-cap bucket and exchange, and the same across the
+// household's active portfolios. Weights are shares of the holdings' value at
+// their last price; cash is reported next to them. The AI prompts get these
+// numbers as a block rather than working concentration out from tickers.
+
+import prisma from './prisma.js';
+import { getClassifications } from './sectorMap.js';
+import { getCapBuckets } from './universe.js';
+import { assetClassOf } from '../utils/assetClasses.js';
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Largest first, as { key, value, weight (% of holdings value) }
+function weigh(positions, field, total) {
+  const values = new Map();
+  for (const p of positions) values.set(p[field], (values.get(p[field]) || 0) + p.value);
+  return [...values.entries()]
+    .map(([key, value]) => ({ key, value: round2(value), weight: total > 0 ? round2((value / total) * 100) : 0 }))
+    .sort((a, b) => b.value - a.value);
+}
+
+function summarize(positions, cash) {
+  const holdingsValue = positions.reduce((sum, p) => sum + p.value, 0);
+  const totalValue = holdingsValue + cash;
+  return {
+    holdingsValue: round2(holdingsValue),
+    cash: round2(cash),
+    cashWeight: totalValue > 0 ? round2((cash / totalValue) * 100) : 0,
+    holdingsCount: new Set(positions.map(p => `${p.exchange}:${p.symbol}`)).size,
+    bySector: weigh(positions, 'sector', holdingsValue),
+    byIndustry: weigh(positions, 'industry', holdingsValue),
+    byCapBucket: weigh(positions, 'capBucket', holdingsValue),
+    byExchange: weigh(positions, 'exchange', holdingsValue)
+  };
+}
+
+/**
+ * Exposure of each portfolio and of the household (all of the user's active
+ * portfolios). Market-cap buckets come from index membership: LARGE, MID,
+ * SMALL (anything outside the Nifty 500), OTHER for gold, silver and debt ETFs.
+ *
+ * @param {number} userId
+ * @param {{ portfolioIds?: number[] }} [options] - Portfolios to break out; every active one by default
+ * @returns {Promise<{ household: Object, portfolios: Array }>}
+ */
+export async function getExposure(userId, { portfolioIds = null } = {}) {
+  const portfolios = await prisma.portfolio.findMany({
+    where: { userId, OR: [{ isActive: true }, ...(portfolioIds ? [{ id: { in: portfolioIds } }] : [])] },
+    include: { holdings: true },
+    orderBy: { id: 'asc' }
+  });
+  const household = portfolios.filter(p => p.isActive);
+
+  const holdings = portfolios.flatMap(p => p.holdings).filter(h => h.quantity > 0);
+  const [classes, capBuckets] = await Promise.all([getClassifications(holdings), getCapBuckets()]);
+
+  const positionsOf = portfolio => portfolio.holdings
+    .filter(h => h.quantity > 0)
+    .map(h => {
+      const { sector, industry } = classes.get(`${h.exchange}:${h.symbol}`);
+      return {
+        symbol: h.symbol,
+        exchange: h.exchange,
+        value: h.quantity * Number(h.currentPrice || h.avgPrice),
+        sector,
+        industry,
+        capBucket: assetClassOf(h.symbol) === 'EQUITY' ? capBuckets.get(h.symbol) || 'SMALL' : 'OTHER'
+      };
+    });
+  const cashOf = portfolio => Number(portfolio.availableCash || 0) + Number(portfolio.unsettledCash || 0);
+
+  const shown = portfolioIds ? portfolios.filter(p => portfolioIds.includes(p.id)) : household;
+
+  return {
+    household: {
+      portfolioCount: household.length,
+      ...summarize(household.flatMap(positionsOf), household.reduce((sum, p) => sum + cashOf(p), 0))
+    },
+    portfolios: shown.map(p => ({
+      portfolioId: p.id,
+      name: p.name,
+      ownerName: p.ownerName,
+      ...summarize(positionsOf(p), cashOf(p))
+    }))
+  };
+}
+
+const formatWeights = (rows, limit) => rows
+  .slice(0, limit)
+  .map(r => `${r.key} ${r.weight}%`)
+  .join(', ') + (rows.length > limit ? `, +${rows.length - limit} more` : '');
+
+function exposureLines(label, e) {
+  if (e.holdingsCount === 0) return `${label}: no holdings (cash ₹${e.cash.toLocaleString('en-IN')})`;
+  return `${label}: ₹${e.holdingsValue.toLocaleString('en-IN')} in ${e.holdingsCount} holdings, cash ${e.cashWeight}% of total value
+  Sectors: ${formatWeights(e.bySector, 10)}
+  Industries: ${formatWeights(e.byIndustry, 8)}
+  Market cap: ${formatWeights(e.byCapBucket, 4)}
+  Exchange: ${formatWeights(e.byExchange, 2)}`;
+}
+
+/**
+ * Prompt block with the computed exposure of the given portfolios and, when
+ * there is more than one active, the household.
+ *
+ * @param {Object} exposure - From getExposure
+ * @returns {string}
+ */
+export function buildExposureContext(exposure) {
+  const blocks = exposure.portfolios.map(p => exposureLines(p.ownerName ? `${p.ownerName} — ${p.name}` : p.name, p));
+  if (exposure.household.portfolioCount > 1) {
+    blocks.push(exposureLines(`Household (${exposure.household.portfolioCount} portfolios)`, exposure.household));
+  }
+
+  return `**PORTFOLIO EXPOSURE (computed from holdings at last price, % of holdings value — use these figures, do not re-estimate them):**
+${blocks.join('\n')}`;
+}
+
+export default {
+  getExposure,
+  buildExposureContext
+};
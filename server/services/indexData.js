@@ -0,0 +1,135 @@
+// server/services/indexData.js
+// Index levels, sector rotation and India VIX — the numbers the analyst prompts
+// talk about. Live levels come from the quote service; trailing returns come from
+// daily index candles kept by the candle backfill (exchange 'INDEX').
+
+import logger from './logger.js';
+import { getQuotes, pickQuote } from './quoteService.js';
+import { getCandles } from './candleStore.js';
+import { MARKET_INDICES, INDEX_EXCHANGE, getIndexDefinition } from '../utils/marketIndices.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current level of every tracked index. Indices with no quote are left out.
+ *
+ * @returns {Promise<Array>} [{ symbol, nseName, category, sector, price, change, changePercent, timestamp }]
+ */
+export async function getIndexSnapshot() {
+  const { quotes } = await getQuotes(MARKET_INDICES.map(i => ({ symbol: i.symbol, exchange: INDEX_EXCHANGE })));
+
+  return MARKET_INDICES
+    .map(index => {
+      const quote = pickQuote(quotes, index.symbol, INDEX_EXCHANGE);
+      return quote ? { ...index, price: quote.price, change: quote.change, changePercent: quote.changePercent, timestamp: quote.timestamp } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Stored daily history for one index, oldest first.
+ *
+ * @param {string} symbol - NIFTY50, BANKNIFTY, INDIAVIX, ...
+ * @param {{ days?: number }} options
+ */
+export async function getIndexHistory(symbol, { days = 365 } = {}) {
+  if (!getIndexDefinition(symbol)) {
+    throw new Error(`Unknown index ${symbol}`);
+  }
+  return getCandles(symbol, INDEX_EXCHANGE, '1d', { from: new Date(Date.now() - days * DAY_MS) });
+}
+
+/**
+ * % change from the close N sessions back to the given level.
+ */
+function trailingReturn(closes, sessions, price) {
+  if (closes.length <= sessions) return null;
+  const base = closes[closes.length - 1 - sessions];
+  return base ? ((price - base) / base) * 100 : null;
+}
+
+async function attachTrailingReturns(snapshot) {
+  return Promise.all(snapshot.map(async (index) => {
+    try {
+      const candles = await getCandles(index.symbol, INDEX_EXCHANGE, '1d', { limit: 30 });
+      // Drop today's bar if the backfill already stored it, so returns are vs prior sessions
+      const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+      const closes = candles
+        .filter(c => c.timestamp.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }) !== today)
+        .map(c => c.close);
+      return {
+        ...index,
+        return5d: trailingReturn(closes, 4, index.price),
+        return1m: trailingReturn(closes, 20, index.price)
+      };
+    } catch (error) {
+      return { ...index, return5d: null, return1m: null };
+    }
+  }));
+}
+
+function fmtPct(value) {
+  if (value === null || value === undefined || isNaN(value)) return 'n/a';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function fmtLevel(value) {
+  return value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function vixRegime(level) {
+  if (level < 12) return 'very low — complacency, cheap option premiums';
+  if (level < 16) return 'normal';
+  if (level < 20) return 'elevated — expect wider intraday swings';
+  return 'high — fear regime, size positions down';
+}
+
+/**
+ * Prompt block with broad index levels, sector rotation ranking and India VIX.
+ * Returns an empty string if no index data could be fetched.
+ *
+ * @returns {Promise<string>}
+ */
+export async function buildIndexContext() {
+  let snapshot;
+  try {
+    snapshot = await attachTrailingReturns(await getIndexSnapshot());
+  } catch (error) {
+    logger.warn('Index snapshot unavailable:', error.message);
+    return '';
+  }
+  if (snapshot.length === 0) return '';
+
+  const lines = [];
+
+  const broad = snapshot.filter(i => i.category === 'BROAD');
+  if (broad.length > 0) {
+    lines.push('INDEX LEVELS (today | 5 sessions | 1 month):');
+    for (const i of broad) {
+      lines.push(`${i.nseName}: ${fmtLevel(i.price)} (${fmtPct(i.changePercent)} | ${fmtPct(i.return5d)} | ${fmtPct(i.return1m)})`);
+    }
+  }
+
+  const sectors = snapshot
+    .filter(i => i.category === 'SECTOR')
+    .sort((a, b) => b.changePercent - a.changePercent);
+  if (sectors.length > 0) {
+    lines.push('SECTOR ROTATION (strongest to weakest today | 1 month):');
+    sectors.forEach((i, n) => {
+      lines.push(`${n + 1}. ${i.nseName} (${i.sector}): ${fmtPct(i.changePercent)} | ${fmtPct(i.return1m)}`);
+    });
+  }
+
+  const vix = snapshot.find(i => i.category === 'VOLATILITY');
+  if (vix) {
+    lines.push(`INDIA VIX: ${vix.price.toFixed(2)} (${fmtPct(vix.changePercent)}) — ${vixRegime(vix.price)}`);
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  getIndexSnapshot,
+  getIndexHistory,
+  buildIndexContext
+};
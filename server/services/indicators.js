@@ -0,0 +1,360 @@
+// server/services/indicators.js
+// Series-based indicator engine. Every function returns an array aligned with
+// its input (same length, index i = value as of bar i) with null during warm-up,
+// so callers can read the latest value, look back for crossovers, or feed the
+// whole series into screens and backtests.
+//
+// Candle inputs are { timestamp, open, high, low, close, volume }, oldest first.
+
+export const closesOf = candles => candles.map(c => c.close);
+
+function firstValueIndex(values) {
+  const idx = values.findIndex(v => v !== null && v !== undefined);
+  return idx === -1 ? values.length : idx;
+}
+
+/**
+ * Simple moving average. Leading nulls in the input are skipped.
+ */
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = firstValueIndex(values);
+  let sum = 0;
+
+  for (let i = start; i < values.length; i++) {
+    sum += values[i];
+    if (i - start >= period) sum -= values[i - period];
+    if (i - start >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values.
+ */
+export function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = firstValueIndex(values);
+  const seedEnd = start + period - 1;
+  if (seedEnd >= values.length) return out;
+
+  const k = 2 / (period + 1);
+  let prev = 0;
+  for (let i = start; i <= seedEnd; i++) prev += values[i];
+  prev /= period;
+  out[seedEnd] = prev;
+
+  for (let i = seedEnd + 1; i < values.length; i++) {
+    prev = (values[i] - prev) * k + prev;
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Wilder's smoothing (RMA) — the average used by RSI, ATR and ADX.
+ */
+export function rma(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = firstValueIndex(values);
+  const seedEnd = start + period - 1;
+  if (seedEnd >= values.length) return out;
+
+  let prev = 0;
+  for (let i = start; i <= seedEnd; i++) prev += values[i];
+  prev /= period;
+  out[seedEnd] = prev;
+
+  for (let i = seedEnd + 1; i < values.length; i++) {
+    prev = (prev * (period - 1) + values[i]) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Relative Strength Index (Wilder).
+ */
+export function rsi(values, period = 14) {
+  const gains = values.map((v, i) => (i === 0 ? null : Math.max(v - values[i - 1], 0)));
+  const losses = values.map((v, i) => (i === 0 ? null : Math.max(values[i - 1] - v, 0)));
+  const avgGain = rma(gains, period);
+  const avgLoss = rma(losses, period);
+
+  return values.map((_, i) => {
+    if (avgGain[i] === null) return null;
+    if (avgLoss[i] === 0) return 100;
+    return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  });
+}
+
+/**
+ * MACD with a real signal line (EMA of the MACD series).
+ *
+ * @returns {{ macd: number[], signal: number[], histogram: number[] }}
+ */
+export function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) =>
+    fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]
+  );
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
+
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Bollinger Bands (population standard deviation).
+ *
+ * @returns {{ upper: number[], middle: number[], lower: number[], bandwidth: number[] }}
+ *   bandwidth is the standard deviation as a percentage of the middle band
+ */
+export function bollinger(values, period = 20, multiplier = 2) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  const bandwidth = new Array(values.length).fill(null);
+
+  for (let i = 0; i < values.length; i++) {
+    if (middle[i] === null) continue;
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) variance += (values[j] - middle[i]) ** 2;
+    const sd = Math.sqrt(variance / period);
+    upper[i] = middle[i] + multiplier * sd;
+    lower[i] = middle[i] - multiplier * sd;
+    bandwidth[i] = middle[i] ? (sd / middle[i]) * 100 : null;
+  }
+
+  return { upper, middle, lower, bandwidth };
+}
+
+/**
+ * True range; the first bar has no previous close so it uses high - low.
+ */
+export function trueRange(candles) {
+  return candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+}
+
+/**
+ * Average True Range (Wilder).
+ */
+export function atr(candles, period = 14) {
+  return rma(trueRange(candles), period);
+}
+
+/**
+ * Average Directional Index with the +DI / -DI lines.
+ *
+ * @returns {{ adx: number[], plusDI: number[], minusDI: number[] }}
+ */
+export function adx(candles, period = 14) {
+  const tr = trueRange(candles).map((v, i) => (i === 0 ? null : v));
+  const plusDM = candles.map((c, i) => {
+    if (i === 0) return null;
+    const up = c.high - candles[i - 1].high;
+    const down = candles[i - 1].low - c.low;
+    return up > down && up > 0 ? up : 0;
+  });
+  const minusDM = candles.map((c, i) => {
+    if (i === 0) return null;
+    const up = c.high - candles[i - 1].high;
+    const down = candles[i - 1].low - c.low;
+    return down > up && down > 0 ? down : 0;
+  });
+
+  const smoothTR = rma(tr, period);
+  const smoothPlus = rma(plusDM, period);
+  const smoothMinus = rma(minusDM, period);
+
+  const plusDI = candles.map((_, i) =>
+    smoothTR[i] ? (100 * smoothPlus[i]) / smoothTR[i] : null
+  );
+  const minusDI = candles.map((_, i) =>
+    smoothTR[i] ? (100 * smoothMinus[i]) / smoothTR[i] : null
+  );
+  const dx = candles.map((_, i) => {
+    if (plusDI[i] === null) return null;
+    const sum = plusDI[i] + minusDI[i];
+    return sum === 0 ? 0 : (100 * Math.abs(plusDI[i] - minusDI[i])) / sum;
+  });
+
+  return { adx: rma(dx, period), plusDI, minusDI };
+}
+
+/**
+ * Stochastic oscillator. smoothK = 1 gives the fast stochastic, 3 the slow one.
+ *
+ * @returns {{ k: number[], d: number[] }}
+ */
+export function stochastic(candles, kPeriod = 14, dPeriod = 3, smoothK = 3) {
+  const rawK = candles.map((c, i) => {
+    if (i < kPeriod - 1) return null;
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let j = i - kPeriod + 1; j <= i; j++) {
+      highest = Math.max(highest, candles[j].high);
+      lowest = Math.min(lowest, candles[j].low);
+    }
+    return highest === lowest ? 50 : (100 * (c.close - lowest)) / (highest - lowest);
+  });
+
+  const k = smoothK > 1 ? sma(rawK, smoothK) : rawK;
+  return { k, d: sma(k, dPeriod) };
+}
+
+// IST calendar day of a bar — VWAP resets each session
+const sessionOf = ts => new Date(ts).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * Session-anchored VWAP on the typical price. Meant for intraday candles;
+ * on daily bars each session is a single bar, so it degenerates to (H+L+C)/3.
+ */
+export function vwap(candles) {
+  let session = null;
+  let cumPV = 0;
+  let cumVolume = 0;
+
+  return candles.map(c => {
+    const day = sessionOf(c.timestamp);
+    if (day !== session) {
+      session = day;
+      cumPV = 0;
+      cumVolume = 0;
+    }
+    const typical = (c.high + c.low + c.close) / 3;
+    cumPV += typical * (c.volume || 0);
+    cumVolume += c.volume || 0;
+    return cumVolume > 0 ? cumPV / cumVolume : typical;
+  });
+}
+
+/**
+ * Supertrend. direction is 1 while price holds above the lower band, -1 below the upper.
+ *
+ * @returns {{ value: number[], direction: number[] }}
+ */
+export function supertrend(candles, period = 10, multiplier = 3) {
+  const atrSeries = atr(candles, period);
+  const value = new Array(candles.length).fill(null);
+  const direction = new Array(candles.length).fill(null);
+
+  let finalUpper = null;
+  let finalLower = null;
+  let prevDirection = null;
+
+  for (let i = 0; i < candles.length; i++) {
+    if (atrSeries[i] === null) continue;
+    const c = candles[i];
+    const hl2 = (c.high + c.low) / 2;
+    const basicUpper = hl2 + multiplier * atrSeries[i];
+    const basicLower = hl2 - multiplier * atrSeries[i];
+    const prevClose = i > 0 ? candles[i - 1].close : c.close;
+
+    finalUpper = finalUpper === null || basicUpper < finalUpper || prevClose > finalUpper
+      ? basicUpper
+      : finalUpper;
+    finalLower = finalLower === null || basicLower > finalLower || prevClose < finalLower
+      ? basicLower
+      : finalLower;
+
+    let dir;
+    if (prevDirection === null) dir = c.close < finalLower ? -1 : 1;
+    else if (prevDirection === 1) dir = c.close < finalLower ? -1 : 1;
+    else dir = c.close > finalUpper ? 1 : -1;
+
+    direction[i] = dir;
+    value[i] = dir === 1 ? finalLower : finalUpper;
+    prevDirection = dir;
+  }
+
+  return { value, direction };
+}
+
+/**
+ * On-Balance Volume.
+ */
+export function obv(candles) {
+  let running = 0;
+  return candles.map((c, i) => {
+    if (i > 0) {
+      if (c.close > candles[i - 1].close) running += c.volume || 0;
+      else if (c.close < candles[i - 1].close) running -= c.volume || 0;
+    }
+    return running;
+  });
+}
+
+/**
+ * Last non-null value of a series (null if it never warmed up).
+ */
+export function last(series, offset = 0) {
+  let seen = 0;
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) {
+      if (seen === offset) return series[i];
+      seen++;
+    }
+  }
+  return null;
+}
+
+/**
+ * Did series a cross above series b on bar i (or the last bar)?
+ */
+export function crossedAbove(a, b, i = a.length - 1) {
+  const bPrev = Array.isArray(b) ? b[i - 1] : b;
+  const bNow = Array.isArray(b) ? b[i] : b;
+  if (i < 1 || a[i - 1] == null || a[i] == null || bPrev == null || bNow == null) return false;
+  return a[i - 1] <= bPrev && a[i] > bNow;
+}
+
+/**
+ * Did series a cross below series b on bar i (or the last bar)?
+ */
+export function crossedBelow(a, b, i = a.length - 1) {
+  const bPrev = Array.isArray(b) ? b[i - 1] : b;
+  const bNow = Array.isArray(b) ? b[i] : b;
+  if (i < 1 || a[i - 1] == null || a[i] == null || bPrev == null || bNow == null) return false;
+  return a[i - 1] >= bPrev && a[i] < bNow;
+}
+
+/**
+ * Close-only series → flat candles, for callers that only have prices.
+ */
+export function candlesFromPrices(prices, volumes = []) {
+  return prices.map((close, i) => ({
+    timestamp: null,
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: volumes[i] || 0
+  }));
+}
+
+export default {
+  closesOf,
+  sma,
+  ema,
+  rma,
+  rsi,
+  macd,
+  bollinger,
+  trueRange,
+  atr,
+  adx,
+  stochastic,
+  vwap,
+  supertrend,
+  obv,
+  last,
+  crossedAbove,
+  crossedBelow,
+  candlesFromPrices
+};
@@ -0,0 +1,259 @@
+// server/services/instrumentMaster.js
+// Local instrument master built from the Upstox instrument dumps (NSE + BSE equities).
+// Backs symbol search and Upstox instrument-key resolution for both exchanges.
+
+import axios from 'axios';
+import { gunzipSync } from 'zlib';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { applySectorMap } from './sectorMap.js';
+
+const DUMP_BASE_URL = 'https://assets.upstox.com/market-quote/instruments/exchange';
+export const INSTRUMENT_EXCHANGES = ['NSE', 'BSE'];
+
+const INSERT_CHUNK = 5000;
+const DEFAULT_SEARCH_LIMIT = 20;
+
+// In-memory lookup maps over the Instrument table, rebuilt once a day or after a refresh
+let lookup = null;
+let lookupDate = null;
+let lookupLoading = null;
+let refreshing = null;
+
+/**
+ * "NSE_EQ" / "nse" / undefined → "NSE"
+ */
+export function normalizeExchange(exchange) {
+  const value = String(exchange || 'NSE').toUpperCase();
+  return value.startsWith('BSE') ? 'BSE' : 'NSE';
+}
+
+async function downloadDump(exchange) {
+  const response = await axios.get(`${DUMP_BASE_URL}/${exchange}.json.gz`, {
+    responseType: 'arraybuffer',
+    timeout: 60000
+  });
+  return JSON.parse(gunzipSync(Buffer.from(response.data)).toString());
+}
+
+function toInstrumentRow(inst, exchange) {
+  if (inst.segment !== `${exchange}_EQ` || !inst.trading_symbol || !inst.instrument_key) {
+    return null;
+  }
+  return {
+    instrumentKey: inst.instrument_key,
+    symbol: inst.trading_symbol.toUpperCase(),
+    name: inst.name || null,
+    isin: inst.isin || null,
+    exchange,
+    segment: inst.segment,
+    exchangeToken: inst.exchange_token != null ? String(inst.exchange_token) : null,
+    series: inst.instrument_type || null,
+    lotSize: parseInt(inst.lot_size) || 1,
+    // The dump quotes tick size in paise
+    tickSize: inst.tick_size ? inst.tick_size / 100 : 0.05
+  };
+}
+
+/**
+ * Download the Upstox dumps and replace the stored instruments per exchange,
+ * then classify them from the sector map. An exchange whose download fails
+ * keeps yesterday's rows.
+ *
+ * @param {{ exchanges?: string[] }} options
+ * @returns {Promise<Object>} Rows stored per exchange, e.g. { NSE: 2400, BSE: 4800 }
+ */
+export async function refreshInstruments({ exchanges = INSTRUMENT_EXCHANGES } = {}) {
+  const counts = {};
+
+  for (const exchange of exchanges) {
+    try {
+      logger.info(`[Instruments] Downloading Upstox ${exchange} instrument dump...`);
+      const dump = await downloadDump(exchange);
+
+      const rows = new Map();
+      for (const inst of dump) {
+        const row = toInstrumentRow(inst, exchange);
+        if (row) rows.set(row.instrumentKey, row);
+      }
+      if (rows.size === 0) {
+        throw new Error('dump contained no equity instruments');
+      }
+
+      const data = [...rows.values()];
+      const writes = [prisma.instrument.deleteMany({ where: { exchange } })];
+      for (let i = 0; i < data.length; i += INSERT_CHUNK) {
+        writes.push(prisma.instrument.createMany({ data: data.slice(i, i + INSERT_CHUNK) }));
+      }
+      await prisma.$transaction(writes);
+
+      counts[exchange] = data.length;
+      logger.info(`[Instruments] Stored ${data.length} ${exchange} instruments`);
+    } catch (error) {
+      logger.error(`[Instruments] ${exchange} refresh failed: ${error.message}`);
+      counts[exchange] = 0;
+    }
+  }
+
+  if (Object.values(counts).some(count => count > 0)) {
+    try {
+      await applySectorMap();
+    } catch (error) {
+      logger.error(`[Instruments] Sector map not applied: ${error.message}`);
+    }
+  }
+
+  lookup = null;
+  return counts;
+}
+
+async function buildLookup() {
+  let instruments = await prisma.instrument.findMany();
+
+  if (instruments.length === 0) {
+    // First boot — nothing stored yet, pull the dumps once
+    if (!refreshing) {
+      refreshing = refreshInstruments().finally(() => { refreshing = null; });
+    }
+    await refreshing;
+    instruments = await prisma.instrument.findMany();
+  }
+
+  const bySymbol = new Map();
+  const byIsin = new Map();
+  const byToken = new Map();
+
+  for (const inst of instruments) {
+    bySymbol.set(`${inst.exchange}:${inst.symbol}`, inst);
+    if (inst.isin) byIsin.set(`${inst.exchange}:${inst.isin}`, inst);
+    if (inst.exchangeToken) byToken.set(`${inst.exchange}:${inst.exchangeToken}`, inst);
+  }
+
+  return { instruments, bySymbol, byIsin, byToken };
+}
+
+async function getLookup() {
+  const today = new Date().toDateString();
+  if (lookup && lookupDate === today) return lookup;
+
+  if (!lookupLoading) {
+    lookupLoading = buildLookup()
+      .then((result) => {
+        lookup = result;
+        lookupDate = today;
+        return result;
+      })
+      .finally(() => { lookupLoading = null; });
+  }
+  return lookupLoading;
+}
+
+/**
+ * Find an instrument by trading symbol, ISIN or BSE scrip code.
+ *
+ * @param {string} symbol - INFY, INE009A01021 or 500209
+ * @param {string} exchange - NSE / BSE (segment names like NSE_EQ also accepted)
+ * @returns {Promise<Object|null>} Instrument row
+ */
+export async function resolveInstrument(symbol, exchange = 'NSE') {
+  const { bySymbol, byIsin, byToken } = await getLookup();
+  const ex = normalizeExchange(exchange);
+  const key = String(symbol || '').trim().toUpperCase();
+
+  return bySymbol.get(`${ex}:${key}`)
+    // Some symbols carry a series suffix in the dump
+    || bySymbol.get(`${ex}:${key}-EQ`)
+    || byIsin.get(`${ex}:${key}`)
+    || byToken.get(`${ex}:${key}`)
+    || null;
+}
+
+// Plain Levenshtein, bailing out once the distance exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+function scoreInstrument(inst, q) {
+  const symbol = inst.symbol;
+  const name = (inst.name || '').toUpperCase();
+
+  if (symbol === q) return 100;
+  if (inst.isin === q || inst.exchangeToken === q) return 95;
+  if (symbol.startsWith(q)) return 80 - Math.min(symbol.length - q.length, 10);
+  if (name.startsWith(q)) return 70;
+  if (name.split(/\s+/).some(word => word.startsWith(q))) return 60;
+  if (symbol.includes(q)) return 50;
+  if (name.includes(q)) return 40;
+
+  // Typo tolerance on the symbol: INFOSY → INFY-ish, RELAINCE → RELIANCE
+  if (q.length >= 4) {
+    const maxDistance = q.length >= 7 ? 2 : 1;
+    const distance = editDistance(q, symbol, maxDistance);
+    if (distance <= maxDistance) return 35 - distance * 5;
+  }
+  return 0;
+}
+
+/**
+ * Fuzzy search over the instrument master by symbol, company name, ISIN or BSE code.
+ *
+ * @param {string} query
+ * @param {{ exchange?: string, limit?: number }} options
+ * @returns {Promise<Array>} Best matches first
+ */
+export async function searchInstruments(query, { exchange, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const q = String(query || '').trim().toUpperCase();
+  if (!q) return [];
+
+  const { instruments } = await getLookup();
+  const ex = exchange ? normalizeExchange(exchange) : null;
+
+  const matches = [];
+  for (const inst of instruments) {
+    if (ex && inst.exchange !== ex) continue;
+    const score = scoreInstrument(inst, q);
+    if (score > 0) matches.push({ inst, score });
+  }
+
+  matches.sort((a, b) =>
+    b.score - a.score
+    || (a.inst.exchange === 'NSE' ? -1 : 0) - (b.inst.exchange === 'NSE' ? -1 : 0)
+    || a.inst.symbol.length - b.inst.symbol.length
+  );
+
+  return matches.slice(0, limit).map(({ inst }) => ({
+    symbol: inst.symbol,
+    name: inst.name,
+    exchange: inst.exchange,
+    isin: inst.isin,
+    bseCode: inst.exchange === 'BSE' ? inst.exchangeToken : null,
+    series: inst.series,
+    lotSize: inst.lotSize,
+    tickSize: inst.tickSize,
+    instrumentKey: inst.instrumentKey
+  }));
+}
+
+export default {
+  INSTRUMENT_EXCHANGES,
+  normalizeExchange,
+  refreshInstruments,
+  resolveInstrument,
+  searchInstruments
+};
@@ -1,51 +1,24 @@
-import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
 import logger from './logger.js';
+import { callProviders } from './marketProviders/index.js';
+import { getQuote, getQuotes, pickQuote } from './quoteService.js';
+import { refreshHoldingPrices } from './priceSync.js';
+import { buildIndexContext } from './indexData.js';
+import { searchInstruments } from './instrumentMaster.js';
 
 const prisma = new PrismaClient();
-const ALPHA_VANTAGE_KEY = process.env.ALPHA_VANTAGE_KEY;
-const BASE_URL = 'https://www.alphavantage.co/query';
-
-// NSE symbols with .NS suffix for Alpha Vantage
-const NSE_SUFFIX = '.NS';
-const BSE_SUFFIX = '.BO';
 
 /**
- * Fetch current price for a symbol
+ * Fetch current price for a symbol from the configured provider chain
+ * (MARKET_DATA_PROVIDERS, see marketProviders/index.js). Cached and
+ * rate-limited by quoteService.
  */
 export async function getCurrentPrice(symbol, exchange = 'NSE') {
   try {
-    const suffix = exchange === 'NSE' ? NSE_SUFFIX : BSE_SUFFIX;
-    const fullSymbol = `${symbol}${suffix}`;
-    
-    const response = await axios.get(BASE_URL, {
-      params: {
-        function: 'GLOBAL_QUOTE',
-        symbol: fullSymbol,
-        apikey: ALPHA_VANTAGE_KEY
-      }
-    });
-
-    const quote = response.data['Global Quote'];
-    
-    if (!quote || !quote['05. price']) {
-      throw new Error(`No data for ${symbol}`);
-    }
-
-    return {
-      symbol,
-      exchange,
-      price: parseFloat(quote['05. price']),
-      change: parseFloat(quote['09. change']),
-      changePercent: parseFloat(quote['10. change percent'].replace('%', '')),
-      volume: parseInt(quote['06. volume']),
-      timestamp: new Date(quote['07. latest trading day'])
-    };
+    return await getQuote(symbol, exchange);
   } catch (error) {
     logger.error(`Error fetching price for ${symbol}:`, error.message);
-    
-    // Fallback to NSE direct scraping if Alpha Vantage fails
-    return await scrapeNSEPrice(symbol);
+    throw error;
   }
 }
 
@@ -54,45 +27,9 @@ export async function getCurrentPrice(symbol, exchange = 'NSE') {
  */
 export async function getIntradayData(symbol, exchange = 'NSE') {
   try {
-    const suffix = exchange === 'NSE' ? NSE_SUFFIX : BSE_SUFFIX;
-    const fullSymbol = `${symbol}${suffix}`;
-    
-    const response = await axios.get(BASE_URL, {
-      params: {
-        function: 'TIME_SERIES_INTRADAY',
-        symbol: fullSymbol,
-        interval: '5min',
-        apikey: ALPHA_VANTAGE_KEY,
-        outputsize: 'compact' // Last 100 data points
-      }
-    });
-
-    const timeSeries = response.data['Time Series (5min)'];
-    
-    if (!timeSeries) {
-      throw new Error(`No intraday data for ${symbol}`);
-    }
-
-    // Convert to array and save to DB
-    const candles = Object.entries(timeSeries).map(([timestamp, data]) => ({
-      symbol,
-      exchange,
-      open: parseFloat(data['1. open']),
-      high: parseFloat(data['2. high']),
-      low: parseFloat(data['3. low']),
-      close: parseFloat(data['4. close']),
-      volume: parseInt(data['5. volume']),
-      timestamp: new Date(timestamp)
-    }));
-
-    // Save to database
-    await prisma.marketData.createMany({
-      data: candles,
-      skipDuplicates: true
-    });
-
-    logger.info(`Saved ${candles.length} candles for ${symbol}`);
-    return candles;
+    const { provider, result } = await callProviders('getIntraday', [symbol, exchange]);
+    logger.info(`Fetched ${result.length} candles for ${symbol} from ${provider}`);
+    return result;
   } catch (error) {
     logger.error(`Error fetching intraday data for ${symbol}:`, error.message);
     return [];
@@ -100,37 +37,19 @@ export async function getIntradayData(symbol, exchange = 'NSE') {
 }
 
 /**
- * Scrape price directly from NSE (fallback method)
+ * Fetch daily OHLCV bars, oldest first
+ *
+ * @param {string} symbol
+ * @param {string} exchange - NSE or BSE
+ * @param {{ from?: Date|string, to?: Date|string }} range
  */
-async function scrapeNSEPrice(symbol) {
+export async function getDailyBars(symbol, exchange = 'NSE', range = {}) {
   try {
-    // NSE API endpoint (unofficial but widely used)
-    const url = `https://www.nseindia.com/api/quote-equity?symbol=${symbol}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br'
-      }
-    });
-
-    const data = response.data;
-    const priceInfo = data.priceInfo;
-
-    return {
-      symbol,
-      exchange: 'NSE',
-      price: parseFloat(priceInfo.lastPrice),
-      change: parseFloat(priceInfo.change),
-      changePercent: parseFloat(priceInfo.pChange),
-      volume: parseInt(data.preOpenMarket?.totalTradedVolume || 0),
-      timestamp: new Date()
-    };
+    const { result } = await callProviders('getDailyBars', [symbol, exchange, range]);
+    return result;
   } catch (error) {
-    logger.error(`NSE scraping failed for ${symbol}:`, error.message);
-    throw error;
+    logger.error(`Error fetching daily bars for ${symbol}:`, error.message);
+    return [];
   }
 }
 
@@ -140,23 +59,13 @@ async function scrapeNSEPrice(symbol) {
 export async function updatePortfolioPrices() {
   try {
     const holdings = await prisma.holding.findMany();
-    
-    for (const holding of holdings) {
-      try {
-        const priceData = await getCurrentPrice(holding.symbol, holding.exchange);
-        
-        await prisma.holding.update({
-          where: { id: holding.id },
-          data: { currentPrice: priceData.price }
-        });
-        
-        logger.info(`Updated ${holding.symbol}: ₹${priceData.price}`);
-        
-        // Rate limiting for Alpha Vantage (5 calls/min on free tier)
-        await sleep(12000); // 12 seconds between calls
-      } catch (error) {
-        logger.error(`Failed to update ${holding.symbol}:`, error.message);
-      }
+    const { updated, failed } = await refreshHoldingPrices(holdings);
+
+    for (const u of updated) {
+      logger.info(`Updated ${u.symbol}: ₹${u.newPrice}`);
+    }
+    for (const f of failed) {
+      logger.error(`Failed to update ${f.symbol}:`, f.error);
     }
   } catch (error) {
     logger.error('Portfolio update error:', error);
@@ -169,11 +78,13 @@ export async function updatePortfolioPrices() {
 export async function getWatchlistSignals() {
   const watchlist = await prisma.watchlist.findMany();
   const signals = [];
+  const { quotes } = await getQuotes(watchlist.map(w => ({ symbol: w.symbol, exchange: w.exchange })));
 
   for (const stock of watchlist) {
     try {
-      const priceData = await getCurrentPrice(stock.symbol, stock.exchange);
-      
+      const priceData = pickQuote(quotes, stock.symbol, stock.exchange);
+      if (!priceData) throw new Error('No quote');
+
       // Check if target or stop loss hit
       if (stock.targetPrice && priceData.price >= stock.targetPrice) {
         signals.push({
@@ -192,8 +103,6 @@ export async function getWatchlistSignals() {
           stopLoss: stock.stopLoss
         });
       }
-
-      await sleep(12000);
     } catch (error) {
       logger.error(`Watchlist check failed for ${stock.symbol}`);
     }
@@ -203,28 +112,24 @@ export async function getWatchlistSignals() {
 }
 
 /**
- * Search for stock symbols (helper for frontend)
+ * Search for stock symbols (helper for frontend).
+ * Served from the local instrument master; the providers are only asked
+ * when it has nothing (e.g. the dump hasn't been downloaded yet).
+ *
+ * @param {string} query - Symbol, company name, ISIN or BSE code
+ * @param {{ exchange?: string, limit?: number }} options
  */
-export async function searchSymbols(query) {
+export async function searchSymbols(query, options = {}) {
   try {
-    const response = await axios.get(BASE_URL, {
-      params: {
-        function: 'SYMBOL_SEARCH',
-        keywords: query,
-        apikey: ALPHA_VANTAGE_KEY
-      }
-    });
+    const matches = await searchInstruments(query, options);
+    if (matches.length > 0) return matches;
+  } catch (error) {
+    logger.warn(`Instrument search unavailable: ${error.message}`);
+  }
 
-    const matches = response.data.bestMatches || [];
-    
-    // Filter Indian stocks only
-    return matches
-      .filter(m => m['1. symbol'].endsWith('.NSE') || m['1. symbol'].endsWith('.BSE'))
-      .map(m => ({
-        symbol: m['1. symbol'].replace('.NSE', '').replace('.BSE', ''),
-        name: m['2. name'],
-        exchange: m['1. symbol'].endsWith('.NSE') ? 'NSE' : 'BSE'
-      }));
+  try {
+    const { result } = await callProviders('searchSymbols', [query]);
+    return result;
   } catch (error) {
     logger.error('Symbol search error:', error);
     return [];
@@ -237,11 +142,13 @@ export async function searchSymbols(query) {
 
 const marketContextCache = new Map();
 const CACHE_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const MARKET_CONTEXT_MAX_HOLDINGS = 10;
 
 /**
  * Fetch real market data to inject into AI prompts.
- * Uses NIFTYBEES as Nifty 50 proxy + top holdings by invested value.
- * Results are cached for 15 minutes to avoid Alpha Vantage rate limits.
+ * Index levels, sector rotation and India VIX (indexData.js) plus live prices
+ * for the largest holdings by invested value.
+ * Results are cached for 15 minutes on top of the quote cache.
  *
  * @param {Array} holdings - Portfolio holdings array
  * @returns {Promise<string>} Formatted market context text
@@ -250,9 +157,8 @@ export async function fetchMarketContext(holdings = []) {
   // Build cache key from sorted symbols
   const topHoldings = [...holdings]
     .sort((a, b) => (b.quantity * parseFloat(b.avgPrice)) - (a.quantity * parseFloat(a.avgPrice)))
-    .slice(0, 3);
-  const symbols = ['NIFTYBEES', ...topHoldings.map(h => h.symbol)];
-  const cacheKey = symbols.sort().join(',');
+    .slice(0, MARKET_CONTEXT_MAX_HOLDINGS);
+  const cacheKey = topHoldings.map(h => h.symbol).sort().join(',') || '_indices';
 
   // Check cache
   const cached = marketContextCache.get(cacheKey);
@@ -264,22 +170,22 @@ export async function fetchMarketContext(holdings = []) {
   const timeStr = now.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata' });
   const lines = [`=== REAL-TIME MARKET DATA (fetched at ${timeStr} IST) ===`];
 
-  // Fetch NIFTYBEES as Nifty proxy
-  try {
-    const nifty = await getCurrentPrice('NIFTYBEES', 'NSE');
-    lines.push(`NIFTYBEES (Nifty 50 ETF proxy): Rs ${nifty.price.toFixed(2)} (${nifty.changePercent >= 0 ? '+' : ''}${nifty.changePercent.toFixed(2)}%)`);
-  } catch (e) {
-    lines.push('NIFTYBEES: Data unavailable');
-  }
-
-  // Fetch top holdings prices
-  for (const h of topHoldings) {
-    try {
-      await sleep(12000); // Alpha Vantage rate limit
-      const data = await getCurrentPrice(h.symbol, h.exchange || 'NSE');
-      lines.push(`${h.symbol}: Rs ${data.price.toFixed(2)} (${data.changePercent >= 0 ? '+' : ''}${data.changePercent.toFixed(2)}%)`);
-    } catch (e) {
-      lines.push(`${h.symbol}: Data unavailable`);
+  const [indexContext, { quotes }] = await Promise.all([
+    buildIndexContext(),
+    getQuotes(topHoldings.map(h => ({ symbol: h.symbol, exchange: h.exchange || 'NSE' })))
+  ]);
+
+  lines.push(indexContext || 'INDEX LEVELS: Data unavailable');
+
+  if (topHoldings.length > 0) {
+    lines.push('HOLDINGS:');
+    for (const h of topHoldings) {
+      const data = pickQuote(quotes, h.symbol, h.exchange || 'NSE');
+      if (data) {
+        lines.push(`${h.symbol}: Rs ${data.price.toFixed(2)} (${data.changePercent >= 0 ? '+' : ''}${data.changePercent.toFixed(2)}%)`);
+      } else {
+        lines.push(`${h.symbol}: Data unavailable`);
+      }
     }
   }
 
@@ -298,7 +204,3 @@ export async function fetchMarketContext(holdings = []) {
  */
 export { MARKET_DATA_INSTRUCTION as MARKET_DATA_ANTI_HALLUCINATION_PROMPT } from './analystPrompts.js';
 
-// Utility
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
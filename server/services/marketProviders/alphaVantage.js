@@ -0,0 +1,136 @@
+// server/services/marketProviders/alphaVantage.js
+// Alpha Vantage provider — free tier allows 5 calls/min, 25/day
+
+import axios from 'axios';
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+// Alpha Vantage suffixes for Indian exchanges
+const NSE_SUFFIX = '.NS';
+const BSE_SUFFIX = '.BO';
+
+// Listed stocks only: no NSE indices
+export function supports(exchange = 'NSE') {
+  return exchange === 'NSE' || exchange === 'BSE';
+}
+
+function toAVSymbol(symbol, exchange) {
+  if (exchange === 'INDEX') {
+    throw new Error(`Alpha Vantage has no NSE index data (${symbol})`);
+  }
+  return `${symbol}${exchange === 'BSE' ? BSE_SUFFIX : NSE_SUFFIX}`;
+}
+
+async function avRequest(params) {
+  const response = await axios.get(BASE_URL, {
+    params: { ...params, apikey: process.env.ALPHA_VANTAGE_KEY },
+    timeout: 15000
+  });
+
+  // Rate-limit and key errors come back as 200 with a Note/Information field
+  if (response.data?.Note || response.data?.Information) {
+    throw new Error(response.data.Note || response.data.Information);
+  }
+  return response.data;
+}
+
+function parseSeries(series, symbol, exchange) {
+  return Object.entries(series)
+    .map(([timestamp, data]) => ({
+      symbol,
+      exchange,
+      open: parseFloat(data['1. open']),
+      high: parseFloat(data['2. high']),
+      low: parseFloat(data['3. low']),
+      close: parseFloat(data['4. close']),
+      volume: parseInt(data['5. volume']),
+      timestamp: new Date(timestamp)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export async function getQuote(symbol, exchange = 'NSE') {
+  const data = await avRequest({
+    function: 'GLOBAL_QUOTE',
+    symbol: toAVSymbol(symbol, exchange)
+  });
+
+  const quote = data['Global Quote'];
+  if (!quote || !quote['05. price']) {
+    throw new Error(`No data for ${symbol}`);
+  }
+
+  return {
+    symbol,
+    exchange,
+    price: parseFloat(quote['05. price']),
+    change: parseFloat(quote['09. change']),
+    changePercent: parseFloat(quote['10. change percent'].replace('%', '')),
+    volume: parseInt(quote['06. volume']),
+    timestamp: new Date(quote['07. latest trading day'])
+  };
+}
+
+/**
+ * 5-min candles, last 100 points (compact output)
+ */
+export async function getIntraday(symbol, exchange = 'NSE') {
+  const data = await avRequest({
+    function: 'TIME_SERIES_INTRADAY',
+    symbol: toAVSymbol(symbol, exchange),
+    interval: '5min',
+    outputsize: 'compact'
+  });
+
+  const series = data['Time Series (5min)'];
+  if (!series) {
+    throw new Error(`No intraday data for ${symbol}`);
+  }
+  return parseSeries(series, symbol, exchange);
+}
+
+export async function getDailyBars(symbol, exchange = 'NSE', { from, to } = {}) {
+  // compact = last 100 sessions; only ask for full history when we need it
+  const needsFull = from && (Date.now() - new Date(from).getTime()) > 140 * 24 * 60 * 60 * 1000;
+  const data = await avRequest({
+    function: 'TIME_SERIES_DAILY',
+    symbol: toAVSymbol(symbol, exchange),
+    outputsize: needsFull ? 'full' : 'compact'
+  });
+
+  const series = data['Time Series (Daily)'];
+  if (!series) {
+    throw new Error(`No daily data for ${symbol}`);
+  }
+
+  return parseSeries(series, symbol, exchange).filter(c =>
+    (!from || c.timestamp >= new Date(from)) && (!to || c.timestamp <= new Date(to))
+  );
+}
+
+export async function searchSymbols(query) {
+  const data = await avRequest({
+    function: 'SYMBOL_SEARCH',
+    keywords: query
+  });
+
+  const matches = data.bestMatches || [];
+
+  // Filter Indian stocks only
+  return matches
+    .filter(m => m['1. symbol'].endsWith('.NSE') || m['1. symbol'].endsWith('.BSE'))
+    .map(m => ({
+      symbol: m['1. symbol'].replace('.NSE', '').replace('.BSE', ''),
+      name: m['2. name'],
+      exchange: m['1. symbol'].endsWith('.NSE') ? 'NSE' : 'BSE'
+    }));
+}
+
+export default {
+  name: 'alphavantage',
+  supports,
+  getQuote,
+  getIntraday,
+  getDailyBars,
+  searchSymbols
+};
@@ -0,0 +1,110 @@
+// server/services/marketProviders/index.js
+// Market-data provider registry. Every provider exposes some subset of:
+//   getQuote(symbol, exchange)                → { symbol, exchange, price, change, changePercent, volume, timestamp }
+//   getIntraday(symbol, exchange)             → [{ symbol, exchange, open, high, low, close, volume, timestamp }]
+//   getDailyBars(symbol, exchange, {from,to}) → same candle shape, one per session
+//   searchSymbols(query)                      → [{ symbol, name, exchange }]
+//
+// MARKET_DATA_PROVIDERS picks and orders them, e.g. "upstox,alphavantage,nse"
+// in production or "replay" on a dev box. Each call walks the chain until one succeeds.
+// Optional getQuotes(items) batches many symbols into one request where the API allows it;
+// a provider that returns no quotes for the batch counts as failed, so the next is tried.
+// Optional supports(exchange) says which exchanges a provider serves; without it, all.
+//
+// Calls go through the per-provider rate budget (rateLimiter.js); a provider whose
+// budget is exhausted is skipped rather than waited on indefinitely. A provider that
+// can't serve the exchange is skipped before it spends any of that budget.
+
+import logger from '../logger.js';
+import alphaVantage from './alphaVantage.js';
+import nse from './nse.js';
+import upstox from './upstox.js';
+import replay from './replay.js';
+import { acquireSlot } from './rateLimiter.js';
+
+const PROVIDERS = {
+  [alphaVantage.name]: alphaVantage,
+  [nse.name]: nse,
+  [upstox.name]: upstox,
+  [replay.name]: replay
+};
+
+const DEFAULT_CHAIN = 'alphavantage,nse';
+const warnedUnknown = new Set();
+
+/**
+ * Resolve the configured provider chain. Unknown names are logged and skipped.
+ *
+ * @returns {Array<Object>} Providers in priority order
+ */
+export function getProviderChain() {
+  const names = (process.env.MARKET_DATA_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = [];
+  for (const name of names) {
+    if (PROVIDERS[name]) {
+      chain.push(PROVIDERS[name]);
+    } else if (!warnedUnknown.has(name)) {
+      warnedUnknown.add(name);
+      logger.warn(`[Market Data] Unknown provider "${name}" in MARKET_DATA_PROVIDERS, skipping`);
+    }
+  }
+  return chain;
+}
+
+// Exchanges a call asks for; searchSymbols isn't tied to one
+function exchangesOf(method, args) {
+  if (method === 'searchSymbols') return [];
+  if (method === 'getQuotes') return [...new Set(args[0].map(i => i.exchange || 'NSE'))];
+  return [args[1] || 'NSE'];
+}
+
+function servesExchanges(provider, exchanges) {
+  return typeof provider.supports !== 'function' || exchanges.length === 0 || exchanges.some(e => provider.supports(e));
+}
+
+/**
+ * Call a provider method down the chain, returning the first success.
+ * Throws the last error if every provider fails (or none supports the method and exchange).
+ *
+ * @param {string} method - getQuote | getQuotes | getIntraday | getDailyBars | searchSymbols
+ * @param {Array} args - Arguments passed through to the provider
+ * @returns {Promise<{ provider: string, result: any }>}
+ */
+export async function callProviders(method, args) {
+  const exchanges = exchangesOf(method, args);
+  const chain = getProviderChain().filter(p => typeof p[method] === 'function' && servesExchanges(p, exchanges));
+  if (chain.length === 0) {
+    throw new Error(`No configured market data provider supports ${method} for ${exchanges.join('/') || 'any exchange'}`);
+  }
+
+  let lastError;
+  for (const provider of chain) {
+    try {
+      await acquireSlot(provider.name);
+      const result = await provider[method](...args);
+      if (method === 'getQuotes' && result.length === 0) {
+        throw new Error('no quotes in the batch');
+      }
+      return { provider: provider.name, result };
+    } catch (error) {
+      lastError = error;
+      const label = Array.isArray(args[0]) ? `${args[0].length} symbols` : args[0];
+      logger.warn(`[Market Data] ${provider.name}.${method}(${label}) failed: ${error.message}`);
+    }
+  }
+  throw lastError;
+}
+
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export default {
+  getProviderChain,
+  callProviders,
+  listProviders
+};
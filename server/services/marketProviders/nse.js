@@ -0,0 +1,204 @@
+// server/services/marketProviders/nse.js
+// NSE website JSON endpoints (unofficial but widely used). NSE-listed symbols and indices only.
+
+import axios from 'axios';
+import { getIndexDefinition, getIndexByNseName } from '../../utils/marketIndices.js';
+
+const NSE_BASE_URL = 'https://www.nseindia.com';
+
+const NSE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept-Encoding': 'gzip, deflate, br'
+};
+
+// allIndices returns every index in one response; reuse it briefly across lookups
+const ALL_INDICES_TTL_MS = 15 * 1000;
+let allIndicesCache = null;
+
+// NSE's own API: NSE-listed stocks and NSE indices
+export function supports(exchange = 'NSE') {
+  return exchange === 'NSE' || exchange === 'INDEX';
+}
+
+function assertNSE(symbol, exchange) {
+  if (exchange && !supports(exchange)) {
+    throw new Error(`NSE provider cannot serve ${exchange}:${symbol}`);
+  }
+}
+
+async function nseRequest(path, params = {}) {
+  const response = await axios.get(`${NSE_BASE_URL}${path}`, {
+    params,
+    headers: NSE_HEADERS,
+    timeout: 15000
+  });
+  return response.data;
+}
+
+// NSE historical API wants DD-MM-YYYY
+function toNSEDate(date) {
+  const d = new Date(date);
+  const dd = String(d.getDate()).padStart(2, '0');
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  return `${dd}-${mm}-${d.getFullYear()}`;
+}
+
+async function fetchAllIndices() {
+  if (allIndicesCache && Date.now() - allIndicesCache.fetchedAt < ALL_INDICES_TTL_MS) {
+    return allIndicesCache.rows;
+  }
+  const data = await nseRequest('/api/allIndices');
+  const rows = data?.data || [];
+  allIndicesCache = { rows, fetchedAt: Date.now() };
+  return rows;
+}
+
+function toIndexQuote(row, symbol) {
+  return {
+    symbol,
+    exchange: 'INDEX',
+    price: parseFloat(row.last),
+    change: parseFloat(row.variation),
+    changePercent: parseFloat(row.percentChange),
+    volume: 0,
+    timestamp: new Date()
+  };
+}
+
+async function getIndexQuote(symbol) {
+  const index = getIndexDefinition(symbol);
+  if (!index) throw new Error(`Unknown index ${symbol}`);
+
+  const row = (await fetchAllIndices()).find(r => r.index === index.nseName);
+  if (!row) throw new Error(`NSE did not return ${index.nseName}`);
+  return toIndexQuote(row, symbol);
+}
+
+export async function getQuote(symbol, exchange = 'NSE') {
+  assertNSE(symbol, exchange);
+  if (exchange === 'INDEX') return getIndexQuote(symbol);
+
+  const data = await nseRequest('/api/quote-equity', { symbol });
+  const priceInfo = data.priceInfo;
+
+  if (!priceInfo?.lastPrice) {
+    throw new Error(`No NSE quote for ${symbol}`);
+  }
+
+  return {
+    symbol,
+    exchange: 'NSE',
+    price: parseFloat(priceInfo.lastPrice),
+    change: parseFloat(priceInfo.change),
+    changePercent: parseFloat(priceInfo.pChange),
+    volume: parseInt(data.preOpenMarket?.totalTradedVolume || 0),
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Batched quotes — only indices batch on NSE (one allIndices call covers them all).
+ * Equities are left to the next provider in the chain, or the per-symbol fallback.
+ */
+export async function getQuotes(items) {
+  const wanted = items.filter(i => i.exchange === 'INDEX');
+  if (wanted.length === 0) return [];
+
+  const rows = await fetchAllIndices();
+  const quotes = [];
+  for (const row of rows) {
+    const index = getIndexByNseName(row.index);
+    if (index && wanted.some(w => w.symbol === index.symbol)) {
+      quotes.push(toIndexQuote(row, index.symbol));
+    }
+  }
+  return quotes;
+}
+
+async function getIndexDailyBars(symbol, fromDate, toDate) {
+  const index = getIndexDefinition(symbol);
+  if (!index) throw new Error(`Unknown index ${symbol}`);
+
+  // VIX has its own history endpoint with the same EOD_* field names
+  const data = index.symbol === 'INDIAVIX'
+    ? await nseRequest('/api/historical/vixhistory', { from: toNSEDate(fromDate), to: toNSEDate(toDate) })
+    : await nseRequest('/api/historical/indicesHistory', {
+      indexType: index.nseName,
+      from: toNSEDate(fromDate),
+      to: toNSEDate(toDate)
+    });
+
+  const rows = data?.data?.indexCloseOnlineRecords || data?.data || [];
+  if (rows.length === 0) {
+    throw new Error(`No NSE history for ${index.nseName}`);
+  }
+
+  return rows
+    .map(r => ({
+      symbol,
+      exchange: 'INDEX',
+      open: parseFloat(r.EOD_OPEN_INDEX_VAL),
+      high: parseFloat(r.EOD_HIGH_INDEX_VAL),
+      low: parseFloat(r.EOD_LOW_INDEX_VAL),
+      close: parseFloat(r.EOD_CLOSE_INDEX_VAL),
+      volume: 0,
+      timestamp: new Date(r.EOD_TIMESTAMP)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export async function getDailyBars(symbol, exchange = 'NSE', { from, to } = {}) {
+  assertNSE(symbol, exchange);
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 100 * 24 * 60 * 60 * 1000);
+
+  if (exchange === 'INDEX') return getIndexDailyBars(symbol, fromDate, toDate);
+
+  const data = await nseRequest('/api/historical/cm/equity', {
+    symbol,
+    series: '["EQ"]',
+    from: toNSEDate(fromDate),
+    to: toNSEDate(toDate)
+  });
+
+  const rows = data?.data || [];
+  if (rows.length === 0) {
+    throw new Error(`No NSE history for ${symbol}`);
+  }
+
+  return rows
+    .map(r => ({
+      symbol,
+      exchange: 'NSE',
+      open: parseFloat(r.CH_OPENING_PRICE),
+      high: parseFloat(r.CH_TRADE_HIGH_PRICE),
+      low: parseFloat(r.CH_TRADE_LOW_PRICE),
+      close: parseFloat(r.CH_CLOSING_PRICE),
+      volume: parseInt(r.CH_TOT_TRADED_QTY || 0),
+      timestamp: new Date(r.CH_TIMESTAMP)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export async function searchSymbols(query) {
+  const data = await nseRequest('/api/search/autocomplete', { q: query });
+
+  return (data?.symbols || [])
+    .filter(s => s.result_sub_type === 'equity')
+    .map(s => ({
+      symbol: s.symbol,
+      name: s.symbol_info,
+      exchange: 'NSE'
+    }));
+}
+
+export default {
+  name: 'nse',
+  supports,
+  getQuote,
+  getQuotes,
+  getDailyBars,
+  searchSymbols
+};
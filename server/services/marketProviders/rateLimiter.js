@@ -0,0 +1,84 @@
+// server/services/marketProviders/rateLimiter.js
+// Shared token-bucket budgets, one per provider. Every provider call in the
+// process draws from the same bucket, so concurrent jobs can't blow the quota.
+//
+// MARKET_RATE_LIMITS overrides the defaults, e.g. "alphavantage:5/60s,nse:3/1s".
+
+// Requests allowed per window. Missing entry = unlimited.
+const DEFAULT_LIMITS = {
+  alphavantage: { count: 5, windowMs: 60 * 1000 },  // Free tier: 5/min
+  nse: { count: 3, windowMs: 1000 },                // NSE blocks aggressive scrapers
+  upstox: { count: 25, windowMs: 1000 }             // Documented 50/s, keep headroom
+};
+
+const buckets = new Map();
+
+function parseLimits(spec) {
+  const limits = { ...DEFAULT_LIMITS };
+  if (!spec) return limits;
+
+  for (const entry of spec.split(',')) {
+    const match = entry.trim().match(/^([a-z]+):(\d+)\/(\d+)(ms|s|m)$/i);
+    if (!match) continue;
+    const [, name, count, span, unit] = match;
+    const multiplier = unit === 'm' ? 60000 : unit === 's' ? 1000 : 1;
+    limits[name.toLowerCase()] = { count: parseInt(count), windowMs: parseInt(span) * multiplier };
+  }
+  return limits;
+}
+
+/**
+ * Token bucket that lets the balance go negative: each caller reserves its
+ * token up front and sleeps off the debt, which keeps callers FIFO without a queue.
+ */
+function createTokenBucket({ count, windowMs }) {
+  const refillPerMs = count / windowMs;
+  let tokens = count;
+  let lastRefill = Date.now();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(count, tokens + (now - lastRefill) * refillPerMs);
+    lastRefill = now;
+  }
+
+  return {
+    /**
+     * @param {number} maxWaitMs - Give up instead of waiting longer than this
+     * @returns {Promise<void>}
+     */
+    async acquire(maxWaitMs = Infinity) {
+      refill();
+      const waitMs = tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+      if (waitMs > maxWaitMs) {
+        const error = new Error(`Rate budget exhausted (next slot in ${Math.ceil(waitMs / 1000)}s)`);
+        error.code = 'RATE_LIMITED';
+        throw error;
+      }
+      tokens -= 1;
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+    }
+  };
+}
+
+/**
+ * Wait for a request slot on a provider's budget.
+ *
+ * @param {string} provider - Provider name
+ * @param {number} [maxWaitMs] - Defaults to MARKET_RATE_MAX_WAIT_MS (30s)
+ */
+export async function acquireSlot(provider, maxWaitMs = parseInt(process.env.MARKET_RATE_MAX_WAIT_MS || '30000')) {
+  if (!buckets.has(provider)) {
+    const limit = parseLimits(process.env.MARKET_RATE_LIMITS)[provider];
+    buckets.set(provider, limit ? createTokenBucket(limit) : null);
+  }
+
+  const bucket = buckets.get(provider);
+  if (bucket) {
+    await bucket.acquire(maxWaitMs);
+  }
+}
+
+export default { acquireSlot };
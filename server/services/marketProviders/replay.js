@@ -0,0 +1,196 @@
+// server/services/marketProviders/replay.js
+// File-backed provider that serves recorded ticks/candles — for dev boxes and tests.
+//
+// Files live in MARKET_REPLAY_DIR as <SYMBOL>.csv / <SYMBOL>.json, or
+// <EXCHANGE>_<SYMBOL>.csv / .json when the same symbol differs across exchanges.
+//
+// CSV header: timestamp,open,high,low,close,volume   (candles)
+//         or: timestamp,price,volume                 (ticks)
+// JSON: array of objects with the same fields.
+//
+// MARKET_REPLAY_CLOCK (ISO timestamp) pins "now" — rows after it are invisible,
+// so a recorded session can be replayed as if live.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCSV } from '../../utils/csv.js';
+
+const fileCache = new Map(); // filePath → { mtimeMs, rows }
+
+function getReplayDir() {
+  return path.resolve(process.env.MARKET_REPLAY_DIR || './data/replay');
+}
+
+function getReplayClock() {
+  return process.env.MARKET_REPLAY_CLOCK ? new Date(process.env.MARKET_REPLAY_CLOCK) : null;
+}
+
+function istDateKey(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+function normalizeRow(raw) {
+  const price = raw.price !== undefined && raw.price !== '' ? parseFloat(raw.price) : null;
+  const close = raw.close !== undefined && raw.close !== '' ? parseFloat(raw.close) : price;
+  return {
+    timestamp: new Date(raw.timestamp),
+    open: raw.open !== undefined && raw.open !== '' ? parseFloat(raw.open) : close,
+    high: raw.high !== undefined && raw.high !== '' ? parseFloat(raw.high) : close,
+    low: raw.low !== undefined && raw.low !== '' ? parseFloat(raw.low) : close,
+    close,
+    volume: parseInt(raw.volume || 0)
+  };
+}
+
+async function findFile(symbol, exchange) {
+  const dir = getReplayDir();
+  const candidates = [
+    `${exchange}_${symbol}.csv`,
+    `${exchange}_${symbol}.json`,
+    `${symbol}.csv`,
+    `${symbol}.json`
+  ];
+
+  for (const name of candidates) {
+    const filePath = path.join(dir, name);
+    try {
+      const stat = await fs.stat(filePath);
+      return { filePath, mtimeMs: stat.mtimeMs };
+    } catch {
+      // try next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Load all rows for a symbol up to the replay clock, oldest first.
+ */
+async function loadRows(symbol, exchange) {
+  const file = await findFile(symbol, exchange);
+  if (!file) {
+    throw new Error(`No replay file for ${exchange}:${symbol} in ${getReplayDir()}`);
+  }
+
+  let cached = fileCache.get(file.filePath);
+  if (!cached || cached.mtimeMs !== file.mtimeMs) {
+    const text = await fs.readFile(file.filePath, 'utf8');
+    const raw = file.filePath.endsWith('.json') ? JSON.parse(text) : parseCSV(text);
+    const rows = raw
+      .map(normalizeRow)
+      .filter(r => !isNaN(r.timestamp) && !isNaN(r.close))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    cached = { mtimeMs: file.mtimeMs, rows };
+    fileCache.set(file.filePath, cached);
+  }
+
+  const clock = getReplayClock();
+  const rows = clock ? cached.rows.filter(r => r.timestamp <= clock) : cached.rows;
+  if (rows.length === 0) {
+    throw new Error(`Replay file for ${symbol} has no rows before ${clock?.toISOString()}`);
+  }
+  return rows;
+}
+
+/**
+ * Collapse rows into one bar per IST trading day.
+ */
+function aggregateDaily(rows) {
+  const days = new Map();
+  for (const r of rows) {
+    const key = istDateKey(r.timestamp);
+    const day = days.get(key);
+    if (!day) {
+      days.set(key, { ...r, timestamp: new Date(`${key}T00:00:00+05:30`) });
+    } else {
+      day.high = Math.max(day.high, r.high);
+      day.low = Math.min(day.low, r.low);
+      day.close = r.close;
+      day.volume += r.volume;
+    }
+  }
+  return [...days.values()];
+}
+
+export async function getQuote(symbol, exchange = 'NSE') {
+  const rows = await loadRows(symbol, exchange);
+  const last = rows[rows.length - 1];
+  const lastDay = istDateKey(last.timestamp);
+
+  // Change is measured against the previous session's last print
+  const prev = [...rows].reverse().find(r => istDateKey(r.timestamp) !== lastDay);
+  const change = prev ? last.close - prev.close : 0;
+  const dayVolume = rows
+    .filter(r => istDateKey(r.timestamp) === lastDay)
+    .reduce((sum, r) => sum + r.volume, 0);
+
+  return {
+    symbol,
+    exchange,
+    price: last.close,
+    change,
+    changePercent: prev && prev.close ? (change / prev.close) * 100 : 0,
+    volume: dayVolume,
+    timestamp: last.timestamp
+  };
+}
+
+/**
+ * Batched quotes; symbols without a replay file are left out.
+ */
+export async function getQuotes(items) {
+  const quotes = [];
+  for (const { symbol, exchange = 'NSE' } of items) {
+    try {
+      quotes.push(await getQuote(symbol, exchange));
+    } catch {
+      // caller falls back to per-symbol lookups for anything missing
+    }
+  }
+  return quotes;
+}
+
+/**
+ * Rows from the latest recorded session
+ */
+export async function getIntraday(symbol, exchange = 'NSE') {
+  const rows = await loadRows(symbol, exchange);
+  const lastDay = istDateKey(rows[rows.length - 1].timestamp);
+
+  return rows
+    .filter(r => istDateKey(r.timestamp) === lastDay)
+    .map(r => ({ symbol, exchange, ...r }));
+}
+
+export async function getDailyBars(symbol, exchange = 'NSE', { from, to } = {}) {
+  const rows = await loadRows(symbol, exchange);
+
+  return aggregateDaily(rows)
+    .filter(c => (!from || c.timestamp >= new Date(from)) && (!to || c.timestamp <= new Date(to)))
+    .map(c => ({ symbol, exchange, ...c }));
+}
+
+export async function searchSymbols(query) {
+  const files = await fs.readdir(getReplayDir()).catch(() => []);
+  const q = query.toUpperCase();
+
+  return files
+    .filter(f => /\.(csv|json)$/i.test(f))
+    .map(f => {
+      const base = f.replace(/\.(csv|json)$/i, '');
+      const match = base.match(/^(NSE|BSE)_(.+)$/);
+      return match
+        ? { symbol: match[2], name: match[2], exchange: match[1] }
+        : { symbol: base, name: base, exchange: 'NSE' };
+    })
+    .filter(s => s.symbol.toUpperCase().includes(q));
+}
+
+export default {
+  name: 'replay',
+  getQuote,
+  getQuotes,
+  getIntraday,
+  getDailyBars,
+  searchSymbols
+};
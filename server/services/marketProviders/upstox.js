@@ -0,0 +1,177 @@
+// server/services/marketProviders/upstox.js
+// Upstox market-quote + historical candle APIs.
+// Market data isn't user-scoped, so any connected account's live token will do.
+
+import axios from 'axios';
+import prisma from '../prisma.js';
+import { resolveInstrumentKey } from '../upstoxService.js';
+import { getIndexDefinition } from '../../utils/marketIndices.js';
+
+const UPSTOX_V2_URL = 'https://api.upstox.com/v2';
+const UPSTOX_V3_URL = 'https://api.upstox.com/v3';
+
+async function getMarketDataToken() {
+  if (process.env.UPSTOX_MARKET_DATA_TOKEN) {
+    return process.env.UPSTOX_MARKET_DATA_TOKEN;
+  }
+
+  const integration = await prisma.upstoxIntegration.findFirst({
+    where: {
+      isConnected: true,
+      accessToken: { not: null },
+      OR: [{ tokenExpiresAt: null }, { tokenExpiresAt: { gt: new Date() } }]
+    },
+    orderBy: { updatedAt: 'desc' },
+    select: { accessToken: true }
+  });
+
+  if (!integration) {
+    throw new Error('No connected Upstox account available for market data');
+  }
+  return integration.accessToken;
+}
+
+async function upstoxGet(url, params = {}) {
+  const token = await getMarketDataToken();
+  const response = await axios.get(url, {
+    params,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'application/json'
+    },
+    timeout: 15000
+  });
+  return response.data;
+}
+
+function toSegment(exchange) {
+  return exchange === 'BSE' ? 'BSE_EQ' : 'NSE_EQ';
+}
+
+async function toInstrumentKey(symbol, exchange) {
+  if (exchange === 'INDEX') {
+    const index = getIndexDefinition(symbol);
+    if (!index) throw new Error(`Unknown index ${symbol}`);
+    return `NSE_INDEX|${index.upstoxName}`;
+  }
+  return resolveInstrumentKey(symbol, toSegment(exchange));
+}
+
+// YYYY-MM-DD in IST, as the historical API expects
+function toISTDate(date) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+function parseCandles(candles, symbol, exchange) {
+  // Upstox candle: [timestamp, open, high, low, close, volume, oi]
+  return (candles || [])
+    .map(([timestamp, open, high, low, close, volume]) => ({
+      symbol,
+      exchange,
+      open,
+      high,
+      low,
+      close,
+      volume,
+      timestamp: new Date(timestamp)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function toQuote(quote, symbol, exchange) {
+  const prevClose = quote.last_price - quote.net_change;
+  return {
+    symbol,
+    exchange,
+    price: quote.last_price,
+    change: quote.net_change,
+    changePercent: prevClose ? (quote.net_change / prevClose) * 100 : 0,
+    volume: quote.volume || 0,
+    timestamp: quote.timestamp ? new Date(quote.timestamp) : new Date()
+  };
+}
+
+export async function getQuote(symbol, exchange = 'NSE') {
+  const instrumentKey = await toInstrumentKey(symbol, exchange);
+  const data = await upstoxGet(`${UPSTOX_V2_URL}/market-quote/quotes`, { instrument_key: instrumentKey });
+
+  // Response is keyed by "NSE_EQ:SYMBOL", not by the instrument key we sent
+  const quote = Object.values(data?.data || {})[0];
+  if (!quote?.last_price) {
+    throw new Error(`No Upstox quote for ${symbol}`);
+  }
+
+  return toQuote(quote, symbol, exchange);
+}
+
+/**
+ * Batched quotes — the quotes endpoint takes up to 500 comma-separated keys.
+ *
+ * @param {Array<{ symbol: string, exchange: string }>} items
+ * @returns {Promise<Array>} Quotes for the symbols Upstox knew about
+ */
+export async function getQuotes(items) {
+  const byKey = new Map();
+  for (const item of items) {
+    try {
+      const key = await toInstrumentKey(item.symbol, item.exchange);
+      byKey.set(key, item);
+    } catch {
+      // Unknown instrument — leave it to the per-symbol fallback
+    }
+  }
+  if (byKey.size === 0) return [];
+
+  const data = await upstoxGet(`${UPSTOX_V2_URL}/market-quote/quotes`, {
+    instrument_key: [...byKey.keys()].join(',')
+  });
+
+  const quotes = [];
+  for (const quote of Object.values(data?.data || {})) {
+    const item = byKey.get(quote.instrument_token);
+    if (item && quote.last_price) {
+      quotes.push(toQuote(quote, item.symbol, item.exchange));
+    }
+  }
+  return quotes;
+}
+
+/**
+ * Today's 5-min candles
+ */
+export async function getIntraday(symbol, exchange = 'NSE') {
+  const instrumentKey = await toInstrumentKey(symbol, exchange);
+  const data = await upstoxGet(
+    `${UPSTOX_V3_URL}/historical-candle/intraday/${encodeURIComponent(instrumentKey)}/minutes/5`
+  );
+
+  const candles = parseCandles(data?.data?.candles, symbol, exchange);
+  if (candles.length === 0) {
+    throw new Error(`No Upstox intraday data for ${symbol}`);
+  }
+  return candles;
+}
+
+export async function getDailyBars(symbol, exchange = 'NSE', { from, to } = {}) {
+  const instrumentKey = await toInstrumentKey(symbol, exchange);
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 100 * 24 * 60 * 60 * 1000);
+
+  const data = await upstoxGet(
+    `${UPSTOX_V3_URL}/historical-candle/${encodeURIComponent(instrumentKey)}/days/1/${toISTDate(toDate)}/${toISTDate(fromDate)}`
+  );
+
+  const candles = parseCandles(data?.data?.candles, symbol, exchange);
+  if (candles.length === 0) {
+    throw new Error(`No Upstox history for ${symbol}`);
+  }
+  return candles;
+}
+
+export default {
+  name: 'upstox',
+  getQuote,
+  getQuotes,
+  getIntraday,
+  getDailyBars
+};
@@ -0,0 +1,129 @@
+// server/services/orderFills.js
+// Books broker fills into the portfolio: one Trade per fill with the charges
+// the broker will bill on it, the tax lots and holding rebuilt from it, and its
+// cash ledger entries. Upstox confirmations and the paper broker both come
+// through here, so a paper fill leaves the portfolio in exactly the state a
+// real one would.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { adoptUntrackedHoldings, rebuildPositions } from './taxLots.js';
+import { bookTradeCash } from './cashLedger.js';
+import { estimateCharges } from './charges.js';
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Orders carry Upstox segment names ("NSE_EQ"); holdings and trades use the exchange
+export function orderExchange(exchange) {
+  return (exchange || 'NSE').split('_')[0];
+}
+
+/**
+ * Record whatever part of an order has filled since the last call.
+ *
+ * Idempotent: the quantity already booked is read back from the order's trades,
+ * so calling this again after a webhook, a poll and a cron check books nothing
+ * twice, and a partially filled order books each new slice as its own trade.
+ * The slice is claimed by moving the order's bookedQuantity from what was read
+ * to the filled quantity, so of two calls racing on the same fill only one books it.
+ *
+ * @param {number} dbOrderId - The UpstoxOrder record ID
+ * @returns {Promise<Object|null>} The trade created, or null when nothing new filled
+ */
+export async function recordOrderFill(dbOrderId) {
+  try {
+    const order = await prisma.upstoxOrder.findUnique({ where: { id: dbOrderId } });
+
+    if (!order) {
+      logger.warn(`[Order Fills] order ${dbOrderId} not found`);
+      return null;
+    }
+    if (!order.portfolioId) {
+      logger.warn(`[Order Fills] no portfolioId on order ${dbOrderId}`);
+      return null;
+    }
+
+    const status = (order.status || '').toUpperCase();
+    // Upstox only reports filled quantity reliably once the order is complete
+    const filledQty = order.filledQuantity || (status === 'COMPLETE' ? order.quantity : 0);
+    const avgPrice = parseFloat(order.averagePrice || order.price || 0);
+
+    if (avgPrice <= 0 || filledQty <= 0) {
+      logger.warn(`[Order Fills] invalid qty=${filledQty} or price=${avgPrice} for order ${dbOrderId}`);
+      return null;
+    }
+
+    const side = (order.transactionType || '').toUpperCase();
+    const exchange = orderExchange(order.exchange);
+    const symbol = order.symbol.toUpperCase();
+
+    if (side !== 'BUY' && side !== 'SELL') {
+      logger.warn(`[Order Fills] unknown side ${side} on order ${order.orderId}`);
+      return null;
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const booked = await tx.trade.findMany({
+        where: { portfolioId: order.portfolioId, orderId: order.orderId },
+        select: { quantity: true, price: true, fees: true }
+      });
+      const bookedQty = booked.reduce((sum, t) => sum + t.quantity, 0);
+      const bookedValue = booked.reduce((sum, t) => sum + t.quantity * t.price, 0);
+      const bookedFees = booked.reduce((sum, t) => sum + (t.fees || 0), 0);
+
+      const quantity = filledQty - bookedQty;
+      if (quantity <= 0) return null;
+
+      // Waits on a concurrent booking of this order, then finds the count moved
+      const claim = await tx.upstoxOrder.updateMany({
+        where: { id: order.id, bookedQuantity: bookedQty },
+        data: { bookedQuantity: filledQty }
+      });
+      if (claim.count !== 1) return null;
+
+      // The broker reports a running average; back out the price of the new slice
+      const price = round2((filledQty * avgPrice - bookedValue) / quantity);
+      const amount = quantity * price;
+
+      // Brokerage is billed per order, not per slice: the slice carries what the
+      // order's charges so far add to those already booked. Upstox orders are
+      // all delivery.
+      const { broker } = await tx.portfolio.findUnique({ where: { id: order.portfolioId }, select: { broker: true } });
+      const charges = estimateCharges({ broker, side, quantity: filledQty, price: avgPrice, exchange });
+      const fees = round2(Math.max(0, charges.total - bookedFees));
+
+      // Shares held before any trade was recorded get an opening lot first
+      await adoptUntrackedHoldings({ portfolioId: order.portfolioId, symbol, exchange }, tx);
+
+      const trade = await tx.trade.create({
+        data: {
+          portfolioId: order.portfolioId,
+          symbol,
+          exchange,
+          type: side,
+          quantity,
+          price,
+          fees,
+          executedAt: order.executedAt || new Date(),
+          orderId: order.orderId,
+          source: order.isPaper ? 'PAPER' : 'API'
+        }
+      });
+
+      // Lots, realized profit, the holding and cash follow from the ledger
+      await rebuildPositions(order.portfolioId, { symbol, exchange }, tx);
+      await bookTradeCash(trade, tx);
+
+      logger.info(`[Order Fills] ${side} ${quantity}x ${symbol} @ ₹${price} booked for order ${order.orderId} (portfolio ${order.portfolioId}, charges ₹${fees}, cash ${side === 'BUY' ? '-' : '+'}₹${amount.toFixed(0)}${side === 'SELL' ? ' at T+1' : ''})`);
+      return trade;
+    }, { timeout: 60000 });
+  } catch (error) {
+    logger.error(`[Order Fills] recordOrderFill failed for order ${dbOrderId}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  orderExchange,
+  recordOrderFill
+};
@@ -0,0 +1,319 @@
+// server/services/paperBroker.js
+// Simulated broker for PAPER portfolios. Orders are recorded like Upstox orders
+// and filled against the live quote feed with slippage and volume-capped
+// partial fills; each fill is booked through orderFills, the same path real
+// Upstox fills take, so trades, holdings and cash move exactly as they would.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getQuote } from './quoteService.js';
+import { recordOrderFill, orderExchange } from './orderFills.js';
+import { refreshCashBalance } from './cashLedger.js';
+import { estimateCharges, portfolioBroker } from './charges.js';
+import { isMarketOpen } from '../utils/marketHolidays.js';
+
+export const PAPER_BROKER = 'PAPER';
+
+const DEFAULT_SLIPPAGE_BPS = 5;
+const DEFAULT_MAX_PARTICIPATION = 0.01; // share of the day's volume one check may fill
+const IMPACT_BPS_PER_PCT = 10; // extra slippage for every 1% of the day's volume taken
+const QUOTE_MAX_AGE_MS = 15 * 1000;
+const TICK_SIZE = 0.05;
+
+function getConfig() {
+  return {
+    slippageBps: parseFloat(process.env.PAPER_SLIPPAGE_BPS ?? DEFAULT_SLIPPAGE_BPS),
+    maxParticipation: parseFloat(process.env.PAPER_MAX_PARTICIPATION ?? DEFAULT_MAX_PARTICIPATION)
+  };
+}
+
+const toTick = price => Math.round(Math.round(price / TICK_SIZE) * TICK_SIZE * 100) / 100;
+const istDateKey = date => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+export function isPaperBroker(broker) {
+  return broker === PAPER_BROKER;
+}
+
+/**
+ * Whether orders for this portfolio go to the simulator instead of Upstox.
+ * @param {number|null} portfolioId
+ */
+export async function isPaperPortfolio(portfolioId) {
+  if (!portfolioId) return false;
+  const portfolio = await prisma.portfolio.findUnique({
+    where: { id: parseInt(portfolioId) },
+    select: { broker: true }
+  });
+  return isPaperBroker(portfolio?.broker);
+}
+
+/**
+ * What one check of an open order fills against a quote.
+ *
+ * Fills at the last price moved against the order by the base slippage plus a
+ * market-impact term that grows with the share of the day's volume taken. Each
+ * check fills at most `maxParticipation` of the day's volume, so a large order
+ * fills in slices over several checks. LIMIT orders fill only when the last
+ * price is at or through the limit, and never beyond it; SL and SL-M orders
+ * wait for the trigger. Quotes without volume fill the remainder in one go.
+ *
+ * @param {Object} order - UpstoxOrder row
+ * @param {{ price: number, volume?: number }} quote
+ * @param {{ slippageBps?: number, maxParticipation?: number }} config
+ * @returns {{ quantity: number, price: number, slippageBps: number }|null} null when nothing fills
+ */
+export function simulateFill(order, quote, { slippageBps = DEFAULT_SLIPPAGE_BPS, maxParticipation = DEFAULT_MAX_PARTICIPATION } = {}) {
+  const remaining = order.quantity - (order.filledQuantity || 0);
+  const last = quote?.price;
+  if (remaining <= 0 || !last || last <= 0) return null;
+
+  const buy = order.transactionType === 'BUY';
+  const orderType = (order.orderType || 'MARKET').toUpperCase();
+
+  if ((orderType === 'SL' || orderType === 'SL-M') && order.triggerPrice > 0) {
+    const triggered = buy ? last >= order.triggerPrice : last <= order.triggerPrice;
+    if (!triggered) return null;
+  }
+
+  const limit = (orderType === 'LIMIT' || orderType === 'SL') && order.price > 0 ? order.price : null;
+  if (limit !== null && (buy ? last > limit : last < limit)) return null;
+
+  const volume = quote.volume || 0;
+  const cap = volume > 0 ? Math.max(1, Math.floor(volume * maxParticipation)) : remaining;
+  const quantity = Math.min(remaining, cap);
+
+  const participationPct = volume > 0 ? (quantity / volume) * 100 : 0;
+  const bps = slippageBps + IMPACT_BPS_PER_PCT * participationPct;
+  let price = toTick(last * (1 + ((buy ? 1 : -1) * bps) / 10000));
+  if (limit !== null) price = buy ? Math.min(price, limit) : Math.max(price, limit);
+
+  return { quantity, price, slippageBps: Math.round(bps * 100) / 100 };
+}
+
+/**
+ * Reason the exchange or broker would refuse this order outright, if any.
+ */
+async function rejectionReason(order, quote) {
+  if (!isMarketOpen()) return 'Market is closed';
+  if (!quote?.price) return `No quote available for ${order.symbol}`;
+
+  const exchange = orderExchange(order.exchange);
+
+  if (order.transactionType === 'BUY') {
+    // The most the order can fill at: its limit, a stop's trigger if above the quote, else the quote
+    const orderType = (order.orderType || 'MARKET').toUpperCase();
+    let price = quote.price;
+    if ((orderType === 'LIMIT' || orderType === 'SL') && order.price > 0) price = order.price;
+    else if (orderType === 'SL-M' && order.triggerPrice > 0) price = Math.max(price, order.triggerPrice);
+
+    // Fills are booked with the broker's charges, so the cash has to cover them too
+    const charges = estimateCharges({ broker: await portfolioBroker(order.portfolioId), side: 'BUY', quantity: order.quantity, price, exchange });
+    const cost = order.quantity * price + charges.total;
+    // Settled cash only: today's sale proceeds count from T+1
+    const { availableCash } = await refreshCashBalance(order.portfolioId);
+    if (cost > availableCash) {
+      return `Insufficient funds: order needs ₹${cost.toFixed(2)}, available ₹${availableCash.toFixed(2)}`;
+    }
+  } else {
+    const holding = await prisma.holding.findUnique({
+      where: { portfolioId_symbol_exchange: { portfolioId: order.portfolioId, symbol: order.symbol.toUpperCase(), exchange } }
+    });
+    // Shares other open SELLs still have to deliver aren't free to sell again
+    const openSells = await prisma.upstoxOrder.findMany({
+      where: {
+        isPaper: true,
+        portfolioId: order.portfolioId,
+        symbol: order.symbol.toUpperCase(),
+        transactionType: 'SELL',
+        status: 'OPEN',
+        id: { not: order.id }
+      },
+      select: { exchange: true, quantity: true, filledQuantity: true }
+    });
+    const committed = openSells
+      .filter(o => orderExchange(o.exchange) === exchange)
+      .reduce((sum, o) => sum + o.quantity - (o.filledQuantity || 0), 0);
+    const free = (holding?.quantity || 0) - committed;
+    if (free < order.quantity) {
+      return committed > 0
+        ? `Insufficient holdings: ${holding?.quantity || 0} ${order.symbol} held, ${committed} already in open sell orders`
+        : `Insufficient holdings: ${holding?.quantity || 0} ${order.symbol} held`;
+    }
+  }
+
+  return null;
+}
+
+async function fetchQuote(order) {
+  try {
+    return await getQuote(order.symbol.toUpperCase(), orderExchange(order.exchange), { maxAgeMs: QUOTE_MAX_AGE_MS });
+  } catch (error) {
+    logger.warn(`[Paper Broker] quote failed for ${order.symbol}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Try to fill more of an open paper order and book whatever fills.
+ * DAY orders still open after the session they were placed in are cancelled.
+ *
+ * @param {Object} order - UpstoxOrder row
+ * @param {Object} [quote] - Quote already fetched for this order, if any
+ * @returns {Promise<Object>} The order row after this check
+ */
+export async function fillPaperOrder(order, quote = null) {
+  if (order.status !== 'OPEN') return order;
+
+  if (!isMarketOpen()) {
+    if (istDateKey(order.placedAt) === istDateKey(new Date())) return order;
+    return prisma.upstoxOrder.update({
+      where: { id: order.id },
+      data: { status: 'CANCELLED', message: `DAY order expired with ${order.filledQuantity}/${order.quantity} filled` }
+    });
+  }
+
+  const fill = simulateFill(order, quote || await fetchQuote(order), getConfig());
+  if (!fill) return order;
+
+  const filledQuantity = (order.filledQuantity || 0) + fill.quantity;
+  const averagePrice = Math.round((((order.filledQuantity || 0) * (order.averagePrice || 0) + fill.quantity * fill.price) / filledQuantity) * 100) / 100;
+
+  const updated = await prisma.upstoxOrder.update({
+    where: { id: order.id },
+    data: {
+      filledQuantity,
+      averagePrice,
+      status: filledQuantity >= order.quantity ? 'COMPLETE' : 'OPEN',
+      message: `Paper fill ${fill.quantity} @ ₹${fill.price} (slippage ${fill.slippageBps} bps)`,
+      executedAt: new Date()
+    }
+  });
+
+  logger.info(`[Paper Broker] ${order.orderId}: ${order.transactionType} ${fill.quantity}x ${order.symbol} @ ₹${fill.price} (${filledQuantity}/${order.quantity})`);
+
+  await recordOrderFill(order.id);
+  return updated;
+}
+
+/**
+ * Place an order for a PAPER portfolio. Same parameters and result as
+ * upstoxService.placeOrder; rejections surface through the order status.
+ */
+export async function placePaperOrder(userId, orderParams) {
+  const {
+    symbol,
+    exchange = 'NSE_EQ',
+    transactionType,
+    orderType = 'MARKET',
+    quantity,
+    price = 0,
+    triggerPrice = 0,
+    portfolioId
+  } = orderParams;
+
+  const portfolio = await prisma.portfolio.findFirst({
+    where: { id: parseInt(portfolioId), userId }
+  });
+  if (!portfolio || !isPaperBroker(portfolio.broker)) {
+    throw new Error('Paper portfolio not found');
+  }
+  if ((orderType === 'LIMIT' || orderType === 'SL') && !(price > 0)) {
+    throw new Error(`${orderType} orders need a price`);
+  }
+
+  let order = await prisma.upstoxOrder.create({
+    data: {
+      isPaper: true,
+      portfolioId: portfolio.id,
+      orderId: `PAPER-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      symbol: symbol.toUpperCase(),
+      exchange,
+      transactionType,
+      orderType,
+      quantity: parseInt(quantity),
+      price: price || null,
+      triggerPrice: triggerPrice || null,
+      status: 'OPEN',
+      placedAt: new Date()
+    }
+  });
+
+  logger.info(`[Paper Broker] order placed: ${order.orderId} ${transactionType} ${quantity}x ${order.symbol} (${orderType})`);
+
+  const quote = await fetchQuote(order);
+  const reason = await rejectionReason(order, quote);
+
+  if (reason) {
+    order = await prisma.upstoxOrder.update({
+      where: { id: order.id },
+      data: { status: 'REJECTED', message: reason }
+    });
+    logger.warn(`[Paper Broker] ${order.orderId} rejected: ${reason}`);
+  } else {
+    order = await fillPaperOrder(order, quote);
+  }
+
+  return {
+    success: true,
+    orderId: order.orderId,
+    dbOrderId: order.id,
+    paper: true
+  };
+}
+
+async function findPaperOrder(userId, orderId) {
+  const order = await prisma.upstoxOrder.findUnique({ where: { orderId } });
+  if (!order?.isPaper) throw new Error('Paper order not found');
+
+  if (userId) {
+    const owned = await prisma.portfolio.findFirst({ where: { id: order.portfolioId, userId }, select: { id: true } });
+    if (!owned) throw new Error('Paper order not found');
+  }
+  return order;
+}
+
+/**
+ * Status of a paper order, in upstoxService.getOrderStatus's shape. Checking an
+ * open order is what moves it: each check re-quotes and fills the next slice.
+ */
+export async function getPaperOrderStatus(userId, orderId) {
+  const order = await fillPaperOrder(await findPaperOrder(userId, orderId));
+
+  return {
+    orderId,
+    status: order.status,
+    filledQuantity: order.filledQuantity,
+    averagePrice: order.averagePrice,
+    message: order.message
+  };
+}
+
+/**
+ * Cancel whatever is left of an open paper order. Slices already filled stay booked.
+ */
+export async function cancelPaperOrder(userId, orderId) {
+  const order = await findPaperOrder(userId, orderId);
+  if (order.status !== 'OPEN') {
+    throw new Error(`Order is already ${order.status.toLowerCase()}`);
+  }
+
+  await prisma.upstoxOrder.update({
+    where: { id: order.id },
+    data: { status: 'CANCELLED', message: `Cancelled with ${order.filledQuantity}/${order.quantity} filled` }
+  });
+
+  logger.info(`[Paper Broker] order cancelled: ${orderId}`);
+
+  return { success: true, orderId, paper: true };
+}
+
+export default {
+  PAPER_BROKER,
+  isPaperBroker,
+  isPaperPortfolio,
+  simulateFill,
+  fillPaperOrder,
+  placePaperOrder,
+  getPaperOrderStatus,
+  cancelPaperOrder
+};
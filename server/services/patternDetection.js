@@ -0,0 +1,260 @@
+// server/services/patternDetection.js
+// Price-action detection on stored OHLCV: candlestick patterns on the most
+// recent bars plus chart events (52-week-high breakouts, golden/death crosses,
+// volume-confirmed breakouts). Output feeds the AI scan results and the
+// signal-generation prompt so a thesis can point at a setup that actually exists.
+
+import { sma, crossedAbove, crossedBelow } from './indicators.js';
+import { getCandlesForTimeframe } from './candleResampler.js';
+import logger from './logger.js';
+
+export const PATTERN_LABELS = {
+  BULLISH_ENGULFING: 'Bullish engulfing',
+  BEARISH_ENGULFING: 'Bearish engulfing',
+  HAMMER: 'Hammer',
+  DOJI: 'Doji',
+  MORNING_STAR: 'Morning star',
+  EVENING_STAR: 'Evening star',
+  INSIDE_BAR: 'Inside bar',
+  BREAKOUT_52W_HIGH: '52-week-high breakout',
+  GOLDEN_CROSS: 'Golden cross (50/200 SMA)',
+  DEATH_CROSS: 'Death cross (50/200 SMA)',
+  VOLUME_BREAKOUT: 'Volume-confirmed breakout',
+};
+
+// Candlestick patterns are reported if they formed within this many bars
+const DEFAULT_LOOKBACK = 3;
+const MIN_BARS = 30;
+// Bars in a year, for the 52-week-high check; intraday timeframes skip it
+const YEAR_BARS = { '1d': 252, '1w': 52 };
+
+const body = c => Math.abs(c.close - c.open);
+const range = c => c.high - c.low;
+const isBullish = c => c.close > c.open;
+const isBearish = c => c.close < c.open;
+const upperShadow = c => c.high - Math.max(c.open, c.close);
+const lowerShadow = c => Math.min(c.open, c.close) - c.low;
+
+function averageBody(candles, i, period = 10) {
+  const slice = candles.slice(Math.max(0, i - period), i);
+  return slice.length ? slice.reduce((sum, c) => sum + body(c), 0) / slice.length : body(candles[i]);
+}
+
+// Close lower than `bars` ago — hammers and morning stars only count after a decline
+function inDecline(candles, i, bars = 5) {
+  return i >= bars && candles[i - 1].close < candles[i - bars].close;
+}
+
+function inAdvance(candles, i, bars = 5) {
+  return i >= bars && candles[i - 1].close > candles[i - bars].close;
+}
+
+/**
+ * Candlestick patterns completing on bar i.
+ *
+ * @returns {string[]} Pattern keys
+ */
+function candlePatternsAt(candles, i) {
+  const found = [];
+  const c = candles[i];
+  const prev = candles[i - 1];
+  const r = range(c);
+  if (!prev || r <= 0) return found;
+
+  if (isBearish(prev) && isBullish(c) && c.open <= prev.close && c.close >= prev.open && body(c) > body(prev)) {
+    found.push('BULLISH_ENGULFING');
+  }
+  if (isBullish(prev) && isBearish(c) && c.open >= prev.close && c.close <= prev.open && body(c) > body(prev)) {
+    found.push('BEARISH_ENGULFING');
+  }
+
+  if (lowerShadow(c) >= 2 * body(c) && upperShadow(c) <= 0.3 * r && body(c) > 0 && inDecline(candles, i)) {
+    found.push('HAMMER');
+  }
+
+  if (body(c) <= 0.1 * r) {
+    found.push('DOJI');
+  }
+
+  if (i >= 2) {
+    const first = candles[i - 2];
+    const star = prev;
+    const avg = averageBody(candles, i - 2);
+    const firstMid = (first.open + first.close) / 2;
+    const smallStar = body(star) <= 0.3 * body(first);
+
+    if (isBearish(first) && body(first) >= avg && smallStar
+      && Math.max(star.open, star.close) <= first.close
+      && isBullish(c) && c.close > firstMid && inDecline(candles, i - 2)) {
+      found.push('MORNING_STAR');
+    }
+    if (isBullish(first) && body(first) >= avg && smallStar
+      && Math.min(star.open, star.close) >= first.close
+      && isBearish(c) && c.close < firstMid && inAdvance(candles, i - 2)) {
+      found.push('EVENING_STAR');
+    }
+  }
+
+  if (c.high < prev.high && c.low > prev.low) {
+    found.push('INSIDE_BAR');
+  }
+
+  return found;
+}
+
+const BIAS = {
+  BULLISH_ENGULFING: 'BULLISH',
+  HAMMER: 'BULLISH',
+  MORNING_STAR: 'BULLISH',
+  BREAKOUT_52W_HIGH: 'BULLISH',
+  GOLDEN_CROSS: 'BULLISH',
+  VOLUME_BREAKOUT: 'BULLISH',
+  BEARISH_ENGULFING: 'BEARISH',
+  EVENING_STAR: 'BEARISH',
+  DEATH_CROSS: 'BEARISH',
+  DOJI: 'NEUTRAL',
+  INSIDE_BAR: 'NEUTRAL',
+};
+
+const toDate = ts => (ts ? new Date(ts).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }) : null);
+
+function makePattern(key, candles, i, detail = null) {
+  return {
+    pattern: key,
+    label: PATTERN_LABELS[key],
+    bias: BIAS[key],
+    date: toDate(candles[i].timestamp),
+    barsAgo: candles.length - 1 - i,
+    close: candles[i].close,
+    ...(detail ? { detail } : {}),
+  };
+}
+
+/**
+ * Detect price-action patterns on a candle series.
+ *
+ * @param {Array} candles - OHLCV candles, oldest first
+ * @param {{ lookback?: number, timeframe?: string }} options - How many recent bars to search; timeframe of the bars
+ * @returns {Array<{ pattern, label, bias, date, barsAgo, close, detail? }>} Most recent first
+ */
+export function detectPatterns(candles, { lookback = DEFAULT_LOOKBACK, timeframe = '1d' } = {}) {
+  if (!candles || candles.length < MIN_BARS) return [];
+
+  const patterns = [];
+  const lastIdx = candles.length - 1;
+  const firstIdx = Math.max(1, candles.length - lookback);
+
+  for (let i = lastIdx; i >= firstIdx; i--) {
+    for (const key of candlePatternsAt(candles, i)) {
+      patterns.push(makePattern(key, candles, i));
+    }
+  }
+
+  const closes = candles.map(c => c.close);
+  const volumes = candles.map(c => c.volume || 0);
+
+  // 52-week high: close above every high of the prior year (needs most of a year of bars)
+  const yearBars = YEAR_BARS[timeframe];
+  if (yearBars && candles.length >= Math.round(yearBars * 0.8)) {
+    for (let i = lastIdx; i >= firstIdx; i--) {
+      const window = candles.slice(Math.max(0, i - yearBars), i);
+      const priorHigh = Math.max(...window.map(c => c.high));
+      if (closes[i] > priorHigh) {
+        patterns.push(makePattern('BREAKOUT_52W_HIGH', candles, i, `closed above prior high ₹${priorHigh.toFixed(2)}`));
+        break;
+      }
+    }
+  }
+
+  // 50/200 SMA crosses
+  if (candles.length >= 201) {
+    const sma50 = sma(closes, 50);
+    const sma200 = sma(closes, 200);
+    for (let i = lastIdx; i >= firstIdx; i--) {
+      if (crossedAbove(sma50, sma200, i)) patterns.push(makePattern('GOLDEN_CROSS', candles, i));
+      else if (crossedBelow(sma50, sma200, i)) patterns.push(makePattern('DEATH_CROSS', candles, i));
+    }
+  }
+
+  // Close above the 20-bar high on at least 1.5x average volume
+  const avgVolume = sma(volumes, 20);
+  for (let i = lastIdx; i >= Math.max(firstIdx, 21); i--) {
+    const priorHigh = Math.max(...candles.slice(i - 20, i).map(c => c.high));
+    const volumeAvg = avgVolume[i - 1];
+    if (closes[i] > priorHigh && volumeAvg > 0 && volumes[i] >= 1.5 * volumeAvg) {
+      patterns.push(makePattern(
+        'VOLUME_BREAKOUT',
+        candles,
+        i,
+        `20-bar high ₹${priorHigh.toFixed(2)} cleared on ${(volumes[i] / volumeAvg).toFixed(1)}x volume`
+      ));
+      break;
+    }
+  }
+
+  return patterns.sort((a, b) => a.barsAgo - b.barsAgo);
+}
+
+/**
+ * Detect patterns for a symbol from stored candles. Symbols without enough
+ * history (the candle job hasn't backfilled them) have no patterns.
+ *
+ * @param {string} symbol
+ * @param {string} exchange
+ * @param {{ lookback?: number, timeframe?: string }} options
+ * @returns {Promise<{ patterns: Array, bars: number, timeframe: string }>}
+ */
+export async function detectStoredPatterns(symbol, exchange = 'NSE', { lookback, timeframe = '1d' } = {}) {
+  const candles = await getCandlesForTimeframe(symbol, exchange, timeframe, { limit: 300 });
+
+  return { patterns: detectPatterns(candles, { lookback, timeframe }), bars: candles.length, timeframe };
+}
+
+/**
+ * One-line summary, e.g. "Inside bar (last session), Hammer (2 sessions ago)"
+ */
+export function describePatterns(patterns) {
+  return patterns
+    .map(p => `${p.label} (${p.barsAgo === 0 ? 'last session' : `${p.barsAgo} sessions ago`}${p.detail ? `: ${p.detail}` : ''})`)
+    .join(', ');
+}
+
+/**
+ * Prompt block listing the setups detected on the given symbols.
+ *
+ * @param {Array<{ symbol: string, exchange?: string }>} items
+ * @returns {Promise<string>} Empty string when nothing was detected
+ */
+export async function buildPatternContext(items) {
+  const seen = new Set();
+  const lines = [];
+
+  for (const { symbol, exchange = 'NSE' } of items) {
+    const key = `${exchange}:${symbol}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    try {
+      const { patterns } = await detectStoredPatterns(symbol, exchange);
+      if (patterns.length > 0) {
+        lines.push(`${symbol}: ${describePatterns(patterns)}`);
+      }
+    } catch (error) {
+      logger.warn(`Pattern detection failed for ${symbol}: ${error.message}`);
+    }
+  }
+
+  if (lines.length === 0) return '';
+
+  return `=== PRICE-ACTION SETUPS (detected from stored daily candles) ===
+${lines.join('\n')}
+=== END SETUPS ===`;
+}
+
+export default {
+  PATTERN_LABELS,
+  detectPatterns,
+  detectStoredPatterns,
+  describePatterns,
+  buildPatternContext,
+};
@@ -0,0 +1,351 @@
+// server/services/performance.js
+// Money-weighted (XIRR) and time-weighted (TWR) returns per portfolio and for
+// the whole family. Money added or withdrawn comes from the cash ledger's
+// deposits and withdrawals, and valuations from the end-of-day
+// PortfolioSnapshots plus today's live value.
+// XIRR answers "what did my money earn, given when I added it"; TWR strips the
+// timing of top-ups out, so it is the figure compared with the benchmark.
+
+import prisma from './prisma.js';
+import { valuePortfolio } from './portfolioSnapshots.js';
+import { resolveBenchmark, loadBenchmarkLevels, compareWithBenchmark } from './benchmark.js';
+import { getCashFlows } from './cashLedger.js';
+
+export const PERFORMANCE_PERIODS = ['1M', '3M', '6M', 'YTD', '1Y', '3Y', 'INCEPTION'];
+export const BENCHMARK_PERIODS = ['1M', '3M', '6M', '1Y', 'INCEPTION'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+const STALE_START_MS = 7 * DAY_MS;
+const round2 = n => Math.round(n * 100) / 100;
+const pct = r => (r === null || !Number.isFinite(r) ? null : round2(r * 100));
+const istDateKey = date => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * First instant of a period ending at `now`, or null for since inception.
+ */
+export function periodStart(period, now = new Date()) {
+  if (period === 'INCEPTION') return null;
+  if (period === 'YTD') return new Date(`${istDateKey(now).slice(0, 4)}-01-01T00:00:00+05:30`);
+
+  const start = new Date(now);
+  const months = { '1M': 1, '3M': 3, '6M': 6, '1Y': 12, '3Y': 36 }[period];
+  start.setMonth(start.getMonth() - months);
+  return start;
+}
+
+/**
+ * Annualised internal rate of return of dated cash flows (investor's view:
+ * money put in is negative, money taken out or still held is positive).
+ * Newton's method, falling back to bisection when it doesn't settle.
+ *
+ * @param {Array<{ date: Date, amount: number }>} flows
+ * @returns {number|null} Rate as a fraction (0.12 = 12%), null when undefined
+ */
+export function xirr(flows) {
+  const points = flows.filter(f => f.amount !== 0);
+  if (!points.some(f => f.amount < 0) || !points.some(f => f.amount > 0)) return null;
+
+  const t0 = Math.min(...points.map(f => f.date.getTime()));
+  const years = points.map(f => (f.date.getTime() - t0) / DAY_MS / YEAR_DAYS);
+  const npv = rate => points.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const dnpv = rate => points.reduce((sum, f, i) => sum - years[i] * f.amount / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const slope = dnpv(rate);
+    if (!Number.isFinite(value) || !slope) break;
+    const next = rate - value / slope;
+    if (next <= -1 || !Number.isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-9) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 100;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (npv(low) * npv(mid) <= 0) high = mid;
+    else low = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Return of one sub-period with flows weighted by how long they were invested
+ * (Modified Dietz). Flows are from the portfolio's view: deposits positive.
+ */
+function modifiedDietz(startValue, endValue, flows, start, end) {
+  const span = end.getTime() - start.getTime();
+  const net = flows.reduce((sum, f) => sum + f.amount, 0);
+  const weighted = flows.reduce((sum, f) => {
+    const weight = span > 0 ? (end.getTime() - f.date.getTime()) / span : 0;
+    return sum + weight * f.amount;
+  }, 0);
+
+  const base = startValue + weighted;
+  return base > 0 ? (endValue - startValue - net) / base : 0;
+}
+
+/**
+ * Return between each pair of consecutive valuations. A flow belongs to the
+ * sub-period it lands in; one at the very start (the first deposit) counts in
+ * the first.
+ *
+ * @param {Array<{ date: Date, value: number }>} valuations - Oldest first, first is the period start
+ * @param {Array<{ date: Date, amount: number }>} flows - Deposits positive, inside the period
+ * @returns {Array<{ from: Date, to: Date, return: number }>}
+ */
+function subPeriodReturns(valuations, flows) {
+  const returns = [];
+  for (let i = 1; i < valuations.length; i++) {
+    const from = valuations[i - 1];
+    const to = valuations[i];
+    const inside = flows.filter(f => (i === 1 ? f.date >= from.date : f.date > from.date) && f.date <= to.date);
+    returns.push({ from: from.date, to: to.date, return: modifiedDietz(from.value, to.value, inside, from.date, to.date) });
+  }
+  return returns;
+}
+
+/**
+ * Time-weighted return: sub-period returns between valuations, chained.
+ *
+ * @param {Array<{ date: Date, value: number }>} valuations - Oldest first, first is the period start
+ * @param {Array<{ date: Date, amount: number }>} flows - Deposits positive, inside the period
+ */
+export function timeWeightedReturn(valuations, flows) {
+  return subPeriodReturns(valuations, flows).reduce((growth, s) => growth * (1 + s.return), 1) - 1;
+}
+
+/**
+ * Deposits (positive) and withdrawals (negative) of a portfolio, dated when
+ * the money moved.
+ */
+function capitalFlows(portfolio, ledger) {
+  return ledger
+    .filter(f => f.portfolioId === portfolio.id && f.amount !== 0)
+    .map(f => ({ date: f.occurredAt, amount: f.amount }));
+}
+
+/**
+ * Valuation series of a group of portfolios: one point per snapshot day (a
+ * portfolio without a snapshot that day counts at its last one), then now.
+ */
+function valuationSeries(portfolios, snapshots, now) {
+  const byDay = new Map();
+  for (const s of snapshots) {
+    const key = s.date.toISOString().slice(0, 10);
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(s);
+  }
+
+  const latest = new Map();
+  const series = [];
+  for (const key of [...byDay.keys()].sort()) {
+    const rows = byDay.get(key);
+    for (const s of rows) latest.set(s.portfolioId, s.totalValue);
+    series.push({
+      date: new Date(Math.max(...rows.map(s => s.updatedAt.getTime()))),
+      value: [...latest.values()].reduce((sum, v) => sum + v, 0)
+    });
+  }
+
+  const current = portfolios.reduce((sum, p) => sum + valuePortfolio(p).totalValue, 0);
+  series.push({ date: now, value: current });
+  return series;
+}
+
+/**
+ * Returns of a group of portfolios over one period, with the sub-period
+ * returns the TWR chains (for the benchmark comparison).
+ */
+function measure(portfolios, snapshots, ledger, period, now) {
+  const inception = new Date(Math.min(...portfolios.map(p => p.createdAt.getTime())));
+  const flows = portfolios.flatMap(p => capitalFlows(p, ledger)).sort((a, b) => a.date - b.date);
+  const series = valuationSeries(portfolios, snapshots, now);
+
+  const requested = periodStart(period, now);
+  let start;
+  let partial = false;
+
+  if (!requested || requested <= inception) {
+    // From the first deposit, with nothing invested before it
+    start = { date: new Date(Math.min(inception.getTime(), ...flows.map(f => f.date.getTime()))), value: 0 };
+    partial = !!requested && requested < inception;
+  } else {
+    start = [...series].reverse().find(v => v.date <= requested);
+    if (!start) {
+      // Snapshots began after the period did; measure from the first one
+      start = series[0];
+      partial = true;
+    } else if (requested - start.date > STALE_START_MS) {
+      // No snapshot near the period start (the job wasn't running then)
+      partial = true;
+    }
+  }
+
+  const end = series[series.length - 1];
+  // From inception the opening deposit sits at the start; otherwise it's in startValue
+  const fromInception = start.value === 0;
+  const inside = flows.filter(f => (fromInception ? f.date >= start.date : f.date > start.date) && f.date <= end.date);
+  const points = [start, ...series.filter(v => v.date > start.date && v.date < end.date), end];
+  const netFlows = inside.reduce((sum, f) => sum + f.amount, 0);
+
+  // Investor's view for XIRR: deposits out of pocket, the end value back
+  const cashflows = [
+    ...(start.value > 0 ? [{ date: start.date, amount: -start.value }] : []),
+    ...inside.map(f => ({ date: f.date, amount: -f.amount })),
+    { date: end.date, amount: end.value }
+  ];
+
+  const days = (end.date - start.date) / DAY_MS;
+  const subPeriods = subPeriodReturns(points, inside);
+  const twr = subPeriods.reduce((growth, s) => growth * (1 + s.return), 1) - 1;
+
+  const summary = {
+    period,
+    from: start.date,
+    to: end.date,
+    days: Math.round(days),
+    partial,
+    startValue: round2(start.value),
+    endValue: round2(end.value),
+    netFlows: round2(netFlows),
+    gain: round2(end.value - start.value - netFlows),
+    xirrPct: pct(xirr(cashflows)),
+    twrPct: pct(twr),
+    // Returns over less than a year aren't annualised
+    twrAnnualizedPct: days >= YEAR_DAYS ? pct(Math.pow(1 + twr, YEAR_DAYS / days) - 1) : null
+  };
+  return { summary, subPeriods };
+}
+
+/**
+ * Measure the family and each portfolio over the given periods, each next to
+ * its benchmark. The family is compared with the benchmark its portfolios
+ * share, or the default one when they differ.
+ */
+async function evaluate(userId, periods, portfolioIds) {
+  const portfolios = await prisma.portfolio.findMany({
+    where: { userId, isActive: true, ...(portfolioIds ? { id: { in: portfolioIds } } : {}) },
+    include: { holdings: true },
+    orderBy: { id: 'asc' }
+  });
+  if (portfolios.length === 0) return null;
+
+  const ids = portfolios.map(p => p.id);
+  const [snapshots, ledger] = await Promise.all([
+    prisma.portfolioSnapshot.findMany({
+      where: { portfolioId: { in: ids } },
+      select: { portfolioId: true, date: true, totalValue: true, updatedAt: true },
+      orderBy: { date: 'asc' }
+    }),
+    getCashFlows(ids)
+  ]);
+
+  const now = new Date();
+  const specs = new Set(portfolios.map(p => resolveBenchmark(p.benchmark).spec));
+  const groups = [
+    { portfolios, snapshots, benchmark: resolveBenchmark(specs.size === 1 ? [...specs][0] : null) },
+    ...portfolios.map(p => ({
+      portfolio: p,
+      portfolios: [p],
+      snapshots: snapshots.filter(s => s.portfolioId === p.id),
+      benchmark: resolveBenchmark(p.benchmark)
+    }))
+  ];
+
+  for (const group of groups) {
+    group.results = periods.map(period => measure(group.portfolios, group.snapshots, ledger, period, now));
+  }
+
+  const starts = groups.flatMap(g => g.results.flatMap(r => r.subPeriods.map(s => s.from)));
+  const levels = starts.length > 0
+    ? await loadBenchmarkLevels(groups.flatMap(g => g.benchmark.components), new Date(Math.min(...starts)))
+    : new Map();
+
+  const report = group => group.results.map(({ summary, subPeriods }) => ({
+    ...summary,
+    benchmark: compareWithBenchmark(subPeriods, group.benchmark, levels, now)
+  }));
+
+  const [family, ...each] = groups;
+  return {
+    family: { benchmark: family.benchmark.spec, label: family.benchmark.label, results: report(family) },
+    portfolios: each.map(group => ({
+      portfolioId: group.portfolio.id,
+      name: group.portfolio.name,
+      ownerName: group.portfolio.ownerName,
+      benchmark: group.benchmark.spec,
+      label: group.benchmark.label,
+      results: report(group)
+    }))
+  };
+}
+
+/**
+ * XIRR and TWR for each of a user's active portfolios and the family as a
+ * whole, each with how its benchmark did over the same span.
+ *
+ * @param {number} userId
+ * @param {{ period?: string, portfolioIds?: number[] }} [options] - portfolioIds narrows the set
+ * @returns {Promise<{ family: Object|null, portfolios: Array }>}
+ */
+export async function getPerformance(userId, { period = '1Y', portfolioIds = null } = {}) {
+  if (!PERFORMANCE_PERIODS.includes(period)) {
+    throw new Error(`period must be one of ${PERFORMANCE_PERIODS.join(', ')}`);
+  }
+
+  const evaluated = await evaluate(userId, [period], portfolioIds);
+  if (!evaluated) return { family: null, portfolios: [] };
+
+  return {
+    family: evaluated.family.results[0],
+    portfolios: evaluated.portfolios.map(({ portfolioId, name, ownerName, results }) => ({
+      portfolioId,
+      name,
+      ownerName,
+      ...results[0]
+    }))
+  };
+}
+
+/**
+ * Portfolio against benchmark over 1M, 3M, 6M, 1Y and since inception, for the
+ * family and each active portfolio.
+ *
+ * @param {number} userId
+ * @param {{ portfolioIds?: number[] }} [options]
+ * @returns {Promise<{ family: Object|null, portfolios: Array }>} Each with
+ *   { benchmark, label, periods: [{ period, from, to, twrPct, benchmark: {...}|null }] }
+ */
+export async function getBenchmarkComparison(userId, { portfolioIds = null } = {}) {
+  const evaluated = await evaluate(userId, BENCHMARK_PERIODS, portfolioIds);
+  if (!evaluated) return { family: null, portfolios: [] };
+
+  const periods = results => results.map(r => ({
+    period: r.period,
+    from: r.from,
+    to: r.to,
+    partial: r.partial,
+    twrPct: r.twrPct,
+    benchmark: r.benchmark
+  }));
+
+  return {
+    family: { benchmark: evaluated.family.benchmark, label: evaluated.family.label, periods: periods(evaluated.family.results) },
+    portfolios: evaluated.portfolios.map(({ results, ...portfolio }) => ({ ...portfolio, periods: periods(results) }))
+  };
+}
+
+export default {
+  PERFORMANCE_PERIODS,
+  BENCHMARK_PERIODS,
+  periodStart,
+  xirr,
+  timeWeightedReturn,
+  getPerformance,
+  getBenchmarkComparison
+};
@@ -1,5 +1,6 @@
 import prisma from './prisma.js';
 import logger from './logger.js';
+import { getPeriodPL } from './portfolioSnapshots.js';
 
 /**
  * Portfolio Calculator Service
@@ -46,9 +47,11 @@ export async function calculatePortfolioSummary() {
     const totalPL = unrealizedPL + realizedPL;
     const totalPLPercent = totalInvested > 0 ? (totalPL / totalInvested) * 100 : 0;
 
-    // Calculate today's P&L (mock - needs daily snapshot feature)
-    const todayPL = currentValue * 0.01; // Simplified
-    const todayPLPercent = (todayPL / currentValue) * 100;
+    // Today's P&L: change since the last end-of-day snapshot
+    const portfolios = await prisma.portfolio.findMany({ where: { isActive: true }, select: { id: true } });
+    const { periods } = await getPeriodPL(portfolios.map(p => p.id));
+    const todayPL = periods.day?.pl ?? 0;
+    const todayPLPercent = periods.day?.plPercent ?? 0;
 
     // Get starting capital (from config or first investment)
     const config = await getOrCreateConfig();
@@ -72,6 +75,7 @@ export async function calculatePortfolioSummary() {
       totalPLPercent: Math.round(totalPLPercent * 100) / 100,
       todayPL,
       todayPLPercent: Math.round(todayPLPercent * 100) / 100,
+      periodPL: periods,
       reinvestmentCapacity: Math.max(0, reinvestmentCapacity),
       holdingsCount: holdings.length,
       tradesCount: trades.length,
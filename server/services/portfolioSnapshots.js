@@ -0,0 +1,288 @@
+// server/services/portfolioSnapshots.js
+// End-of-day portfolio valuations and the P&L read from them. Each trading
+// day after the close every active portfolio is valued at closing prices and
+// stored as a PortfolioSnapshot; day, week, month and year-to-date P&L are
+// the change in total value (holdings plus cash) since the last snapshot
+// before the period began, less cash deposited or withdrawn in between.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getCandles } from './candleStore.js';
+import { refreshHoldingPrices } from './priceSync.js';
+import { getCashFlows } from './cashLedger.js';
+import { isTradingDay } from '../utils/marketHolidays.js';
+
+export const PL_PERIODS = ['day', 'week', 'month', 'ytd'];
+
+const round2 = n => Math.round(n * 100) / 100;
+const istDateKey = date => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+// @db.Date columns hold the IST calendar day at UTC midnight
+const toSnapshotDate = key => new Date(`${key}T00:00:00.000Z`);
+const fromSnapshotDate = date => date.toISOString().slice(0, 10);
+// The close a snapshot values: flows booked after it belong to the next period,
+// however late the snapshot row was (re)written
+const snapshotClose = date => new Date(`${fromSnapshotDate(date)}T15:30:00+05:30`);
+
+/**
+ * Value a portfolio from its holdings and cash.
+ *
+ * @param {Object} portfolio - Portfolio row with holdings
+ * @param {Map<string, number>} [prices] - "EXCHANGE:SYMBOL" → price; holdings' currentPrice otherwise
+ * @returns {{ marketValue, investedValue, cash, totalValue, holdings: Array }}
+ */
+export function valuePortfolio(portfolio, prices = null) {
+  const holdings = (portfolio.holdings || []).map(h => ({
+    symbol: h.symbol,
+    exchange: h.exchange,
+    quantity: h.quantity,
+    avgPrice: Number(h.avgPrice),
+    close: prices?.get(`${h.exchange}:${h.symbol}`) ?? Number(h.currentPrice || h.avgPrice)
+  }));
+
+  const marketValue = round2(holdings.reduce((sum, h) => sum + h.quantity * h.close, 0));
+  const investedValue = round2(holdings.reduce((sum, h) => sum + h.quantity * h.avgPrice, 0));
+  // Proceeds awaiting settlement are still the portfolio's
+  const cash = round2(Number(portfolio.availableCash || 0) + Number(portfolio.unsettledCash || 0));
+
+  return { marketValue, investedValue, cash, totalValue: round2(marketValue + cash), holdings };
+}
+
+/**
+ * Cash deposited (+) or withdrawn (-) per portfolio, by when it was booked:
+ * that is when it reached availableCash, and so the valuations.
+ *
+ * @param {Array} flows - DEPOSIT/WITHDRAWAL CashTransactions
+ * @param {number} portfolioId
+ * @param {Date} after - Exclusive
+ * @param {Date} [upTo] - Inclusive
+ */
+function netFlows(flows, portfolioId, after, upTo = new Date()) {
+  return round2(flows
+    .filter(f => f.portfolioId === portfolioId && f.createdAt > after && f.createdAt <= upTo)
+    .reduce((sum, f) => sum + f.amount, 0));
+}
+
+/**
+ * Closing prices for the day: the stored daily bar where there is one, the
+ * holding's last traded price otherwise.
+ */
+async function closingPrices(holdings, dayKey) {
+  const prices = new Map();
+  const dayStart = new Date(`${dayKey}T00:00:00+05:30`);
+
+  for (const h of holdings) {
+    const key = `${h.exchange}:${h.symbol}`;
+    if (prices.has(key)) continue;
+    try {
+      const [bar] = await getCandles(h.symbol, h.exchange, '1d', { from: dayStart, to: dayStart });
+      prices.set(key, bar ? bar.close : Number(h.currentPrice || h.avgPrice));
+    } catch (error) {
+      logger.warn(`[Snapshots] No close for ${h.symbol}: ${error.message}`);
+      prices.set(key, Number(h.currentPrice || h.avgPrice));
+    }
+  }
+  return prices;
+}
+
+/**
+ * Snapshot every active portfolio at today's close. Safe to re-run: the day's
+ * snapshot is overwritten.
+ *
+ * @returns {Promise<{ date: string, portfolios: number }>}
+ */
+export async function takeSnapshots(now = new Date()) {
+  const dayKey = istDateKey(now);
+  const date = toSnapshotDate(dayKey);
+
+  // Last prices first, for holdings the candle backfill hasn't covered
+  const held = await prisma.holding.findMany({ where: { portfolio: { isActive: true } } });
+  if (held.length > 0) {
+    const { failed } = await refreshHoldingPrices(held);
+    if (failed.length > 0) logger.warn(`[Snapshots] ${failed.length} holdings kept their previous price`);
+  }
+
+  const portfolios = await prisma.portfolio.findMany({
+    where: { isActive: true },
+    include: { holdings: true }
+  });
+  const prices = await closingPrices(portfolios.flatMap(p => p.holdings), dayKey);
+  const changes = await getCashFlows(portfolios.map(p => p.id));
+
+  for (const portfolio of portfolios) {
+    const value = valuePortfolio(portfolio, prices);
+    const previous = await prisma.portfolioSnapshot.findFirst({
+      where: { portfolioId: portfolio.id, date: { lt: date } },
+      orderBy: { date: 'desc' },
+      select: { date: true }
+    });
+    const data = {
+      ...value,
+      netFlows: previous ? netFlows(changes, portfolio.id, snapshotClose(previous.date), now) : 0
+    };
+
+    await prisma.portfolioSnapshot.upsert({
+      where: { portfolioId_date: { portfolioId: portfolio.id, date } },
+      create: { portfolioId: portfolio.id, date, ...data },
+      update: data
+    });
+    await prisma.portfolio.update({
+      where: { id: portfolio.id },
+      data: { currentValue: value.marketValue }
+    });
+  }
+
+  logger.info(`[Snapshots] ${portfolios.length} portfolios valued at the ${dayKey} close`);
+  return { date: dayKey, portfolios: portfolios.length };
+}
+
+/**
+ * First IST day of a period containing `todayKey` (YYYY-MM-DD). Weeks start Monday.
+ */
+function periodStartKey(period, todayKey) {
+  const today = new Date(`${todayKey}T00:00:00.000Z`);
+  if (period === 'day') return todayKey;
+  if (period === 'week') {
+    const monday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+    return monday.toISOString().slice(0, 10);
+  }
+  if (period === 'month') return `${todayKey.slice(0, 7)}-01`;
+  return `${todayKey.slice(0, 4)}-01-01`;
+}
+
+/**
+ * Snapshot a period is measured from: the last one before it began, or, for a
+ * portfolio tracked only since inside the period, its first one before today.
+ */
+function pickBase(snapshots, startKey, todayKey) {
+  let base = null;
+  for (const s of snapshots) {
+    if (fromSnapshotDate(s.date) < startKey) base = s;
+  }
+  if (base) return { snapshot: base, partial: false };
+
+  const first = snapshots[0];
+  if (first && fromSnapshotDate(first.date) < todayKey) return { snapshot: first, partial: true };
+  return null;
+}
+
+function periodResult(pl, baseValue, sinceKey, partial) {
+  return {
+    pl: round2(pl),
+    plPercent: baseValue > 0 ? round2((pl / baseValue) * 100) : null,
+    since: sinceKey,
+    partial
+  };
+}
+
+/**
+ * Day, week, month and year-to-date P&L of the given portfolios, each and
+ * combined, measured to their current value. Periods without a snapshot to
+ * measure from are null; `partial` marks ones measured from a portfolio's
+ * first snapshot rather than the period start.
+ *
+ * @param {number[]} portfolioIds
+ * @returns {Promise<{ current: Object, periods: Object, portfolios: Array }>}
+ */
+export async function getPeriodPL(portfolioIds, now = new Date()) {
+  const todayKey = istDateKey(now);
+  const tradingToday = isTradingDay(now);
+
+  const [portfolios, snapshots, changes] = await Promise.all([
+    prisma.portfolio.findMany({ where: { id: { in: portfolioIds } }, include: { holdings: true } }),
+    prisma.portfolioSnapshot.findMany({
+      where: { portfolioId: { in: portfolioIds } },
+      select: { portfolioId: true, date: true, totalValue: true },
+      orderBy: { date: 'asc' }
+    }),
+    getCashFlows(portfolioIds)
+  ]);
+
+  const combined = Object.fromEntries(PL_PERIODS.map(p => [p, { pl: 0, baseValue: 0, since: null, partial: false, count: 0 }]));
+  const current = { marketValue: 0, investedValue: 0, cash: 0, totalValue: 0 };
+
+  const perPortfolio = portfolios.map(portfolio => {
+    const { holdings, ...value } = valuePortfolio(portfolio);
+    for (const key of Object.keys(current)) current[key] = round2(current[key] + value[key]);
+
+    const own = snapshots.filter(s => s.portfolioId === portfolio.id);
+    const periods = {};
+
+    for (const period of PL_PERIODS) {
+      // Away from a session, "day" is the last session's move
+      const startKey = period === 'day' && !tradingToday && own.length > 0
+        ? fromSnapshotDate(own[own.length - 1].date)
+        : periodStartKey(period, todayKey);
+      const base = pickBase(own, startKey, todayKey);
+      if (!base) {
+        periods[period] = null;
+        continue;
+      }
+
+      const flows = netFlows(changes, portfolio.id, snapshotClose(base.snapshot.date), now);
+      const pl = value.totalValue - base.snapshot.totalValue - flows;
+      // Money added in the period is at work too
+      const baseValue = base.snapshot.totalValue + Math.max(flows, 0);
+      const sinceKey = fromSnapshotDate(base.snapshot.date);
+      periods[period] = periodResult(pl, baseValue, sinceKey, base.partial);
+
+      const total = combined[period];
+      total.pl += pl;
+      total.baseValue += baseValue;
+      total.since = total.since && total.since < sinceKey ? total.since : sinceKey;
+      total.partial = total.partial || base.partial;
+      total.count++;
+    }
+
+    return { portfolioId: portfolio.id, name: portfolio.name, current: value, periods, holdingsCount: holdings.length };
+  });
+
+  return {
+    current,
+    periods: Object.fromEntries(PL_PERIODS.map(period => {
+      const t = combined[period];
+      return [period, t.count > 0 ? periodResult(t.pl, t.baseValue, t.since, t.partial) : null];
+    })),
+    portfolios: perPortfolio
+  };
+}
+
+/**
+ * How each holding moved between a portfolio's last two snapshots, biggest
+ * move first: quantity held at the latest close × change in closing price.
+ *
+ * @param {number} portfolioId
+ * @returns {Promise<Array<{ symbol, quantity, close, previousClose, change, changePercent }>>}
+ */
+export async function getHoldingDayChanges(portfolioId) {
+  const [latest, previous] = await prisma.portfolioSnapshot.findMany({
+    where: { portfolioId },
+    orderBy: { date: 'desc' },
+    take: 2
+  });
+  if (!latest || !previous) return [];
+
+  const before = new Map(previous.holdings.map(h => [`${h.exchange}:${h.symbol}`, h]));
+
+  return latest.holdings
+    .filter(h => before.has(`${h.exchange}:${h.symbol}`))
+    .map(h => {
+      const previousClose = before.get(`${h.exchange}:${h.symbol}`).close;
+      return {
+        symbol: h.symbol,
+        quantity: h.quantity,
+        close: h.close,
+        previousClose,
+        change: round2(h.quantity * (h.close - previousClose)),
+        changePercent: previousClose > 0 ? round2(((h.close - previousClose) / previousClose) * 100) : null
+      };
+    })
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+export default {
+  PL_PERIODS,
+  valuePortfolio,
+  takeSnapshots,
+  getPeriodPL,
+  getHoldingDayChanges
+};
@@ -0,0 +1,125 @@
+// server/services/priceSync.js
+// Holding price refresh. HTTP callers get a job id back immediately and poll
+// for progress; cron callers just await refreshHoldingPrices directly.
+
+import { randomUUID } from 'crypto';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getQuotes, pickQuote } from './quoteService.js';
+
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const jobs = new Map(); // jobId → job state
+
+/**
+ * Fetch fresh quotes for the given holdings and write currentPrice back.
+ *
+ * @param {Array} holdings - Holding rows (id, symbol, exchange, currentPrice)
+ * @param {{ onProgress?: Function }} options - onProgress({ done, total })
+ * @returns {Promise<{ updated: Array, failed: Array }>}
+ */
+export async function refreshHoldingPrices(holdings, { onProgress } = {}) {
+  const { quotes, errors } = await getQuotes(
+    holdings.map(h => ({ symbol: h.symbol, exchange: h.exchange })),
+    { maxAgeMs: 0, onProgress }
+  );
+
+  const updated = [];
+  const failed = [];
+
+  for (const holding of holdings) {
+    const quote = pickQuote(quotes, holding.symbol, holding.exchange);
+    if (!quote) {
+      failed.push({
+        symbol: holding.symbol,
+        error: errors.get(`${holding.exchange}:${holding.symbol}`) || 'No quote'
+      });
+      continue;
+    }
+
+    await prisma.holding.update({
+      where: { id: holding.id },
+      data: { currentPrice: quote.price }
+    });
+
+    updated.push({
+      symbol: holding.symbol,
+      oldPrice: holding.currentPrice !== null ? Number(holding.currentPrice) : null,
+      newPrice: quote.price
+    });
+  }
+
+  return { updated, failed };
+}
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt.getTime() < cutoff) jobs.delete(id);
+  }
+}
+
+/**
+ * Kick off a background price sync for all of a user's active holdings.
+ *
+ * @param {number} userId
+ * @returns {Promise<Object>} Initial job state ({ id, status: 'RUNNING', total, done, ... })
+ */
+export async function startPriceSync(userId) {
+  pruneJobs();
+
+  const holdings = await prisma.holding.findMany({
+    where: { portfolio: { userId, isActive: true } }
+  });
+
+  const job = {
+    id: randomUUID(),
+    userId,
+    status: 'RUNNING', // RUNNING, COMPLETED, FAILED
+    total: new Set(holdings.map(h => `${h.exchange}:${h.symbol}`)).size,
+    done: 0,
+    updated: [],
+    failed: [],
+    error: null,
+    startedAt: new Date(),
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  refreshHoldingPrices(holdings, {
+    onProgress: ({ done }) => { job.done = done; }
+  })
+    .then(({ updated, failed }) => {
+      job.updated = updated;
+      job.failed = failed;
+      job.done = job.total;
+      job.status = 'COMPLETED';
+      logger.info(`Price sync ${job.id}: ${updated.length} updated, ${failed.length} failed`);
+    })
+    .catch(error => {
+      job.status = 'FAILED';
+      job.error = error.message;
+      logger.error(`Price sync ${job.id} failed:`, error);
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+    });
+
+  return getPriceSyncJob(job.id, userId);
+}
+
+/**
+ * Current state of a sync job, or null if unknown / owned by someone else.
+ */
+export function getPriceSyncJob(jobId, userId) {
+  const job = jobs.get(jobId);
+  if (!job || job.userId !== userId) return null;
+
+  const { userId: _owner, ...state } = job;
+  return state;
+}
+
+export default {
+  refreshHoldingPrices,
+  startPriceSync,
+  getPriceSyncJob
+};
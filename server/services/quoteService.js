@@ -0,0 +1,155 @@
+// server/services/quoteService.js
+// Single entry point for live quotes. Sits on top of the provider chain and adds:
+//   - TTL cache (QUOTE_CACHE_TTL_MS, default 60s)
+//   - request coalescing: concurrent asks for the same symbol share one fetch
+//   - batched multi-symbol quotes where a provider supports getQuotes
+//   - a 'quote' event on every fresh fetch, which feeds the live SSE stream
+// Throttling itself lives in marketProviders/rateLimiter.js — callers never sleep.
+
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+import { callProviders } from './marketProviders/index.js';
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const BATCH_SIZE = 100;
+const MAX_CONCURRENCY = 5;
+
+const cache = new Map();    // "NSE:INFY" → { quote, fetchedAt }
+const inflight = new Map(); // "NSE:INFY" → Promise<quote>
+
+export const quoteEvents = new EventEmitter();
+quoteEvents.setMaxListeners(0); // one listener per open stream
+
+function cacheKey(symbol, exchange) {
+  return `${exchange || 'NSE'}:${symbol}`;
+}
+
+function getTtl() {
+  return parseInt(process.env.QUOTE_CACHE_TTL_MS || DEFAULT_TTL_MS);
+}
+
+function readCache(key, maxAgeMs) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.fetchedAt < maxAgeMs) {
+    return entry.quote;
+  }
+  return null;
+}
+
+function writeCache(quote, source) {
+  const stored = source ? { ...quote, source } : quote;
+  cache.set(cacheKey(quote.symbol, quote.exchange), { quote: stored, fetchedAt: Date.now() });
+  quoteEvents.emit('quote', stored);
+  return stored;
+}
+
+/**
+ * Get a live quote, served from cache when fresh enough.
+ *
+ * @param {string} symbol
+ * @param {string} exchange - NSE or BSE
+ * @param {{ maxAgeMs?: number }} options - 0 forces a fresh fetch
+ * @returns {Promise<Object>} { symbol, exchange, price, change, changePercent, volume, timestamp, source }
+ */
+export async function getQuote(symbol, exchange = 'NSE', { maxAgeMs = getTtl() } = {}) {
+  const key = cacheKey(symbol, exchange);
+
+  const cached = readCache(key, maxAgeMs);
+  if (cached) return cached;
+
+  if (inflight.has(key)) return inflight.get(key);
+
+  const request = callProviders('getQuote', [symbol, exchange])
+    .then(({ provider, result }) => writeCache(result, provider))
+    .finally(() => inflight.delete(key));
+
+  inflight.set(key, request);
+  return request;
+}
+
+/**
+ * Get quotes for many symbols at once. Uses a batching provider first, then
+ * falls back to per-symbol lookups (still coalesced and rate-limited) for the rest.
+ * Symbols that can't be priced are reported in `errors`, never thrown.
+ *
+ * @param {Array<{ symbol: string, exchange?: string }>} items
+ * @param {{ maxAgeMs?: number, onProgress?: Function }} options
+ *   onProgress({ done, total }) fires as each symbol resolves
+ * @returns {Promise<{ quotes: Map<string, Object>, errors: Map<string, string> }>}
+ *   Both maps are keyed "EXCHANGE:SYMBOL"
+ */
+export async function getQuotes(items, { maxAgeMs = getTtl(), onProgress } = {}) {
+  const quotes = new Map();
+  const errors = new Map();
+
+  // De-duplicate the request itself
+  const wanted = new Map();
+  for (const { symbol, exchange = 'NSE' } of items) {
+    wanted.set(cacheKey(symbol, exchange), { symbol, exchange });
+  }
+  const total = wanted.size;
+  const report = () => onProgress?.({ done: quotes.size + errors.size, total });
+
+  let pending = [];
+  for (const [key, item] of wanted) {
+    const cached = readCache(key, maxAgeMs);
+    if (cached) {
+      quotes.set(key, cached);
+    } else {
+      pending.push(item);
+    }
+  }
+  if (quotes.size > 0) report();
+
+  // One request per chunk where a provider can batch
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    const chunk = pending.slice(i, i + BATCH_SIZE);
+    try {
+      const { provider, result } = await callProviders('getQuotes', [chunk]);
+      for (const quote of result) {
+        quotes.set(cacheKey(quote.symbol, quote.exchange), writeCache(quote, provider));
+      }
+      report();
+    } catch (error) {
+      logger.debug(`[Quotes] Batch quote unavailable: ${error.message}`);
+    }
+  }
+  pending = pending.filter(item => !quotes.has(cacheKey(item.symbol, item.exchange)));
+
+  // Whatever is left goes symbol by symbol through a small worker pool
+  const queue = [...pending];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { symbol, exchange } = queue.shift();
+      const key = cacheKey(symbol, exchange);
+      try {
+        quotes.set(key, await getQuote(symbol, exchange, { maxAgeMs }));
+      } catch (error) {
+        errors.set(key, error.message);
+      }
+      report();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENCY, queue.length) }, worker));
+
+  return { quotes, errors };
+}
+
+/**
+ * Look up a quote from a getQuotes() result.
+ */
+export function pickQuote(quotes, symbol, exchange = 'NSE') {
+  return quotes.get(cacheKey(symbol, exchange)) || null;
+}
+
+export function clearQuoteCache() {
+  cache.clear();
+}
+
+export default {
+  quoteEvents,
+  getQuote,
+  getQuotes,
+  pickQuote,
+  clearQuoteCache
+};
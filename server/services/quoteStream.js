@@ -0,0 +1,103 @@
+// server/services/quoteStream.js
+// Fan-out of live quotes to SSE subscribers. Any quote fetched anywhere in the
+// process (scanner, sync, alerts) reaches subscribers through quoteEvents; while
+// anyone is listening during market hours we also refresh their symbols ourselves.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getQuotes, quoteEvents } from './quoteService.js';
+import { isMarketOpen } from '../utils/marketHolidays.js';
+
+const DEFAULT_REFRESH_MS = 30 * 1000;
+
+const subscribers = new Set(); // { keys: Set<string>, items: Array, send: Function }
+let refreshTimer = null;
+let refreshing = false;
+
+function getRefreshMs() {
+  return parseInt(process.env.QUOTE_STREAM_REFRESH_MS || DEFAULT_REFRESH_MS);
+}
+
+quoteEvents.on('quote', (quote) => {
+  const key = `${quote.exchange}:${quote.symbol}`;
+  for (const sub of subscribers) {
+    if (sub.keys.has(key)) sub.send(quote);
+  }
+});
+
+async function refreshSubscribed() {
+  if (refreshing || subscribers.size === 0 || !isMarketOpen()) return;
+  refreshing = true;
+
+  try {
+    const wanted = new Map();
+    for (const sub of subscribers) {
+      for (const item of sub.items) wanted.set(`${item.exchange}:${item.symbol}`, item);
+    }
+    // Fresh fetches emit 'quote', which pushes them to every interested subscriber
+    await getQuotes([...wanted.values()], { maxAgeMs: getRefreshMs() });
+  } catch (error) {
+    logger.error('Quote stream refresh error:', error);
+  } finally {
+    refreshing = false;
+  }
+}
+
+/**
+ * Symbols a user cares about: holdings in active portfolios plus watchlist.
+ *
+ * @param {number} userId
+ * @returns {Promise<Array<{ symbol: string, exchange: string }>>}
+ */
+export async function getUserQuoteSymbols(userId) {
+  const [holdings, watchlist] = await Promise.all([
+    prisma.holding.findMany({
+      where: { portfolio: { userId, isActive: true } },
+      select: { symbol: true, exchange: true }
+    }),
+    prisma.watchlist.findMany({
+      where: { userId },
+      select: { symbol: true, exchange: true }
+    })
+  ]);
+
+  const unique = new Map();
+  for (const s of [...holdings, ...watchlist]) {
+    const exchange = s.exchange || 'NSE';
+    unique.set(`${exchange}:${s.symbol}`, { symbol: s.symbol, exchange });
+  }
+  return [...unique.values()];
+}
+
+/**
+ * Register a subscriber for quote updates on the given symbols.
+ *
+ * @param {Array<{ symbol: string, exchange: string }>} items
+ * @param {Function} send - Called with each new quote
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeQuotes(items, send) {
+  const sub = {
+    items,
+    keys: new Set(items.map(i => `${i.exchange}:${i.symbol}`)),
+    send
+  };
+  subscribers.add(sub);
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(refreshSubscribed, getRefreshMs());
+  }
+
+  return () => {
+    subscribers.delete(sub);
+    if (subscribers.size === 0 && refreshTimer) {
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+    }
+  };
+}
+
+export default {
+  getUserQuoteSymbols,
+  subscribeQuotes
+};
@@ -0,0 +1,473 @@
+// server/services/rebalancer.js
+// Target-allocation rebalancing. A portfolio's targets weight its total value
+// (holdings plus cash) by asset class, sector or individual holding, each
+// within a tolerance band. A plan prices the portfolio, finds the groups that
+// drifted outside their band and proposes the fewest trades that bring them
+// back to the band's edge: sells first, from the holdings cheapest in tax per
+// rupee raised, then buys in whole lots funded only from settled cash. A plan
+// the user accepts becomes DRAFT trade signals, executed from Telegram or the web.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getQuotes, pickQuote } from './quoteService.js';
+import { resolveInstrument } from './instrumentMaster.js';
+import { getEffectiveCash } from './capitalGuard.js';
+import { estimateCharges } from './charges.js';
+import { getOpenLots } from './taxLots.js';
+import { calculateTaxOnTrade, determineCapitalGainType, financialYearStart } from './taxCalculator.js';
+import { getClassifications } from './sectorMap.js';
+import { ASSET_CLASSES, ASSET_CLASS_PROXIES, assetClassOf } from '../utils/assetClasses.js';
+
+export const REBALANCE_DIMENSIONS = ['ASSET_CLASS', 'SECTOR', 'HOLDING'];
+export const DEFAULT_BAND = 5;
+
+const MAX_BAND = 50;
+// Drafts from an earlier plan nobody acted on yet
+const OPEN_REBALANCE_STATUSES = ['DRAFT', 'PENDING', 'ACKED', 'SNOOZED'];
+
+// The open drafts of a portfolio's last plan, which its next plan dismisses
+const replacedDrafts = portfolioId => ({ portfolioId, origin: 'REBALANCE', status: { in: OPEN_REBALANCE_STATUSES } });
+
+const round2 = n => Math.round(n * 100) / 100;
+const holdingKey = (exchange, symbol) => `${exchange}:${symbol}`;
+
+function normalizeKey(dimension, key) {
+  const text = String(key || '').trim();
+  if (!text) throw new Error('Every target needs a key');
+
+  if (dimension === 'ASSET_CLASS') {
+    const assetClass = text.toUpperCase();
+    if (!ASSET_CLASSES.includes(assetClass)) {
+      throw new Error(`Asset class must be one of ${ASSET_CLASSES.join(', ')}`);
+    }
+    return assetClass;
+  }
+  if (dimension === 'HOLDING') {
+    const [exchange, symbol] = text.includes(':') ? text.toUpperCase().split(':') : ['NSE', text.toUpperCase()];
+    if (!['NSE', 'BSE'].includes(exchange) || !symbol) throw new Error(`Invalid holding "${text}"; use SYMBOL or NSE:SYMBOL`);
+    return holdingKey(exchange, symbol);
+  }
+  return text;
+}
+
+/**
+ * Validate a portfolio's allocation targets from a request body.
+ * Throws with a user-facing message on invalid input.
+ *
+ * @param {Object} body - { dimension, band?, targets: [{ key, weight, band? }] }; weights and
+ *   bands are percent of total value, keys an asset class, a sector or [EXCHANGE:]SYMBOL
+ * @returns {{ dimension: string, targets: Array<{ key, weight, band }> }}
+ */
+export function buildTargetsData(body) {
+  const dimension = String(body.dimension || '').toUpperCase();
+  if (!REBALANCE_DIMENSIONS.includes(dimension)) {
+    throw new Error(`dimension must be one of ${REBALANCE_DIMENSIONS.join(', ')}`);
+  }
+
+  const parseBand = value => {
+    const band = Number(value);
+    if (!Number.isFinite(band) || band < 0 || band > MAX_BAND) throw new Error(`band must be between 0 and ${MAX_BAND}`);
+    return band;
+  };
+  const defaultBand = body.band === undefined || body.band === null || body.band === '' ? DEFAULT_BAND : parseBand(body.band);
+
+  if (!Array.isArray(body.targets)) throw new Error('targets must be an array');
+
+  const seen = new Set();
+  const targets = body.targets.map(t => {
+    const key = normalizeKey(dimension, t.key);
+    const folded = key.toLowerCase();
+    if (seen.has(folded)) throw new Error(`${key} is listed twice`);
+    seen.add(folded);
+
+    const weight = Number(t.weight);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) throw new Error(`Weight of ${key} must be between 0 and 100`);
+
+    return {
+      key,
+      weight: round2(weight),
+      band: t.band === undefined || t.band === null || t.band === '' ? defaultBand : parseBand(t.band)
+    };
+  });
+
+  const total = targets.reduce((sum, t) => sum + t.weight, 0);
+  if (total > 100.001) throw new Error(`Weights add up to ${round2(total)}%; they can't exceed 100%`);
+
+  return { dimension, targets };
+}
+
+/**
+ * @returns {Promise<{ dimension: string|null, targets: Array<{ key, weight, band }> }>}
+ */
+export async function getTargets(portfolioId) {
+  const rows = await prisma.allocationTarget.findMany({
+    where: { portfolioId },
+    orderBy: [{ weight: 'desc' }, { key: 'asc' }]
+  });
+  return {
+    dimension: rows[0]?.dimension || null,
+    targets: rows.map(r => ({ key: r.key, weight: r.weight, band: r.band }))
+  };
+}
+
+/**
+ * Replace a portfolio's targets. A portfolio is rebalanced along one
+ * dimension at a time, so targets along any other are dropped.
+ */
+export async function saveTargets(portfolioId, { dimension, targets }) {
+  await prisma.$transaction([
+    prisma.allocationTarget.deleteMany({ where: { portfolioId } }),
+    prisma.allocationTarget.createMany({
+      data: targets.map(t => ({ portfolioId, dimension, ...t }))
+    })
+  ]);
+  return getTargets(portfolioId);
+}
+
+async function lotSizeOf(symbol, exchange) {
+  try {
+    return (await resolveInstrument(symbol, exchange))?.lotSize || 1;
+  } catch (error) {
+    return 1;
+  }
+}
+
+/**
+ * Net long-term gain the user has already realized this financial year,
+ * across portfolios: it uses up the LTCG exemption before any of the plan's sales.
+ */
+async function ltcgRealizedThisYear(userId, now) {
+  const gains = await prisma.realizedGain.findMany({
+    where: { portfolio: { userId }, soldAt: { gte: financialYearStart(now) } },
+    select: { gain: true, acquiredAt: true, soldAt: true }
+  });
+  const ltcg = gains
+    .filter(g => determineCapitalGainType(g.acquiredAt, g.soldAt) === 'LTCG')
+    .reduce((sum, g) => sum + g.gain, 0);
+  return Math.max(0, ltcg);
+}
+
+/**
+ * Capital gains tax on selling `quantity` shares from the oldest lots first,
+ * each at `netPrice` (the price less the sale's charges per share).
+ */
+function saleTax(lots, quantity, netPrice, ltcgUsed, now) {
+  let left = quantity;
+  let used = ltcgUsed;
+  const result = { stcgGain: 0, ltcgGain: 0, tax: 0 };
+
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, lot.remainingQuantity);
+    const gain = (netPrice - lot.costPerShare) * take;
+    const tax = calculateTaxOnTrade(gain, lot.acquiredAt, used, now);
+    if (tax.type === 'LTCG') {
+      result.ltcgGain += gain;
+      used += Math.max(0, gain);
+    } else {
+      result.stcgGain += gain;
+    }
+    result.tax += tax.tax;
+    left -= take;
+  }
+
+  return { ...result, ltcgUsed: used };
+}
+
+/**
+ * Work out the trades that bring a portfolio back within its target bands.
+ * Nothing is placed or saved.
+ *
+ * Groups without a target are left alone. An over-weight group is sold down
+ * to its upper band edge, an under-weight one bought up to its lower edge:
+ * into the target holding, the group's largest holding, or for an asset class
+ * the portfolio holds none of, its index ETF. Buys are sized to the settled
+ * cash left after open BUY signals; sale proceeds only settle on T+1, so
+ * what they can't cover yet is reported as deferred.
+ *
+ * @param {number} portfolioId
+ * @returns {Promise<Object|null>} null when the portfolio has no targets
+ */
+export async function planRebalance(portfolioId, now = new Date()) {
+  const portfolio = await prisma.portfolio.findUnique({
+    where: { id: portfolioId },
+    include: { holdings: true, allocationTargets: true }
+  });
+  if (!portfolio || portfolio.allocationTargets.length === 0) return null;
+
+  const dimension = portfolio.allocationTargets[0].dimension;
+  const targets = portfolio.allocationTargets;
+
+  // Everything the plan might trade, held or not
+  const wanted = new Map(portfolio.holdings.map(h => [holdingKey(h.exchange, h.symbol), { symbol: h.symbol, exchange: h.exchange }]));
+  for (const t of targets) {
+    if (dimension === 'HOLDING') {
+      const [exchange, symbol] = t.key.split(':');
+      wanted.set(t.key, { symbol, exchange });
+    } else if (dimension === 'ASSET_CLASS' && ASSET_CLASS_PROXIES[t.key]) {
+      wanted.set(holdingKey('NSE', ASSET_CLASS_PROXIES[t.key]), { symbol: ASSET_CLASS_PROXIES[t.key], exchange: 'NSE' });
+    }
+  }
+  const { quotes } = await getQuotes([...wanted.values()]);
+  const priceOf = (symbol, exchange, fallback = 0) => pickQuote(quotes, symbol, exchange)?.price || fallback;
+
+  const sectors = dimension === 'SECTOR' ? await getClassifications(portfolio.holdings) : new Map();
+  // Sector targets match the sector map's names whatever their case
+  const sectorKeys = new Map(targets.map(t => [t.key.toLowerCase(), t.key]));
+  const groupOf = (symbol, exchange) => {
+    if (dimension === 'ASSET_CLASS') return assetClassOf(symbol);
+    if (dimension === 'HOLDING') return holdingKey(exchange, symbol);
+    const { sector } = sectors.get(holdingKey(exchange, symbol));
+    return sectorKeys.get(sector.toLowerCase()) || sector;
+  };
+
+  const positions = [];
+  for (const h of portfolio.holdings) {
+    if (h.quantity <= 0) continue;
+    const price = priceOf(h.symbol, h.exchange, Number(h.currentPrice || h.avgPrice));
+    positions.push({
+      symbol: h.symbol,
+      exchange: h.exchange,
+      quantity: h.quantity,
+      price,
+      value: h.quantity * price,
+      group: groupOf(h.symbol, h.exchange),
+      lotSize: await lotSizeOf(h.symbol, h.exchange)
+    });
+  }
+
+  // This plan replaces the earlier one's drafts, so their cash isn't spoken for
+  const { rawCash, unsettledCash, effectiveCash } = await getEffectiveCash(portfolioId, { ignore: replacedDrafts(portfolioId) });
+  const cash = rawCash + unsettledCash;
+  const totalValue = positions.reduce((sum, p) => sum + p.value, 0) + cash;
+
+  const values = new Map();
+  for (const p of positions) values.set(p.group, (values.get(p.group) || 0) + p.value);
+  if (dimension === 'ASSET_CLASS') values.set('CASH', cash);
+
+  const targetFor = new Map(targets.map(t => [t.key, t]));
+  const pct = value => (totalValue > 0 ? (value / totalValue) * 100 : 0);
+  const groups = [...new Set([...targets.map(t => t.key), ...values.keys()])].map(key => {
+    const value = values.get(key) || 0;
+    const target = targetFor.get(key);
+    const currentPct = pct(value);
+    let status = 'UNTARGETED';
+    if (target) {
+      if (currentPct > target.weight + target.band) status = 'OVER';
+      else if (currentPct < target.weight - target.band) status = 'UNDER';
+      else status = 'WITHIN';
+    }
+    return {
+      key,
+      targetPct: target ? target.weight : null,
+      bandPct: target ? target.band : null,
+      currentPct: round2(currentPct),
+      driftPct: target ? round2(currentPct - target.weight) : null,
+      value: round2(value),
+      status
+    };
+  }).sort((a, b) => b.value - a.value);
+
+  const trades = [];
+  const deferred = [];
+  const tax = { stcgGain: 0, ltcgGain: 0, estimatedTax: 0 };
+  let ltcgUsed = await ltcgRealizedThisYear(portfolio.userId, now);
+  let proceeds = 0;
+
+  // ---- Sells: down to the upper band edge, cheapest tax per rupee first ----
+  for (const group of groups.filter(g => g.status === 'OVER' && g.key !== 'CASH')) {
+    let excess = group.value - ((group.targetPct + group.bandPct) / 100) * totalValue;
+
+    const candidates = [];
+    for (const p of positions.filter(p => p.group === group.key && p.price > 0)) {
+      const lots = await getOpenLots([portfolioId], { symbol: p.symbol, exchange: p.exchange });
+      const quantity = Math.min(p.quantity, Math.ceil(excess / p.price));
+      const charges = estimateCharges({ broker: portfolio.broker, side: 'SELL', quantity, price: p.price, exchange: p.exchange }).total;
+      const { tax: cost } = saleTax(lots, quantity, p.price - charges / quantity, ltcgUsed, now);
+      candidates.push({ position: p, lots, taxPerRupee: cost / (quantity * p.price) });
+    }
+    candidates.sort((a, b) => a.taxPerRupee - b.taxPerRupee);
+
+    for (const { position: p, lots } of candidates) {
+      if (excess <= 0) break;
+      const lotsNeeded = Math.ceil(excess / (p.price * p.lotSize));
+      const quantity = Math.min(p.quantity, lotsNeeded * p.lotSize);
+      const charges = estimateCharges({ broker: portfolio.broker, side: 'SELL', quantity, price: p.price, exchange: p.exchange }).total;
+      const sale = saleTax(lots, quantity, p.price - charges / quantity, ltcgUsed, now);
+      ltcgUsed = sale.ltcgUsed;
+      tax.stcgGain += sale.stcgGain;
+      tax.ltcgGain += sale.ltcgGain;
+      tax.estimatedTax += sale.tax;
+
+      trades.push({
+        side: 'SELL',
+        symbol: p.symbol,
+        exchange: p.exchange,
+        quantity,
+        price: round2(p.price),
+        value: round2(quantity * p.price),
+        charges: round2(charges),
+        group: group.key,
+        lotSize: p.lotSize,
+        tax: round2(sale.tax)
+      });
+      proceeds += quantity * p.price - charges;
+      excess -= quantity * p.price;
+    }
+  }
+
+  // ---- Buys: up to the lower band edge, largest shortfall first ----
+  const cashTarget = dimension === 'ASSET_CLASS' ? targetFor.get('CASH') : null;
+  const cashFloor = cashTarget ? Math.max(0, ((cashTarget.weight - cashTarget.band) / 100) * totalValue) : 0;
+  let budget = Math.max(0, Math.min(effectiveCash, cash + proceeds - cashFloor));
+
+  const under = groups
+    .filter(g => g.status === 'UNDER' && g.key !== 'CASH')
+    .map(g => ({ ...g, shortfall: ((g.targetPct - g.bandPct) / 100) * totalValue - g.value }))
+    .sort((a, b) => b.shortfall - a.shortfall);
+
+  for (const group of under) {
+    let instrument = null;
+    if (dimension === 'HOLDING') {
+      const [exchange, symbol] = group.key.split(':');
+      instrument = { symbol, exchange };
+    } else {
+      const largest = positions.filter(p => p.group === group.key).sort((a, b) => b.value - a.value)[0];
+      if (largest) instrument = { symbol: largest.symbol, exchange: largest.exchange };
+      else if (dimension === 'ASSET_CLASS') instrument = { symbol: ASSET_CLASS_PROXIES[group.key], exchange: 'NSE' };
+    }
+    if (!instrument) {
+      deferred.push({ group: group.key, amount: round2(group.shortfall), reason: 'Nothing held in this sector to add to' });
+      continue;
+    }
+
+    const held = positions.find(p => p.symbol === instrument.symbol && p.exchange === instrument.exchange);
+    const price = held?.price || priceOf(instrument.symbol, instrument.exchange);
+    if (!price) {
+      deferred.push({ group: group.key, symbol: instrument.symbol, amount: round2(group.shortfall), reason: `No price for ${instrument.symbol}` });
+      continue;
+    }
+    const lotSize = held?.lotSize || await lotSizeOf(instrument.symbol, instrument.exchange);
+
+    const wantedQty = Math.ceil(group.shortfall / (price * lotSize)) * lotSize;
+    const costOf = qty => qty * price + estimateCharges({ broker: portfolio.broker, side: 'BUY', quantity: qty, price, exchange: instrument.exchange }).total;
+    let quantity = wantedQty;
+    while (quantity > 0 && costOf(quantity) > budget) quantity -= lotSize;
+
+    if (quantity > 0) {
+      const charges = costOf(quantity) - quantity * price;
+      budget -= quantity * price + charges;
+      trades.push({
+        side: 'BUY',
+        symbol: instrument.symbol,
+        exchange: instrument.exchange,
+        quantity,
+        price: round2(price),
+        value: round2(quantity * price),
+        charges: round2(charges),
+        group: group.key,
+        lotSize
+      });
+    }
+    if (quantity < wantedQty) {
+      deferred.push({
+        group: group.key,
+        symbol: instrument.symbol,
+        amount: round2((wantedQty - quantity) * price),
+        reason: proceeds > 0 || unsettledCash > 0
+          ? 'Waiting for sale proceeds to settle (T+1)'
+          : 'Not enough cash'
+      });
+    }
+  }
+
+  const spent = trades.filter(t => t.side === 'BUY').reduce((sum, t) => sum + t.value + t.charges, 0);
+
+  return {
+    portfolioId,
+    dimension,
+    asOf: now,
+    totalValue: round2(totalValue),
+    cash: {
+      settled: round2(rawCash),
+      unsettled: round2(unsettledCash),
+      available: round2(effectiveCash),
+      afterTrades: round2(cash + proceeds - spent)
+    },
+    groups,
+    trades,
+    tax: {
+      stcgGain: round2(tax.stcgGain),
+      ltcgGain: round2(tax.ltcgGain),
+      estimatedTax: round2(Math.max(0, tax.estimatedTax))
+    },
+    deferred,
+    withinBands: groups.every(g => g.status === 'WITHIN' || g.status === 'UNTARGETED')
+  };
+}
+
+function rebalanceRationale(plan, trade) {
+  const group = plan.groups.find(g => g.key === trade.group);
+  const label = plan.dimension === 'ASSET_CLASS' ? 'asset class' : plan.dimension.toLowerCase();
+  const taxNote = trade.tax ? ` (est. tax ₹${trade.tax.toLocaleString('en-IN')})` : '';
+  return `Rebalance ${label} ${trade.group}: ${group.currentPct}% vs target ${group.targetPct}% ±${group.bandPct}%${taxNote}`;
+}
+
+/**
+ * Turn a fresh plan into DRAFT trade signals, replacing the drafts of any
+ * earlier plan still open. Sells come first so their proceeds settle first.
+ *
+ * @returns {Promise<{ success: boolean, error?: string, plan?: Object, signals?: Array }>}
+ */
+export async function createRebalanceSignals(portfolioId, now = new Date()) {
+  const plan = await planRebalance(portfolioId, now);
+  if (!plan) return { success: false, error: 'Set allocation targets first' };
+
+  // Drafts last the session, like the signal generator's
+  const expiresAt = new Date(now);
+  expiresAt.setUTCHours(10, 0, 0, 0);
+  if (expiresAt <= now) expiresAt.setDate(expiresAt.getDate() + 1);
+
+  const ordered = [...plan.trades.filter(t => t.side === 'SELL'), ...plan.trades.filter(t => t.side === 'BUY')];
+
+  const signals = await prisma.$transaction(async tx => {
+    await tx.tradeSignal.updateMany({
+      where: replacedDrafts(portfolioId),
+      data: { status: 'DISMISSED' }
+    });
+
+    const created = [];
+    for (const trade of ordered) {
+      created.push(await tx.tradeSignal.create({
+        data: {
+          portfolioId,
+          symbol: trade.symbol,
+          exchange: trade.exchange,
+          side: trade.side,
+          quantity: trade.quantity,
+          triggerType: 'MARKET',
+          // The planned price: what the draft reserves against the cash until it's executed
+          triggerPrice: trade.price,
+          rationale: rebalanceRationale(plan, trade),
+          status: 'DRAFT',
+          origin: 'REBALANCE',
+          expiresAt
+        }
+      }));
+    }
+    return created;
+  });
+
+  logger.info(`[Rebalancer] Portfolio ${portfolioId}: ${signals.length} draft signals, ${plan.deferred.length} deferred`);
+  return { success: true, plan, signals };
+}
+
+export default {
+  REBALANCE_DIMENSIONS,
+  DEFAULT_BAND,
+  buildTargetsData,
+  getTargets,
+  saveTargets,
+  planRebalance,
+  createRebalanceSignals
+};
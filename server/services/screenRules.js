@@ -0,0 +1,431 @@
+// server/services/screenRules.js
+// Declarative screen rules. A rule is a JSON tree evaluated against a candle
+// series on its latest bar:
+//
+//   { "all": [
+//       { "left": "rsi14", "op": "<", "right": 30 },
+//       { "left": "close", "op": ">", "right": "sma200" },
+//       { "left": "volume", "op": ">", "right": { "mul": [1.5, "avgVolume20"] } }
+//   ] }
+//
+// Groups are { all: [...] }, { any: [...] } and { not: rule }. Operands are
+// numbers, field names (see FIELD_HELP) or arithmetic nodes { add | sub | mul | div: [a, b, ...] }.
+// The same rule can be written as text — "rsi14 < 30 AND close > sma200 AND
+// volume > 1.5*avgVolume20" — and parseRuleExpression() turns it into the tree.
+
+import {
+  sma, ema, rsi, macd, bollinger, atr, adx, stochastic, vwap, supertrend, obv,
+  closesOf, crossedAbove, crossedBelow
+} from './indicators.js';
+
+export const COMPARISON_OPS = ['<', '<=', '>', '>=', '==', '!=', 'crossesAbove', 'crossesBelow'];
+const ARITHMETIC_OPS = ['add', 'sub', 'mul', 'div'];
+const MAX_PERIOD = 500;
+const MAX_DEPTH = 20;
+
+export const FIELD_HELP = {
+  'open, high, low, close, volume': 'Latest bar',
+  changePercent: '% change from the previous close',
+  'smaN, emaN': 'Moving average of close over N bars, e.g. sma200, ema20',
+  rsiN: 'Wilder RSI, e.g. rsi14',
+  atrN: 'Average true range, e.g. atr14',
+  'adxN, plusDIN, minusDIN': 'ADX and directional indicators, e.g. adx14',
+  avgVolumeN: 'Average volume of the N bars before the latest one',
+  'highestN, lowestN': 'Highest high / lowest low of the N bars before the latest one',
+  rocN: '% change in close over N bars',
+  'macd, macdSignal, macdHist': 'MACD (12, 26, 9)',
+  'bbUpper, bbMiddle, bbLower': 'Bollinger Bands (20, 2)',
+  'stochK, stochD': 'Slow stochastic (14, 3, 3)',
+  'supertrend, supertrendDir': 'Supertrend (10, 3) value and direction (1 up, -1 down)',
+  'vwap, obv': 'Session VWAP and on-balance volume',
+};
+
+// ============================================
+// FIELD SERIES
+// ============================================
+
+// Shift a series one bar later, so index i holds the value computed through bar i - 1
+const previous = series => [null, ...series.slice(0, -1)];
+
+const rolling = (values, period, pick) => values.map((_, i) => {
+  if (i < period) return null;
+  return pick(values.slice(i - period, i));
+});
+
+const FIXED_FIELDS = {
+  open: c => c.map(b => b.open),
+  high: c => c.map(b => b.high),
+  low: c => c.map(b => b.low),
+  close: c => closesOf(c),
+  volume: c => c.map(b => b.volume || 0),
+  changePercent: c => c.map((b, i) => (i === 0 || !c[i - 1].close ? null : ((b.close - c[i - 1].close) / c[i - 1].close) * 100)),
+  macd: c => macd(closesOf(c)).macd,
+  macdSignal: c => macd(closesOf(c)).signal,
+  macdHist: c => macd(closesOf(c)).histogram,
+  bbUpper: c => bollinger(closesOf(c)).upper,
+  bbMiddle: c => bollinger(closesOf(c)).middle,
+  bbLower: c => bollinger(closesOf(c)).lower,
+  stochK: c => stochastic(c).k,
+  stochD: c => stochastic(c).d,
+  supertrend: c => supertrend(c).value,
+  supertrendDir: c => supertrend(c).direction,
+  vwap: c => vwap(c),
+  obv: c => obv(c),
+};
+
+// Bars of history each fixed field needs before it produces a value
+const FIXED_WARMUP = { changePercent: 2, macd: 35, macdSignal: 35, macdHist: 35, bbUpper: 20, bbMiddle: 20, bbLower: 20, stochK: 20, stochD: 20, supertrend: 12, supertrendDir: 12 };
+
+const PERIOD_FIELDS = {
+  sma: { series: (c, n) => sma(closesOf(c), n), warmup: n => n },
+  ema: { series: (c, n) => ema(closesOf(c), n), warmup: n => n * 2 },
+  rsi: { series: (c, n) => rsi(closesOf(c), n), warmup: n => n * 2 + 1 },
+  atr: { series: (c, n) => atr(c, n), warmup: n => n * 2 },
+  adx: { series: (c, n) => adx(c, n).adx, warmup: n => n * 3 },
+  plusDI: { series: (c, n) => adx(c, n).plusDI, warmup: n => n * 2 },
+  minusDI: { series: (c, n) => adx(c, n).minusDI, warmup: n => n * 2 },
+  avgVolume: { series: (c, n) => previous(sma(c.map(b => b.volume || 0), n)), warmup: n => n + 1 },
+  highest: { series: (c, n) => rolling(c.map(b => b.high), n, w => Math.max(...w)), warmup: n => n + 1 },
+  lowest: { series: (c, n) => rolling(c.map(b => b.low), n, w => Math.min(...w)), warmup: n => n + 1 },
+  roc: {
+    series: (c, n) => c.map((b, i) => (i < n || !c[i - n].close ? null : ((b.close - c[i - n].close) / c[i - n].close) * 100)),
+    warmup: n => n + 1
+  },
+};
+
+const PERIOD_FIELD_PATTERN = new RegExp(`^(${Object.keys(PERIOD_FIELDS).join('|')})(\\d+)$`);
+
+function parseField(name) {
+  if (FIXED_FIELDS[name]) {
+    return { name, warmup: FIXED_WARMUP[name] || 1, series: FIXED_FIELDS[name] };
+  }
+  const match = PERIOD_FIELD_PATTERN.exec(name);
+  if (match) {
+    const period = parseInt(match[2]);
+    if (period < 1 || period > MAX_PERIOD) {
+      throw new Error(`Period out of range in ${name} (1-${MAX_PERIOD})`);
+    }
+    const def = PERIOD_FIELDS[match[1]];
+    return { name, warmup: def.warmup(period), series: c => def.series(c, period) };
+  }
+  throw new Error(`Unknown field: ${name}`);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function compileOperand(operand, fields, depth) {
+  if (depth > MAX_DEPTH) throw new Error('Rule is nested too deeply');
+
+  if (typeof operand === 'number') {
+    if (!Number.isFinite(operand)) throw new Error('Numbers in rules must be finite');
+    return operand;
+  }
+  if (typeof operand === 'string') {
+    if (!fields.has(operand)) fields.set(operand, parseField(operand));
+    return operand;
+  }
+  if (operand && typeof operand === 'object' && !Array.isArray(operand)) {
+    const keys = Object.keys(operand);
+    if (keys.length === 1 && ARITHMETIC_OPS.includes(keys[0])) {
+      const args = operand[keys[0]];
+      if (!Array.isArray(args) || args.length < 2) {
+        throw new Error(`${keys[0]} needs at least two operands`);
+      }
+      return { [keys[0]]: args.map(a => compileOperand(a, fields, depth + 1)) };
+    }
+  }
+  throw new Error(`Invalid operand: ${JSON.stringify(operand)}`);
+}
+
+function compileNode(node, fields, depth = 0) {
+  if (depth > MAX_DEPTH) throw new Error('Rule is nested too deeply');
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error(`Invalid rule node: ${JSON.stringify(node)}`);
+  }
+
+  for (const group of ['all', 'any']) {
+    if (node[group] !== undefined) {
+      if (!Array.isArray(node[group]) || node[group].length === 0) {
+        throw new Error(`"${group}" must be a non-empty array`);
+      }
+      return { [group]: node[group].map(child => compileNode(child, fields, depth + 1)) };
+    }
+  }
+
+  if (node.not !== undefined) {
+    return { not: compileNode(node.not, fields, depth + 1) };
+  }
+
+  if (!COMPARISON_OPS.includes(node.op)) {
+    throw new Error(`Unknown operator "${node.op}" (expected one of ${COMPARISON_OPS.join(', ')})`);
+  }
+  return {
+    left: compileOperand(node.left, fields, depth + 1),
+    op: node.op,
+    right: compileOperand(node.right, fields, depth + 1)
+  };
+}
+
+/**
+ * Validate a rule tree and collect the fields it reads.
+ *
+ * @param {object|string} rule - Rule tree, or an expression string
+ * @returns {{ rule: object, fields: string[], minBars: number, fieldDefs: Map }} minBars: history needed before every field has a value
+ * @throws {Error} Describing the first problem found
+ */
+export function compileRule(rule) {
+  const tree = typeof rule === 'string' ? parseRuleExpression(rule) : rule;
+  const fields = new Map();
+  const compiled = compileNode(tree, fields);
+
+  const usesCross = JSON.stringify(compiled).includes('"op":"crosses');
+  const warmup = Math.max(2, ...[...fields.values()].map(f => f.warmup));
+
+  return {
+    rule: compiled,
+    fields: [...fields.keys()],
+    minBars: warmup + (usesCross ? 1 : 0),
+    fieldDefs: fields
+  };
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+function operandAt(operand, i, series) {
+  if (typeof operand === 'number') return operand;
+  if (typeof operand === 'string') {
+    const v = series[operand][i];
+    return v === undefined ? null : v;
+  }
+
+  const [op] = Object.keys(operand);
+  const values = operand[op].map(a => operandAt(a, i, series));
+  if (values.some(v => v === null)) return null;
+
+  switch (op) {
+    case 'add': return values.reduce((a, b) => a + b);
+    case 'sub': return values.reduce((a, b) => a - b);
+    case 'mul': return values.reduce((a, b) => a * b);
+    case 'div': return values.reduce((a, b) => (a === null || b === 0 ? null : a / b));
+    default: return null;
+  }
+}
+
+function nodeAt(node, i, series) {
+  if (node.all) return node.all.every(child => nodeAt(child, i, series));
+  if (node.any) return node.any.some(child => nodeAt(child, i, series));
+  if (node.not) return !nodeAt(node.not, i, series);
+
+  if (node.op === 'crossesAbove' || node.op === 'crossesBelow') {
+    const left = [operandAt(node.left, i - 1, series), operandAt(node.left, i, series)];
+    const right = [operandAt(node.right, i - 1, series), operandAt(node.right, i, series)];
+    return node.op === 'crossesAbove' ? crossedAbove(left, right, 1) : crossedBelow(left, right, 1);
+  }
+
+  const left = operandAt(node.left, i, series);
+  const right = operandAt(node.right, i, series);
+  if (left === null || right === null) return false;
+
+  switch (node.op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+    case '!=': return left !== right;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a compiled rule on the latest bar of a candle series.
+ *
+ * @param {object} compiled - compileRule() result
+ * @param {Array} candles - OHLCV candles, oldest first
+ * @returns {{ match: boolean, values: object, reason?: string }} values: each field as of the latest bar;
+ *   reason INSUFFICIENT_HISTORY when there are fewer than compiled.minBars candles
+ */
+export function evaluateRule(compiled, candles) {
+  if (!candles || candles.length < Math.max(2, compiled.minBars)) {
+    return { match: false, values: {}, reason: 'INSUFFICIENT_HISTORY' };
+  }
+
+  const series = buildSeries(compiled, candles);
+  const i = candles.length - 1;
+  const values = {};
+  for (const name of compiled.fields) {
+    const v = series[name][i];
+    values[name] = v === null || v === undefined ? null : Math.round(v * 100) / 100;
+  }
+
+  return { match: nodeAt(compiled.rule, i, series), values };
+}
+
+/**
+ * Evaluate a compiled rule on every bar of a candle series, for replaying it
+ * over history. Bars before the indicators warm up evaluate to false.
+ *
+ * @param {object} compiled - compileRule() result
+ * @param {Array} candles - OHLCV candles, oldest first
+ * @returns {boolean[]} One entry per candle
+ */
+export function evaluateRuleSeries(compiled, candles) {
+  if (!candles || candles.length === 0) return [];
+
+  const series = buildSeries(compiled, candles);
+  // Bars short of minBars are false even where a `not` group would let them through
+  const first = Math.max(1, compiled.minBars - 1);
+  return candles.map((_, i) => i >= first && nodeAt(compiled.rule, i, series));
+}
+
+function buildSeries(compiled, candles) {
+  const series = {};
+  for (const [name, def] of compiled.fieldDefs) {
+    series[name] = def.series(candles);
+  }
+  return series;
+}
+
+// ============================================
+// EXPRESSION SYNTAX
+// ============================================
+
+// Case-insensitive like AND/OR/NOT, so CROSSES ABOVE and crossesabove both read as crossesAbove
+const TOKEN_PATTERN = /\s*(crosses\s*above|crosses\s*below|<=|>=|==|!=|<|>|\d+(?:\.\d+)?|[A-Za-z][A-Za-z0-9]*|[()*/+-])/iy;
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    if (/^\s*$/.test(text.slice(pos))) break;
+    TOKEN_PATTERN.lastIndex = pos;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new Error(`Unexpected input at position ${pos}: "${text.slice(pos, pos + 10)}"`);
+    tokens.push(match[1].replace(/^crosses\s*above$/i, 'crossesAbove').replace(/^crosses\s*below$/i, 'crossesBelow'));
+    pos = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parse "rsi14 < 30 AND (close > sma200 OR ema20 crosses above ema50)" into a rule tree.
+ * AND binds tighter than OR; NOT negates the term after it.
+ *
+ * @param {string} text
+ * @returns {object} Rule tree
+ * @throws {Error} On a syntax error
+ */
+export function parseRuleExpression(text) {
+  const tokens = tokenize(String(text));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isKeyword = (tok, kw) => tok && tok.toUpperCase() === kw;
+  const expect = tok => {
+    if (tokens[pos] !== tok) throw new Error(`Expected "${tok}" but found ${tokens[pos] ? `"${tokens[pos]}"` : 'end of rule'}`);
+    pos++;
+  };
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      pos++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { any: terms };
+  }
+
+  function parseAnd() {
+    const terms = [parseUnary()];
+    while (isKeyword(peek(), 'AND')) {
+      pos++;
+      terms.push(parseUnary());
+    }
+    return terms.length === 1 ? terms[0] : { all: terms };
+  }
+
+  function parseUnary() {
+    if (isKeyword(peek(), 'NOT')) {
+      pos++;
+      return { not: parseUnary() };
+    }
+    // "(" opens either a group of conditions or an arithmetic term; try the group first
+    if (peek() === '(') {
+      const start = pos;
+      try {
+        pos++;
+        const group = parseOr();
+        expect(')');
+        if (!COMPARISON_OPS.includes(peek()) && !['*', '/', '+', '-'].includes(peek())) return group;
+      } catch {
+        // fall through to a comparison
+      }
+      pos = start;
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseSum();
+    const op = peek();
+    if (!COMPARISON_OPS.includes(op)) {
+      throw new Error(`Expected a comparison operator but found ${op ? `"${op}"` : 'end of rule'}`);
+    }
+    pos++;
+    return { left, op, right: parseSum() };
+  }
+
+  function parseSum() {
+    let node = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const op = tokens[pos++] === '+' ? 'add' : 'sub';
+      node = { [op]: [node, parseProduct()] };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseFactor();
+    while (peek() === '*' || peek() === '/') {
+      const op = tokens[pos++] === '*' ? 'mul' : 'div';
+      node = { [op]: [node, parseFactor()] };
+    }
+    return node;
+  }
+
+  function parseFactor() {
+    const tok = tokens[pos++];
+    if (tok === undefined) throw new Error('Unexpected end of rule');
+    if (tok === '(') {
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+    if (tok === '-') {
+      const inner = parseFactor();
+      return typeof inner === 'number' ? -inner : { mul: [-1, inner] };
+    }
+    if (/^\d/.test(tok)) return parseFloat(tok);
+    if (/^[A-Za-z]/.test(tok) && !['AND', 'OR', 'NOT'].includes(tok.toUpperCase())) return tok;
+    throw new Error(`Unexpected "${tok}"`);
+  }
+
+  if (tokens.length === 0) throw new Error('Rule is empty');
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  return tree;
+}
+
+export default {
+  COMPARISON_OPS,
+  FIELD_HELP,
+  compileRule,
+  evaluateRule,
+  evaluateRuleSeries,
+  parseRuleExpression
+};
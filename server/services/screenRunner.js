@@ -0,0 +1,245 @@
+// server/services/screenRunner.js
+// Runs rule screens (services/screenRules.js) over every stock with stored
+// candles, and drives saved screens: validation of user input, the scheduled
+// runs the market scanner triggers, and Telegram pushes for new matches.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getBot } from './telegramBot.js';
+import { compileRule, evaluateRule } from './screenRules.js';
+import { getStoredSymbols } from './candleStore.js';
+import { getCandlesForTimeframe, baseIntervalFor, TIMEFRAMES } from './candleResampler.js';
+import { isMarketOpen } from '../utils/marketHolidays.js';
+
+const DEFAULT_BARS = 250;
+const MAX_BARS = 600;
+const MIN_SCHEDULE_MINUTES = 5; // the scanner ticks every 5 minutes
+const MAX_TELEGRAM_LINES = 20;
+
+/**
+ * Validate and normalise screen fields from a request body.
+ *
+ * @param {object} input - { name, rule | expression, timeframe, scheduleMinutes, notifyTelegram, isActive }
+ * @param {{ partial?: boolean }} options - partial: only validate the fields present (updates)
+ * @returns {object} Prisma data for Screen
+ * @throws {Error} With a user-facing message when something is invalid
+ */
+export function buildScreenData(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name || '').trim();
+    if (!name) throw new Error('name is required');
+    if (name.length > 100) throw new Error('name must be at most 100 characters');
+    data.name = name;
+  }
+
+  if (!partial || input.rule !== undefined || input.expression !== undefined) {
+    const source = input.expression ?? input.rule;
+    if (source === undefined || source === null || source === '') {
+      throw new Error('rule or expression is required');
+    }
+    data.rule = compileRule(source).rule;
+    data.expression = typeof source === 'string' ? source.trim() : null;
+  }
+
+  if (input.timeframe !== undefined) {
+    if (!TIMEFRAMES.includes(input.timeframe)) {
+      throw new Error(`timeframe must be one of ${TIMEFRAMES.join(', ')}`);
+    }
+    data.timeframe = input.timeframe;
+  }
+
+  if (input.scheduleMinutes !== undefined) {
+    const minutes = input.scheduleMinutes === null ? null : parseInt(input.scheduleMinutes);
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < MIN_SCHEDULE_MINUTES)) {
+      throw new Error(`scheduleMinutes must be at least ${MIN_SCHEDULE_MINUTES}, or null for on-demand screens`);
+    }
+    data.scheduleMinutes = minutes;
+  }
+
+  if (input.notifyTelegram !== undefined) data.notifyTelegram = Boolean(input.notifyTelegram);
+  if (input.isActive !== undefined) data.isActive = Boolean(input.isActive);
+
+  return data;
+}
+
+/**
+ * Load candles for the stored-candle universe in one timeframe.
+ *
+ * @returns {Promise<Array<{ symbol: string, exchange: string, candles: Array }>>}
+ */
+async function loadUniverse(timeframe, { bars = DEFAULT_BARS, asOf = null, symbols = null } = {}) {
+  const universe = symbols || await getStoredSymbols(baseIntervalFor(timeframe));
+  const loaded = [];
+
+  for (const { symbol, exchange = 'NSE' } of universe) {
+    try {
+      const candles = await getCandlesForTimeframe(symbol, exchange, timeframe, {
+        to: asOf || undefined,
+        limit: Math.min(bars, MAX_BARS)
+      });
+      loaded.push({ symbol, exchange, candles });
+    } catch (error) {
+      logger.warn(`Screen: could not load ${symbol} candles: ${error.message}`);
+    }
+  }
+  return loaded;
+}
+
+function evaluateUniverse(compiled, universe) {
+  const matches = [];
+  const skipped = [];
+
+  for (const { symbol, exchange, candles } of universe) {
+    if (candles.length < compiled.minBars) {
+      skipped.push({ symbol, exchange, bars: candles.length, reason: 'INSUFFICIENT_HISTORY' });
+      continue;
+    }
+    const { match, values } = evaluateRule(compiled, candles);
+    if (match) {
+      const lastBar = candles[candles.length - 1];
+      matches.push({ symbol, exchange, close: lastBar.close, barTime: lastBar.timestamp, values });
+    }
+  }
+  return { matches, skipped };
+}
+
+/**
+ * Run a rule over the stored-candle universe.
+ *
+ * @param {object|string} rule - Rule tree or expression
+ * @param {{ timeframe?: string, asOf?: Date|string, symbols?: Array<{ symbol, exchange }> }} options
+ * @returns {Promise<{ timeframe, evaluated, matches, skipped }>}
+ */
+export async function runRule(rule, { timeframe = '1d', asOf = null, symbols = null } = {}) {
+  const compiled = compileRule(rule);
+  const universe = await loadUniverse(timeframe, { bars: Math.max(DEFAULT_BARS, compiled.minBars * 2), asOf, symbols });
+  const { matches, skipped } = evaluateUniverse(compiled, universe);
+
+  return { timeframe, evaluated: universe.length - skipped.length, matches, skipped };
+}
+
+const escapeMarkdown = text => String(text).replace(/([_*`[])/g, '\\$1');
+
+async function notifyNewMatches(screen, newMatches) {
+  const bot = getBot();
+  if (!bot) return;
+
+  const telegramUser = await prisma.telegramUser.findUnique({ where: { userId: screen.userId } });
+  if (!telegramUser || !telegramUser.isActive || telegramUser.isMuted) return;
+
+  const lines = newMatches.slice(0, MAX_TELEGRAM_LINES).map(m => {
+    const values = Object.entries(m.values)
+      .filter(([field]) => field !== 'close')
+      .map(([field, v]) => `${field} ${v ?? '–'}`)
+      .join(', ');
+    return `• *${escapeMarkdown(m.symbol)}* ₹${m.close.toFixed(2)}${values ? ` — ${escapeMarkdown(values)}` : ''}`;
+  });
+  const more = newMatches.length > MAX_TELEGRAM_LINES ? `\n…and ${newMatches.length - MAX_TELEGRAM_LINES} more` : '';
+
+  await bot.sendMessage(
+    parseInt(telegramUser.telegramId),
+    `🔎 *Screen: ${escapeMarkdown(screen.name)}*\n${newMatches.length} new match${newMatches.length === 1 ? '' : 'es'} on ${screen.timeframe} bars\n\n${lines.join('\n')}${more}`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * Run a saved screen. Scheduled runs remember what matched and push the
+ * symbols that weren't matching last time; manual runs leave that state alone.
+ *
+ * @param {object} screen - Screen row
+ * @param {{ scheduled?: boolean, universe?: Array }} options - universe: candles already loaded for this timeframe
+ * @returns {Promise<{ matches, newMatches, skipped, evaluated }>}
+ */
+export async function runScreen(screen, { scheduled = false, universe = null } = {}) {
+  const compiled = compileRule(screen.rule);
+  const loaded = universe || await loadUniverse(screen.timeframe, { bars: Math.max(DEFAULT_BARS, compiled.minBars * 2) });
+  const { matches, skipped } = evaluateUniverse(compiled, loaded);
+
+  const previous = new Set((screen.lastMatches || []).map(m => `${m.exchange}:${m.symbol}`));
+  const newMatches = matches.filter(m => !previous.has(`${m.exchange}:${m.symbol}`));
+
+  if (scheduled) {
+    await prisma.screen.update({
+      where: { id: screen.id },
+      data: {
+        lastRunAt: new Date(),
+        lastMatches: matches.map(m => ({ symbol: m.symbol, exchange: m.exchange }))
+      }
+    });
+
+    if (newMatches.length > 0 && screen.notifyTelegram) {
+      try {
+        await notifyNewMatches(screen, newMatches);
+      } catch (error) {
+        logger.error(`Screen ${screen.id} Telegram notification failed:`, error.message);
+      }
+    }
+  }
+
+  return { matches, newMatches, skipped, evaluated: loaded.length - skipped.length };
+}
+
+/**
+ * Run every active scheduled screen whose interval has elapsed. Called by the
+ * market scanner; does nothing outside market hours.
+ *
+ * @returns {Promise<{ ran: number, notified: number }>}
+ */
+export async function runDueScreens(now = new Date()) {
+  if (!isMarketOpen(now)) return { ran: 0, notified: 0 };
+
+  const screens = await prisma.screen.findMany({
+    where: { isActive: true, scheduleMinutes: { not: null } }
+  });
+
+  // 30s of slack so a screen on a 5-minute schedule isn't skipped by scanner jitter
+  const due = screens.filter(s =>
+    !s.lastRunAt || now - s.lastRunAt >= s.scheduleMinutes * 60 * 1000 - 30 * 1000
+  );
+  if (due.length === 0) return { ran: 0, notified: 0 };
+
+  // Screens on the same timeframe share one load of the universe
+  const byTimeframe = new Map();
+  for (const screen of due) {
+    if (!byTimeframe.has(screen.timeframe)) byTimeframe.set(screen.timeframe, []);
+    byTimeframe.get(screen.timeframe).push(screen);
+  }
+
+  let ran = 0;
+  let notified = 0;
+
+  for (const [timeframe, screens] of byTimeframe) {
+    let bars = DEFAULT_BARS;
+    for (const screen of screens) {
+      try {
+        bars = Math.max(bars, compileRule(screen.rule).minBars * 2);
+      } catch (error) {
+        logger.warn(`Screen ${screen.id} has an invalid rule: ${error.message}`);
+      }
+    }
+    const universe = await loadUniverse(timeframe, { bars });
+
+    for (const screen of screens) {
+      try {
+        const { newMatches } = await runScreen(screen, { scheduled: true, universe });
+        ran++;
+        if (newMatches.length > 0 && screen.notifyTelegram) notified++;
+      } catch (error) {
+        logger.error(`Screen ${screen.id} run failed:`, error.message);
+      }
+    }
+  }
+
+  logger.info(`Screens: ran ${ran}, ${notified} with new matches`);
+  return { ran, notified };
+}
+
+export default {
+  buildScreenData,
+  runRule,
+  runScreen,
+  runDueScreens
+};
@@ -0,0 +1,129 @@
+// server/services/sectorMap.js
+// Sector and industry of listed stocks, from a local mapping file
+// (SECTOR_MAP_FILE, CSV or JSON, keyed by ISIN or trading symbol). The file
+// is written onto the Instrument rows at startup and after every instrument
+// refresh, since a refresh replaces them. Stocks the file doesn't cover take the
+// industry from NSE's index constituent lists as their sector; gold, silver
+// and debt ETFs are classed by what they hold.
+
+import fs from 'fs/promises';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { parseCSV } from '../utils/csv.js';
+import { assetClassOf } from '../utils/assetClasses.js';
+
+export const UNCLASSIFIED = 'Unclassified';
+
+const DEFAULT_FILE = './data/sector-map.csv';
+
+// Sector and industry of the non-equity ETFs, by asset class
+const ASSET_CLASS_SECTORS = {
+  GOLD: { sector: 'Commodities', industry: 'Gold ETF' },
+  SILVER: { sector: 'Commodities', industry: 'Silver ETF' },
+  DEBT: { sector: 'Debt', industry: 'Debt ETF' }
+};
+
+function getMapFile() {
+  return process.env.SECTOR_MAP_FILE || DEFAULT_FILE;
+}
+
+/**
+ * Rows of the mapping file that name a sector. A missing file is no rows.
+ *
+ * @returns {Promise<Array<{ symbol: string|null, isin: string|null, sector: string, industry: string|null }>>}
+ */
+export async function readSectorMap(filePath = getMapFile()) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.info(`[Sectors] No sector map at ${filePath}`);
+      return [];
+    }
+    throw error;
+  }
+
+  const rows = filePath.endsWith('.json') ? JSON.parse(text) : parseCSV(text);
+  return rows
+    .map(r => ({
+      symbol: r.symbol ? String(r.symbol).trim().toUpperCase() : null,
+      isin: r.isin ? String(r.isin).trim().toUpperCase() : null,
+      sector: r.sector ? String(r.sector).trim() : null,
+      industry: r.industry ? String(r.industry).trim() : null
+    }))
+    .filter(r => r.sector && (r.symbol || r.isin));
+}
+
+/**
+ * Classify the stored instruments from the mapping file, replacing any
+ * earlier classification. Without a file the instruments are left as they are.
+ *
+ * @returns {Promise<{ rows: number, classified: number }>} Mapping rows, instruments updated
+ */
+export async function applySectorMap(filePath = getMapFile()) {
+  const rows = await readSectorMap(filePath);
+  if (rows.length === 0) return { rows: 0, classified: 0 };
+
+  const writes = [
+    prisma.instrument.updateMany({ where: { sector: { not: null } }, data: { sector: null, industry: null } }),
+    ...rows.map(r => prisma.instrument.updateMany({
+      where: r.isin ? { isin: r.isin } : { symbol: r.symbol },
+      data: { sector: r.sector, industry: r.industry }
+    }))
+  ];
+  const [, ...results] = await prisma.$transaction(writes);
+  const classified = results.reduce((sum, r) => sum + r.count, 0);
+
+  logger.info(`[Sectors] ${classified} instruments classified from ${rows.length} sector map rows`);
+  return { rows: rows.length, classified };
+}
+
+/**
+ * Sector and industry of each stock. Unknown ones are UNCLASSIFIED.
+ *
+ * @param {Array<{ symbol: string, exchange?: string }>} items
+ * @returns {Promise<Map<string, { sector: string, industry: string }>>} Keyed "EXCHANGE:SYMBOL"
+ */
+export async function getClassifications(items) {
+  const symbols = [...new Set(items.map(i => String(i.symbol).toUpperCase()))];
+  if (symbols.length === 0) return new Map();
+
+  const [instruments, members] = await Promise.all([
+    prisma.instrument.findMany({
+      where: { symbol: { in: symbols }, sector: { not: null } },
+      select: { symbol: true, exchange: true, sector: true, industry: true }
+    }),
+    prisma.universeMember.findMany({
+      where: { symbol: { in: symbols }, effectiveTo: null, industry: { not: null } },
+      select: { symbol: true, industry: true }
+    })
+  ]);
+  const mapped = new Map(instruments.map(i => [`${i.exchange}:${i.symbol}`, i]));
+  const listed = new Map(members.map(m => [m.symbol, m.industry]));
+
+  const result = new Map();
+  for (const { symbol, exchange = 'NSE' } of items) {
+    const key = `${exchange}:${String(symbol).toUpperCase()}`;
+    if (result.has(key)) continue;
+
+    const instrument = mapped.get(key);
+    const assetClass = ASSET_CLASS_SECTORS[assetClassOf(symbol)];
+    const sector = listed.get(String(symbol).toUpperCase());
+    if (instrument) {
+      result.set(key, { sector: instrument.sector, industry: instrument.industry || UNCLASSIFIED });
+    } else if (assetClass) {
+      result.set(key, assetClass);
+    } else {
+      result.set(key, { sector: sector || UNCLASSIFIED, industry: UNCLASSIFIED });
+    }
+  }
+  return result;
+}
+
+export default {
+  UNCLASSIFIED,
+  readSectorMap,
+  applySectorMap,
+  getClassifications
+};
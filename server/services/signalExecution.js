@@ -0,0 +1,166 @@
+// server/services/signalExecution.js
+// Placing the order behind a trade signal, from a Telegram button or the web:
+// the price and capital checks, the order itself, and the signal marked PLACING
+// until the exchange settles it (the order pollers move it to EXECUTED, or back
+// to PENDING on a rejection). The signal is claimed before anything else, so two
+// quick clicks place one order.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getCurrentPrice } from './marketData.js';
+import { placeOrder } from './upstoxService.js';
+import { preOrderCapitalCheck, syncUpstoxFunds } from './capitalGuard.js';
+
+// Signals in these states have nothing left to execute
+export const CLOSED_SIGNAL_STATUSES = ['EXECUTED', 'PLACING', 'DISMISSED', 'EXPIRED'];
+
+// A LIMIT further than this from the live price is likely stale, or refused by the exchange
+const MAX_LIMIT_DEVIATION = 0.20;
+
+/**
+ * Order type and prices a signal is placed with: LIMIT at its price, a ZONE
+ * as a LIMIT at the lower bound, MARKET otherwise.
+ *
+ * @returns {{ orderType: 'MARKET'|'LIMIT', price: number, triggerPrice: number }}
+ */
+export function signalOrder(signal) {
+  if (signal.triggerType === 'LIMIT' && signal.triggerPrice) {
+    return { orderType: 'LIMIT', price: parseFloat(signal.triggerPrice), triggerPrice: 0 };
+  }
+  if (signal.triggerType === 'ZONE' && signal.triggerLow) {
+    return { orderType: 'LIMIT', price: parseFloat(signal.triggerLow), triggerPrice: 0 };
+  }
+  return { orderType: 'MARKET', price: 0, triggerPrice: 0 };
+}
+
+// Price a BUY is checked against: its limit, or the live price for a MARKET order
+async function estimatePrice(signal, { orderType, price }) {
+  if (orderType === 'LIMIT' && price > 0) return price;
+  try {
+    const priceData = await getCurrentPrice(signal.symbol, signal.exchange);
+    return priceData?.price || priceData?.lastPrice || parseFloat(signal.triggerPrice || signal.triggerLow || 0);
+  } catch (error) {
+    return parseFloat(signal.triggerPrice || signal.triggerLow || 0);
+  }
+}
+
+// How far a LIMIT order's price is from the live price, when that's more than MAX_LIMIT_DEVIATION
+async function limitPriceCheck(signal, { orderType, price }) {
+  if (orderType !== 'LIMIT' || !(price > 0)) return null;
+  try {
+    const liveData = await getCurrentPrice(signal.symbol, signal.exchange);
+    const marketPrice = liveData?.price || liveData?.lastPrice;
+    if (!(marketPrice > 0)) return null;
+    const deviation = Math.abs(price - marketPrice) / marketPrice;
+    return deviation > MAX_LIMIT_DEVIATION ? { price, marketPrice, deviation } : null;
+  } catch (error) {
+    // Better to try the order than to block on a failed price fetch
+    logger.warn(`Could not validate price for signal #${signal.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Place a signal's order with Upstox or the paper broker. The signal is
+ * claimed (moved to PLACING) first and handed back to its earlier status if the
+ * order isn't placed. Upstox funds are synced so a BUY is checked against the
+ * real margin.
+ *
+ * @param {Object} signal - TradeSignal row
+ * @param {Object} options
+ * @param {number} options.userId
+ * @param {boolean} options.paper - Filled by the paper broker
+ * @param {{ orderType, price, triggerPrice }} [options.order] - signalOrder(signal) by default
+ * @param {string} options.via - Where it was executed from, for the acknowledgement log
+ * @returns {Promise<{ placed: true, result: Object } | { placed: false, alreadyClaimed?: true, priceCheck?: Object, capitalCheck?: Object }>}
+ *   result: from placeOrder. Not placed: alreadyClaimed when another request is
+ *   executing it or it closed meanwhile; priceCheck ({ price, marketPrice, deviation })
+ *   when a LIMIT is too far from the market; capitalCheck (from preOrderCapitalCheck)
+ *   when cash falls short
+ */
+export async function placeSignalOrder(signal, { userId, paper, order = signalOrder(signal), via }) {
+  const claim = await prisma.tradeSignal.updateMany({
+    where: { id: signal.id, status: { notIn: CLOSED_SIGNAL_STATUSES } },
+    data: { status: 'PLACING' }
+  });
+  if (claim.count !== 1) return { placed: false, alreadyClaimed: true };
+
+  const release = () => prisma.tradeSignal.updateMany({
+    where: { id: signal.id, status: 'PLACING' },
+    data: { status: signal.status }
+  });
+
+  let result;
+  try {
+    const priceCheck = await limitPriceCheck(signal, order);
+    if (priceCheck) {
+      logger.warn(`Signal #${signal.id} price validation failed: signal=${priceCheck.price}, market=${priceCheck.marketPrice}, deviation=${(priceCheck.deviation * 100).toFixed(1)}%`);
+      await release();
+      return { placed: false, priceCheck };
+    }
+
+    if (!paper) {
+      try {
+        await syncUpstoxFunds(userId);
+      } catch (error) {
+        logger.warn(`Pre-execution fund sync failed for signal #${signal.id}: ${error.message}`);
+      }
+    }
+
+    if (signal.side === 'BUY') {
+      const estimatedPrice = await estimatePrice(signal, order);
+      if (estimatedPrice > 0) {
+        // The signal's own reservation is the cash this order spends
+        const capitalCheck = await preOrderCapitalCheck(signal.portfolioId, 'BUY', signal.quantity, estimatedPrice, {
+          exchange: signal.exchange,
+          ignore: { id: signal.id }
+        });
+        if (!capitalCheck.allowed) {
+          logger.warn(`Signal #${signal.id} capital check failed: ${capitalCheck.reason}`);
+          await release();
+          return { placed: false, capitalCheck };
+        }
+      }
+    }
+
+    const orderParams = {
+      symbol: signal.symbol,
+      exchange: `${signal.exchange}_EQ`,
+      transactionType: signal.side, // BUY or SELL
+      orderType: order.orderType,
+      quantity: signal.quantity,
+      price: order.price,
+      triggerPrice: order.triggerPrice,
+      portfolioId: signal.portfolioId
+    };
+
+    logger.info(`Executing signal #${signal.id} via ${paper ? 'paper broker' : 'Upstox'}:`, orderParams);
+
+    result = await placeOrder(userId, orderParams);
+  } catch (error) {
+    await release().catch(() => {});
+    throw error;
+  }
+
+  // Still PLACING, not EXECUTED: that waits for the exchange's confirmation
+  await prisma.tradeSignal.update({
+    where: { id: signal.id },
+    data: { upstoxOrderId: result.dbOrderId }
+  });
+
+  await prisma.signalAck.create({
+    data: {
+      signalId: signal.id,
+      action: 'EXECUTE',
+      note: `${paper ? 'Paper' : 'Upstox'} ${order.orderType} order ${result.orderId} placed via ${via}`
+    }
+  });
+
+  return { placed: true, result };
+}
+
+export default {
+  CLOSED_SIGNAL_STATUSES,
+  signalOrder,
+  placeSignalOrder
+};
@@ -4,6 +4,8 @@ import { buildProfileBrief } from './advancedScreener.js';
 import { fetchMarketContext } from './marketData.js';
 import { ANALYST_IDENTITY, MARKET_DATA_INSTRUCTION, buildAccountabilityScorecard } from './analystPrompts.js';
 import { getEffectiveCash, validateSignals } from './capitalGuard.js';
+import { buildPatternContext } from './patternDetection.js';
+import { getExposure, buildExposureContext } from './exposure.js';
 import logger from './logger.js';
 
 const anthropic = new Anthropic({
@@ -50,6 +52,26 @@ export async function generateTradeSignals(portfolioId, extraContext = '') {
     logger.warn('Could not fetch market context for signal generation:', e.message);
   }
 
+  // Price-action setups on holdings and the owner's watchlist
+  let patternContext = '';
+  try {
+    const watchlist = await prisma.watchlist.findMany({
+      where: { userId: portfolio.userId },
+      select: { symbol: true, exchange: true }
+    });
+    patternContext = await buildPatternContext([...(portfolio.holdings || []), ...watchlist]);
+  } catch (e) {
+    logger.warn('Could not build pattern context for signal generation:', e.message);
+  }
+
+  // Sector and market-cap weights, for sizing against concentration
+  let exposureContext = '';
+  try {
+    exposureContext = buildExposureContext(await getExposure(portfolio.userId, { portfolioIds: [portfolioId] }));
+  } catch (e) {
+    logger.warn('Could not compute exposure for signal generation:', e.message);
+  }
+
   // Build accountability scorecard
   let scorecard = '';
   try {
@@ -62,11 +84,14 @@ export async function generateTradeSignals(portfolioId, extraContext = '') {
 
 ${marketContext}
 ${MARKET_DATA_INSTRUCTION}
+${patternContext}
 
 ${scorecard}
 
 ${profileBrief}
 
+${exposureContext}
+
 HARD CAPITAL LIMIT: ₹${effectiveCash.toLocaleString('en-IN')} available cash (₹${reservedCash.toFixed(0)} reserved by pending signals). Total cost of ALL BUY signals MUST NOT exceed ₹${effectiveCash.toLocaleString('en-IN')}. This is a hard constraint — violating it means orders will be rejected.
 ${targetContext}
 ${extraContext}
@@ -88,6 +113,7 @@ Rules:
 - SELL signals: ONLY for stocks already in holdings. If a holding has a broken thesis, say EXIT
 - BUY signals: HARD LIMIT — total cost (quantity × price) across ALL BUY signals MUST NOT exceed ₹${effectiveCash.toLocaleString('en-IN')}. Before responding, sum your quantities × prices and verify the total fits. If it doesn't, reduce quantities or drop lower-conviction signals
 - Be BOLD but DISCIPLINED: high conviction calls with defined risk
+- Technical setups: when a symbol appears under PRICE-ACTION SETUPS, cite the detected pattern by name in the rationale. Do not claim a breakout or candlestick pattern for a symbol that isn't listed there
 - Confidence 80+ = "I'm putting my reputation on this", 60-79 = "Good setup, worth the risk", below 60 = don't bother including it
 - If the market setup is genuinely bad today (gap down, global crisis), it's OK to return fewer signals or mostly SELL/EXIT signals. Don't force trades
 
@@ -103,6 +129,8 @@ Respond in this EXACT JSON format (no markdown, no extra text):
       "triggerPrice": null,
       "triggerLow": null,
       "triggerHigh": null,
+      "targetPrice": 1850,
+      "stopLoss": 1710,
       "confidence": 85,
       "rationale": "THESIS: [why]. CATALYST: [what triggers]. R:R 2.5:1. Stop at ₹X invalidates if [condition]."
     }
@@ -115,6 +143,7 @@ Technical notes:
 - MARKET orders: triggerPrice/triggerLow/triggerHigh = null
 - LIMIT orders: set triggerPrice
 - ZONE orders: set triggerLow and triggerHigh
+- targetPrice and stopLoss: required on every signal (for SELL, target below and stop above the current price). Every call is graded on which of the two trades first
 - confidence: 0-100 (minimum 60 to be worth including)
 - If genuinely no good setups exist today, return empty array — never force a bad trade`;
 
@@ -158,6 +187,8 @@ Technical notes:
             triggerPrice: sig.triggerPrice ? parseFloat(sig.triggerPrice) : null,
             triggerLow: sig.triggerLow ? parseFloat(sig.triggerLow) : null,
             triggerHigh: sig.triggerHigh ? parseFloat(sig.triggerHigh) : null,
+            targetPrice: sig.targetPrice ? parseFloat(sig.targetPrice) : null,
+            stopLoss: sig.stopLoss ? parseFloat(sig.stopLoss) : null,
             confidence: Math.min(100, Math.max(0, parseInt(sig.confidence) || 50)),
             rationale: sig.rationale || null,
             status: 'PENDING',
@@ -179,13 +210,13 @@ Technical notes:
 }
 
 /**
- * Expire old pending signals (past their expiresAt).
+ * Expire old pending and draft signals (past their expiresAt).
  */
 export async function expireOldSignals() {
   const now = new Date();
   const result = await prisma.tradeSignal.updateMany({
     where: {
-      status: 'PENDING',
+      status: { in: ['DRAFT', 'PENDING'] },
       expiresAt: { lt: now }
     },
     data: { status: 'EXPIRED' }
@@ -0,0 +1,322 @@
+// server/services/signalOutcomes.js
+// Grades every TradeSignal and Proposal against what the market did next:
+// the best and worst move after the call (MFE/MAE) and whether the target or
+// the stop-loss traded first. Prices come from stored candles — 5-minute bars
+// where we have them, daily bars otherwise — so calls on stocks we never
+// bought are graded the same way as the ones we did.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { getCandles } from './candleStore.js';
+
+export const CONFIDENCE_BUCKETS = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Signals expire at the close, but the thesis behind them runs for weeks
+const SIGNAL_TRACKING_DAYS = 30;
+const PROPOSAL_TRACKING_DAYS = { SHORT: 30, MEDIUM: 90, LONG: 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = n => Math.round(n * 100) / 100;
+const istDateKey = date => new Date(date).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * Confidence bucket of a signal (0-100) or proposal (HIGH/MEDIUM/LOW).
+ * The numeric bands match the ones the signal prompt gives the model.
+ */
+export function confidenceBucket(confidence) {
+  if (typeof confidence === 'string') {
+    const bucket = confidence.toUpperCase();
+    return CONFIDENCE_BUCKETS.includes(bucket) ? bucket : 'LOW';
+  }
+  if (confidence >= 80) return 'HIGH';
+  if (confidence >= 60) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Bars from `from` to `to`: 5-minute bars where stored, and daily bars for the
+ * days that have none. A call made during the session skips that day's daily
+ * bar, since part of its range traded before the call.
+ */
+async function loadBars(symbol, exchange, from, to) {
+  const [intraday, daily] = await Promise.all([
+    getCandles(symbol, exchange, '5m', { from, to }),
+    getCandles(symbol, exchange, '1d', { from: new Date(from.getTime() - DAY_MS), to })
+  ]);
+
+  const startDay = istDateKey(from);
+  const beforeOpen = from < new Date(`${startDay}T09:15:00+05:30`);
+  const covered = new Set(intraday.map(c => istDateKey(c.timestamp)));
+  const dailyOnly = daily.filter(c => {
+    const day = istDateKey(c.timestamp);
+    return (day > startDay || (day === startDay && beforeOpen)) && !covered.has(day);
+  });
+
+  return [...intraday, ...dailyOnly].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Walk bars after a call and measure how it played out.
+ *
+ * Within one bar we can't tell which of target and stop traded first, so a bar
+ * that touches both counts as a stop.
+ *
+ * @param {{ side: string, entryPrice: number, targetPrice?: number, stopLoss?: number }} call
+ * @param {Array} bars - Candles after the call, oldest first
+ * @returns {{ firstHit, hitAt, highPrice, lowPrice, mfePct, maePct, lastPrice, returnPct }}
+ */
+export function measureOutcome({ side, entryPrice, targetPrice = null, stopLoss = null }, bars) {
+  const long = side !== 'SELL';
+  const move = price => ((long ? price - entryPrice : entryPrice - price) / entryPrice) * 100;
+
+  let high = null;
+  let low = null;
+  let firstHit = null;
+  let hitAt = null;
+  let lastPrice = null;
+
+  for (const bar of bars) {
+    high = high === null ? bar.high : Math.max(high, bar.high);
+    low = low === null ? bar.low : Math.min(low, bar.low);
+    lastPrice = bar.close;
+
+    const stopHit = stopLoss !== null && (long ? bar.low <= stopLoss : bar.high >= stopLoss);
+    const targetHit = targetPrice !== null && (long ? bar.high >= targetPrice : bar.low <= targetPrice);
+    if (stopHit || targetHit) {
+      firstHit = stopHit ? 'STOP' : 'TARGET';
+      hitAt = bar.timestamp;
+      break;
+    }
+  }
+
+  if (high === null) {
+    return { firstHit: null, hitAt: null, highPrice: null, lowPrice: null, mfePct: 0, maePct: 0, lastPrice: null, returnPct: null };
+  }
+
+  const best = long ? high : low;
+  const worst = long ? low : high;
+  const exitPrice = firstHit === 'STOP' ? stopLoss : firstHit === 'TARGET' ? targetPrice : lastPrice;
+
+  return {
+    firstHit,
+    hitAt,
+    highPrice: high,
+    lowPrice: low,
+    mfePct: round2(Math.max(0, move(best))),
+    maePct: round2(Math.min(0, move(worst))),
+    lastPrice,
+    returnPct: round2(move(exitPrice))
+  };
+}
+
+/**
+ * Price the call is measured from: the trigger (zone midpoint) when it set
+ * one, otherwise the first traded price after it was made.
+ */
+async function resolveEntryPrice({ symbol, exchange, triggerPrice, triggerLow, triggerHigh, createdAt }) {
+  if (triggerPrice) return triggerPrice;
+  if (triggerLow && triggerHigh) return (triggerLow + triggerHigh) / 2;
+
+  const [firstBar] = await loadBars(symbol, exchange, createdAt, new Date());
+  return firstBar ? firstBar.open : null;
+}
+
+/**
+ * Open an outcome row for every signal and proposal still inside its tracking
+ * window that doesn't have one. Calls made after the last stored bar wait for
+ * the next run.
+ *
+ * @returns {Promise<number>} Outcomes created
+ */
+export async function createMissingOutcomes(now = new Date()) {
+  const [signals, proposals] = await Promise.all([
+    prisma.tradeSignal.findMany({
+      where: { origin: 'AI', outcome: { is: null }, createdAt: { gte: new Date(now.getTime() - SIGNAL_TRACKING_DAYS * DAY_MS) } },
+      include: { portfolio: { select: { userId: true } } }
+    }),
+    prisma.proposal.findMany({
+      where: {
+        outcome: { is: null },
+        action: { in: ['BUY', 'SELL'] },
+        createdAt: { gte: new Date(now.getTime() - PROPOSAL_TRACKING_DAYS.LONG * DAY_MS) }
+      }
+    })
+  ]);
+
+  const calls = [
+    ...signals.map(s => ({
+      data: {
+        source: 'SIGNAL',
+        tradeSignalId: s.id,
+        userId: s.portfolio.userId,
+        portfolioId: s.portfolioId,
+        confidence: s.confidence,
+        confidenceBucket: confidenceBucket(s.confidence),
+        trackUntil: new Date(s.createdAt.getTime() + SIGNAL_TRACKING_DAYS * DAY_MS)
+      },
+      call: s,
+      side: s.side
+    })),
+    ...proposals.map(p => ({
+      data: {
+        source: 'PROPOSAL',
+        proposalId: p.id,
+        userId: p.userId,
+        portfolioId: p.portfolioId,
+        confidence: null,
+        confidenceBucket: confidenceBucket(p.confidence),
+        trackUntil: new Date(p.createdAt.getTime() + (PROPOSAL_TRACKING_DAYS[p.timeHorizon] || PROPOSAL_TRACKING_DAYS.MEDIUM) * DAY_MS)
+      },
+      call: p,
+      side: p.action
+    }))
+  ].filter(({ data }) => data.trackUntil > now);
+
+  let created = 0;
+  for (const { data, call, side } of calls) {
+    try {
+      const symbol = call.symbol.toUpperCase();
+      const exchange = call.exchange || 'NSE';
+      const entryPrice = await resolveEntryPrice({ ...call, symbol, exchange });
+      if (!entryPrice) continue;
+
+      await prisma.signalOutcome.create({
+        data: {
+          ...data,
+          symbol,
+          exchange,
+          side,
+          entryPrice,
+          targetPrice: call.targetPrice || null,
+          stopLoss: call.stopLoss || null,
+          trackFrom: call.createdAt
+        }
+      });
+      created++;
+    } catch (error) {
+      logger.error(`Outcome tracking failed for ${data.source} ${call.id} (${call.symbol}):`, error.message);
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Re-measure every open outcome against the bars stored since the call.
+ *
+ * @returns {Promise<{ updated: number, resolved: number }>}
+ */
+export async function updateOpenOutcomes(now = new Date()) {
+  const open = await prisma.signalOutcome.findMany({ where: { status: 'OPEN' } });
+
+  let updated = 0;
+  let resolved = 0;
+
+  for (const outcome of open) {
+    try {
+      const until = outcome.trackUntil < now ? outcome.trackUntil : now;
+      const bars = await loadBars(outcome.symbol, outcome.exchange, outcome.trackFrom, until);
+      const result = measureOutcome(outcome, bars);
+
+      let status = 'OPEN';
+      if (result.firstHit) status = result.firstHit === 'TARGET' ? 'TARGET_HIT' : 'STOP_HIT';
+      else if (outcome.trackUntil <= now) status = 'EXPIRED';
+
+      await prisma.signalOutcome.update({
+        where: { id: outcome.id },
+        data: { ...result, status, evaluatedAt: now }
+      });
+      updated++;
+      if (status !== 'OPEN') resolved++;
+    } catch (error) {
+      logger.error(`Outcome update failed for ${outcome.symbol} (#${outcome.id}):`, error.message);
+    }
+  }
+
+  return { updated, resolved };
+}
+
+/**
+ * Symbols whose candles the tracker needs: open outcomes plus calls not yet tracked.
+ *
+ * @returns {Promise<Array<{ symbol: string, exchange: string }>>}
+ */
+export async function getOutcomeSymbols(now = new Date()) {
+  const [open, signals, proposals] = await Promise.all([
+    prisma.signalOutcome.findMany({ where: { status: 'OPEN' }, select: { symbol: true, exchange: true } }),
+    prisma.tradeSignal.findMany({
+      where: { origin: 'AI', outcome: { is: null }, createdAt: { gte: new Date(now.getTime() - SIGNAL_TRACKING_DAYS * DAY_MS) } },
+      select: { symbol: true, exchange: true }
+    }),
+    prisma.proposal.findMany({
+      where: { outcome: { is: null }, action: { in: ['BUY', 'SELL'] } },
+      select: { symbol: true, exchange: true }
+    })
+  ]);
+
+  const seen = new Map();
+  for (const s of [...open, ...signals, ...proposals]) {
+    const symbol = s.symbol.toUpperCase();
+    seen.set(`${s.exchange || 'NSE'}:${symbol}`, { symbol, exchange: s.exchange || 'NSE' });
+  }
+  return [...seen.values()];
+}
+
+function summarize(outcomes) {
+  const targetHits = outcomes.filter(o => o.status === 'TARGET_HIT').length;
+  const stopHits = outcomes.filter(o => o.status === 'STOP_HIT').length;
+  const measured = outcomes.filter(o => o.returnPct !== null);
+  const avg = (list, key) => (list.length ? round2(list.reduce((a, o) => a + o[key], 0) / list.length) : null);
+
+  return {
+    calls: outcomes.length,
+    targetHits,
+    stopHits,
+    open: outcomes.filter(o => o.status === 'OPEN').length,
+    expired: outcomes.filter(o => o.status === 'EXPIRED').length,
+    // Share of resolved calls that reached the target before the stop
+    hitRatePct: targetHits + stopHits > 0 ? round2((targetHits / (targetHits + stopHits)) * 100) : null,
+    avgMfePct: avg(measured, 'mfePct'),
+    avgMaePct: avg(measured, 'maePct'),
+    avgReturnPct: avg(measured, 'returnPct')
+  };
+}
+
+/**
+ * Hit rates and excursions, overall and by confidence bucket.
+ *
+ * @param {{ userId?: number, portfolioId?: number, source?: 'SIGNAL'|'PROPOSAL', since?: Date }} filter
+ * @returns {Promise<{ overall: object, byConfidence: Array, bySource: object }>}
+ */
+export async function getSignalPerformance({ userId = null, portfolioId = null, source = null, since = null }) {
+  const outcomes = await prisma.signalOutcome.findMany({
+    where: {
+      ...(userId ? { userId } : {}),
+      ...(portfolioId ? { portfolioId } : {}),
+      ...(source ? { source } : {}),
+      ...(since ? { trackFrom: { gte: since } } : {})
+    }
+  });
+
+  return {
+    overall: summarize(outcomes),
+    byConfidence: CONFIDENCE_BUCKETS.map(bucket => ({
+      bucket,
+      ...summarize(outcomes.filter(o => o.confidenceBucket === bucket))
+    })),
+    bySource: {
+      SIGNAL: summarize(outcomes.filter(o => o.source === 'SIGNAL')),
+      PROPOSAL: summarize(outcomes.filter(o => o.source === 'PROPOSAL'))
+    }
+  };
+}
+
+export default {
+  CONFIDENCE_BUCKETS,
+  confidenceBucket,
+  measureOutcome,
+  createMissingOutcomes,
+  updateOpenOutcomes,
+  getOutcomeSymbols,
+  getSignalPerformance
+};
@@ -1,95 +1,50 @@
 import { analyzeTechnicals, determineRiskCategory } from './technicalAnalysis.js';
-import { getCurrentPrice, getIntradayData } from './marketData.js';
+import { getCandlesForTimeframe, baseIntervalFor } from './candleResampler.js';
+import { backfillSymbol } from './candleStore.js';
+import { getUniverseSymbols, universesForBucket, getCapBucket } from './universe.js';
+import { getClassifications } from './sectorMap.js';
 import logger from './logger.js';
 
-/**
- * NSE Stock Universe - 500+ stocks categorized by market cap
- */
-
-// Large-cap (>₹20,000 Cr) - 50 stocks
-const LARGE_CAPS = [
-  'RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'ICICIBANK',
-  'HINDUNILVR', 'ITC', 'SBIN', 'BHARTIARTL', 'BAJFINANCE',
-  'KOTAKBANK', 'LT', 'HCLTECH', 'AXISBANK', 'ASIANPAINT',
-  'MARUTI', 'SUNPHARMA', 'ULTRACEMCO', 'TITAN', 'WIPRO',
-  'NESTLEIND', 'BAJAJFINSV', 'ADANIENT', 'ONGC', 'NTPC',
-  'POWERGRID', 'COALINDIA', 'M&M', 'TECHM', 'TATAMOTORS',
-  'DRREDDY', 'JSWSTEEL', 'INDUSINDBK', 'DIVISLAB', 'APOLLOHOSP',
-  'ADANIPORTS', 'GRASIM', 'TATACONSUM', 'BAJAJ-AUTO', 'HINDALCO',
-  'BRITANNIA', 'CIPLA', 'BPCL', 'EICHERMOT', 'HEROMOTOCO',
-  'SHREECEM', 'UPL', 'TATASTEEL', 'SBILIFE', 'HDFCLIFE',
-];
-
-// Mid-cap (₹5,000-20,000 Cr) - 100 stocks (sample)
-const MID_CAPS = [
-  'ZOMATO', 'PAYTM', 'NYKAA', 'DELHIVERY', 'POLICYBZR',
-  'TATAPOWER', 'ADANIGREEN', 'TORNTPOWER', 'CESC', 'NHPC',
-  'IRCTC', 'IRFC', 'RVNL', 'CONCOR', 'INDIANB',
-  'FEDERALBNK', 'BANDHANBNK', 'IDFCFIRSTB', 'PNB', 'CANBK',
-  'VOLTAS', 'HAVELLS', 'CROMPTON', 'POLYCAB', 'DIXON',
-  'GODREJCP', 'DABUR', 'MARICO', 'COLPAL', 'PGHH',
-  'TORNTPHARM', 'ALKEM', 'AUROPHARMA', 'LUPIN', 'GLENMARK',
-  'MINDTREE', 'MPHASIS', 'COFORGE', 'PERSISTENT', 'LTTS',
-  'TATAELXSI', 'L&TFH', 'CHOLAFIN', 'MUTHOOTFIN', 'MANAPPURAM',
-  'MOTHERSON', 'BALKRISIND', 'MRF', 'APOLLOTYRE', 'CEAT',
-];
-
-// Small-cap (<₹5,000 Cr) - 200+ stocks (high-risk opportunities)
-const SMALL_CAPS = [
-  'SUZLON', 'YESBANK', 'RCOM', 'JETAIRWAYS', 'VIDEOCON',
-  'IDEA', 'SAIL', 'NMDC', 'VEDL', 'HINDZINC',
-  'CANBK', 'BANKINDIA', 'UNIONBANK', 'PNB', 'CENTRALBK',
-  'JPASSOCIAT', 'ASHOKLEY', 'TATACHEM', 'GNFC', 'CHAMBLFERT',
-  'RAIN', 'GRAPHITE', 'EIDPARRY', 'DHANUKA', 'BASF',
-  'JINDALSAW', 'WELCORP', 'WELSPUNIND', 'KALYANKJIL', 'PCJEWELLER',
-  'BHARATFORG', 'BHEL', 'BEL', 'HAL', 'GRSE',
-  'COCHINSHIP', 'MAZDOCK', 'GMRINFRA', 'GVK', 'IRB',
-  'NBCC', 'KEC', 'KALPATPOWR', 'THERMAX', 'SKFINDIA',
-  'AIAENG', 'CUMMINSIND', 'ABB', 'SIEMENS', 'BOSCHLTD',
-  // More small-caps...
-  'INOXWIND', 'ORIENTELEC', 'JYOTHYLAB', 'EMAMILTD', 'BAJAJHLDNG',
-  'PFIZER', 'SANOFI', 'ABBOTINDIA', 'GLAXO', 'BIOCON',
-  'CADILAHC', 'NATCOPHARM', 'GRANULES', 'LALPATHLAB', 'METROPOLIS',
-];
+// Bars loaded per symbol, and the minimum needed for MACD/ADX to warm up
+const HISTORY_BARS = 250;
+const MIN_HISTORY_BARS = 60;
 
-/**
- * Sector classification for diversification
- */
-const SECTORS = {
-  ENERGY: ['SUZLON', 'TATAPOWER', 'ADANIGREEN', 'INOXWIND', 'NTPC', 'POWERGRID'],
-  BANKING: ['HDFCBANK', 'ICICIBANK', 'SBIN', 'YESBANK', 'FEDERALBNK', 'BANDHANBNK'],
-  IT: ['TCS', 'INFY', 'WIPRO', 'HCLTECH', 'TECHM', 'MINDTREE'],
-  AUTO: ['TATAMOTORS', 'MARUTI', 'BAJAJ-AUTO', 'EICHERMOT', 'ASHOKLEY'],
-  PHARMA: ['SUNPHARMA', 'DRREDDY', 'CIPLA', 'BIOCON', 'ALKEM'],
-  FMCG: ['HINDUNILVR', 'ITC', 'DABUR', 'MARICO', 'BRITANNIA'],
-  METALS: ['TATASTEEL', 'JSWSTEEL', 'HINDALCO', 'SAIL', 'VEDL'],
-  TELECOM: ['BHARTIARTL', 'IDEA', 'VODAFONE'],
-  TECH: ['ZOMATO', 'PAYTM', 'NYKAA', 'POLICYBZR'],
+// Index universes scanned for each risk level
+const RISK_UNIVERSES = {
+  HIGH: universesForBucket('SMALL'),
+  MEDIUM: universesForBucket('MID'),
+  LOW: universesForBucket('LARGE'),
 };
 
 /**
- * Get all stocks to scan based on risk preference
+ * Get all stocks to scan based on risk preference, from current index membership
  * @param {string} riskLevel - ALL, HIGH, MEDIUM, LOW
- * @returns {array} Array of stock symbols
+ * @returns {Promise<array>} Array of stock symbols
  */
-export function getStocksToScan(riskLevel = 'ALL') {
-  switch (riskLevel) {
-    case 'HIGH':
-      return SMALL_CAPS;
-    case 'MEDIUM':
-      return MID_CAPS;
-    case 'LOW':
-      return LARGE_CAPS;
-    case 'ALL':
-    default:
-      return [...LARGE_CAPS, ...MID_CAPS, ...SMALL_CAPS.slice(0, 50)]; // Total ~200 stocks
+export async function getStocksToScan(riskLevel = 'ALL') {
+  let symbols;
+  if (RISK_UNIVERSES[riskLevel]) {
+    symbols = await getUniverseSymbols(RISK_UNIVERSES[riskLevel]);
+  } else {
+    const [large, mid, small] = await Promise.all([
+      getUniverseSymbols(RISK_UNIVERSES.LOW),
+      getUniverseSymbols(RISK_UNIVERSES.MEDIUM),
+      getUniverseSymbols(RISK_UNIVERSES.HIGH),
+    ]);
+    symbols = [...large, ...mid, ...small.slice(0, 50)];
   }
+
+  if (symbols.length === 0) {
+    logger.warn(`No universe members for risk level ${riskLevel} — import the NSE constituent lists first`);
+  }
+  return symbols;
 }
 
 /**
- * Screen stocks based on technical criteria
+ * Screen stocks based on technical criteria, computed from stored candles
  * @param {object} criteria - Screening criteria
- * @returns {array} Filtered stock list with scores
+ * @returns {object} { results, skipped } - filtered stock list with scores, and
+ *   symbols left out for lack of stored history
  */
 export async function screenStocks(criteria = {}) {
   const {
@@ -98,31 +53,35 @@ export async function screenStocks(criteria = {}) {
     maxRSI = 100,
     volumeBreakout = false,
     momentum = null, // 'STRONG_UP', 'MODERATE_UP', etc.
+    minADX = 0,
+    supertrend = null, // 'UP' or 'DOWN'
+    timeframe = '1d', // bar size the indicators run on: 5m, 15m, 1h, 1d or 1w
+    asOf = null, // screen as of this date (defaults to the latest stored bar)
+    backfill = false, // fetch history from the provider chain for symbols with none stored
     maxResults = 20,
   } = criteria;
 
-  const stocksToScan = getStocksToScan(riskLevel);
+  const stocksToScan = await getStocksToScan(riskLevel);
   const results = [];
+  const skipped = [];
 
   logger.info(`Screening ${stocksToScan.length} stocks with criteria:`, criteria);
 
-  // Scan stocks (with rate limiting)
   for (let i = 0; i < Math.min(stocksToScan.length, maxResults * 3); i++) {
     const symbol = stocksToScan[i];
     
     try {
-      // Get market data (mock for now - in production, fetch real historical data)
-      const currentPrice = await getCurrentPrice(symbol, 'NSE');
-      
-      // Mock historical data for technical analysis
-      // In production, this would come from Alpha Vantage or database
-      const mockPrices = generateMockPriceHistory(currentPrice.price, 100);
-      const mockVolumes = generateMockVolumeHistory(100);
+      const candles = await loadHistory(symbol, timeframe, { asOf, backfill });
+
+      if (candles.length < MIN_HISTORY_BARS) {
+        skipped.push({ symbol, bars: candles.length, reason: 'INSUFFICIENT_HISTORY' });
+        continue;
+      }
 
       const technicals = analyzeTechnicals({
         symbol,
-        prices: mockPrices,
-        volumes: mockVolumes,
+        candles,
+        timeframe,
       });
 
       if (!technicals) continue;
@@ -131,88 +90,120 @@ export async function screenStocks(criteria = {}) {
       if (technicals.indicators.rsi < minRSI || technicals.indicators.rsi > maxRSI) continue;
       if (volumeBreakout && (!technicals.indicators.volume || technicals.indicators.volume.status !== 'BREAKOUT')) continue;
       if (momentum && technicals.indicators.momentum.status !== momentum) continue;
+      if (minADX && (technicals.indicators.adx?.adx || 0) < minADX) continue;
+      if (supertrend && technicals.indicators.supertrend?.direction !== supertrend) continue;
 
-      // Determine market cap (mock - in production, fetch from API)
-      const marketCap = getMarketCap(symbol);
-      const riskCategory = determineRiskCategory(technicals, marketCap);
+      // Market-cap bucket from index membership
+      const capBucket = await getCapBucket(symbol);
+      const riskCategory = determineRiskCategory(technicals, capBucket);
+
+      // Price and change as of the last bar, so a rerun over the same window scores the same
+      const lastBar = candles[candles.length - 1];
+      const prevClose = candles[candles.length - 2].close;
+      const change = lastBar.close - prevClose;
+      const changePercent = prevClose ? (change / prevClose) * 100 : 0;
 
       // Calculate opportunity score (0-100)
-      const score = calculateOpportunityScore(technicals, currentPrice.changePercent);
+      const score = calculateOpportunityScore(technicals, changePercent);
 
       results.push({
         symbol,
         exchange: 'NSE',
-        currentPrice: currentPrice.price,
-        change: currentPrice.change,
-        changePercent: currentPrice.changePercent,
-        marketCap,
+        currentPrice: lastBar.close,
+        change: Math.round(change * 100) / 100,
+        changePercent: Math.round(changePercent * 100) / 100,
+        capBucket,
         riskCategory,
         technicals,
         score,
+        dataWindow: {
+          timeframe,
+          from: candles[0].timestamp,
+          to: lastBar.timestamp,
+          bars: candles.length,
+        },
       });
-
-      // Rate limiting (Alpha Vantage: 5 calls/min)
-      if (i < stocksToScan.length - 1) {
-        await sleep(2000); // 2 seconds delay
-      }
     } catch (error) {
       logger.error(`Screening error for ${symbol}:`, error.message);
       continue;
     }
   }
 
+  if (skipped.length > 0) {
+    logger.warn(`Screening skipped ${skipped.length} symbols without ${MIN_HISTORY_BARS} stored ${timeframe} bars: ${skipped.map(s => s.symbol).join(', ')}`);
+  }
+
   // Sort by opportunity score
   results.sort((a, b) => b.score - a.score);
+  const top = results.slice(0, maxResults);
+
+  // Sector and industry from the sector map, for diversification
+  const classes = await getClassifications(top);
+  for (const result of top) {
+    Object.assign(result, classes.get(`${result.exchange}:${result.symbol}`));
+  }
 
   logger.info(`Screening complete: Found ${results.length} opportunities`);
 
-  return results.slice(0, maxResults);
+  return { results: top, skipped };
 }
 
 /**
  * Find top opportunities across all risk categories
  * @param {number} perCategory - Number of stocks per risk category
- * @returns {object} Categorized opportunities
+ * @param {object} options - { timeframe, asOf, backfill } passed to every screen
+ * @returns {object} Categorized opportunities, plus the symbols skipped for lack of history
  */
-export async function findTopOpportunities(perCategory = 5) {
+export async function findTopOpportunities(perCategory = 5, options = {}) {
   logger.info('Finding top opportunities across all risk categories...');
 
   const opportunities = {
     highRisk: [],
     mediumRisk: [],
     lowRisk: [],
+    skipped: [],
   };
 
   // Scan high-risk (small-caps with high volatility)
-  const highRiskResults = await screenStocks({
+  const highRisk = await screenStocks({
+    ...options,
     riskLevel: 'HIGH',
     volumeBreakout: false,
     maxResults: perCategory,
   });
 
   // Scan medium-risk (mid-caps with momentum)
-  const mediumRiskResults = await screenStocks({
+  const mediumRisk = await screenStocks({
+    ...options,
     riskLevel: 'MEDIUM',
     momentum: 'MODERATE_UP',
     maxResults: perCategory,
   });
 
   // Scan low-risk (large-caps with stability)
-  const lowRiskResults = await screenStocks({
+  const lowRisk = await screenStocks({
+    ...options,
     riskLevel: 'LOW',
     minRSI: 40,
     maxRSI: 60,
     maxResults: perCategory,
   });
 
-  opportunities.highRisk = highRiskResults.filter(r => r.riskCategory === 'HIGH').slice(0, perCategory);
-  opportunities.mediumRisk = mediumRiskResults.filter(r => r.riskCategory === 'MEDIUM').slice(0, perCategory);
-  opportunities.lowRisk = lowRiskResults.filter(r => r.riskCategory === 'LOW').slice(0, perCategory);
+  opportunities.highRisk = highRisk.results.filter(r => r.riskCategory === 'HIGH').slice(0, perCategory);
+  opportunities.mediumRisk = mediumRisk.results.filter(r => r.riskCategory === 'MEDIUM').slice(0, perCategory);
+  opportunities.lowRisk = lowRisk.results.filter(r => r.riskCategory === 'LOW').slice(0, perCategory);
 
   // Fill gaps if categories don't have enough
   if (opportunities.highRisk.length < perCategory) {
-    opportunities.highRisk.push(...highRiskResults.slice(0, perCategory - opportunities.highRisk.length));
+    opportunities.highRisk.push(...highRisk.results.slice(0, perCategory - opportunities.highRisk.length));
+  }
+
+  // A symbol can appear in more than one scan
+  const skipped = new Map();
+  for (const entry of [...highRisk.skipped, ...mediumRisk.skipped, ...lowRisk.skipped]) {
+    skipped.set(entry.symbol, entry);
   }
+  opportunities.skipped = [...skipped.values()];
 
   return opportunities;
 }
@@ -246,6 +237,14 @@ function calculateOpportunityScore(technicals, recentChange) {
     else if (indicators.momentum.status === 'STRONG_DOWN') score -= 15;
   }
 
+  // Trend-following confirmation: Supertrend side, ADX strength with +DI leading
+  if (indicators.supertrend?.direction === 'UP') score += 5;
+  else if (indicators.supertrend?.direction === 'DOWN') score -= 5;
+  if (indicators.adx?.strength === 'STRONG') score += indicators.adx.direction === 'UP' ? 10 : -10;
+
+  // Stochastic turning up out of oversold
+  if (indicators.stochastic?.status === 'OVERSOLD' && indicators.stochastic.crossover === 'BULLISH') score += 5;
+
   // Trend scoring
   if (technicals.trend === 'STRONG_UPTREND') score += 10;
   else if (technicals.trend === 'UPTREND') score += 5;
@@ -264,61 +263,22 @@ function calculateOpportunityScore(technicals, recentChange) {
 }
 
 /**
- * Get estimated market cap (mock - replace with real data)
- * @param {string} symbol
- * @returns {number} Market cap in crores
+ * Stored candles for a symbol, most recent HISTORY_BARS up to asOf
  */
-function getMarketCap(symbol) {
-  if (LARGE_CAPS.includes(symbol)) return 50000 + Math.random() * 200000;
-  if (MID_CAPS.includes(symbol)) return 5000 + Math.random() * 15000;
-  return 500 + Math.random() * 4500;
-}
+async function loadHistory(symbol, timeframe, { asOf, backfill }) {
+  const options = { to: asOf || undefined, limit: HISTORY_BARS };
+  let candles = await getCandlesForTimeframe(symbol, 'NSE', timeframe, options);
 
-/**
- * Generate mock price history for testing
- * TODO: Replace with real historical data from Alpha Vantage
- */
-function generateMockPriceHistory(currentPrice, days) {
-  const prices = [];
-  let price = currentPrice * 0.9; // Start 10% lower
-
-  for (let i = 0; i < days; i++) {
-    const change = (Math.random() - 0.48) * price * 0.03; // Random walk with slight upward bias
-    price += change;
-    prices.push(Math.round(price * 100) / 100);
+  if (candles.length < MIN_HISTORY_BARS && backfill) {
+    await backfillSymbol(symbol, 'NSE', { intervals: [baseIntervalFor(timeframe)] });
+    candles = await getCandlesForTimeframe(symbol, 'NSE', timeframe, options);
   }
 
-  return prices;
-}
-
-/**
- * Generate mock volume history for testing
- */
-function generateMockVolumeHistory(days) {
-  const volumes = [];
-  const baseVolume = 1000000 + Math.random() * 5000000;
-
-  for (let i = 0; i < days; i++) {
-    const volume = baseVolume * (0.5 + Math.random());
-    volumes.push(Math.round(volume));
-  }
-
-  return volumes;
-}
-
-/**
- * Sleep utility
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return candles;
 }
 
 export default {
   getStocksToScan,
   screenStocks,
   findTopOpportunities,
-  LARGE_CAPS,
-  MID_CAPS,
-  SMALL_CAPS,
-  SECTORS,
 };
\ No newline at end of file
@@ -12,23 +12,45 @@ const TAX_RULES = {
   },
 };
 
+/**
+ * Date a purchase turns long-term (listed equity held for more than 12 months)
+ * @param {Date} purchaseDate
+ * @returns {Date}
+ */
+export function ltcgDate(purchaseDate) {
+  const date = new Date(purchaseDate);
+  date.setMonth(date.getMonth() + TAX_RULES.LTCG.holdingPeriod);
+  return date;
+}
+
+/**
+ * April 1 of the financial year containing a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function financialYearStart(date = new Date()) {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return new Date(year, 3, 1);
+}
+
 /**
  * Determine if holding is LTCG or STCG
  * @param {Date} purchaseDate
+ * @param {Date} asOf - Sale date for realized gains; today for open positions
  * @returns {string} 'LTCG' or 'STCG'
  */
-export function determineCapitalGainType(purchaseDate) {
-  const months = getHoldingPeriodInMonths(purchaseDate);
-  return months >= TAX_RULES.LTCG.holdingPeriod ? 'LTCG' : 'STCG';
+export function determineCapitalGainType(purchaseDate, asOf = new Date()) {
+  return new Date(asOf) > ltcgDate(purchaseDate) ? 'LTCG' : 'STCG';
 }
 
 /**
  * Get holding period in months
  * @param {Date} purchaseDate
+ * @param {Date} asOf
  * @returns {number} months
  */
-export function getHoldingPeriodInMonths(purchaseDate) {
-  const now = new Date();
+export function getHoldingPeriodInMonths(purchaseDate, asOf = new Date()) {
+  const now = new Date(asOf);
   const purchase = new Date(purchaseDate);
   const months = (now.getFullYear() - purchase.getFullYear()) * 12 + (now.getMonth() - purchase.getMonth());
   return months;
@@ -39,14 +61,15 @@ export function getHoldingPeriodInMonths(purchaseDate) {
  * @param {number} gain - Capital gain amount
  * @param {Date} purchaseDate
  * @param {number} ltcgUsed - LTCG exemption already used this FY
+ * @param {Date} asOf - Sale date for realized gains; today for open positions
  * @returns {object} Tax calculation details
  */
-export function calculateTaxOnTrade(gain, purchaseDate, ltcgUsed = 0) {
-  const type = determineCapitalGainType(purchaseDate);
+export function calculateTaxOnTrade(gain, purchaseDate, ltcgUsed = 0, asOf = new Date()) {
+  const type = determineCapitalGainType(purchaseDate, asOf);
   
   if (type === 'LTCG') {
     const remainingExemption = Math.max(0, TAX_RULES.LTCG.exemptLimit - ltcgUsed);
-    const exemptGain = Math.min(gain, remainingExemption);
+    const exemptGain = Math.min(Math.max(0, gain), remainingExemption);
     const taxableGain = Math.max(0, gain - exemptGain);
     const tax = (taxableGain * TAX_RULES.LTCG.taxRate) / 100;
     
@@ -57,7 +80,7 @@ export function calculateTaxOnTrade(gain, purchaseDate, ltcgUsed = 0) {
       taxableGain,
       taxRate: TAX_RULES.LTCG.taxRate,
       tax: Math.round(tax),
-      holdingPeriod: getHoldingPeriodInMonths(purchaseDate),
+      holdingPeriod: getHoldingPeriodInMonths(purchaseDate, asOf),
     };
   } else {
     // STCG
@@ -70,7 +93,7 @@ export function calculateTaxOnTrade(gain, purchaseDate, ltcgUsed = 0) {
       taxableGain: gain,
       taxRate: TAX_RULES.STCG.taxRate,
       tax: Math.round(tax),
-      holdingPeriod: getHoldingPeriodInMonths(purchaseDate),
+      holdingPeriod: getHoldingPeriodInMonths(purchaseDate, asOf),
     };
   }
 }
@@ -88,7 +111,7 @@ export function calculatePortfolioTax(holdings, realizedTrades = []) {
   let ltcgUsed = 0;
 
   realizedTrades.forEach(trade => {
-    const taxCalc = calculateTaxOnTrade(trade.gain, trade.purchaseDate, ltcgUsed);
+    const taxCalc = calculateTaxOnTrade(trade.gain, trade.purchaseDate, ltcgUsed, trade.soldAt);
     if (taxCalc.type === 'LTCG') {
       ltcgRealized += taxCalc.gain;
       ltcgUsed += taxCalc.exemptGain;
@@ -220,6 +243,8 @@ export function monthsUntilLTCG(purchaseDate) {
 }
 
 export default {
+  ltcgDate,
+  financialYearStart,
   determineCapitalGainType,
   getHoldingPeriodInMonths,
   calculateTaxOnTrade,
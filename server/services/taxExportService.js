@@ -22,11 +22,18 @@ export async function generateTaxReport(userId, financialYear) {
       executedAt: { gte: fyStart, lte: fyEnd }
     },
     include: {
-      portfolio: { select: { name: true, broker: true, ownerName: true } }
+      portfolio: { select: { name: true, broker: true, ownerName: true } },
+      realizedGains: { orderBy: { acquiredAt: 'asc' } }
     },
     orderBy: { executedAt: 'asc' }
   });
 
+  // A sale's gain is split by the FIFO lots it consumed, each with its own term
+  const gainsByTerm = trade => trade.realizedGains.reduce((acc, g) => {
+    acc[g.term] += g.gain;
+    return acc;
+  }, { STCG: 0, LTCG: 0 });
+
   // Fetch current holdings
   const holdings = await prisma.holding.findMany({
     where: { portfolio: { userId } },
@@ -68,10 +75,8 @@ export async function generateTaxReport(userId, financialYear) {
   styleHeaderRow(tradesSheet);
 
   trades.forEach(trade => {
-    const holdingMonths = trade.type === 'SELL'
-      ? Math.floor((new Date(trade.executedAt) - new Date(trade.createdAt)) / (30.44 * 24 * 60 * 60 * 1000))
-      : null;
-    const taxType = holdingMonths !== null ? (holdingMonths >= 12 ? 'LTCG' : 'STCG') : '—';
+    const terms = [...new Set(trade.realizedGains.map(g => g.term))];
+    const taxType = terms.length > 0 ? terms.join('+') : '—';
 
     tradesSheet.addRow({
       date: new Date(trade.executedAt).toLocaleDateString('en-IN'),
@@ -130,20 +135,14 @@ export async function generateTaxReport(userId, financialYear) {
   // ========== Sheet 3: Tax Summary (STCG/LTCG) ==========
   const taxSheet = workbook.addWorksheet('Tax Summary');
 
-  // Calculate STCG and LTCG from sell trades
+  // STCG and LTCG from the realized gains of sell trades
   let totalSTCG = 0;
   let totalLTCG = 0;
 
-  const sellTrades = trades.filter(t => t.type === 'SELL' && t.profit);
-  sellTrades.forEach(trade => {
-    const holdingMonths = Math.floor(
-      (new Date(trade.executedAt) - new Date(trade.createdAt)) / (30.44 * 24 * 60 * 60 * 1000)
-    );
-    if (holdingMonths >= 12) {
-      totalLTCG += trade.profit;
-    } else {
-      totalSTCG += trade.profit;
-    }
+  trades.filter(t => t.type === 'SELL').forEach(trade => {
+    const gains = gainsByTerm(trade);
+    totalSTCG += gains.STCG;
+    totalLTCG += gains.LTCG;
   });
 
   const ltcgExemptLimit = 125000;
@@ -214,9 +213,9 @@ export async function generateTaxReport(userId, financialYear) {
 
     let qSTCG = 0, qLTCG = 0;
     sellTradesQ.forEach(t => {
-      const months = Math.floor((new Date(t.executedAt) - new Date(t.createdAt)) / (30.44 * 24 * 60 * 60 * 1000));
-      if (months >= 12) qLTCG += (t.profit || 0);
-      else qSTCG += (t.profit || 0);
+      const gains = gainsByTerm(t);
+      qSTCG += gains.STCG;
+      qLTCG += gains.LTCG;
     });
 
     quarterlySheet.addRow({
@@ -232,6 +231,41 @@ export async function generateTaxReport(userId, financialYear) {
     });
   });
 
+  // ========== Sheet 5: Capital Gains by Lot ==========
+  const lotsSheet = workbook.addWorksheet('Capital Gains by Lot');
+
+  lotsSheet.columns = [
+    { header: 'Portfolio', key: 'portfolio', width: 25 },
+    { header: 'Symbol', key: 'symbol', width: 12 },
+    { header: 'Qty', key: 'quantity', width: 8 },
+    { header: 'Acquired', key: 'acquired', width: 14 },
+    { header: 'Sold', key: 'sold', width: 14 },
+    { header: 'Days Held', key: 'holdingDays', width: 10 },
+    { header: 'Cost (incl. fees)', key: 'costBasis', width: 16 },
+    { header: 'Proceeds (net)', key: 'proceeds', width: 16 },
+    { header: 'Gain', key: 'gain', width: 12 },
+    { header: 'Term', key: 'term', width: 8 }
+  ];
+
+  styleHeaderRow(lotsSheet);
+
+  trades.forEach(trade => {
+    trade.realizedGains.forEach(g => {
+      lotsSheet.addRow({
+        portfolio: trade.portfolio?.name || 'Unknown',
+        symbol: g.symbol,
+        quantity: g.quantity,
+        acquired: new Date(g.acquiredAt).toLocaleDateString('en-IN'),
+        sold: new Date(g.soldAt).toLocaleDateString('en-IN'),
+        holdingDays: g.holdingDays,
+        costBasis: g.costBasis,
+        proceeds: g.proceeds,
+        gain: g.gain,
+        term: g.term
+      });
+    });
+  });
+
   logger.info(`Tax report generated: ${trades.length} trades, ${portfolios.length} portfolios`);
 
   return workbook;
@@ -0,0 +1,298 @@
+// server/services/taxLots.js
+// FIFO tax lots built from the Trade ledger. Every BUY opens a lot dated at its
+// execution with its fees folded into cost; each SELL consumes the oldest open
+// lots and leaves one RealizedGain per lot it touched. Holding quantity and
+// avgPrice are then rewritten from the open lots, so a position bought over
+// several dates keeps each purchase's date and cost.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { determineCapitalGainType } from './taxCalculator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = n => Math.round(n * 100) / 100;
+const round4 = n => Math.round(n * 10000) / 10000;
+const positionKey = (symbol, exchange) => `${exchange}:${symbol}`;
+
+/**
+ * Replay one symbol's trades FIFO.
+ *
+ * @param {Array} trades - BUY/SELL trades of one symbol on one exchange, oldest first
+ * @returns {{ lots: Array, oversold: Array<{ trade: Object, quantity: number }> }}
+ *   lots: { trade, acquiredAt, quantity, remaining, costPerShare, disposals[] }, in
+ *   acquisition order; oversold: SELL quantity no open lot could cover
+ */
+export function replayTrades(trades) {
+  const lots = [];
+  const oversold = [];
+
+  for (const trade of trades) {
+    const feesPerShare = trade.quantity > 0 ? (trade.fees || 0) / trade.quantity : 0;
+
+    if (trade.type === 'BUY') {
+      lots.push({
+        trade,
+        acquiredAt: trade.executedAt,
+        quantity: trade.quantity,
+        remaining: trade.quantity,
+        costPerShare: round4(trade.price + feesPerShare),
+        disposals: []
+      });
+      continue;
+    }
+    if (trade.type !== 'SELL') continue;
+
+    const netPrice = trade.price - feesPerShare;
+    let toSell = trade.quantity;
+
+    for (const lot of lots) {
+      if (toSell <= 0) break;
+      if (lot.remaining <= 0) continue;
+
+      const quantity = Math.min(lot.remaining, toSell);
+      const costBasis = round2(quantity * lot.costPerShare);
+      const proceeds = round2(quantity * netPrice);
+
+      lot.disposals.push({
+        sellTrade: trade,
+        quantity,
+        acquiredAt: lot.acquiredAt,
+        soldAt: trade.executedAt,
+        costBasis,
+        proceeds,
+        gain: round2(proceeds - costBasis),
+        holdingDays: Math.floor((new Date(trade.executedAt) - new Date(lot.acquiredAt)) / DAY_MS),
+        term: determineCapitalGainType(lot.acquiredAt, trade.executedAt)
+      });
+      lot.remaining -= quantity;
+      toSell -= quantity;
+    }
+
+    if (toSell > 0) oversold.push({ trade, quantity: toSell });
+  }
+
+  return { lots, oversold };
+}
+
+/**
+ * Write a symbol's lots and gains, set its SELL trades' profit, and roll the
+ * open lots up into the Holding row (deleted once nothing is left).
+ */
+async function writePosition(tx, portfolioId, symbol, exchange, trades) {
+  const { lots, oversold } = replayTrades(trades);
+
+  const profits = new Map();
+  for (const lot of lots) {
+    const created = await tx.taxLot.create({
+      data: {
+        portfolioId,
+        buyTradeId: lot.trade.id,
+        symbol,
+        exchange,
+        acquiredAt: lot.acquiredAt,
+        quantity: lot.quantity,
+        remainingQuantity: lot.remaining,
+        costPerShare: lot.costPerShare
+      }
+    });
+
+    for (const disposal of lot.disposals) {
+      const { sellTrade, ...gain } = disposal;
+      await tx.realizedGain.create({
+        data: { portfolioId, taxLotId: created.id, sellTradeId: sellTrade.id, symbol, exchange, ...gain }
+      });
+      profits.set(sellTrade.id, (profits.get(sellTrade.id) || 0) + gain.gain);
+    }
+  }
+
+  for (const trade of trades.filter(t => t.type === 'SELL')) {
+    const profit = profits.has(trade.id) ? round2(profits.get(trade.id)) : null;
+    if (trade.profit !== profit) {
+      await tx.trade.update({ where: { id: trade.id }, data: { profit } });
+    }
+  }
+
+  for (const { trade, quantity } of oversold) {
+    logger.warn(`[Tax Lots] Portfolio ${portfolioId}: SELL #${trade.id} of ${symbol} exceeds open lots by ${quantity}`);
+  }
+
+  const open = lots.filter(lot => lot.remaining > 0);
+  const quantity = open.reduce((sum, lot) => sum + lot.remaining, 0);
+  const oversoldQty = oversold.reduce((sum, o) => sum + o.quantity, 0);
+  const holding = await tx.holding.findUnique({
+    where: { portfolioId_symbol_exchange: { portfolioId, symbol, exchange } }
+  });
+
+  if (quantity === 0) {
+    if (holding) await tx.holding.delete({ where: { id: holding.id } });
+    return { lots: lots.length, quantity, oversold: oversoldQty };
+  }
+
+  const avgPrice = round4(open.reduce((sum, lot) => sum + lot.remaining * lot.costPerShare, 0) / quantity);
+  if (holding) {
+    await tx.holding.update({ where: { id: holding.id }, data: { quantity, avgPrice } });
+  } else {
+    const lastPrice = trades[trades.length - 1]?.price ?? null;
+    await tx.holding.create({
+      data: { portfolioId, symbol, exchange, quantity, avgPrice, currentPrice: lastPrice }
+    });
+  }
+
+  return { lots: lots.length, quantity, oversold: oversoldQty };
+}
+
+/**
+ * Rebuild lots, realized gains and holdings from a portfolio's completed trades.
+ * Call after any change to the trade ledger; pass a symbol to limit the work to
+ * one position. Positions whose trades were all removed lose their holding;
+ * holdings that never had trades are left alone.
+ *
+ * @param {number} portfolioId
+ * @param {{ symbol?: string, exchange?: string }} [scope]
+ * @param {Object} [tx] - Transaction client to run inside; one is opened otherwise
+ * @returns {Promise<{ positions: number, lots: number, oversold: number }>} oversold:
+ *   SELL quantity no lot could cover, summed over the positions rebuilt
+ */
+export async function rebuildPositions(portfolioId, { symbol = null, exchange = null } = {}, tx = null) {
+  if (!tx) {
+    return prisma.$transaction(t => rebuildPositions(portfolioId, { symbol, exchange }, t), { timeout: 60000 });
+  }
+
+  const scope = { portfolioId, ...(symbol ? { symbol } : {}), ...(exchange ? { exchange } : {}) };
+
+  const [trades, previousLots] = await Promise.all([
+    tx.trade.findMany({
+      where: { ...scope, status: 'COMPLETED', type: { in: ['BUY', 'SELL'] } },
+      orderBy: [{ executedAt: 'asc' }, { id: 'asc' }]
+    }),
+    tx.taxLot.findMany({ where: scope, select: { symbol: true, exchange: true } })
+  ]);
+
+  const positions = new Map();
+  for (const lot of previousLots) {
+    positions.set(positionKey(lot.symbol, lot.exchange), { symbol: lot.symbol, exchange: lot.exchange, trades: [] });
+  }
+  for (const trade of trades) {
+    const key = positionKey(trade.symbol, trade.exchange);
+    if (!positions.has(key)) positions.set(key, { symbol: trade.symbol, exchange: trade.exchange, trades: [] });
+    positions.get(key).trades.push(trade);
+  }
+
+  await tx.realizedGain.deleteMany({ where: scope });
+  await tx.taxLot.deleteMany({ where: scope });
+
+  let lots = 0;
+  let oversold = 0;
+  for (const position of positions.values()) {
+    const result = await writePosition(tx, portfolioId, position.symbol, position.exchange, position.trades);
+    lots += result.lots;
+    oversold += result.oversold;
+  }
+
+  return { positions: positions.size, lots, oversold };
+}
+
+/**
+ * Book an opening BUY for the part of each holding its trades don't explain
+ * (holdings entered by hand, or imported before trades were recorded), priced
+ * so the holding keeps its average cost, and dated when the holding was created.
+ * Call before adding trades to a position, so a rebuild can't shrink it.
+ *
+ * @param {{ portfolioId?: number, symbol?: string, exchange?: string }} [scope]
+ * @param {Object} [client] - Transaction client, or the shared prisma client
+ * @returns {Promise<number>} Opening trades created
+ */
+export async function adoptUntrackedHoldings({ portfolioId = null, symbol = null, exchange = null } = {}, client = prisma) {
+  const holdings = await client.holding.findMany({
+    where: {
+      quantity: { gt: 0 },
+      ...(portfolioId ? { portfolioId } : {}),
+      ...(symbol ? { symbol } : {}),
+      ...(exchange ? { exchange } : {})
+    }
+  });
+  let created = 0;
+
+  for (const holding of holdings) {
+    const trades = await client.trade.findMany({
+      where: {
+        portfolioId: holding.portfolioId,
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        status: 'COMPLETED',
+        type: { in: ['BUY', 'SELL'] }
+      },
+      orderBy: [{ executedAt: 'asc' }, { id: 'asc' }]
+    });
+
+    const open = replayTrades(trades).lots.filter(lot => lot.remaining > 0);
+    const openQty = open.reduce((sum, lot) => sum + lot.remaining, 0);
+    const openCost = open.reduce((sum, lot) => sum + lot.remaining * lot.costPerShare, 0);
+    const missing = holding.quantity - openQty;
+    if (missing <= 0) continue;
+
+    const residual = (holding.quantity * holding.avgPrice - openCost) / missing;
+    await client.trade.create({
+      data: {
+        portfolioId: holding.portfolioId,
+        symbol: holding.symbol,
+        exchange: holding.exchange,
+        type: 'BUY',
+        quantity: missing,
+        price: round4(residual > 0 ? residual : holding.avgPrice),
+        executedAt: holding.createdAt,
+        source: 'OPENING',
+        notes: `Opening balance for holding #${holding.id}`
+      }
+    });
+    created++;
+  }
+
+  return created;
+}
+
+/**
+ * One-time build of lots for every portfolio. Does nothing once any lot exists.
+ *
+ * @returns {Promise<{ adopted: number, portfolios: number }|null>} null when lots were already built
+ */
+export async function backfillTaxLots() {
+  if (await prisma.taxLot.count() > 0) return null;
+
+  const adopted = await adoptUntrackedHoldings();
+  const portfolios = await prisma.trade.findMany({ distinct: ['portfolioId'], select: { portfolioId: true } });
+
+  for (const { portfolioId } of portfolios) {
+    await rebuildPositions(portfolioId);
+  }
+
+  logger.info(`[Tax Lots] Backfill: ${adopted} opening trades, ${portfolios.length} portfolios rebuilt`);
+  return { adopted, portfolios: portfolios.length };
+}
+
+/**
+ * Open lots for the given portfolios, oldest first.
+ *
+ * @param {number[]} portfolioIds
+ * @param {{ symbol?: string, exchange?: string }} [filter]
+ */
+export async function getOpenLots(portfolioIds, { symbol = null, exchange = null } = {}) {
+  return prisma.taxLot.findMany({
+    where: {
+      portfolioId: { in: portfolioIds },
+      remainingQuantity: { gt: 0 },
+      ...(symbol ? { symbol } : {}),
+      ...(exchange ? { exchange } : {})
+    },
+    orderBy: [{ acquiredAt: 'asc' }, { id: 'asc' }]
+  });
+}
+
+export default {
+  replayTrades,
+  rebuildPositions,
+  adoptUntrackedHoldings,
+  backfillTaxLots,
+  getOpenLots
+};
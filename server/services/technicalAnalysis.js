@@ -1,10 +1,20 @@
 import logger from './logger.js';
+import {
+  sma, ema, rsi, macd, bollinger, atr, adx, stochastic, vwap, supertrend, obv,
+  last, crossedAbove, crossedBelow, closesOf, candlesFromPrices
+} from './indicators.js';
+import { getCandlesForTimeframe, barsPerYear } from './candleResampler.js';
+
+const INTRADAY_TIMEFRAMES = ['5m', '15m', '1h'];
 
 /**
  * Technical Analysis Service
- * Calculates RSI, MACD, Bollinger Bands, Moving Averages, Volume analysis
+ * Latest-value wrappers over the series engine in indicators.js, plus the
+ * combined analyzeTechnicals() read used by the screeners and AI prompts.
  */
 
+const round2 = v => (v === null || v === undefined ? null : Math.round(v * 100) / 100);
+
 /**
  * Calculate RSI (Relative Strength Index)
  * @param {array} prices - Array of closing prices (most recent last)
@@ -13,59 +23,29 @@ import logger from './logger.js';
  */
 export function calculateRSI(prices, period = 14) {
   if (prices.length < period + 1) return null;
-
-  let gains = 0;
-  let losses = 0;
-
-  // Calculate initial average gain/loss
-  for (let i = 1; i <= period; i++) {
-    const change = prices[i] - prices[i - 1];
-    if (change > 0) gains += change;
-    else losses += Math.abs(change);
-  }
-
-  let avgGain = gains / period;
-  let avgLoss = losses / period;
-
-  // Calculate subsequent values
-  for (let i = period + 1; i < prices.length; i++) {
-    const change = prices[i] - prices[i - 1];
-    const gain = change > 0 ? change : 0;
-    const loss = change < 0 ? Math.abs(change) : 0;
-
-    avgGain = (avgGain * (period - 1) + gain) / period;
-    avgLoss = (avgLoss * (period - 1) + loss) / period;
-  }
-
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  const rsi = 100 - (100 / (1 + rs));
-
-  return Math.round(rsi * 100) / 100;
+  return round2(last(rsi(prices, period)));
 }
 
 /**
  * Calculate MACD (Moving Average Convergence Divergence)
  * @param {array} prices - Array of closing prices
- * @returns {object} MACD line, Signal line, Histogram
+ * @returns {object} MACD line, Signal line, Histogram, and whether the last bar crossed
  */
 export function calculateMACD(prices) {
-  if (prices.length < 26) return null;
-
-  const ema12 = calculateEMA(prices, 12);
-  const ema26 = calculateEMA(prices, 26);
-  const macdLine = ema12 - ema26;
+  // 26 bars for the slow EMA + 9 for the signal line
+  if (prices.length < 34) return null;
 
-  // Signal line is 9-day EMA of MACD line
-  const macdHistory = [macdLine]; // Simplified - should track history
-  const signalLine = calculateEMA(macdHistory, 9);
-  const histogram = macdLine - signalLine;
+  const series = macd(prices);
+  const histogram = last(series.histogram);
 
   return {
-    macd: Math.round(macdLine * 100) / 100,
-    signal: Math.round(signalLine * 100) / 100,
-    histogram: Math.round(histogram * 100) / 100,
+    macd: round2(last(series.macd)),
+    signal: round2(last(series.signal)),
+    histogram: round2(histogram),
     status: histogram > 0 ? 'BULLISH' : 'BEARISH',
+    crossover: crossedAbove(series.macd, series.signal)
+      ? 'BULLISH'
+      : crossedBelow(series.macd, series.signal) ? 'BEARISH' : null,
   };
 }
 
@@ -77,15 +57,7 @@ export function calculateMACD(prices) {
  */
 export function calculateEMA(prices, period) {
   if (prices.length < period) return null;
-
-  const multiplier = 2 / (period + 1);
-  let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-
-  for (let i = period; i < prices.length; i++) {
-    ema = (prices[i] - ema) * multiplier + ema;
-  }
-
-  return ema;
+  return last(ema(prices, period));
 }
 
 /**
@@ -96,8 +68,7 @@ export function calculateEMA(prices, period) {
  */
 export function calculateSMA(prices, period) {
   if (prices.length < period) return null;
-  const recent = prices.slice(-period);
-  return recent.reduce((a, b) => a + b, 0) / period;
+  return last(sma(prices, period));
 }
 
 /**
@@ -110,21 +81,127 @@ export function calculateSMA(prices, period) {
 export function calculateBollingerBands(prices, period = 20, stdDev = 2) {
   if (prices.length < period) return null;
 
-  const sma = calculateSMA(prices, period);
-  const recentPrices = prices.slice(-period);
+  const bands = bollinger(prices, period, stdDev);
+  return {
+    upper: round2(last(bands.upper)),
+    middle: round2(last(bands.middle)),
+    lower: round2(last(bands.lower)),
+    bandwidth: round2(last(bands.bandwidth)), // As percentage
+  };
+}
 
-  // Calculate standard deviation
-  const variance = recentPrices.reduce((sum, price) => {
-    return sum + Math.pow(price - sma, 2);
-  }, 0) / period;
+/**
+ * Calculate ATR (Average True Range)
+ * @param {array} candles - OHLC candles (most recent last)
+ * @param {number} period - Period (default 14)
+ * @returns {object} ATR in price terms and as % of the last close
+ */
+export function calculateATR(candles, period = 14) {
+  if (candles.length < period + 1) return null;
+
+  const value = last(atr(candles, period));
+  const close = candles[candles.length - 1].close;
+  return {
+    value: round2(value),
+    percent: close ? round2((value / close) * 100) : null,
+  };
+}
 
-  const standardDeviation = Math.sqrt(variance);
+/**
+ * Calculate ADX with directional indicators
+ * @param {array} candles - OHLC candles
+ * @param {number} period - Period (default 14)
+ * @returns {object} ADX, +DI, -DI and trend strength
+ */
+export function calculateADX(candles, period = 14) {
+  // DI needs `period` bars, ADX smooths another `period` of DX
+  if (candles.length < period * 2 + 1) return null;
+
+  const series = adx(candles, period);
+  const value = last(series.adx);
+  const plusDI = last(series.plusDI);
+  const minusDI = last(series.minusDI);
 
   return {
-    upper: Math.round((sma + stdDev * standardDeviation) * 100) / 100,
-    middle: Math.round(sma * 100) / 100,
-    lower: Math.round((sma - stdDev * standardDeviation) * 100) / 100,
-    bandwidth: Math.round((standardDeviation / sma) * 10000) / 100, // As percentage
+    adx: round2(value),
+    plusDI: round2(plusDI),
+    minusDI: round2(minusDI),
+    strength: value >= 25 ? 'STRONG' : value >= 20 ? 'MODERATE' : 'WEAK',
+    direction: plusDI >= minusDI ? 'UP' : 'DOWN',
+  };
+}
+
+/**
+ * Calculate slow Stochastic (14, 3, 3)
+ * @param {array} candles - OHLC candles
+ * @returns {object} %K, %D and zone
+ */
+export function calculateStochastic(candles, kPeriod = 14, dPeriod = 3, smoothK = 3) {
+  if (candles.length < kPeriod + smoothK + dPeriod) return null;
+
+  const series = stochastic(candles, kPeriod, dPeriod, smoothK);
+  const k = last(series.k);
+
+  return {
+    k: round2(k),
+    d: round2(last(series.d)),
+    status: k < 20 ? 'OVERSOLD' : k > 80 ? 'OVERBOUGHT' : 'NEUTRAL',
+    crossover: crossedAbove(series.k, series.d)
+      ? 'BULLISH'
+      : crossedBelow(series.k, series.d) ? 'BEARISH' : null,
+  };
+}
+
+/**
+ * Calculate Supertrend
+ * @param {array} candles - OHLC candles
+ * @returns {object} Trailing stop level, direction, and whether it flipped on the last bar
+ */
+export function calculateSupertrend(candles, period = 10, multiplier = 3) {
+  if (candles.length < period + 2) return null;
+
+  const series = supertrend(candles, period, multiplier);
+  const direction = last(series.direction);
+  const previous = last(series.direction, 1);
+
+  return {
+    value: round2(last(series.value)),
+    direction: direction === 1 ? 'UP' : 'DOWN',
+    flipped: previous !== null && previous !== direction,
+  };
+}
+
+/**
+ * Session VWAP for intraday candles
+ * @param {array} candles - Intraday OHLCV candles
+ * @returns {object} VWAP and where the last close sits relative to it
+ */
+export function calculateVWAP(candles) {
+  if (candles.length === 0) return null;
+
+  const value = last(vwap(candles));
+  const close = candles[candles.length - 1].close;
+  return {
+    value: round2(value),
+    position: close >= value ? 'ABOVE' : 'BELOW',
+  };
+}
+
+/**
+ * On-Balance Volume trend (OBV vs its 20-bar average)
+ * @param {array} candles - OHLCV candles
+ * @returns {object} OBV value and whether volume is flowing in or out
+ */
+export function calculateOBV(candles, period = 20) {
+  if (candles.length < period + 1) return null;
+
+  const series = obv(candles);
+  const value = series[series.length - 1];
+  const average = last(sma(series, period));
+
+  return {
+    value: Math.round(value),
+    trend: value > average ? 'RISING' : value < average ? 'FALLING' : 'FLAT',
   };
 }
 
@@ -180,9 +257,10 @@ export function calculateMomentum(prices, period = 10) {
  * Calculate volatility (standard deviation of returns)
  * @param {array} prices - Array of prices
  * @param {number} period - Period for calculation
+ * @param {number} periodsPerYear - Bars per year for annualising (252 for daily bars)
  * @returns {number} Volatility percentage
  */
-export function calculateVolatility(prices, period = 20) {
+export function calculateVolatility(prices, period = 20, periodsPerYear = 252) {
   if (prices.length < period + 1) return null;
 
   const returns = [];
@@ -196,34 +274,57 @@ export function calculateVolatility(prices, period = 20) {
     return sum + Math.pow(ret - avgReturn, 2);
   }, 0) / returns.length;
 
-  const volatility = Math.sqrt(variance) * Math.sqrt(252); // Annualized
+  const volatility = Math.sqrt(variance) * Math.sqrt(periodsPerYear); // Annualized
   return Math.round(volatility * 10000) / 100; // As percentage
 }
 
+// More than one bar on the same IST date → intraday candles (when no timeframe is given)
+function isIntraday(candles) {
+  const days = new Set(
+    candles.slice(-10).map(c => c.timestamp && new Date(c.timestamp).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }))
+  );
+  return !days.has(null) && days.size < Math.min(candles.length, 10);
+}
+
 /**
  * Comprehensive technical analysis for a stock
- * @param {object} stockData - Object with prices and volumes arrays
+ * @param {object} stockData - { symbol, candles, timeframe? } (OHLCV, oldest first) or legacy { symbol, prices, volumes }
  * @returns {object} Complete technical analysis
  */
 export function analyzeTechnicals(stockData) {
-  const { prices, volumes, symbol } = stockData;
-
-  if (!prices || prices.length < 30) {
+  const { symbol, timeframe = null } = stockData;
+  const candles = stockData.candles || candlesFromPrices(stockData.prices || [], stockData.volumes);
+  const prices = closesOf(candles);
+  const volumes = candles.map(c => c.volume || 0);
+  // Close-only input has no ranges, so range-based indicators would be noise
+  const hasRanges = Boolean(stockData.candles);
+
+  if (prices.length < 30) {
     logger.warn(`Insufficient data for ${symbol}`);
     return null;
   }
 
   try {
-    const rsi = calculateRSI(prices);
-    const macd = calculateMACD(prices);
+    const rsiValue = calculateRSI(prices);
+    const macdValue = calculateMACD(prices);
     const bb = calculateBollingerBands(prices);
-    const volumeAnalysis = volumes ? analyzeVolume(volumes) : null;
+    const volumeAnalysis = volumes.some(v => v > 0) ? analyzeVolume(volumes) : null;
     const momentum = calculateMomentum(prices, 10);
-    const volatility = calculateVolatility(prices);
+    const volatility = calculateVolatility(prices, 20, barsPerYear(timeframe || '1d'));
+
+    const atrValue = hasRanges ? calculateATR(candles) : null;
+    const adxValue = hasRanges ? calculateADX(candles) : null;
+    const stoch = hasRanges ? calculateStochastic(candles) : null;
+    const st = hasRanges ? calculateSupertrend(candles) : null;
+    const intraday = timeframe ? INTRADAY_TIMEFRAMES.includes(timeframe) : isIntraday(candles);
+    const vwapValue = hasRanges && intraday ? calculateVWAP(candles) : null;
+    const obvValue = volumeAnalysis ? calculateOBV(candles) : null;
 
     const sma20 = calculateSMA(prices, 20);
     const sma50 = calculateSMA(prices, 50);
     const sma200 = calculateSMA(prices, 200);
+    const ema20 = calculateEMA(prices, 20);
+    const ema50 = calculateEMA(prices, 50);
     const currentPrice = prices[prices.length - 1];
 
     // Determine trend
@@ -238,25 +339,53 @@ export function analyzeTechnicals(stockData) {
       } else if (currentPrice < sma20 && sma20 < sma50) {
         trend = 'DOWNTREND';
       }
+    } else if (sma20 && sma50) {
+      if (currentPrice > sma20 && sma20 > sma50) trend = 'UPTREND';
+      else if (currentPrice < sma20 && sma20 < sma50) trend = 'DOWNTREND';
     }
 
     // Generate signals
     const signals = [];
-    
+
     // RSI signals
-    if (rsi < 30) signals.push({ type: 'BUY', reason: 'RSI oversold', strength: 'STRONG' });
-    else if (rsi > 70) signals.push({ type: 'SELL', reason: 'RSI overbought', strength: 'STRONG' });
-    
-    // MACD signals
-    if (macd && macd.status === 'BULLISH') {
-      signals.push({ type: 'BUY', reason: 'MACD bullish crossover', strength: 'MODERATE' });
+    if (rsiValue < 30) signals.push({ type: 'BUY', reason: 'RSI oversold', strength: 'STRONG' });
+    else if (rsiValue > 70) signals.push({ type: 'SELL', reason: 'RSI overbought', strength: 'STRONG' });
+
+    // MACD signals — an actual crossover on the last bar outranks the histogram side
+    if (macdValue?.crossover === 'BULLISH') {
+      signals.push({ type: 'BUY', reason: 'MACD bullish crossover', strength: 'STRONG' });
+    } else if (macdValue?.crossover === 'BEARISH') {
+      signals.push({ type: 'SELL', reason: 'MACD bearish crossover', strength: 'STRONG' });
+    } else if (macdValue?.status === 'BULLISH') {
+      signals.push({ type: 'BUY', reason: 'MACD above signal line', strength: 'MODERATE' });
+    }
+
+    // Supertrend flips
+    if (st?.flipped) {
+      signals.push(st.direction === 'UP'
+        ? { type: 'BUY', reason: 'Supertrend flipped bullish', strength: 'STRONG' }
+        : { type: 'SELL', reason: 'Supertrend flipped bearish', strength: 'STRONG' });
+    }
+
+    // Stochastic turning up from oversold / down from overbought
+    if (stoch?.crossover === 'BULLISH' && stoch.k < 30) {
+      signals.push({ type: 'BUY', reason: 'Stochastic bullish cross in oversold zone', strength: 'MODERATE' });
+    } else if (stoch?.crossover === 'BEARISH' && stoch.k > 70) {
+      signals.push({ type: 'SELL', reason: 'Stochastic bearish cross in overbought zone', strength: 'MODERATE' });
     }
-    
+
+    // ADX — only meaningful as a trend filter
+    if (adxValue?.strength === 'STRONG') {
+      signals.push(adxValue.direction === 'UP'
+        ? { type: 'BUY', reason: `Strong uptrend (ADX ${adxValue.adx})`, strength: 'MODERATE' }
+        : { type: 'SELL', reason: `Strong downtrend (ADX ${adxValue.adx})`, strength: 'MODERATE' });
+    }
+
     // Volume breakout
     if (volumeAnalysis && volumeAnalysis.status === 'BREAKOUT') {
       signals.push({ type: 'BUY', reason: 'Volume breakout', strength: 'STRONG' });
     }
-    
+
     // Momentum
     if (momentum && momentum.status === 'STRONG_UP') {
       signals.push({ type: 'BUY', reason: 'Strong momentum', strength: 'MODERATE' });
@@ -267,16 +396,31 @@ export function analyzeTechnicals(stockData) {
       signals.push({ type: 'WATCH', reason: 'Bollinger squeeze - volatility breakout imminent', strength: 'MODERATE' });
     }
 
+    const trendStrength = adxValue
+      ? adxValue.strength
+      : trend.includes('STRONG') ? 'STRONG' : trend.includes('TREND') ? 'MODERATE' : 'WEAK';
+
     return {
       symbol,
       currentPrice,
+      timeframe,
+      bars: candles.length,
+      asOf: candles[candles.length - 1].timestamp || null,
       indicators: {
-        rsi,
-        macd,
+        rsi: rsiValue,
+        macd: macdValue,
         bollingerBands: bb,
         sma20,
         sma50,
         sma200,
+        ema20,
+        ema50,
+        atr: atrValue,
+        adx: adxValue,
+        stochastic: stoch,
+        supertrend: st,
+        vwap: vwapValue,
+        obv: obvValue,
         volume: volumeAnalysis,
         momentum,
         volatility,
@@ -285,10 +429,10 @@ export function analyzeTechnicals(stockData) {
       signals,
       analysis: {
         isBullish: signals.filter(s => s.type === 'BUY').length > signals.filter(s => s.type === 'SELL').length,
-        isOversold: rsi < 30,
-        isOverbought: rsi > 70,
+        isOversold: rsiValue < 30,
+        isOverbought: rsiValue > 70,
         hasVolumeBre: volumeAnalysis && volumeAnalysis.status === 'BREAKOUT',
-        trendStrength: trend.includes('STRONG') ? 'STRONG' : trend.includes('TREND') ? 'MODERATE' : 'WEAK',
+        trendStrength,
       },
     };
   } catch (error) {
@@ -297,13 +441,25 @@ export function analyzeTechnicals(stockData) {
   }
 }
 
+/**
+ * Technical analysis from stored candles
+ * @param {string} symbol
+ * @param {string} exchange
+ * @param {object} options - { timeframe: 5m | 15m | 1h | 1d | 1w, bars: how many recent bars to load }
+ * @returns {object|null} analyzeTechnicals() result, or null without enough history
+ */
+export async function analyzeStoredCandles(symbol, exchange = 'NSE', { timeframe = '1d', bars = 300 } = {}) {
+  const candles = await getCandlesForTimeframe(symbol, exchange, timeframe, { limit: bars });
+  return analyzeTechnicals({ symbol, candles, timeframe });
+}
+
 /**
  * Determine risk category based on technical analysis
  * @param {object} technicals - Technical analysis results
- * @param {number} marketCap - Market cap in crores
+ * @param {string} capBucket - LARGE, MID or SMALL (see universe.getCapBucket)
  * @returns {string} HIGH, MEDIUM, or LOW risk
  */
-export function determineRiskCategory(technicals, marketCap) {
+export function determineRiskCategory(technicals, capBucket) {
   const { indicators, signals } = technicals;
   
   let riskScore = 0;
@@ -314,9 +470,9 @@ export function determineRiskCategory(technicals, marketCap) {
   else riskScore += 1;
 
   // Market cap factor (smaller = higher risk)
-  if (marketCap < 5000) riskScore += 3; // Small-cap
-  else if (marketCap < 20000) riskScore += 2; // Mid-cap
-  else riskScore += 1; // Large-cap
+  if (capBucket === 'LARGE') riskScore += 1; // Nifty 50 / Next 50
+  else if (capBucket === 'MID') riskScore += 2; // Midcap 150
+  else riskScore += 3; // Smallcap 250 or outside the Nifty 500
 
   // Signal strength (aggressive signals = higher risk)
   const strongSignals = signals.filter(s => s.strength === 'STRONG').length;
@@ -337,9 +493,16 @@ export default {
   calculateEMA,
   calculateSMA,
   calculateBollingerBands,
+  calculateATR,
+  calculateADX,
+  calculateStochastic,
+  calculateSupertrend,
+  calculateVWAP,
+  calculateOBV,
   analyzeVolume,
   calculateMomentum,
   calculateVolatility,
   analyzeTechnicals,
+  analyzeStoredCandles,
   determineRiskCategory,
 };
\ No newline at end of file
@@ -4,8 +4,10 @@ import logger from './logger.js';
 import { getCurrentPrice } from './marketData.js';
 import { scanMarketForOpportunities, buildProfileBrief } from './advancedScreener.js';
 import { generateMultiAssetRecommendations } from './multiAssetRecommendations.js';
-import { placeOrder, getOrderStatus, getAuthorizationUrl, isTokenValid } from './upstoxService.js';
-import { preOrderCapitalCheck, updateCashOnExecution, syncUpstoxFunds } from './capitalGuard.js';
+import { getOrderStatus, getAuthorizationUrl, isTokenValid } from './upstoxService.js';
+import { placeSignalOrder, CLOSED_SIGNAL_STATUSES } from './signalExecution.js';
+import { recordOrderFill } from './orderFills.js';
+import { isPaperBroker } from './paperBroker.js';
 
 const prisma = new PrismaClient();
 
@@ -156,8 +158,8 @@ async function pollOrderUntilSettled(botInstance, chatId, userId, signalId, sign
           data: { status: 'EXECUTED' }
         });
 
-        // Sync portfolio cash
-        await updateCashOnExecution(dbOrderId);
+        // Book the fill into trades, holdings and cash
+        await recordOrderFill(dbOrderId);
 
         const avgPrice = status.averagePrice ? ` @ ${formatPrice(status.averagePrice)}` : '';
         const successMsg = `✅ *ORDER CONFIRMED*\n\n${signal.side} ${signal.quantity}x *${signal.symbol}*${avgPrice}\nOrder ID: \`${orderId}\`\n\n_Exchange confirmed. Position is live._`;
@@ -221,6 +223,40 @@ async function pollOrderUntilSettled(botInstance, chatId, userId, signalId, sign
 // EXECUTE SIGNAL VIA UPSTOX
 // ============================================
 
+// Why placeSignalOrder didn't place the order, with the buttons that still make sense
+async function reportNotPlaced(botInstance, chatId, messageId, signalId, { alreadyClaimed, priceCheck, capitalCheck }) {
+  // Another tap or the web got there first; its own messages follow
+  if (alreadyClaimed) return;
+
+  if (priceCheck) {
+    // LIMIT price far from the market: offer it as a MARKET order instead
+    await botInstance.editMessageReplyMarkup(
+      { inline_keyboard: [
+        [{ text: '📊 Place as MARKET order', callback_data: `sig_mkt_${signalId}` }],
+        [{ text: '🚫 Dismiss', callback_data: `sig_dismiss_${signalId}` }]
+      ] },
+      { chat_id: chatId, message_id: messageId }
+    ).catch(() => {});
+    await botInstance.sendMessage(chatId,
+      `⚠️ *Price Validation Failed*\n\nSignal price: ${formatPrice(priceCheck.price)}\nCurrent market price: ${formatPrice(priceCheck.marketPrice)}\nDeviation: ${(priceCheck.deviation * 100).toFixed(1)}%\n\n_The signal price is too far from the current market price. This could lead to order rejection by the exchange._`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  // A BUY the cash (charges included) doesn't cover: leave only Dismiss on the signal
+  await botInstance.editMessageReplyMarkup(
+    { inline_keyboard: [
+      [{ text: '🚫 Dismiss', callback_data: `sig_dismiss_${signalId}` }]
+    ] },
+    { chat_id: chatId, message_id: messageId }
+  ).catch(() => {});
+  await botInstance.sendMessage(chatId,
+    `💰 *Capital Check Failed*\n\nOrder cost: ₹${capitalCheck.orderCost.toLocaleString('en-IN')} (incl. ₹${capitalCheck.charges.total.toLocaleString('en-IN')} charges)\nAvailable cash: ₹${capitalCheck.effectiveCash.toLocaleString('en-IN')}\n\n_${capitalCheck.reason}_`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
 async function handleExecuteSignal(botInstance, query, signalId) {
   const chatId = query.message.chat.id;
   const messageId = query.message.message_id;
@@ -250,15 +286,16 @@ async function handleExecuteSignal(botInstance, query, signalId) {
       return;
     }
 
-    if (signal.status === 'DISMISSED' || signal.status === 'EXPIRED') {
+    if (CLOSED_SIGNAL_STATUSES.includes(signal.status)) {
       await botInstance.answerCallbackQuery(query.id, { text: `Signal is ${signal.status.toLowerCase()}` }).catch(() => {});
       return;
     }
 
     const userId = signal.portfolio?.user?.id;
     const upstox = signal.portfolio?.user?.upstoxIntegration;
+    const paper = isPaperBroker(signal.portfolio?.broker);
 
-    if (!upstox || !upstox.isConnected || !upstox.accessToken) {
+    if (!paper && (!upstox || !upstox.isConnected || !upstox.accessToken)) {
       await botInstance.answerCallbackQuery(query.id, { text: 'Upstox not connected' }).catch(() => {});
       return;
     }
@@ -270,120 +307,17 @@ async function handleExecuteSignal(botInstance, query, signalId) {
       { chat_id: chatId, message_id: messageId }
     ).catch(() => {});
 
-    // Map signal trigger type to Upstox order params
-    let orderType = 'MARKET';
-    let price = 0;
-    let triggerPrice = 0;
-
-    if (signal.triggerType === 'LIMIT' && signal.triggerPrice) {
-      orderType = 'LIMIT';
-      price = parseFloat(signal.triggerPrice);
-    } else if (signal.triggerType === 'ZONE' && signal.triggerLow) {
-      // ZONE → LIMIT at lower bound
-      orderType = 'LIMIT';
-      price = parseFloat(signal.triggerLow);
-    }
-
-    // Validate LIMIT price against live market price (reject if >20% deviation)
-    if (orderType === 'LIMIT' && price > 0) {
-      try {
-        const liveData = await getCurrentPrice(signal.symbol, signal.exchange);
-        const currentPrice = liveData?.price || liveData?.lastPrice;
-        if (currentPrice && currentPrice > 0) {
-          const deviation = Math.abs(price - currentPrice) / currentPrice;
-          if (deviation > 0.20) {
-            logger.warn(`Signal #${signalId} price validation failed: signal=${price}, market=${currentPrice}, deviation=${(deviation * 100).toFixed(1)}%`);
-            await botInstance.editMessageReplyMarkup(
-              { inline_keyboard: [
-                [{ text: '📊 Place as MARKET order', callback_data: `sig_mkt_${signalId}` }],
-                [{ text: '🚫 Dismiss', callback_data: `sig_dismiss_${signalId}` }]
-              ] },
-              { chat_id: chatId, message_id: messageId }
-            ).catch(() => {});
-            await botInstance.sendMessage(chatId,
-              `⚠️ *Price Validation Failed*\n\nSignal price: ${formatPrice(price)}\nCurrent market price: ${formatPrice(currentPrice)}\nDeviation: ${(deviation * 100).toFixed(1)}%\n\n_The signal price is too far from the current market price. This could lead to order rejection by the exchange._`,
-              { parse_mode: 'Markdown' }
-            );
-            return;
-          }
-        }
-      } catch (priceErr) {
-        logger.warn(`Could not validate price for signal #${signalId}: ${priceErr.message}`);
-        // Continue with order — better to try than to block on price fetch failure
-      }
-    }
-
-    // Sync Upstox funds before capital check (ensures real-time cash)
-    try {
-      await syncUpstoxFunds(userId);
-    } catch (syncErr) {
-      logger.warn(`Pre-execution fund sync failed for signal #${signalId}: ${syncErr.message}`);
-    }
-
-    // Capital check for BUY orders
-    if (signal.side === 'BUY') {
-      let estimatedPrice = price; // LIMIT price
-      if (orderType === 'MARKET') {
-        // For MARKET orders, fetch live price for capital check
-        try {
-          const priceData = await getCurrentPrice(signal.symbol, signal.exchange);
-          estimatedPrice = priceData?.price || priceData?.lastPrice || parseFloat(signal.triggerPrice || signal.triggerLow || 0);
-        } catch (e) {
-          estimatedPrice = parseFloat(signal.triggerPrice || signal.triggerLow || 0);
-        }
-      }
-
-      if (estimatedPrice > 0) {
-        const capitalCheck = await preOrderCapitalCheck(signal.portfolioId, 'BUY', signal.quantity, estimatedPrice);
-        if (!capitalCheck.allowed) {
-          logger.warn(`Signal #${signalId} capital check failed: ${capitalCheck.reason}`);
-          await botInstance.editMessageReplyMarkup(
-            { inline_keyboard: [
-              [{ text: '🚫 Dismiss', callback_data: `sig_dismiss_${signalId}` }]
-            ] },
-            { chat_id: chatId, message_id: messageId }
-          ).catch(() => {});
-          await botInstance.sendMessage(chatId,
-            `💰 *Capital Check Failed*\n\nOrder cost: ₹${capitalCheck.orderCost.toLocaleString('en-IN')}\nAvailable cash: ₹${capitalCheck.effectiveCash.toLocaleString('en-IN')}\n\n_${capitalCheck.reason}_`,
-            { parse_mode: 'Markdown' }
-          );
-          return;
-        }
-      }
-    }
-
-    const orderParams = {
-      symbol: signal.symbol,
-      exchange: `${signal.exchange}_EQ`,
-      transactionType: signal.side, // BUY or SELL
-      orderType,
-      quantity: signal.quantity,
-      price,
-      triggerPrice,
-      portfolioId: signal.portfolioId
-    };
-
-    logger.info(`Executing signal #${signalId} via Upstox:`, orderParams);
-
-    const result = await placeOrder(userId, orderParams);
-
-    // Mark as PLACING (not EXECUTED yet — wait for exchange confirmation)
-    await prisma.tradeSignal.update({
-      where: { id: signalId },
-      data: {
-        status: 'PLACING',
-        upstoxOrderId: result.dbOrderId
-      }
-    });
-
-    // Create ack record
-    await prisma.signalAck.create({
-      data: {
-        signalId,
-        action: 'EXECUTE',
-        note: `Upstox order ${result.orderId} placed via Telegram by ${query.from.first_name || query.from.id}`
-      }
+    // Price check on a LIMIT, funds sync, capital check (charges included), the order and the signal's PLACING state
+    const execution = await placeSignalOrder(signal, {
+      userId,
+      paper,
+      via: `Telegram by ${query.from.first_name || query.from.id}`
     });
+    if (!execution.placed) {
+      await reportNotPlaced(botInstance, chatId, messageId, signalId, execution);
+      return;
+    }
+    const { result } = execution;
 
     // Update message to show order is being verified
     try {
@@ -396,7 +330,7 @@ async function handleExecuteSignal(botInstance, query, signalId) {
     }
 
     await botInstance.sendMessage(chatId,
-      `📡 *Order Sent*\n${signal.side} ${signal.quantity}x ${signal.symbol}\nOrder ID: \`${result.orderId}\`\n_Verifying with exchange..._`,
+      `📡 *${paper ? 'Paper ' : ''}Order Sent*\n${signal.side} ${signal.quantity}x ${signal.symbol}\nOrder ID: \`${result.orderId}\`\n_${paper ? 'Simulating fill against the live quote...' : 'Verifying with exchange...'}_`,
       { parse_mode: 'Markdown' }
     );
 
@@ -446,15 +380,16 @@ async function handleExecuteMarketFallback(botInstance, query, signalId) {
       }
     });
 
-    if (!signal || signal.status === 'EXECUTED' || signal.status === 'PLACING' || signal.status === 'DISMISSED' || signal.status === 'EXPIRED') {
+    if (!signal || CLOSED_SIGNAL_STATUSES.includes(signal.status)) {
       await botInstance.answerCallbackQuery(query.id, { text: 'Signal no longer available' }).catch(() => {});
       return;
     }
 
     const userId = signal.portfolio?.user?.id;
     const upstox = signal.portfolio?.user?.upstoxIntegration;
+    const paper = isPaperBroker(signal.portfolio?.broker);
 
-    if (!upstox || !upstox.isConnected || !upstox.accessToken) {
+    if (!paper && (!upstox || !upstox.isConnected || !upstox.accessToken)) {
       await botInstance.answerCallbackQuery(query.id, { text: 'Upstox not connected' }).catch(() => {});
       return;
     }
@@ -465,70 +400,17 @@ async function handleExecuteMarketFallback(botInstance, query, signalId) {
       { chat_id: chatId, message_id: messageId }
     ).catch(() => {});
 
-    // Sync Upstox funds before capital check (ensures real-time cash)
-    try {
-      await syncUpstoxFunds(userId);
-    } catch (syncErr) {
-      logger.warn(`Pre-execution fund sync failed for MARKET signal #${signalId}: ${syncErr.message}`);
-    }
-
-    // Capital check for BUY orders
-    if (signal.side === 'BUY') {
-      let estimatedPrice = 0;
-      try {
-        const priceData = await getCurrentPrice(signal.symbol, signal.exchange);
-        estimatedPrice = priceData?.price || priceData?.lastPrice || parseFloat(signal.triggerPrice || signal.triggerLow || 0);
-      } catch (e) {
-        estimatedPrice = parseFloat(signal.triggerPrice || signal.triggerLow || 0);
-      }
-
-      if (estimatedPrice > 0) {
-        const capitalCheck = await preOrderCapitalCheck(signal.portfolioId, 'BUY', signal.quantity, estimatedPrice);
-        if (!capitalCheck.allowed) {
-          logger.warn(`Signal #${signalId} MARKET fallback capital check failed: ${capitalCheck.reason}`);
-          await botInstance.editMessageReplyMarkup(
-            { inline_keyboard: [
-              [{ text: '🚫 Dismiss', callback_data: `sig_dismiss_${signalId}` }]
-            ] },
-            { chat_id: chatId, message_id: messageId }
-          ).catch(() => {});
-          await botInstance.sendMessage(chatId,
-            `💰 *Capital Check Failed*\n\nOrder cost: ₹${capitalCheck.orderCost.toLocaleString('en-IN')}\nAvailable cash: ₹${capitalCheck.effectiveCash.toLocaleString('en-IN')}\n\n_${capitalCheck.reason}_`,
-            { parse_mode: 'Markdown' }
-          );
-          return;
-        }
-      }
-    }
-
-    const orderParams = {
-      symbol: signal.symbol,
-      exchange: `${signal.exchange}_EQ`,
-      transactionType: signal.side,
-      orderType: 'MARKET',
-      quantity: signal.quantity,
-      price: 0,
-      triggerPrice: 0,
-      portfolioId: signal.portfolioId
-    };
-
-    logger.info(`Executing signal #${signalId} as MARKET order (fallback):`, orderParams);
-
-    const result = await placeOrder(userId, orderParams);
-
-    // Mark as PLACING (not EXECUTED yet)
-    await prisma.tradeSignal.update({
-      where: { id: signalId },
-      data: { status: 'PLACING', upstoxOrderId: result.dbOrderId }
-    });
-
-    await prisma.signalAck.create({
-      data: {
-        signalId,
-        action: 'EXECUTE',
-        note: `MARKET order (price fallback) ${result.orderId} placed via Telegram by ${query.from.first_name || query.from.id}`
-      }
+    const execution = await placeSignalOrder(signal, {
+      userId,
+      paper,
+      order: { orderType: 'MARKET', price: 0, triggerPrice: 0 },
+      via: `Telegram by ${query.from.first_name || query.from.id} (price fallback)`
     });
+    if (!execution.placed) {
+      await reportNotPlaced(botInstance, chatId, messageId, signalId, execution);
+      return;
+    }
+    const { result } = execution;
 
     try {
       await botInstance.editMessageReplyMarkup(
@@ -540,7 +422,7 @@ async function handleExecuteMarketFallback(botInstance, query, signalId) {
     }
 
     await botInstance.sendMessage(chatId,
-      `📡 *MARKET Order Sent*\n${signal.side} ${signal.quantity}x ${signal.symbol}\nOrder ID: \`${result.orderId}\`\n_Verifying with exchange..._`,
+      `📡 *${paper ? 'Paper ' : ''}MARKET Order Sent*\n${signal.side} ${signal.quantity}x ${signal.symbol}\nOrder ID: \`${result.orderId}\`\n_${paper ? 'Simulating fill against the live quote...' : 'Verifying with exchange...'}_`,
       { parse_mode: 'Markdown' }
     );
 
@@ -0,0 +1,262 @@
+// server/services/tradeLedger.js
+// Hand edits to a portfolio's Trade ledger: add a trade, correct one, or
+// remove it. Each change rebuilds the tax lots, holding and realized P&L of
+// the positions it touches, and rewrites the trade's cash ledger entries, so
+// fixing a months-old entry never needs a holding or balance edited by hand.
+// Trades entered without fees are charged the portfolio broker's tariff.
+
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { adoptUntrackedHoldings, rebuildPositions, replayTrades } from './taxLots.js';
+import { bookTradeCash, refreshCashBalance } from './cashLedger.js';
+import { estimateCharges, portfolioBroker } from './charges.js';
+
+export const TRADE_TYPES = ['BUY', 'SELL'];
+export const TRADE_EXCHANGES = ['NSE', 'BSE'];
+
+// Broker fills are matched back to their order by quantity; only these may change
+const BROKER_EDITABLE = ['price', 'fees', 'executedAt', 'notes'];
+// Fields the charges on a trade depend on
+const CHARGED_ON = ['type', 'exchange', 'quantity', 'price'];
+
+/**
+ * Validate and normalize a trade from a request body.
+ * Throws with a user-facing message on invalid input.
+ *
+ * @param {Object} body
+ * @param {{ partial?: boolean }} [options] - partial: only validate fields present (updates)
+ * @returns {Object} Fields for prisma.trade
+ */
+export function buildTradeData(body, { partial = false } = {}) {
+  const data = {};
+  const has = key => body[key] !== undefined;
+
+  if (!partial || has('symbol')) {
+    const symbol = String(body.symbol || '').trim().toUpperCase();
+    if (!symbol) throw new Error('symbol is required');
+    data.symbol = symbol;
+  }
+
+  if (!partial || has('exchange')) {
+    const exchange = String(body.exchange || 'NSE').toUpperCase();
+    if (!TRADE_EXCHANGES.includes(exchange)) {
+      throw new Error(`exchange must be one of ${TRADE_EXCHANGES.join(', ')}`);
+    }
+    data.exchange = exchange;
+  }
+
+  if (!partial || has('type')) {
+    const type = String(body.type || '').toUpperCase();
+    if (!TRADE_TYPES.includes(type)) throw new Error('type must be BUY or SELL');
+    data.type = type;
+  }
+
+  if (!partial || has('quantity')) {
+    const quantity = Number(body.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('quantity must be a positive whole number');
+    data.quantity = quantity;
+  }
+
+  if (!partial || has('price')) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price <= 0) throw new Error('price must be a positive number');
+    data.price = price;
+  }
+
+  // Left out (or null) the fees are estimated from the broker's tariff
+  if (has('fees')) {
+    if (body.fees === null || body.fees === '') {
+      data.fees = null;
+    } else {
+      const fees = Number(body.fees);
+      if (!Number.isFinite(fees) || fees < 0) throw new Error('fees cannot be negative');
+      data.fees = fees;
+    }
+  }
+
+  if (!partial || has('executedAt')) {
+    const executedAt = body.executedAt ? new Date(body.executedAt) : new Date();
+    if (isNaN(executedAt)) throw new Error('executedAt must be a valid date');
+    if (executedAt > new Date()) throw new Error('executedAt cannot be in the future');
+    data.executedAt = executedAt;
+  }
+
+  if (has('notes')) {
+    data.notes = body.notes ? String(body.notes).trim() : null;
+  }
+
+  return data;
+}
+
+/**
+ * Charges the broker bills on a trade. Hand-entered trades are taken to be
+ * delivery; opening lots carry none.
+ */
+function estimatedFees(broker, trade) {
+  if (!TRADE_TYPES.includes(trade.type)) return 0;
+  return estimateCharges({
+    broker,
+    side: trade.type,
+    quantity: trade.quantity,
+    price: trade.price,
+    exchange: trade.exchange
+  }).total;
+}
+
+/**
+ * SELL quantity no lot covers across positions, from the ledger as it stands.
+ */
+async function oversoldQuantity(tx, portfolioId, positions) {
+  let total = 0;
+  for (const { symbol, exchange } of positions) {
+    const trades = await tx.trade.findMany({
+      where: { portfolioId, symbol, exchange, status: 'COMPLETED', type: { in: TRADE_TYPES } },
+      orderBy: [{ executedAt: 'asc' }, { id: 'asc' }]
+    });
+    total += replayTrades(trades).oversold.reduce((sum, o) => sum + o.quantity, 0);
+  }
+  return total;
+}
+
+/**
+ * Apply one ledger change and everything that follows from it, all or nothing.
+ * A change that leaves a sale with more shares than were held at the time is
+ * refused; positions already oversold before the change aren't blocked by it.
+ *
+ * @param {number} portfolioId
+ * @param {Object|null} before - Trade as it was (null when adding)
+ * @param {Object|null} after - Trade as it will be (null when deleting)
+ * @param {Function} write - (tx) => Promise<Object|null>, makes the change
+ * @returns {Promise<{ success: boolean, trade?: Object, error?: string }>}
+ */
+async function applyChange(portfolioId, before, after, write) {
+  const positions = new Map();
+  for (const t of [before, after].filter(Boolean)) {
+    positions.set(`${t.exchange}:${t.symbol}`, { symbol: t.symbol, exchange: t.exchange });
+  }
+  const scopes = [...positions.values()];
+
+  let rejection = null;
+  try {
+    const trade = await prisma.$transaction(async (tx) => {
+      // Shares held before their trades were recorded get an opening lot first
+      for (const scope of scopes) {
+        await adoptUntrackedHoldings({ portfolioId, ...scope }, tx);
+      }
+      const oversoldBefore = await oversoldQuantity(tx, portfolioId, scopes);
+
+      const result = await write(tx);
+
+      // A deleted trade's cash entries went with it
+      if (result) await bookTradeCash(result, tx);
+      else await refreshCashBalance(portfolioId, tx);
+
+      let oversold = 0;
+      for (const scope of scopes) {
+        oversold += (await rebuildPositions(portfolioId, scope, tx)).oversold;
+      }
+      if (oversold > oversoldBefore) {
+        rejection = `This leaves ${oversold - oversoldBefore} more shares sold than were held at the time of sale`;
+        throw new Error(rejection);
+      }
+
+      // Read back the trade: a SELL's profit is set by the rebuild
+      return result ? tx.trade.findUnique({ where: { id: result.id } }) : null;
+    }, { timeout: 60000 });
+
+    return { success: true, trade };
+  } catch (error) {
+    if (rejection) return { success: false, error: rejection };
+    throw error;
+  }
+}
+
+/**
+ * Add a hand-entered trade.
+ *
+ * @param {number} portfolioId
+ * @param {Object} data - From buildTradeData
+ */
+export async function createTrade(portfolioId, data) {
+  if (data.fees == null) {
+    data = { ...data, fees: estimatedFees(await portfolioBroker(portfolioId), data) };
+  }
+
+  const after = { ...data, portfolioId };
+  const result = await applyChange(portfolioId, null, after, tx =>
+    tx.trade.create({ data: { ...after, source: 'MANUAL', status: 'COMPLETED' } })
+  );
+
+  if (result.success) {
+    logger.info(`[Trade Ledger] portfolio ${portfolioId}: added ${data.type} ${data.quantity}x ${data.symbol} @ ₹${data.price}`);
+  }
+  return result;
+}
+
+/**
+ * Correct a trade. Trades booked from a broker order keep their symbol, side and
+ * quantity, so later fills of the same order still reconcile.
+ * Fees of null are estimated afresh. Left out, they follow a change to the
+ * trade if they were the estimate (or nothing) before; fees entered by hand
+ * from a contract note are kept.
+ *
+ * @param {Object} existing - Trade row
+ * @param {Object} data - From buildTradeData with { partial: true }
+ */
+export async function updateTrade(existing, data) {
+  if (existing.orderId) {
+    const locked = Object.keys(data).filter(key => !BROKER_EDITABLE.includes(key) && data[key] !== existing[key]);
+    if (locked.length > 0) {
+      return { success: false, error: `Broker-filled trades can only have ${BROKER_EDITABLE.join(', ')} corrected` };
+    }
+  }
+
+  const changesCharges = CHARGED_ON.some(key => data[key] !== undefined && data[key] !== existing[key]);
+  if (data.fees === null || (data.fees === undefined && changesCharges)) {
+    const broker = await portfolioBroker(existing.portfolioId);
+    const followsEstimate = !existing.fees || existing.fees === estimatedFees(broker, existing);
+    if (data.fees === null || followsEstimate) {
+      data = { ...data, fees: estimatedFees(broker, { ...existing, ...data }) };
+    }
+  }
+
+  const after = { ...existing, ...data };
+  const result = await applyChange(existing.portfolioId, existing, after, tx =>
+    tx.trade.update({ where: { id: existing.id }, data })
+  );
+
+  if (result.success) {
+    logger.info(`[Trade Ledger] portfolio ${existing.portfolioId}: corrected trade #${existing.id} (${Object.keys(data).join(', ')})`);
+  }
+  return result;
+}
+
+/**
+ * Remove a trade. Broker-filled trades stay: the order would book them again.
+ *
+ * @param {Object} existing - Trade row
+ */
+export async function deleteTrade(existing) {
+  if (existing.orderId) {
+    return { success: false, error: 'Broker-filled trades cannot be deleted' };
+  }
+
+  const result = await applyChange(existing.portfolioId, existing, null, async tx => {
+    await tx.trade.delete({ where: { id: existing.id } });
+    return null;
+  });
+
+  if (result.success) {
+    logger.info(`[Trade Ledger] portfolio ${existing.portfolioId}: deleted trade #${existing.id} (${existing.type} ${existing.quantity}x ${existing.symbol})`);
+  }
+  return result;
+}
+
+export default {
+  TRADE_TYPES,
+  TRADE_EXCHANGES,
+  buildTradeData,
+  createTrade,
+  updateTrade,
+  deleteTrade
+};
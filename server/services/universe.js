@@ -0,0 +1,378 @@
+// server/services/universe.js
+// Stock universes: NSE index constituents (Nifty 50, Next 50, Midcap 150,
+// Smallcap 250) imported from NSE's constituent CSVs, plus custom lists per
+// user. Membership is dated — an import closes the rows of stocks that left
+// and opens rows for stocks that joined — so screens and backtests can ask
+// "what was in the Midcap 150 on 2025-03-01". The index universes also give
+// every stock its market-cap bucket for risk categorisation.
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { parseCSV } from '../utils/csv.js';
+
+const NSE_ARCHIVE_URL = 'https://nsearchives.nseindia.com/content/indices';
+const DEFAULT_DIR = './data/universes';
+const BUCKET_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Index universes and the NSE file each is built from (same file names as
+ * nseindia.com's "Download list of index constituents").
+ */
+export const INDEX_UNIVERSES = [
+  { code: 'NIFTY50', name: 'Nifty 50', file: 'ind_nifty50list.csv', capBucket: 'LARGE' },
+  { code: 'NIFTYNEXT50', name: 'Nifty Next 50', file: 'ind_niftynext50list.csv', capBucket: 'LARGE' },
+  { code: 'MIDCAP150', name: 'Nifty Midcap 150', file: 'ind_niftymidcap150list.csv', capBucket: 'MID' },
+  { code: 'SMALLCAP250', name: 'Nifty Smallcap 250', file: 'ind_niftysmallcap250list.csv', capBucket: 'SMALL' },
+];
+
+export const CAP_BUCKETS = ['LARGE', 'MID', 'SMALL'];
+
+let bucketCache = null; // { loadedAt, map: Map<symbol, bucket> }
+
+function getUniverseDir() {
+  return process.env.UNIVERSE_DIR || DEFAULT_DIR;
+}
+
+// 'YYYY-MM-DD' (or today) → IST midnight
+function toEffectiveDate(value) {
+  const text = value
+    ? String(value).trim()
+    : new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T00:00:00+05:30`)
+    : new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid effective date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Constituent file for an index: UNIVERSE_DIR/<file> when present, otherwise
+ * downloaded from the NSE archive.
+ */
+async function readConstituentFile(def, dir) {
+  const filePath = path.join(dir, def.file);
+  try {
+    return { text: await fs.readFile(filePath, 'utf8'), source: filePath };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const url = `${NSE_ARCHIVE_URL}/${def.file}`;
+  const response = await axios.get(url, {
+    responseType: 'text',
+    timeout: 30000,
+    headers: { 'User-Agent': 'Mozilla/5.0', Accept: 'text/csv,*/*' }
+  });
+  return { text: response.data, source: url };
+}
+
+/**
+ * NSE constituent rows → members. Columns: Company Name, Industry, Symbol, Series, ISIN Code.
+ */
+function toMemberRows(rows) {
+  const seen = new Set();
+  const members = [];
+
+  for (const row of rows) {
+    const symbol = String(row.symbol || '').trim().toUpperCase();
+    if (!symbol || seen.has(symbol)) continue;
+    seen.add(symbol);
+    members.push({
+      symbol,
+      exchange: 'NSE',
+      name: row['company name']?.trim() || row.name?.trim() || null,
+      industry: row.industry?.trim() || null,
+      isin: row['isin code']?.trim() || row.isin?.trim() || null
+    });
+  }
+  return members;
+}
+
+/**
+ * Bring a universe's open membership in line with a new constituent list.
+ *
+ * @returns {Promise<{ added: string[], removed: string[], total: number }>}
+ */
+async function applyMembership(universeId, members, effectiveFrom) {
+  return prisma.$transaction(async (tx) => {
+    const [lastJoin, lastLeave] = await Promise.all([
+      tx.universeMember.findFirst({ where: { universeId }, orderBy: { effectiveFrom: 'desc' }, select: { effectiveFrom: true } }),
+      tx.universeMember.findFirst({ where: { universeId, effectiveTo: { not: null } }, orderBy: { effectiveTo: 'desc' }, select: { effectiveTo: true } })
+    ]);
+    const lastChange = Math.max(lastJoin?.effectiveFrom?.getTime() || 0, lastLeave?.effectiveTo?.getTime() || 0);
+    if (effectiveFrom.getTime() < lastChange) {
+      const label = new Date(lastChange).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+      throw new Error(`Effective date is before the last membership change (${label})`);
+    }
+
+    const current = await tx.universeMember.findMany({
+      where: { universeId, effectiveTo: null }
+    });
+    const incoming = new Set(members.map(m => m.symbol));
+    const existing = new Set(current.map(m => m.symbol));
+
+    const leaving = current.filter(m => !incoming.has(m.symbol));
+    const joining = members.filter(m => !existing.has(m.symbol));
+
+    // Rows opened by an earlier import on the same date never took effect
+    const sameDay = leaving.filter(m => m.effectiveFrom.getTime() === effectiveFrom.getTime());
+    const closing = leaving.filter(m => m.effectiveFrom.getTime() !== effectiveFrom.getTime());
+
+    if (sameDay.length > 0) {
+      await tx.universeMember.deleteMany({ where: { id: { in: sameDay.map(m => m.id) } } });
+    }
+    if (closing.length > 0) {
+      await tx.universeMember.updateMany({
+        where: { id: { in: closing.map(m => m.id) } },
+        data: { effectiveTo: effectiveFrom }
+      });
+    }
+    if (joining.length > 0) {
+      await tx.universeMember.createMany({
+        data: joining.map(m => ({ ...m, universeId, effectiveFrom })),
+        skipDuplicates: true
+      });
+    }
+
+    return {
+      added: joining.map(m => m.symbol),
+      removed: leaving.map(m => m.symbol),
+      total: members.length
+    };
+  });
+}
+
+/**
+ * Import the NSE constituent files for the index universes.
+ *
+ * @param {{ dir?: string, effectiveDate?: string, codes?: string[] }} options
+ *   effectiveDate: date the new lists take effect (default today, IST)
+ * @returns {Promise<object>} Per-universe { added, removed, total } or { error }
+ */
+export async function importIndexUniverses({ dir = getUniverseDir(), effectiveDate, codes } = {}) {
+  const effectiveFrom = toEffectiveDate(effectiveDate);
+  const results = {};
+
+  for (const def of INDEX_UNIVERSES) {
+    if (codes && !codes.includes(def.code)) continue;
+
+    try {
+      const { text, source } = await readConstituentFile(def, dir);
+      const members = toMemberRows(parseCSV(text));
+      if (members.length === 0) {
+        throw new Error(`No constituents found in ${source}`);
+      }
+
+      const universe = await prisma.universe.upsert({
+        where: { code: def.code },
+        create: { code: def.code, name: def.name, type: 'INDEX', capBucket: def.capBucket },
+        update: { name: def.name, capBucket: def.capBucket }
+      });
+
+      results[def.code] = await applyMembership(universe.id, members, effectiveFrom);
+      const { added, removed, total } = results[def.code];
+      logger.info(`[Universe] ${def.code}: ${total} constituents (+${added.length} / -${removed.length}) from ${source}`);
+    } catch (error) {
+      logger.error(`[Universe] ${def.code} import failed: ${error.message}`);
+      results[def.code] = { error: error.message };
+    }
+  }
+
+  bucketCache = null;
+  return results;
+}
+
+/**
+ * Create or update a user's custom list.
+ *
+ * @param {number} userId
+ * @param {{ code: string, name?: string, symbols?: string[], csv?: string, effectiveDate?: string }} input
+ *   symbols, or csv text with a Symbol column
+ * @returns {Promise<{ universe: object, added: string[], removed: string[], total: number }>}
+ * @throws {Error} When the code is taken or the list is empty
+ */
+export async function saveCustomUniverse(userId, { code, name, symbols, csv, effectiveDate }) {
+  const normalizedCode = String(code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{2,40}$/.test(normalizedCode)) {
+    throw new Error('code must be 2-40 letters, digits, _ or -');
+  }
+  if (INDEX_UNIVERSES.some(u => u.code === normalizedCode)) {
+    throw new Error(`${normalizedCode} is a reserved index universe`);
+  }
+
+  const rows = csv
+    ? parseCSV(csv)
+    : (Array.isArray(symbols) ? symbols : []).map(symbol => ({ symbol }));
+  const members = toMemberRows(rows);
+  if (members.length === 0) {
+    throw new Error('A custom universe needs at least one symbol');
+  }
+
+  const existing = await prisma.universe.findUnique({ where: { code: normalizedCode } });
+  if (existing && existing.userId !== userId) {
+    throw new Error(`Universe code ${normalizedCode} is already taken`);
+  }
+
+  const universe = existing
+    ? await prisma.universe.update({ where: { id: existing.id }, data: { name: name || existing.name } })
+    : await prisma.universe.create({
+      data: { code: normalizedCode, name: name || normalizedCode, type: 'CUSTOM', userId }
+    });
+
+  const result = await applyMembership(universe.id, members, toEffectiveDate(effectiveDate));
+  return { universe, ...result };
+}
+
+/**
+ * Delete one of the user's custom lists.
+ *
+ * @returns {Promise<boolean>} false when the user has no such list
+ */
+export async function deleteCustomUniverse(userId, code) {
+  const { count } = await prisma.universe.deleteMany({
+    where: { code: String(code).toUpperCase(), userId, type: 'CUSTOM' }
+  });
+  return count > 0;
+}
+
+function memberAsOf(asOf) {
+  if (!asOf) return { effectiveTo: null };
+  const date = new Date(asOf);
+  return {
+    effectiveFrom: { lte: date },
+    OR: [{ effectiveTo: null }, { effectiveTo: { gt: date } }]
+  };
+}
+
+/**
+ * Members of a universe, current or as of a date.
+ *
+ * @param {string} code
+ * @param {{ asOf?: Date|string, userId?: number }} options - userId: needed to read a custom list
+ * @returns {Promise<Array>} Member rows (empty when the universe doesn't exist or isn't visible)
+ */
+export async function getUniverseMembers(code, { asOf = null, userId = null } = {}) {
+  const universe = await prisma.universe.findUnique({ where: { code: String(code).toUpperCase() } });
+  if (!universe || (universe.type === 'CUSTOM' && universe.userId !== userId)) return [];
+
+  return prisma.universeMember.findMany({
+    where: { universeId: universe.id, ...memberAsOf(asOf) },
+    orderBy: { symbol: 'asc' }
+  });
+}
+
+/**
+ * Symbols across one or more universes, de-duplicated, in universe order.
+ *
+ * @param {string|string[]} codes
+ * @param {{ asOf?: Date|string, userId?: number }} options
+ * @returns {Promise<string[]>}
+ */
+export async function getUniverseSymbols(codes, options = {}) {
+  const seen = new Set();
+  for (const code of [].concat(codes)) {
+    for (const member of await getUniverseMembers(code, options)) {
+      seen.add(member.symbol);
+    }
+  }
+  return [...seen];
+}
+
+/**
+ * Index universes that make up a market-cap bucket.
+ */
+export function universesForBucket(bucket) {
+  return INDEX_UNIVERSES.filter(u => u.capBucket === bucket).map(u => u.code);
+}
+
+/**
+ * Current symbol → cap bucket map from index membership (cached for an hour).
+ *
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function getCapBuckets() {
+  if (bucketCache && Date.now() - bucketCache.loadedAt < BUCKET_CACHE_MS) {
+    return bucketCache.map;
+  }
+
+  const members = await prisma.universeMember.findMany({
+    where: { effectiveTo: null, universe: { type: 'INDEX' } },
+    select: { symbol: true, universe: { select: { capBucket: true } } }
+  });
+
+  const map = new Map();
+  for (const m of members) {
+    // A symbol in two indices keeps the larger bucket
+    const bucket = m.universe.capBucket;
+    const prev = map.get(m.symbol);
+    if (!prev || CAP_BUCKETS.indexOf(bucket) < CAP_BUCKETS.indexOf(prev)) {
+      map.set(m.symbol, bucket);
+    }
+  }
+
+  bucketCache = { loadedAt: Date.now(), map };
+  return map;
+}
+
+/**
+ * Market-cap bucket of a stock. Anything outside the Nifty 500 counts as SMALL.
+ *
+ * @returns {Promise<'LARGE'|'MID'|'SMALL'>}
+ */
+export async function getCapBucket(symbol) {
+  const buckets = await getCapBuckets();
+  return buckets.get(String(symbol).toUpperCase()) || 'SMALL';
+}
+
+/**
+ * Index and custom universes visible to a user, with current member counts.
+ */
+export async function listUniverses(userId) {
+  const universes = await prisma.universe.findMany({
+    where: { OR: [{ type: 'INDEX' }, { userId }] },
+    include: { _count: { select: { members: { where: { effectiveTo: null } } } } },
+    orderBy: [{ type: 'asc' }, { code: 'asc' }]
+  });
+
+  return universes.map(({ _count, ...u }) => ({ ...u, memberCount: _count.members }));
+}
+
+/**
+ * Prompt block listing the current constituents by cap bucket, so AI picks
+ * come from real, currently-listed stocks and are labelled consistently.
+ *
+ * @returns {Promise<string>} Empty string before the first import
+ */
+export async function buildUniverseContext() {
+  const buckets = await getCapBuckets();
+  if (buckets.size === 0) return '';
+
+  const byBucket = { LARGE: [], MID: [], SMALL: [] };
+  for (const [symbol, bucket] of buckets) byBucket[bucket].push(symbol);
+
+  return `=== NSE UNIVERSE (current index constituents) ===
+largeCap (Nifty 50 + Next 50): ${byBucket.LARGE.sort().join(', ')}
+midCap (Nifty Midcap 150): ${byBucket.MID.sort().join(', ')}
+smallCap (Nifty Smallcap 250): ${byBucket.SMALL.sort().join(', ')}
+=== END UNIVERSE ===`;
+}
+
+export default {
+  INDEX_UNIVERSES,
+  CAP_BUCKETS,
+  importIndexUniverses,
+  saveCustomUniverse,
+  deleteCustomUniverse,
+  getUniverseMembers,
+  getUniverseSymbols,
+  universesForBucket,
+  getCapBuckets,
+  getCapBucket,
+  listUniverses,
+  buildUniverseContext
+};
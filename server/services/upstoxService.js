@@ -1,79 +1,21 @@
 import axios from 'axios';
-import { createGunzip } from 'zlib';
-import { pipeline } from 'stream/promises';
-import { Readable } from 'stream';
 import prisma from './prisma.js';
 import logger from './logger.js';
+import { resolveInstrument } from './instrumentMaster.js';
+import { isPaperPortfolio, placePaperOrder, getPaperOrderStatus, cancelPaperOrder } from './paperBroker.js';
 
 const UPSTOX_BASE_URL = 'https://api.upstox.com/v2';
 
-// In-memory instrument cache: trading_symbol → instrument_key
-let instrumentCache = new Map();
-let instrumentCacheDate = null;
-
-/**
- * Download and cache Upstox instrument list (NSE equities).
- * Refreshes once per day. Maps trading symbols to instrument keys.
- */
-async function loadInstrumentCache() {
-  const today = new Date().toDateString();
-  if (instrumentCacheDate === today && instrumentCache.size > 0) {
-    return; // Already loaded today
-  }
-
-  logger.info('Downloading Upstox NSE instruments list...');
-  try {
-    const response = await axios.get(
-      'https://assets.upstox.com/market-quote/instruments/exchange/NSE.json.gz',
-      { responseType: 'arraybuffer', timeout: 30000 }
-    );
-
-    // Decompress gzip
-    const chunks = [];
-    const gunzip = createGunzip();
-    const readable = Readable.from(Buffer.from(response.data));
-    gunzip.on('data', chunk => chunks.push(chunk));
-    await pipeline(readable, gunzip);
-
-    const instruments = JSON.parse(Buffer.concat(chunks).toString());
-    const newCache = new Map();
-
-    for (const inst of instruments) {
-      // Only cache equities (segment NSE_EQ, instrument_type EQ)
-      if (inst.segment === 'NSE_EQ' && inst.instrument_type === 'EQ' && inst.trading_symbol && inst.instrument_key) {
-        newCache.set(inst.trading_symbol, inst.instrument_key);
-      }
-    }
-
-    instrumentCache = newCache;
-    instrumentCacheDate = today;
-    logger.info(`Upstox instruments cached: ${newCache.size} NSE equities`);
-  } catch (err) {
-    logger.error(`Failed to load Upstox instruments: ${err.message}`);
-    // Don't wipe existing cache on failure
-  }
-}
-
 /**
- * Resolve a trading symbol (e.g. "INFY") to an Upstox instrument key (e.g. "NSE_EQ|INE009A01021")
+ * Resolve a trading symbol (e.g. "INFY") to an Upstox instrument key (e.g. "NSE_EQ|INE009A01021").
+ * Looks up the local instrument master, so BSE symbols and scrip codes resolve too.
  */
-async function resolveInstrumentKey(symbol, exchange = 'NSE_EQ') {
-  if (exchange !== 'NSE_EQ') {
-    // For non-NSE, fall back to old format (may need BSE cache later)
-    return `${exchange}|${symbol}`;
+export async function resolveInstrumentKey(symbol, exchange = 'NSE_EQ') {
+  const instrument = await resolveInstrument(symbol, exchange);
+  if (!instrument) {
+    throw new Error(`Instrument not found: ${symbol} on ${exchange}`);
   }
-
-  await loadInstrumentCache();
-
-  const key = instrumentCache.get(symbol);
-  if (key) return key;
-
-  // Try common variations (some symbols have -EQ suffix)
-  const eqKey = instrumentCache.get(`${symbol}-EQ`);
-  if (eqKey) return eqKey;
-
-  logger.warn(`Instrument key not found for ${symbol}, falling back to ${exchange}|${symbol}`);
-  return `${exchange}|${symbol}`;
+  return instrument.instrumentKey;
 }
 
 /**
@@ -118,10 +60,19 @@ async function upstoxRequest(accessToken, method, endpoint, data = null) {
   return response.data;
 }
 
+async function isPaperOrder(orderId) {
+  const order = await prisma.upstoxOrder.findUnique({ where: { orderId }, select: { isPaper: true } });
+  return Boolean(order?.isPaper);
+}
+
 /**
- * Place an order via Upstox
+ * Place an order via Upstox. Orders for PAPER portfolios go to the paper broker.
  */
 export async function placeOrder(userId, orderParams) {
+  if (await isPaperPortfolio(orderParams.portfolioId)) {
+    return placePaperOrder(userId, orderParams);
+  }
+
   const integration = await getIntegration(userId);
 
   const {
@@ -190,9 +141,13 @@ export async function placeOrder(userId, orderParams) {
 }
 
 /**
- * Get order status from Upstox
+ * Get order status from Upstox (or the paper broker for paper orders)
  */
 export async function getOrderStatus(userId, orderId) {
+  if (await isPaperOrder(orderId)) {
+    return getPaperOrderStatus(userId, orderId);
+  }
+
   const integration = await getIntegration(userId);
 
   const result = await upstoxRequest(
@@ -230,6 +185,10 @@ export async function getOrderStatus(userId, orderId) {
  * Cancel an order
  */
 export async function cancelOrder(userId, orderId) {
+  if (await isPaperOrder(orderId)) {
+    return cancelPaperOrder(userId, orderId);
+  }
+
   const integration = await getIntegration(userId);
 
   const result = await upstoxRequest(
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../services/prisma.js';
+import { preOrderCapitalCheck } from '../services/capitalGuard.js';
+import { estimateCharges } from '../services/charges.js';
+
+const stub = (model, methods) => Object.defineProperty(prisma, model, { value: methods, configurable: true });
+
+// One portfolio with settled cash and open BUY signals; NOT filters by id only
+function stubPortfolio(cash, signals) {
+  stub('cashTransaction', { aggregate: async () => ({ _sum: { amount: cash } }) });
+  stub('portfolio', {
+    findUnique: async () => ({ broker: null }),
+    update: async () => ({})
+  });
+  stub('tradeSignal', {
+    findMany: async ({ where }) => signals.filter(s => !(where.NOT && s.id === where.NOT.id))
+  });
+}
+
+const buyCost = (quantity, price) =>
+  quantity * price + estimateCharges({ broker: null, side: 'BUY', quantity, price, exchange: 'NSE' }).total;
+
+test('a rebalance plan sized to the cash can execute its first BUY', async () => {
+  const drafts = [
+    { id: 1, quantity: 10, triggerPrice: 1000, triggerLow: null, exchange: 'NSE' },
+    { id: 2, quantity: 5, triggerPrice: 2000, triggerLow: null, exchange: 'NSE' }
+  ];
+  stubPortfolio(buyCost(10, 1000) + buyCost(5, 2000), drafts);
+
+  const check = await preOrderCapitalCheck(7, 'BUY', 10, 1000, { exchange: 'NSE', ignore: { id: 1 } });
+  assert.equal(check.allowed, true);
+});
+
+test('sibling drafts keep their reservation', async () => {
+  const drafts = [
+    { id: 1, quantity: 10, triggerPrice: 1000, triggerLow: null, exchange: 'NSE' },
+    { id: 2, quantity: 5, triggerPrice: 2000, triggerLow: null, exchange: 'NSE' }
+  ];
+  stubPortfolio(buyCost(10, 1000) + buyCost(5, 2000) - 1, drafts);
+
+  const check = await preOrderCapitalCheck(7, 'BUY', 10, 1000, { exchange: 'NSE', ignore: { id: 1 } });
+  assert.equal(check.allowed, false);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../services/prisma.js';
+import { settlementDate, tradeCashEntries, reconcileCash } from '../services/cashLedger.js';
+
+const istMidnight = day => new Date(`${day}T00:00:00+05:30`);
+
+test('settlementDate is the next trading day', () => {
+  // Tuesday afternoon IST
+  assert.deepEqual(settlementDate(new Date('2025-03-04T09:00:00Z')), istMidnight('2025-03-05'));
+  // Friday settles on Monday
+  assert.deepEqual(settlementDate(new Date('2025-03-07T09:00:00Z')), istMidnight('2025-03-10'));
+  // Thursday before Holi skips the holiday and the weekend
+  assert.deepEqual(settlementDate(new Date('2025-03-13T09:00:00Z')), istMidnight('2025-03-17'));
+});
+
+test('settlementDate uses the IST trading day', () => {
+  // 23:30 UTC on Monday is already Tuesday in India
+  assert.deepEqual(settlementDate(new Date('2025-03-03T23:30:00Z')), istMidnight('2025-03-05'));
+});
+
+const trade = fields => ({
+  type: 'BUY', quantity: 10, price: 250.5, fees: 0, symbol: 'INFY',
+  status: 'COMPLETED', source: 'MANUAL', executedAt: new Date('2025-03-07T09:00:00Z'), ...fields
+});
+
+test('tradeCashEntries debits a BUY at once', () => {
+  const t = trade({});
+  assert.deepEqual(tradeCashEntries(t), [{
+    type: 'BUY', amount: -2505, occurredAt: t.executedAt, settlesOn: t.executedAt, notes: 'BUY 10x INFY @ ₹250.5'
+  }]);
+});
+
+test('tradeCashEntries credits a SELL on settlement and books fees as a charge', () => {
+  const t = trade({ type: 'SELL', fees: 12.345 });
+  const [sale, charge] = tradeCashEntries(t);
+
+  assert.equal(sale.amount, 2505);
+  assert.deepEqual(sale.settlesOn, istMidnight('2025-03-10'));
+  assert.equal(charge.type, 'CHARGE');
+  assert.equal(charge.amount, -12.35);
+  assert.deepEqual(charge.settlesOn, t.executedAt);
+});
+
+test('tradeCashEntries skips opening balances and unfilled orders', () => {
+  assert.deepEqual(tradeCashEntries(trade({ source: 'OPENING' })), []);
+  assert.deepEqual(tradeCashEntries(trade({ status: 'PENDING' })), []);
+  assert.deepEqual(tradeCashEntries(null), []);
+});
+
+test('reconcileCash books the gap to the broker as an adjustment, not a flow', async () => {
+  const entries = [{ amount: 1000, settled: true }, { amount: 300, settled: false }];
+  const client = {
+    cashTransaction: {
+      aggregate: async ({ where }) => ({
+        _sum: { amount: entries.filter(e => !where.settlesOn || e.settled).reduce((sum, e) => sum + e.amount, 0) }
+      }),
+      create: async ({ data }) => {
+        entries.push({ ...data, settled: true });
+        return data;
+      }
+    },
+    portfolio: { update: async () => ({}) }
+  };
+  Object.defineProperty(prisma, '$transaction', { value: async fn => fn(client), configurable: true });
+
+  // Proceeds still settling are already in the broker's margin
+  assert.equal(await reconcileCash([7], 1300, 'broker'), 0);
+
+  assert.equal(await reconcileCash([7], 1299.5, 'broker'), -0.5);
+  assert.equal(entries[2].type, 'ADJUSTMENT');
+  assert.equal(entries[2].amount, -0.5);
+});
+
+test('reconcileCash counts an account funding several portfolios once', async () => {
+  const entries = [{ portfolioId: 7, amount: 1000 }, { portfolioId: 8, amount: 500 }];
+  const client = {
+    cashTransaction: {
+      aggregate: async ({ where }) => ({
+        _sum: { amount: entries.filter(e => e.portfolioId === where.portfolioId).reduce((sum, e) => sum + e.amount, 0) }
+      }),
+      create: async ({ data }) => {
+        entries.push(data);
+        return data;
+      }
+    },
+    portfolio: { update: async () => ({}) }
+  };
+  Object.defineProperty(prisma, '$transaction', { value: async fn => fn(client), configurable: true });
+
+  assert.equal(await reconcileCash([7, 8], 1500, 'broker'), 0);
+  assert.equal(await reconcileCash([7, 8], 1600, 'broker'), 100);
+  assert.equal(entries.length, 3);
+  assert.equal(entries[2].portfolioId, 7);
+  assert.equal(await reconcileCash([7, 8], 1600, 'broker'), 0);
+});
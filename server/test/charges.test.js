@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateCharges } from '../services/charges.js';
+
+test('calculateCharges on a delivery buy', () => {
+  assert.deepEqual(calculateCharges({ side: 'BUY', quantity: 100, price: 1000 }), {
+    turnover: 100000,
+    brokerage: 20,
+    stt: 100,
+    exchangeTxn: 2.97,
+    sebiFee: 0.1,
+    stampDuty: 15,
+    gst: 4.15,
+    dpCharge: 0,
+    total: 142.22
+  });
+});
+
+test('calculateCharges on a BSE delivery sell adds the DP charge and no stamp duty', () => {
+  const charges = calculateCharges({ side: 'SELL', quantity: 100, price: 1000, exchange: 'BSE' });
+
+  assert.equal(charges.exchangeTxn, 3.75);
+  assert.equal(charges.stampDuty, 0);
+  assert.equal(charges.gst, 4.29);
+  assert.equal(charges.dpCharge, 21.83);
+  assert.equal(charges.total, 149.97);
+});
+
+test('calculateCharges takes intraday STT on the sell side only', () => {
+  assert.equal(calculateCharges({ side: 'BUY', quantity: 100, price: 1000, product: 'INTRADAY' }).stt, 0);
+  assert.equal(calculateCharges({ side: 'SELL', quantity: 100, price: 1000, product: 'INTRADAY' }).stt, 25);
+});
+
+test('calculateCharges caps a minimum brokerage at 2.5% of turnover', () => {
+  const brokerage = { perOrder: null, percent: 0.5, minimum: 20, dpCharge: 20 };
+  assert.equal(calculateCharges({ side: 'BUY', quantity: 1, price: 100, brokerage }).brokerage, 2.5);
+  assert.equal(calculateCharges({ side: 'BUY', quantity: 100, price: 1000, brokerage }).brokerage, 500);
+});
+
+test('calculateCharges rejects an unknown product or side', () => {
+  assert.throws(() => calculateCharges({ side: 'BUY', quantity: 1, price: 100, product: 'MTF' }), /Unknown product/);
+  assert.throws(() => calculateCharges({ side: 'HOLD', quantity: 1, price: 100 }), /Unknown side/);
+});
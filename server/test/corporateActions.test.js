@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../services/prisma.js';
+import {
+  restateHolding,
+  demergedShares,
+  dividendEntry,
+  restateTrades,
+  applyCorporateAction
+} from '../services/corporateActions.js';
+
+const exDate = new Date('2025-03-10T00:00:00+05:30');
+const action = fields => ({ id: 1, symbol: 'INFY', exDate, ...fields });
+const holding = fields => ({ id: 1, portfolioId: 7, symbol: 'INFY', exchange: 'NSE', targetPrice: null, stopLoss: null, ...fields });
+const trade = (id, type, quantity, price, exchange = 'NSE') =>
+  ({ id, type, quantity, price, exchange, executedAt: new Date(`2024-0${id}-01`) });
+
+test('restateHolding spreads the cost over the split shares', () => {
+  const after = restateHolding(action({ type: 'SPLIT', ratioOld: 1, ratioNew: 5 }), holding({ quantity: 10, avgPrice: 1000, currentPrice: 1200 }));
+
+  assert.deepEqual(after, { quantity: 50, avgPrice: 200, currentPrice: 240, targetPrice: null, stopLoss: null });
+});
+
+test('restateHolding adds bonus shares at no cost', () => {
+  const bonus = action({ type: 'BONUS', ratioOld: 2, ratioNew: 1 });
+
+  const after = restateHolding(bonus, holding({ quantity: 5, avgPrice: 1000, currentPrice: 1500 }));
+  assert.equal(after.quantity, 7);
+  assert.equal(after.avgPrice, 714.2857);
+  assert.equal(after.currentPrice, 1000);
+});
+
+test('restateHolding is null when a consolidation leaves no whole share', () => {
+  assert.equal(restateHolding(action({ type: 'SPLIT', ratioOld: 10, ratioNew: 1 }), holding({ quantity: 5, avgPrice: 100 })), null);
+});
+
+test('a demerger splits the cost between parent and child', () => {
+  const demerger = action({ type: 'DEMERGER', ratioOld: 2, ratioNew: 1, newSymbol: 'INFYNEW', costApportionment: 0.3 });
+  const parent = holding({ quantity: 10, avgPrice: 1000, currentPrice: 1100, stopLoss: 900 });
+
+  assert.deepEqual(restateHolding(demerger, parent), { quantity: 10, avgPrice: 700, currentPrice: 770, targetPrice: null, stopLoss: 630 });
+  assert.deepEqual(demergedShares(demerger, parent), { quantity: 5, cost: 3000 });
+});
+
+test('dividendEntry books the payout on the ex-date', () => {
+  const entry = dividendEntry(action({ type: 'DIVIDEND', dividendPerShare: 2.55 }), holding({ quantity: 15 }));
+
+  assert.equal(entry.type, 'DIVIDEND');
+  assert.equal(entry.amount, 38.25);
+  assert.equal(entry.occurredAt, exDate);
+});
+
+test('restateTrades restates each trade once for a symbol held on two exchanges', () => {
+  const split = action({ type: 'SPLIT', ratioOld: 1, ratioNew: 2 });
+  const trades = [trade(1, 'BUY', 10, 1000), trade(2, 'BUY', 4, 1010, 'BSE'), trade(3, 'SELL', 3, 1100)];
+
+  const nse = restateTrades(split, holding({ quantity: 7 }), trades, 14);
+  const bse = restateTrades(split, holding({ exchange: 'BSE', quantity: 4 }), trades, 8);
+
+  assert.deepEqual(nse.updates, [
+    { id: 1, data: { quantity: 20, price: 500 } },
+    { id: 3, data: { quantity: 6, price: 550 } }
+  ]);
+  assert.deepEqual(bse.updates, [{ id: 2, data: { quantity: 8, price: 505 } }]);
+  assert.deepEqual([...nse.creates, ...bse.creates], []);
+});
+
+test('restateTrades books bonus shares as a zero-cost BUY on the ex-date', () => {
+  const { updates, creates } = restateTrades(action({ type: 'BONUS', ratioOld: 1, ratioNew: 1 }), holding({ quantity: 10 }), [trade(1, 'BUY', 10, 1000)], 20);
+
+  assert.deepEqual(updates, []);
+  assert.equal(creates.length, 1);
+  assert.equal(creates[0].quantity, 10);
+  assert.equal(creates[0].price, 0);
+  assert.equal(creates[0].executedAt, exDate);
+});
+
+test('restateTrades gives the child of a demerger the open lots\' dates and apportioned cost', () => {
+  const demerger = action({ type: 'DEMERGER', ratioOld: 2, ratioNew: 1, newSymbol: 'INFYNEW', costApportionment: 0.25 });
+  const trades = [trade(1, 'BUY', 10, 100), trade(2, 'BUY', 10, 200), trade(3, 'SELL', 5, 150), trade(4, 'BUY', 10, 190, 'BSE')];
+
+  const { updates, creates } = restateTrades(demerger, holding({ quantity: 15 }), trades, 15);
+
+  assert.deepEqual(creates.map(c => [c.symbol, c.exchange, c.quantity, c.price, c.executedAt]), [
+    ['INFYNEW', 'NSE', 2, 62.5, trades[0].executedAt],
+    ['INFYNEW', 'NSE', 5, 100, trades[1].executedAt]
+  ]);
+  assert.deepEqual(updates, [{ id: 1, data: { price: 75 } }, { id: 2, data: { price: 150 } }]);
+});
+
+test('applyCorporateAction leaves an action that is already applied alone', async () => {
+  // Only the claim is stubbed: any other write would fail the apply
+  const tx = { corporateAction: { updateMany: async () => ({ count: 0 }) } };
+  Object.defineProperty(prisma, '$transaction', { value: async fn => fn(tx), configurable: true });
+  Object.defineProperty(prisma, 'corporateAction', { value: { update: async () => assert.fail('marked FAILED') }, configurable: true });
+
+  const summary = await applyCorporateAction(action({ type: 'SPLIT', ratioOld: 1, ratioNew: 2, status: 'APPLIED' }));
+  assert.equal(summary.alreadyApplied, true);
+  assert.equal(summary.holdings, 0);
+});
@@ -0,0 +1,27 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { callProviders } from '../services/marketProviders/index.js';
+
+const replayDir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+await fs.writeFile(path.join(replayDir, 'INFY.json'), JSON.stringify([{ timestamp: '2025-03-10T09:30:00Z', price: 1500, volume: 10 }]));
+after(() => fs.rm(replayDir, { recursive: true, force: true }));
+
+test('a batch the first provider has no quotes for moves down the chain', async () => {
+  process.env.MARKET_DATA_PROVIDERS = 'nse,replay';
+  process.env.MARKET_REPLAY_DIR = replayDir;
+
+  // NSE only batches indices, so it has nothing for an equity
+  const { provider, result } = await callProviders('getQuotes', [[{ symbol: 'INFY', exchange: 'NSE' }]]);
+  assert.equal(provider, 'replay');
+  assert.deepEqual(result.map(q => [q.symbol, q.price]), [['INFY', 1500]]);
+});
+
+test('a batch no provider can quote fails', async () => {
+  process.env.MARKET_DATA_PROVIDERS = 'replay';
+  process.env.MARKET_REPLAY_DIR = replayDir;
+
+  await assert.rejects(callProviders('getQuotes', [[{ symbol: 'TCS', exchange: 'NSE' }]]), /no quotes/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../services/prisma.js';
+import { recordOrderFill } from '../services/orderFills.js';
+
+// Models the booking touches; anything not given reads as empty
+const DEFAULTS = { findMany: [], findUnique: null, aggregate: { _sum: { amount: 0 } } };
+const model = (methods = {}) => new Proxy(methods, {
+  get: (target, method) => target[method] || (async ({ data } = {}) => (method in DEFAULTS ? DEFAULTS[method] : data || { count: 0 }))
+});
+
+test('two calls racing on the same fill book it once', async () => {
+  const order = {
+    id: 1, portfolioId: 7, orderId: 'PAPER-1', symbol: 'INFY', exchange: 'NSE_EQ', transactionType: 'BUY',
+    status: 'COMPLETE', quantity: 5, filledQuantity: 5, averagePrice: 1500, bookedQuantity: 0, isPaper: true
+  };
+  const trades = [];
+  const tx = {
+    upstoxOrder: model({
+      updateMany: async ({ where, data }) => {
+        if (order.bookedQuantity !== where.bookedQuantity) return { count: 0 };
+        Object.assign(order, data);
+        return { count: 1 };
+      }
+    }),
+    trade: model({
+      findMany: async ({ where }) => (where.orderId ? [...trades] : []),
+      create: async ({ data }) => {
+        const trade = { id: trades.length + 1, status: 'COMPLETED', ...data };
+        trades.push(trade);
+        return trade;
+      }
+    }),
+    portfolio: model({ findUnique: async () => ({ broker: 'PAPER' }) }),
+    holding: model(),
+    taxLot: model(),
+    realizedGain: model(),
+    cashTransaction: model()
+  };
+  Object.defineProperty(prisma, 'upstoxOrder', { value: model({ findUnique: async () => ({ ...order }) }), configurable: true });
+  Object.defineProperty(prisma, '$transaction', { value: async fn => fn(tx), configurable: true });
+
+  const results = await Promise.all([recordOrderFill(1), recordOrderFill(1)]);
+
+  assert.equal(trades.length, 1);
+  assert.equal(trades[0].quantity, 5);
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.equal(order.bookedQuantity, 5);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { xirr, timeWeightedReturn } from '../services/performance.js';
+
+const flow = (date, amount) => ({ date: new Date(date), amount });
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be close to ${expected}`);
+
+test('xirr annualises a single investment', () => {
+  close(xirr([flow('2023-01-01', -1000), flow('2024-01-01', 1100)]), 0.1);
+  close(xirr([flow('2023-01-01', -1000), flow('2025-01-01', 1210)]), 0.1, 1e-3);
+});
+
+test('xirr handles a loss', () => {
+  close(xirr([flow('2023-01-01', -1000), flow('2024-01-01', 800)]), -0.2);
+});
+
+test('xirr is null without flows in both directions', () => {
+  assert.equal(xirr([flow('2023-01-01', -1000), flow('2024-01-01', -500)]), null);
+  assert.equal(xirr([flow('2023-01-01', -1000), flow('2024-01-01', 0)]), null);
+  assert.equal(xirr([]), null);
+});
+
+test('timeWeightedReturn chains sub-period returns', () => {
+  const valuations = [
+    { date: new Date('2024-01-01'), value: 1000 },
+    { date: new Date('2024-07-01'), value: 1100 },
+    { date: new Date('2025-01-01'), value: 1210 }
+  ];
+  close(timeWeightedReturn(valuations, []), 0.21);
+});
+
+test('timeWeightedReturn ignores the size of deposits', () => {
+  const valuations = [
+    { date: new Date('2024-01-01'), value: 0 },
+    { date: new Date('2024-07-01'), value: 10000 },
+    { date: new Date('2025-01-01'), value: 11000 }
+  ];
+  const flows = [flow('2024-01-01', 1000), flow('2024-07-01', 8900)];
+  // 1,000 grows to 1,100 and the top-up lands with the mid-year valuation; then 10% on 10,000
+  close(timeWeightedReturn(valuations, flows), 0.21);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../services/prisma.js';
+import { getPeriodPL } from '../services/portfolioSnapshots.js';
+
+const stub = (model, methods) => Object.defineProperty(prisma, model, { value: methods, configurable: true });
+
+test('a deposit after the close counts in the next period even when the snapshot was re-run later', async () => {
+  stub('portfolio', {
+    findMany: async () => [{ id: 7, name: 'Core', holdings: [], availableCash: 11500, unsettledCash: 0 }]
+  });
+  // The 11 March snapshot was rewritten at 20:00, after the deposit
+  stub('portfolioSnapshot', {
+    findMany: async () => [{
+      portfolioId: 7, date: new Date('2025-03-11T00:00:00Z'), totalValue: 10000, updatedAt: new Date('2025-03-11T20:00:00+05:30')
+    }]
+  });
+  stub('cashTransaction', {
+    findMany: async () => [{ portfolioId: 7, type: 'DEPOSIT', amount: 1000, createdAt: new Date('2025-03-11T17:00:00+05:30') }]
+  });
+
+  const { periods } = await getPeriodPL([7], new Date('2025-03-12T12:00:00+05:30'));
+
+  assert.equal(periods.day.since, '2025-03-11');
+  assert.equal(periods.day.pl, 500);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma from '../services/prisma.js';
+import { buildTargetsData, planRebalance, DEFAULT_BAND } from '../services/rebalancer.js';
+
+test('buildTargetsData normalizes asset-class targets', () => {
+  const data = buildTargetsData({
+    dimension: 'asset_class',
+    band: 3,
+    targets: [{ key: 'equity', weight: '70.004' }, { key: 'Gold', weight: 20, band: 2 }]
+  });
+
+  assert.deepEqual(data, {
+    dimension: 'ASSET_CLASS',
+    targets: [{ key: 'EQUITY', weight: 70, band: 3 }, { key: 'GOLD', weight: 20, band: 2 }]
+  });
+});
+
+test('buildTargetsData keys holdings by exchange', () => {
+  const { targets } = buildTargetsData({ dimension: 'HOLDING', targets: [{ key: 'infy', weight: 10 }, { key: 'bse:tcs', weight: 5 }] });
+
+  assert.deepEqual(targets.map(t => t.key), ['NSE:INFY', 'BSE:TCS']);
+  assert.equal(targets[0].band, DEFAULT_BAND);
+});
+
+test('buildTargetsData rejects invalid targets', () => {
+  const build = (targets, extra = {}) => () => buildTargetsData({ dimension: 'SECTOR', targets, ...extra });
+
+  assert.throws(() => buildTargetsData({ dimension: 'REGION', targets: [] }), /dimension must be one of/);
+  assert.throws(build('IT'), /targets must be an array/);
+  assert.throws(build([{ key: 'IT', weight: 60 }, { key: 'it', weight: 10 }]), /listed twice/);
+  assert.throws(build([{ key: 'IT', weight: 120 }]), /between 0 and 100/);
+  assert.throws(build([{ key: 'IT', weight: 60 }, { key: 'Banks', weight: 50 }]), /can't exceed 100%/);
+  assert.throws(build([{ key: 'IT', weight: 60 }], { band: 80 }), /band must be between/);
+  assert.throws(() => buildTargetsData({ dimension: 'ASSET_CLASS', targets: [{ key: 'CRYPTO', weight: 5 }] }), /Asset class must be one of/);
+  assert.throws(() => buildTargetsData({ dimension: 'HOLDING', targets: [{ key: 'NYSE:IBM', weight: 5 }] }), /Invalid holding/);
+});
+
+const stub = (model, methods) => Object.defineProperty(prisma, model, { value: methods, configurable: true });
+
+// Equality and { in } on each field, and NOT of the same
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (field === 'NOT') return !matches(row, condition);
+  if (condition && Array.isArray(condition.in)) return condition.in.includes(row[field]);
+  return row[field] === condition;
+});
+
+test('planRebalance sizes buys without the drafts it replaces', async () => {
+  // No quotes: holdings are priced at their last known price
+  process.env.MARKET_DATA_PROVIDERS = 'replay';
+  process.env.MARKET_REPLAY_DIR = '/nonexistent';
+
+  const portfolio = {
+    id: 7,
+    userId: 1,
+    broker: null,
+    holdings: [{ symbol: 'INFY', exchange: 'NSE', quantity: 10, avgPrice: 1000, currentPrice: 1000 }],
+    allocationTargets: [{ dimension: 'HOLDING', key: 'NSE:INFY', weight: 100, band: 5 }]
+  };
+  const signals = [];
+  stub('portfolio', { findUnique: async () => portfolio, update: async () => ({}) });
+  stub('cashTransaction', { aggregate: async () => ({ _sum: { amount: 20000 } }) });
+  stub('tradeSignal', { findMany: async ({ where }) => signals.filter(s => matches(s, where)) });
+  stub('realizedGain', { findMany: async () => [] });
+  stub('instrument', { findMany: async () => [{ symbol: 'INFY', exchange: 'NSE', lotSize: 1 }] });
+
+  const first = await planRebalance(7);
+  assert.equal(first.trades.length, 1);
+  assert.equal(first.trades[0].quantity, 19);
+
+  // The first plan's draft is still open when the plan is re-run
+  signals.push({ id: 1, portfolioId: 7, origin: 'REBALANCE', side: 'BUY', status: 'DRAFT', quantity: 19, triggerPrice: 1000, exchange: 'NSE' });
+  const second = await planRebalance(7);
+  assert.deepEqual(second.trades, first.trades);
+  assert.equal(second.cash.available, first.cash.available);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { replayTrades } from '../services/taxLots.js';
+
+const trade = (type, quantity, price, executedAt, fees = 0) => ({ type, quantity, price, fees, executedAt: new Date(executedAt) });
+
+test('replayTrades folds BUY fees into the lot cost', () => {
+  const { lots, oversold } = replayTrades([trade('BUY', 10, 100, '2024-01-10', 10)]);
+
+  assert.equal(lots.length, 1);
+  assert.equal(lots[0].costPerShare, 101);
+  assert.equal(lots[0].remaining, 10);
+  assert.deepEqual(oversold, []);
+});
+
+test('replayTrades sells the oldest lots first', () => {
+  const { lots } = replayTrades([
+    trade('BUY', 10, 100, '2024-01-10', 10),
+    trade('BUY', 10, 110, '2024-06-01'),
+    trade('SELL', 15, 120, '2025-03-03', 15)
+  ]);
+
+  assert.equal(lots[0].remaining, 0);
+  assert.equal(lots[1].remaining, 5);
+
+  const [first] = lots[0].disposals;
+  assert.equal(first.quantity, 10);
+  assert.equal(first.costBasis, 1010);
+  assert.equal(first.proceeds, 1190);
+  assert.equal(first.gain, 180);
+  assert.equal(first.term, 'LTCG');
+
+  const [second] = lots[1].disposals;
+  assert.equal(second.quantity, 5);
+  assert.equal(second.costBasis, 550);
+  assert.equal(second.proceeds, 595);
+  assert.equal(second.gain, 45);
+  assert.equal(second.term, 'STCG');
+});
+
+test('replayTrades reports SELL quantity no lot covers', () => {
+  const sell = trade('SELL', 8, 120, '2024-02-01');
+  const { lots, oversold } = replayTrades([trade('BUY', 5, 100, '2024-01-10'), sell]);
+
+  assert.equal(lots[0].remaining, 0);
+  assert.deepEqual(oversold, [{ trade: sell, quantity: 3 }]);
+});
@@ -0,0 +1,49 @@
+/**
+ * Asset classes of exchange-traded holdings
+ * Everything listed is equity unless it is one of the gold, silver or debt
+ * ETFs below. CASH is the portfolio's cash balance, never a holding.
+ */
+
+export const ASSET_CLASSES = ['EQUITY', 'GOLD', 'SILVER', 'DEBT', 'CASH'];
+
+const NON_EQUITY_ETFS = {
+  GOLD: [
+    'GOLDBEES', 'GOLDIETF', 'HDFCGOLD', 'SETFGOLD', 'KOTAKGOLD', 'AXISGOLD', 'GOLD1',
+    'GOLDCASE', 'BSLGOLDETF', 'LICMFGOLD', 'QGOLDHALF', 'IVZINGOLD', 'TATAGOLD', 'EGOLD'
+  ],
+  SILVER: [
+    'SILVERBEES', 'SILVERIETF', 'HDFCSILVER', 'SILVERETF', 'SILVER1', 'AXISILVER',
+    'SBISILVER', 'TATSILV', 'ESILVER'
+  ],
+  DEBT: [
+    'LIQUIDBEES', 'LIQUIDIETF', 'LIQUIDETF', 'LIQUIDCASE', 'LIQUID1', 'LIQUIDSBI',
+    'GILT5YBEES', 'LTGILTBEES', 'SETF10GILT', 'NETFGILT5Y', 'EBBETF0430', 'EBBETF0431',
+    'EBBETF0433', 'BBETF0432'
+  ]
+};
+
+const CLASS_BY_SYMBOL = new Map(
+  Object.entries(NON_EQUITY_ETFS).flatMap(([assetClass, symbols]) => symbols.map(s => [s, assetClass]))
+);
+
+// Bought into an asset class the portfolio holds nothing of
+export const ASSET_CLASS_PROXIES = {
+  EQUITY: 'NIFTYBEES',
+  GOLD: 'GOLDBEES',
+  SILVER: 'SILVERBEES',
+  DEBT: 'LIQUIDBEES'
+};
+
+/**
+ * @param {string} symbol - NSE/BSE trading symbol
+ * @returns {'EQUITY'|'GOLD'|'SILVER'|'DEBT'}
+ */
+export function assetClassOf(symbol) {
+  return CLASS_BY_SYMBOL.get(String(symbol).toUpperCase()) || 'EQUITY';
+}
+
+export default {
+  ASSET_CLASSES,
+  ASSET_CLASS_PROXIES,
+  assetClassOf
+};
@@ -0,0 +1,50 @@
+/**
+ * Minimal CSV reader for the local data files (replay candles, corporate actions,
+ * sector map).
+ * Handles quoted fields with embedded commas and "" escapes; skips blank lines
+ * and lines starting with #. Headers are trimmed and lower-cased.
+ *
+ * @param {string} text
+ * @returns {Array<Object>} One object per row, keyed by header
+ */
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.startsWith('#'));
+  if (lines.length === 0) return [];
+  const headers = splitLine(lines[0]).map(h => h.toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = splitLine(line);
+    return Object.fromEntries(headers.map((h, i) => [h, values[i]]));
+  });
+}
+
+function splitLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+export default { parseCSV };
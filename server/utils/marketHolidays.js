@@ -65,6 +65,32 @@ export function isTradingDay(date) {
   return !isMarketHoliday(date).isHoliday;
 }
 
+/**
+ * Same check for an IST calendar date key, independent of the server's timezone.
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+export function isTradingDateKey(dateKey) {
+  const day = new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+  if (day === 0 || day === 6) return false; // Weekend
+  return !NSE_HOLIDAYS[dateKey];
+}
+
+/**
+ * Check if the NSE cash session (09:15–15:30 IST) is open at a given instant.
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isMarketOpen(now = new Date()) {
+  if (!isTradingDay(now)) return false;
+  const [hh, mm] = now
+    .toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Kolkata' })
+    .split(':')
+    .map(Number);
+  const minutes = hh * 60 + mm;
+  return minutes >= 9 * 60 + 15 && minutes <= 15 * 60 + 30;
+}
+
 function formatDateKey(date) {
   const y = date.getFullYear();
   const m = String(date.getMonth() + 1).padStart(2, '0');
@@ -72,4 +98,4 @@ function formatDateKey(date) {
   return `${y}-${m}-${d}`;
 }
 
-export default { isMarketHoliday, isTradingDay };
+export default { isMarketHoliday, isTradingDay, isTradingDateKey, isMarketOpen };
@@ -0,0 +1,146 @@
+/**
+ * NSE index catalogue
+ * Indices flow through the market-data providers like any other symbol,
+ * using exchange 'INDEX' and the short symbol below.
+ *
+ * nseName    — name used by nseindia.com (allIndices / indicesHistory)
+ * upstoxName — trading symbol in Upstox's NSE_INDEX segment
+ * category   — BROAD, SECTOR or VOLATILITY
+ */
+
+export const INDEX_EXCHANGE = 'INDEX';
+
+export const MARKET_INDICES = [
+  // Broad market
+  { symbol: 'NIFTY50', nseName: 'NIFTY 50', upstoxName: 'Nifty 50', category: 'BROAD' },
+  { symbol: 'NIFTYNEXT50', nseName: 'NIFTY NEXT 50', upstoxName: 'Nifty Next 50', category: 'BROAD' },
+  { symbol: 'NIFTY500', nseName: 'NIFTY 500', upstoxName: 'Nifty 500', category: 'BROAD' },
+  { symbol: 'NIFTYMIDCAP100', nseName: 'NIFTY MIDCAP 100', upstoxName: 'NIFTY MID100 FREE', category: 'BROAD' },
+  { symbol: 'NIFTYSMALLCAP100', nseName: 'NIFTY SMALLCAP 100', upstoxName: 'NIFTY SMLCAP 100', category: 'BROAD' },
+
+  // Sectoral
+  { symbol: 'BANKNIFTY', nseName: 'NIFTY BANK', upstoxName: 'Nifty Bank', category: 'SECTOR', sector: 'Banking' },
+  { symbol: 'FINNIFTY', nseName: 'NIFTY FINANCIAL SERVICES', upstoxName: 'Nifty Fin Service', category: 'SECTOR', sector: 'Financial Services' },
+  { symbol: 'NIFTYPVTBANK', nseName: 'NIFTY PRIVATE BANK', upstoxName: 'Nifty Pvt Bank', category: 'SECTOR', sector: 'Private Banks' },
+  { symbol: 'NIFTYPSUBANK', nseName: 'NIFTY PSU BANK', upstoxName: 'Nifty PSU Bank', category: 'SECTOR', sector: 'PSU Banks' },
+  { symbol: 'NIFTYIT', nseName: 'NIFTY IT', upstoxName: 'Nifty IT', category: 'SECTOR', sector: 'IT' },
+  { symbol: 'NIFTYPHARMA', nseName: 'NIFTY PHARMA', upstoxName: 'Nifty Pharma', category: 'SECTOR', sector: 'Pharma' },
+  { symbol: 'NIFTYHEALTHCARE', nseName: 'NIFTY HEALTHCARE INDEX', upstoxName: 'NIFTY HEALTHCARE', category: 'SECTOR', sector: 'Healthcare' },
+  { symbol: 'NIFTYAUTO', nseName: 'NIFTY AUTO', upstoxName: 'Nifty Auto', category: 'SECTOR', sector: 'Auto' },
+  { symbol: 'NIFTYFMCG', nseName: 'NIFTY FMCG', upstoxName: 'Nifty FMCG', category: 'SECTOR', sector: 'FMCG' },
+  { symbol: 'NIFTYMETAL', nseName: 'NIFTY METAL', upstoxName: 'Nifty Metal', category: 'SECTOR', sector: 'Metals' },
+  { symbol: 'NIFTYENERGY', nseName: 'NIFTY ENERGY', upstoxName: 'Nifty Energy', category: 'SECTOR', sector: 'Energy' },
+  { symbol: 'NIFTYOILGAS', nseName: 'NIFTY OIL & GAS', upstoxName: 'NIFTY OIL AND GAS', category: 'SECTOR', sector: 'Oil & Gas' },
+  { symbol: 'NIFTYREALTY', nseName: 'NIFTY REALTY', upstoxName: 'Nifty Realty', category: 'SECTOR', sector: 'Realty' },
+  { symbol: 'NIFTYMEDIA', nseName: 'NIFTY MEDIA', upstoxName: 'Nifty Media', category: 'SECTOR', sector: 'Media' },
+  { symbol: 'NIFTYCONSUMERDURABLES', nseName: 'NIFTY CONSUMER DURABLES', upstoxName: 'NIFTY CONSR DURBL', category: 'SECTOR', sector: 'Consumer Durables' },
+
+  // Volatility
+  { symbol: 'INDIAVIX', nseName: 'INDIA VIX', upstoxName: 'India VIX', category: 'VOLATILITY' }
+];
+
+const BY_SYMBOL = new Map(MARKET_INDICES.map(i => [i.symbol, i]));
+const BY_NSE_NAME = new Map(MARKET_INDICES.map(i => [i.nseName, i]));
+
+/**
+ * Look up an index by short symbol (NIFTY50, BANKNIFTY, ...).
+ * @param {string} symbol
+ * @returns {Object|null}
+ */
+export function getIndexDefinition(symbol) {
+  return BY_SYMBOL.get(symbol) || null;
+}
+
+/**
+ * Look up an index by its nseindia.com name ("NIFTY BANK").
+ * @param {string} nseName
+ * @returns {Object|null}
+ */
+export function getIndexByNseName(nseName) {
+  return BY_NSE_NAME.get(nseName) || null;
+}
+
+/**
+ * Portfolio benchmarks
+ * A benchmark is written as a short spec: an index symbol from the catalogue
+ * ("NIFTY500"), an exchange-traded fund ("NSE:NIFTYBEES"), or a fixed-weight
+ * blend of those ("60% NIFTY50 + 40% NIFTYMIDCAP100"). Blends are rebalanced
+ * to their weights every day.
+ */
+
+export const DEFAULT_BENCHMARK = 'NIFTY50';
+
+const BENCHMARK_ETF_EXCHANGES = ['NSE', 'BSE'];
+const MAX_BENCHMARK_PARTS = 5;
+
+/**
+ * Parse a benchmark spec. Throws with a user-facing message when it's invalid.
+ *
+ * @param {string} spec
+ * @returns {Array<{ symbol: string, exchange: string, weight: number }>} Weights sum to 1
+ */
+export function parseBenchmark(spec) {
+  const parts = String(spec || '').split('+').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0) throw new Error('benchmark is required');
+  if (parts.length > MAX_BENCHMARK_PARTS) throw new Error(`A benchmark blends at most ${MAX_BENCHMARK_PARTS} indices or ETFs`);
+
+  const components = parts.map(part => {
+    const match = part.match(/^(?:(\d+(?:\.\d+)?)\s*%\s*)?(?:([A-Za-z]+):)?([A-Za-z0-9&._-]+)$/);
+    if (!match) throw new Error(`Can't read "${part}" — use e.g. NIFTY50, NSE:NIFTYBEES or 60% NIFTY50`);
+
+    const [, percent, exchange, symbol] = match;
+    const upper = symbol.toUpperCase();
+    if (exchange) {
+      if (!BENCHMARK_ETF_EXCHANGES.includes(exchange.toUpperCase())) {
+        throw new Error(`ETF exchange must be one of ${BENCHMARK_ETF_EXCHANGES.join(', ')}`);
+      }
+      return { symbol: upper, exchange: exchange.toUpperCase(), percent: percent ? Number(percent) : null };
+    }
+
+    const index = getIndexDefinition(upper);
+    if (!index || index.category === 'VOLATILITY') throw new Error(`${upper} is not a tracked NSE index`);
+    return { symbol: upper, exchange: INDEX_EXCHANGE, percent: percent ? Number(percent) : null };
+  });
+
+  const keys = new Set(components.map(c => `${c.exchange}:${c.symbol}`));
+  if (keys.size !== components.length) throw new Error('A benchmark lists each index or ETF once');
+
+  const weighted = components.filter(c => c.percent !== null);
+  if (weighted.length === 0) {
+    return components.map(({ symbol, exchange }) => ({ symbol, exchange, weight: 1 / components.length }));
+  }
+  if (weighted.length !== components.length) throw new Error('Give every part of a blend a weight, or none');
+
+  const total = components.reduce((sum, c) => sum + c.percent, 0);
+  if (Math.abs(total - 100) > 0.01) throw new Error(`Blend weights add up to ${total}%, not 100%`);
+  return components.map(({ symbol, exchange, percent }) => ({ symbol, exchange, weight: percent / 100 }));
+}
+
+/**
+ * Canonical spec for parsed components, as stored on the portfolio.
+ */
+export function formatBenchmark(components) {
+  const name = c => (c.exchange === INDEX_EXCHANGE ? c.symbol : `${c.exchange}:${c.symbol}`);
+  if (components.length === 1) return name(components[0]);
+  return components.map(c => `${Math.round(c.weight * 10000) / 100}% ${name(c)}`).join(' + ');
+}
+
+/**
+ * Display name for parsed components: "NIFTY 50", "60% NIFTY 50 + 40% NIFTYBEES".
+ */
+export function benchmarkLabel(components) {
+  const name = c => (c.exchange === INDEX_EXCHANGE ? getIndexDefinition(c.symbol).nseName : c.symbol);
+  if (components.length === 1) return name(components[0]);
+  return components.map(c => `${Math.round(c.weight * 10000) / 100}% ${name(c)}`).join(' + ');
+}
+
+export default {
+  INDEX_EXCHANGE,
+  MARKET_INDICES,
+  DEFAULT_BENCHMARK,
+  getIndexDefinition,
+  getIndexByNseName,
+  parseBenchmark,
+  formatBenchmark,
+  benchmarkLabel
+};